@@ -0,0 +1,180 @@
+// ============================================================
+// FILE: /build_antibiogram.mjs
+// Cumulative antibiogram import CLI — hospital CSV/JSON → antibiogram.json
+//
+// USAGE:
+//   node build_antibiogram.mjs --year <YYYY> <file.csv|file.json> [--source "<label>"] [--dry-run] [--no-current]
+//
+//   --year        Antibiogram year; each year is stored as its own version and
+//                 re-importing a year replaces it.
+//   --source      Label shown with every lookup (e.g. "Microbiology 2025, first isolate per patient").
+//   --dry-run     Parse + validate only; print the summary, write nothing.
+//   --no-current  Keep the current version pointer (import a past year).
+//
+// CSV: header row, one row per organism × antibiotic × unit:
+//   organism,antibiotic,pct_s,isolates,unit[,specimen]
+//   "Escherichia coli",ceftriaxone,84,412,ward
+//   "Escherichia coli",ceftriaxone,71,96,icu
+// Header aliases: %S / percent_susceptible → pct_s, n / isolate_count → isolates,
+// ward / location → unit. unit is "icu", "ward" or "all" (hospital-wide; default).
+// JSON: an array of the same objects, or { rows:[...] }.
+//
+// OUTPUT:
+//   antibiogram.json — { current, versions:{ "<year>":{ year, source, sha256, imported_at, rows } } }
+// Names are kept as written; functions/_lib/antibiogram.js canonicalizes
+// organism and antibiotic names at lookup time.
+// ============================================================
+
+import { createHash } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT             = path.dirname(fileURLToPath(import.meta.url));
+const ANTIBIOGRAM_PATH = path.join(ROOT, "antibiogram.json");
+
+const HEADER_ALIASES = {
+  organism: "organism", bug: "organism", pathogen: "organism",
+  antibiotic: "antibiotic", drug: "antibiotic", agent: "antibiotic", antimicrobial: "antibiotic",
+  pct_s: "pct_s", "%s": "pct_s", percent_s: "pct_s", percent_susceptible: "pct_s", susceptible_pct: "pct_s", s_pct: "pct_s",
+  isolates: "isolates", n: "isolates", isolate_count: "isolates", n_isolates: "isolates", tested: "isolates",
+  unit: "unit", ward: "unit", location: "unit", setting: "unit",
+  specimen: "specimen", source: "specimen", sample: "specimen",
+};
+
+// ============================================================
+// CLI
+// ============================================================
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.year || !/^\d{4}$/.test(args.year) || args.inputs.length !== 1) {
+    console.error('Usage: node build_antibiogram.mjs --year <YYYY> <file.csv|file.json> [--source "<label>"] [--dry-run] [--no-current]');
+    process.exit(1);
+  }
+
+  const file   = path.resolve(args.inputs[0]);
+  const buffer = await readFile(file);
+  const rawRows = path.extname(file).toLowerCase() === ".json" ? parseJsonRows(buffer.toString("utf8")) : parseCsv(buffer.toString("utf8"));
+  const { rows, errors } = validateRows(rawRows);
+
+  for (const e of errors) console.warn(`⚠️  ${e}`);
+  if (!rows.length) {
+    console.error("No valid rows found.");
+    process.exit(1);
+  }
+  const organisms = new Set(rows.map(r => r.organism.toLowerCase()));
+  const units     = [...new Set(rows.map(r => r.unit))];
+  console.log(`🧫 ${path.basename(file)} — ${rows.length} row(s), ${organisms.size} organism(s), units: ${units.join(", ")}`);
+  const small = rows.filter(r => r.isolates != null && r.isolates < 30).length;
+  if (small) console.log(`   ${small} row(s) with <30 isolates — flagged at lookup`);
+  if (args.dryRun) return console.log("✅ Dry run complete.");
+
+  const data = await readJson(ANTIBIOGRAM_PATH, { current: null, versions: {} });
+  data.versions ||= {};
+  data.versions[args.year] = {
+    year:        args.year,
+    source:      args.source || path.basename(file),
+    sha256:      createHash("sha256").update(buffer).digest("hex"),
+    imported_at: new Date().toISOString(),
+    rows,
+  };
+  if (!args.keepCurrent) data.current = args.year;
+  await writeJson(ANTIBIOGRAM_PATH, data);
+  console.log(`✅ Done — antibiogram ${args.year}${data.current === args.year ? " (current)" : ""} → antibiogram.json`);
+}
+
+function parseArgs(argv) {
+  const args = { year: null, source: null, dryRun: false, keepCurrent: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--year")            args.year = argv[++i] || null;
+    else if (a === "--source")     args.source = argv[++i] || null;
+    else if (a === "--dry-run")    args.dryRun = true;
+    else if (a === "--no-current") args.keepCurrent = true;
+    else                           args.inputs.push(a);
+  }
+  return args;
+}
+
+// ============================================================
+// PARSING
+// ============================================================
+function parseJsonRows(text) {
+  const parsed = JSON.parse(text);
+  const rows   = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.rows) ? parsed.rows : [];
+  return rows.map(r => Object.fromEntries(Object.entries(r || {}).map(([k, v]) => [HEADER_ALIASES[normalizeHeader(k)] || normalizeHeader(k), v])));
+}
+
+// RFC 4180-style: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const records = [];
+  let field = "", record = [], quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { record.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      if (record.some(f => f.trim())) records.push(record);
+      record = [];
+    } else field += c;
+  }
+  record.push(field);
+  if (record.some(f => f.trim())) records.push(record);
+  if (!records.length) return [];
+
+  const header = records[0].map(h => HEADER_ALIASES[normalizeHeader(h)] || normalizeHeader(h));
+  return records.slice(1).map(rec => Object.fromEntries(header.map((h, i) => [h, (rec[i] ?? "").trim()])));
+}
+
+function normalizeHeader(h) {
+  return String(h || "").trim().toLowerCase().replace(/\s+/g, "_");
+}
+
+function validateRows(rawRows) {
+  const rows = [], errors = [];
+  rawRows.forEach((r, i) => {
+    const line  = i + 2;
+    const pct   = parseFloat(String(r.pct_s ?? "").replace("%", ""));
+    const n     = r.isolates === "" || r.isolates == null ? null : parseInt(r.isolates, 10);
+    if (!r.organism || !r.antibiotic) return errors.push(`row ${line}: organism and antibiotic are required — skipped`);
+    if (Number.isNaN(pct) || pct < 0 || pct > 100) return errors.push(`row ${line}: %S "${r.pct_s}" is not 0–100 — skipped`);
+    if (n != null && (Number.isNaN(n) || n < 0)) return errors.push(`row ${line}: isolate count "${r.isolates}" is not a number — skipped`);
+    rows.push({
+      organism:   String(r.organism).trim(),
+      antibiotic: String(r.antibiotic).trim(),
+      unit:       String(r.unit || "all").trim().toLowerCase(),
+      pct_s:      pct,
+      isolates:   n,
+      ...(r.specimen ? { specimen: String(r.specimen).trim() } : {}),
+    });
+  });
+  return { rows, errors };
+}
+
+// ============================================================
+// FILES
+// ============================================================
+async function readJson(file, fallback) {
+  try {
+    const raw = (await readFile(file, "utf8")).trim();
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+async function writeJson(file, data) {
+  await writeFile(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error("❌ Import failed:", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+// ============================================================
+// FILE: /build_vectorstores.mjs
+// Protocol ingestion CLI — local PDFs/text → OpenAI vector stores
+//
+// USAGE:
+//   node build_vectorstores.mjs --store <Name> <file|folder> [...more] [--dry-run] [--local]
+//
+//   --store     Store key in vectorstores.json (e.g. "Vancomycin",
+//               "Piperacillin/Tazobactam"). A new store is created if the
+//               key is not there yet.
+//   --dry-run   Parse + chunk only; print the plan, upload nothing.
+//   --local     Write chunks to local_index.json instead of uploading.
+//               Used by RETRIEVAL_BACKEND="local" (functions/_lib/retrieval.js)
+//               for sites that cannot send protocol queries to OpenAI. Serve
+//               it as a static asset or put it in the LOCAL_INDEX KV namespace
+//               under the key "local_index".
+//
+// Each page is split into chunks and every chunk is uploaded as its own
+// file, so the search API returns `page`, `chunk_index`, `section` and
+// `filename` as attributes (read by vectorSearch in functions/api/ask.js).
+//
+// OUTPUT:
+//   vectorstores.json  — store key → vector store ID
+//   refs.manifest.json — one entry per source file (filename, sha256,
+//                        pages, chunks, uploaded_at, store, store_id)
+//
+// Files whose hash is already in the manifest for the same store are skipped.
+// A changed file replaces its previous version: the old chunk files are removed
+// from the vector store (and deleted) before the new chunks are uploaded.
+// If a file fails partway, the chunks it already uploaded are deleted again,
+// so no chunk is left in the store without a manifest entry.
+// Requires OPENAI_API_KEY in the environment (not needed with --local).
+// ============================================================
+
+import { createHash } from "node:crypto";
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import OpenAI, { toFile } from "openai";
+
+const ROOT             = path.dirname(fileURLToPath(import.meta.url));
+const STORES_PATH      = path.join(ROOT, "vectorstores.json");
+const MANIFEST_PATH    = path.join(ROOT, "refs.manifest.json");
+const LOCAL_INDEX_PATH = path.join(ROOT, "local_index.json");
+
+const SUPPORTED_EXT  = new Set([".pdf", ".txt", ".md"]);
+const CHUNK_CHARS    = 1500;
+const CHUNK_OVERLAP  = 200;
+const UPLOAD_WORKERS = 4;
+
+// ============================================================
+// CLI
+// ============================================================
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.store || !args.inputs.length) {
+    console.error('Usage: node build_vectorstores.mjs --store <Name> <file|folder> [...] [--dry-run] [--local]');
+    process.exit(1);
+  }
+
+  const files = [];
+  for (const input of args.inputs) files.push(...await collectFiles(path.resolve(input)));
+  if (!files.length) {
+    console.error("No .pdf/.txt/.md files found.");
+    process.exit(1);
+  }
+
+  const stores   = await readJson(STORES_PATH, {});
+  const manifest = await readJson(MANIFEST_PATH, []);
+
+  if (args.local) return buildLocalIndex(args, files, stores);
+
+  if (!args.dryRun && !process.env.OPENAI_API_KEY) {
+    console.error("OPENAI_API_KEY is not set.");
+    process.exit(1);
+  }
+  const client = args.dryRun ? null : new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  let storeId = stores[args.store] || null;
+  if (!storeId && !args.dryRun) {
+    const created = await client.vectorStores.create({ name: args.store });
+    storeId = created.id;
+    stores[args.store] = storeId;
+    await writeJson(STORES_PATH, stores);
+    console.log(`📁 Created vector store "${args.store}" → ${storeId}`);
+  }
+
+  for (const file of files) {
+    const filename = path.basename(file);
+    const buffer   = await readFile(file);
+    const sha256   = createHash("sha256").update(buffer).digest("hex");
+
+    if (manifest.some(m => m.sha256 === sha256 && m.store_id === storeId)) {
+      console.log(`⏭️  ${filename} — already in "${args.store}", skipped`);
+      continue;
+    }
+
+    const pages  = await extractPages(file, buffer);
+    const chunks = chunkPages(pages);
+    console.log(`📄 ${filename} — ${pages.length} page(s), ${chunks.length} chunk(s)`);
+    if (args.dryRun) continue;
+
+    const prev = manifest.findIndex(m => m.filename === filename && m.store_id === storeId);
+    if (prev !== -1 && manifest[prev].file_ids?.length) {
+      const removed = await removeChunks(client, storeId, manifest[prev].file_ids);
+      console.log(`🗑️  ${filename} — removed ${removed} outdated chunk(s)`);
+    }
+
+    const fileIds = await uploadChunks(client, storeId, filename, chunks);
+
+    const entry = {
+      filename,
+      sha256,
+      pages:       pages.length,
+      chunks:      chunks.length,
+      uploaded_at: new Date().toISOString(),
+      store:       args.store,
+      store_id:    storeId,
+      file_ids:    fileIds,
+    };
+    if (prev !== -1) manifest.splice(prev, 1, entry);
+    else manifest.push(entry);
+    // Write after every file so a failed run keeps what already uploaded
+    await writeJson(MANIFEST_PATH, manifest);
+  }
+
+  console.log(args.dryRun ? "✅ Dry run complete." : `✅ Done — "${args.store}" → ${storeId}`);
+}
+
+function parseArgs(argv) {
+  const args = { store: null, dryRun: false, local: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--store")        args.store = argv[++i] || null;
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--local")   args.local = true;
+    else                        args.inputs.push(a);
+  }
+  return args;
+}
+
+async function collectFiles(target) {
+  const info = await stat(target);
+  if (info.isFile()) return SUPPORTED_EXT.has(path.extname(target).toLowerCase()) ? [target] : [];
+  const out = [];
+  for (const entry of (await readdir(target)).sort()) out.push(...await collectFiles(path.join(target, entry)));
+  return out;
+}
+
+// ============================================================
+// TEXT EXTRACTION — one string per page
+// ============================================================
+async function extractPages(file, buffer) {
+  if (path.extname(file).toLowerCase() === ".pdf") return extractPdfPages(buffer);
+  // Text files: form feeds (pdftotext output) mark page breaks
+  return buffer.toString("utf8").split("\f");
+}
+
+async function extractPdfPages(buffer) {
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc   = await pdfjs.getDocument({ data: new Uint8Array(buffer), useSystemFonts: true }).promise;
+  const pages = [];
+  for (let n = 1; n <= doc.numPages; n++) {
+    const content = await (await doc.getPage(n)).getTextContent();
+    let text = "";
+    for (const item of content.items) text += (item.str || "") + (item.hasEOL ? "\n" : " ");
+    pages.push(text);
+  }
+  await doc.destroy();
+  return pages;
+}
+
+// ============================================================
+// PAGE-AWARE CHUNKING
+// Chunks never cross a page. `section` carries the last heading
+// seen, including headings from earlier pages.
+// ============================================================
+const HEADING_RE = /^(?:section\s+\d+(?:\.\d+)*\b.*|\d+(?:\.\d+)*\.?\s+[A-Z][^\n]{2,80}|#{1,3}\s+.+|[A-Z][A-Z0-9 /&(),\-]{5,80})$/i;
+
+function chunkPages(pages) {
+  const chunks = [];
+  let section  = "";
+  pages.forEach((pageText, idx) => {
+    const lines = pageText.split("\n").map(l => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+    let buf = "", bufSection = section;
+
+    const flush = () => {
+      if (buf.trim()) chunks.push({ page: idx + 1, chunk_index: chunks.length, section: bufSection, text: buf.trim() });
+      buf = buf.length > CHUNK_OVERLAP ? buf.slice(-CHUNK_OVERLAP) : "";
+      bufSection = section;
+    };
+
+    for (const line of lines) {
+      if (isHeading(line)) {
+        if (buf.trim()) flush();
+        buf = "";
+        section = bufSection = line.replace(/^#+\s*/, "").substring(0, 80);
+      }
+      if (buf.length + line.length + 1 > CHUNK_CHARS && buf.trim()) flush();
+      buf += (buf ? "\n" : "") + line;
+    }
+    if (buf.trim()) chunks.push({ page: idx + 1, chunk_index: chunks.length, section: bufSection, text: buf.trim() });
+  });
+  return chunks;
+}
+
+function isHeading(line) {
+  if (line.length > 90 || /[.:;,]$/.test(line)) return false;
+  // All-caps lines must actually be upper case, not just match case-insensitively
+  if (!/^(section|\d|#)/i.test(line) && line !== line.toUpperCase()) return false;
+  return HEADING_RE.test(line);
+}
+
+// ============================================================
+// UPLOAD — one file per chunk so attributes stay chunk-level
+// All-or-nothing per source file: on any failure the uploaded chunks are
+// removed and the error is rethrown.
+// ============================================================
+async function uploadChunks(client, storeId, filename, chunks) {
+  const base    = filename.replace(/\.[^.]+$/, "");
+  const fileIds = new Array(chunks.length);
+  let next = 0, failed = false;
+
+  const worker = async () => {
+    while (!failed && next < chunks.length) {
+      const i     = next++;
+      const chunk = chunks[i];
+      const file  = await client.files.create({
+        file:    await toFile(Buffer.from(chunk.text, "utf8"), `${base}__p${chunk.page}_c${chunk.chunk_index}.txt`),
+        purpose: "assistants",
+      });
+      // Recorded before attaching so a failed attach is cleaned up too
+      fileIds[i] = file.id;
+      await client.vectorStores.files.createAndPoll(storeId, {
+        file_id: file.id,
+        attributes: {
+          filename,
+          page:        chunk.page,
+          chunk_index: chunk.chunk_index,
+          section:     chunk.section.substring(0, 512),
+        },
+        // Chunk is already sized; keep it whole on the OpenAI side
+        chunking_strategy: { type: "static", static: { max_chunk_size_tokens: 800, chunk_overlap_tokens: 0 } },
+      });
+    }
+  };
+  // allSettled, not all: cleanup must wait for uploads still in flight
+  const results = await Promise.allSettled(Array.from({ length: Math.min(UPLOAD_WORKERS, chunks.length) }, () =>
+    worker().catch(err => { failed = true; throw err; })));
+  const failure = results.find(r => r.status === "rejected");
+  if (failure) {
+    try {
+      const removed = await removeChunks(client, storeId, fileIds);
+      console.error(`🧹 ${filename} — upload failed, removed ${removed} partially uploaded chunk(s)`);
+    } catch (err) {
+      console.error(`⚠️  ${filename} — cleanup failed (${err?.message || err}); delete by hand: ${fileIds.filter(Boolean).join(", ")}`);
+    }
+    throw failure.reason;
+  }
+  return fileIds;
+}
+
+// Chunks already gone (deleted by hand in the dashboard) are not an error
+async function removeChunks(client, storeId, fileIds) {
+  let removed = 0;
+  const ignoreMissing = (err) => { if (err?.status !== 404) throw err; };
+  for (const fileId of fileIds.filter(Boolean)) {
+    await client.vectorStores.files.delete(fileId, { vector_store_id: storeId }).catch(ignoreMissing);
+    await client.files.delete(fileId).catch(ignoreMissing);
+    removed++;
+  }
+  return removed;
+}
+
+// ============================================================
+// LOCAL INDEX — raw chunks; BM25 stats are computed at load time
+// ============================================================
+async function buildLocalIndex(args, files, stores) {
+  const index = await readJson(LOCAL_INDEX_PATH, { version: 1, built_at: null, chunks: [] });
+
+  for (const file of files) {
+    const filename = path.basename(file);
+    const buffer   = await readFile(file);
+    const sha256   = createHash("sha256").update(buffer).digest("hex");
+    const pages    = await extractPages(file, buffer);
+    const chunks   = chunkPages(pages);
+    console.log(`📄 ${filename} — ${pages.length} page(s), ${chunks.length} chunk(s)`);
+    if (args.dryRun) continue;
+
+    // Re-ingesting a file replaces its previous chunks in that store
+    index.chunks = index.chunks.filter(c => !(c.filename === filename && c.store === args.store));
+    for (const chunk of chunks) {
+      index.chunks.push({
+        store:    args.store,
+        store_id: stores[args.store] || null,
+        filename,
+        sha256,
+        ...chunk,
+      });
+    }
+  }
+
+  if (args.dryRun) return console.log("✅ Dry run complete.");
+  index.built_at = new Date().toISOString();
+  await writeJson(LOCAL_INDEX_PATH, index);
+  console.log(`✅ Done — ${index.chunks.length} chunk(s) in ${path.basename(LOCAL_INDEX_PATH)}`);
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+async function readJson(file, fallback) {
+  try {
+    const raw = (await readFile(file, "utf8")).trim();
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+async function writeJson(file, data) {
+  await writeFile(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error("❌ Ingestion failed:", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+// File: /functions/_lib/aminoglycoside.js
+// Extended-interval aminoglycoside dosing (gentamicin, tobramycin, amikacin).
+//
+//   Dosing weight — weight policy (clinical_calc.js); default "aminoglycoside":
+//                   actual if ≤IBW, AdjBW if ≥1.2×IBW, otherwise IBW
+//   Dose          — Hartford 7 mg/kg (gent/tobra), 15 mg/kg (amikacin);
+//                   Urban-Craig 5 mg/kg (gent/tobra)
+//   Interval      — initial from CrCl per nomogram (Hartford ≥60/40/20,
+//                   Urban-Craig ≥80/60/40 mL/min); a random level 6–14 h after the start
+//                   of infusion is read against the nomogram lines.
+//                   Amikacin levels are halved before plotting (Hartford).
+//
+// Nomogram lines are straight segments between the 6 h and 14 h points.
+// Check them against the printed nomogram your site uses before go-live.
+
+import { DEFAULT_WEIGHT_POLICY, selectWeight } from "./clinical_calc.js";
+
+export const AMINOGLYCOSIDES = {
+  gentamicin: { label:"Gentamicin", round_mg:10 },
+  tobramycin: { label:"Tobramycin", round_mg:10 },
+  amikacin:   { label:"Amikacin",   round_mg:50 },
+};
+
+export const NOMOGRAMS = {
+  hartford: {
+    label:"Hartford", mg_per_kg:{ gentamicin:7, tobramycin:7, amikacin:15 }, level_scale:{ amikacin:0.5 },
+    window_h:[6,14],
+    // CrCl (mL/min) → initial interval before any level
+    initial:[ { min:60, interval_h:24 }, { min:40, interval_h:36 }, { min:20, interval_h:48 } ],
+    // Upper boundary of each interval zone: [level at 6 h, level at 14 h] (mg/L)
+    lines:[ { interval_h:24, at:[5.5,2.0] }, { interval_h:36, at:[9.0,4.0] }, { interval_h:48, at:[13.0,6.5] } ],
+  },
+  urban_craig: {
+    label:"Urban-Craig", mg_per_kg:{ gentamicin:5, tobramycin:5 }, level_scale:{},
+    window_h:[6,14],
+    initial:[ { min:80, interval_h:24 }, { min:60, interval_h:36 }, { min:40, interval_h:48 } ],
+    lines:[ { interval_h:24, at:[3.9,1.4] }, { interval_h:36, at:[6.4,2.9] }, { interval_h:48, at:[9.3,4.6] } ],
+  },
+};
+
+/* =========================================================
+   ENTRY POINT
+========================================================= */
+export function computeAminoglycosideDosing({ drug, weightKg, heightCm=null, sex=null, crcl=null, nomogram="hartford", level=null, weightPolicy=DEFAULT_WEIGHT_POLICY }={}) {
+  const key  = String(drug||"").toLowerCase().replace(/[^a-z]/g,"");
+  const info = AMINOGLYCOSIDES[key];
+  if (!info) return { ok:false, error:`drug must be one of: ${Object.keys(AMINOGLYCOSIDES).join(", ")}` };
+  const nomo = NOMOGRAMS[nomogram];
+  if (!nomo) return { ok:false, error:`nomogram must be one of: ${Object.keys(NOMOGRAMS).join(", ")}` };
+  const mgPerKg = nomo.mg_per_kg[key];
+  if (!mgPerKg) return { ok:false, error:`${nomo.label} nomogram is not validated for ${info.label}` };
+
+  const warnings = [];
+  const weight   = selectWeight({ weightKg, heightCm, sex, use:key, policy:weightPolicy });
+  if (!weight.ibw) warnings.push("Height missing — actual body weight used; IBW/AdjBW not calculated.");
+
+  const dose = Math.round(mgPerKg*weight.weight_used/info.round_mg)*info.round_mg;
+
+  let initial = null;
+  if (crcl!=null) {
+    const band = nomo.initial.find(b=>crcl>=b.min);
+    initial = band ? band.interval_h : null;
+    if (!band) warnings.push(`CrCl ${crcl} mL/min <${nomo.initial[nomo.initial.length-1].min} — ${nomo.label} extended-interval dosing not recommended; give one dose and redose by serial levels (<1 mg/L${key==="amikacin"?", amikacin <2.5 mg/L":""}).`);
+  } else {
+    warnings.push("CrCl unavailable — initial interval not assigned; use a random level.");
+  }
+
+  const levelResult = level ? interpretLevel(nomo, key, level, warnings) : null;
+  const interval_h  = levelResult ? levelResult.interval_h : initial;
+
+  const result = {
+    ok: true,
+    drug: info.label,
+    nomogram: nomo.label,
+    mg_per_kg: mgPerKg,
+    dosing_weight: weight,
+    dose_mg: dose,
+    route: "IV",
+    infusion_min: 60,
+    crcl,
+    initial_interval_h: initial,
+    level: levelResult,
+    interval_h,
+    hold: levelResult?.hold || false,
+    warnings,
+  };
+  result.note = buildChartNote(result);
+  return result;
+}
+
+/* =========================================================
+   NOMOGRAM
+   level: { value, hours_post_dose } or { value, time, dose_time }
+========================================================= */
+function interpretLevel(nomo, key, level, warnings) {
+  const value = Number(level.value);
+  let hours   = level.hours_post_dose!=null ? Number(level.hours_post_dose) : null;
+  if (hours==null&&level.time&&level.dose_time) hours = (Date.parse(level.time)-Date.parse(level.dose_time))/3.6e6;
+  if (!(value>=0)||hours==null||Number.isNaN(hours)) {
+    warnings.push("Level needs a value and hours after the start of the dose — not interpreted.");
+    return null;
+  }
+
+  const [t0, t1] = nomo.window_h;
+  if (hours<t0||hours>t1) warnings.push(`Level drawn at ${round(hours,1)} h is outside the ${t0}–${t1} h nomogram window — interpretation is extrapolated; confirm with a repeat level.`);
+  const plotted = value*(nomo.level_scale[key] ?? 1);
+  const t       = Math.min(Math.max(hours, t0), t1);
+  const limits  = nomo.lines.map(l=>({ interval_h:l.interval_h, limit:round(l.at[0]+(l.at[1]-l.at[0])*(t-t0)/(t1-t0), 2) }));
+  const zone    = limits.find(l=>plotted<=l.limit);
+
+  return {
+    value, hours_post_dose:round(hours,1), plotted_value:round(plotted,2),
+    line_limits: limits,
+    interval_h: zone ? zone.interval_h : null,
+    hold: !zone,
+    interpretation: zone
+      ? `Level falls in the Q${zone.interval_h}H zone`
+      : `Level above the Q${limits[limits.length-1].interval_h}H line — hold; repeat levels and redose when <1 mg/L${key==="amikacin"?" (amikacin <2.5 mg/L)":""}`,
+  };
+}
+
+/* =========================================================
+   CHART NOTE
+========================================================= */
+function buildChartNote(r) {
+  const w = r.dosing_weight;
+  const lines = [
+    `AMINOGLYCOSIDE — EXTENDED-INTERVAL (${r.nomogram})`,
+    `Drug: ${r.drug} ${r.mg_per_kg} mg/kg × ${w.weight_used} kg = ${r.dose_mg} mg IV over 60 min`,
+    `Dosing weight: ${w.reason}`,
+    `Weights: actual ${w.actual} kg | IBW ${w.ibw ?? "—"} kg | AdjBW ${w.abw_adj ?? "—"} kg`,
+    `CrCl: ${r.crcl!=null ? `${r.crcl} mL/min` : "—"} → initial interval ${r.initial_interval_h ? `Q${r.initial_interval_h}H` : "—"}`,
+  ];
+  if (r.level) lines.push(`Random level: ${r.level.value} mg/L at ${r.level.hours_post_dose} h post-start → ${r.level.interpretation}`);
+  lines.push(r.hold
+    ? `Plan: HOLD next dose. Repeat level in 12–24 h; redose ${r.dose_mg} mg when below threshold.`
+    : r.interval_h
+      ? `Plan: ${r.dose_mg} mg IV Q${r.interval_h}H. Random level 6–14 h after the first dose; SCr every 48–72 h.`
+      : `Plan: ${r.dose_mg} mg IV once. Redose by levels.`);
+  for (const wn of r.warnings) lines.push(`Note: ${wn}`);
+  return lines.join("\n");
+}
+
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
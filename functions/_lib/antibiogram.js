@@ -0,0 +1,200 @@
+// File: /functions/_lib/antibiogram.js
+// Local cumulative antibiogram — deterministic %S lookup and empiric ranking.
+//
+// Data (antibiogram.json, written by build_antibiogram.mjs; env.ANTIBIOGRAM overrides):
+//   { current:"2025", versions:{ "2025":{ year, source, imported_at, rows:[
+//       { organism, antibiotic, unit:"icu"|"ward"|"all", pct_s, isolates, specimen? } ] } } }
+//
+// Lookup   — organism × antibiotic for the requested unit; falls back to the
+//            hospital-wide ("all") row when the unit has no data. Where rows
+//            are split by specimen, the one matching the site wins, then the
+//            all-specimen row, then another specimen (flagged)
+// Ranking  — %S (desc), then narrower spectrum; agents that do not reach the
+//            site (urinary-only, poor CSF/lung/blood levels) are excluded
+//   Tier:  preferred ≥90% S · acceptable 80–89% · avoid empirically <80%
+//   Rows with <30 isolates are flagged (CLSI M39 minimum) and ranked last
+//
+// Organism and antibiotic names are canonicalized at load, so "E. coli" /
+// "Escherichia coli" and "Tazocin" / "piperacillin-tazobactam" meet.
+
+import { drugProfile } from "./drug_dictionary.js";
+import { SPECTRUM_RANK } from "./stewardship.js";
+
+export const MIN_ISOLATES = 30;
+const TIER_PREFERRED  = 90;
+const TIER_ACCEPTABLE = 80;
+
+const ORGANISM_ALIASES = [
+  [/^(e\.?\s*coli|escherichia coli)\b/i,                "Escherichia coli"],
+  [/^(k\.?\s*pneumoniae|klebsiella pneumoniae|kpn)\b/i,  "Klebsiella pneumoniae"],
+  [/^(k\.?\s*oxytoca|klebsiella oxytoca)\b/i,            "Klebsiella oxytoca"],
+  [/^(p\.?\s*aeruginosa|pseudomonas aeruginosa|pseudomonas)\b/i, "Pseudomonas aeruginosa"],
+  [/^(a\.?\s*baumannii|acinetobacter\b.*)/i,             "Acinetobacter baumannii"],
+  [/^(e\.?\s*cloacae|enterobacter cloacae)\b/i,          "Enterobacter cloacae"],
+  [/^(p\.?\s*mirabilis|proteus mirabilis)\b/i,           "Proteus mirabilis"],
+  [/^(s\.?\s*marcescens|serratia marcescens)\b/i,        "Serratia marcescens"],
+  [/^(mrsa|methicillin[- ]resistant s\w*\.? aureus)\b/i, "Staphylococcus aureus (MRSA)"],
+  [/^(mssa|methicillin[- ]susceptible s\w*\.? aureus)\b/i, "Staphylococcus aureus (MSSA)"],
+  [/^(s\.?\s*aureus|staph\w*\s+aureus)\b/i,              "Staphylococcus aureus"],
+  [/^(e\.?\s*faecalis|enterococcus faecalis)\b/i,        "Enterococcus faecalis"],
+  [/^(e\.?\s*faecium|enterococcus faecium)\b/i,          "Enterococcus faecium"],
+  [/^(s\.?\s*pneumoniae|streptococcus pneumoniae|pneumococcus)\b/i, "Streptococcus pneumoniae"],
+];
+
+// Agents that should not be ranked for a site
+const SITE_EXCLUSIONS = [
+  { site:"urinary",     re:/\b(uti|urin\w*|cystitis|pyelo\w*|urosepsis)\b/i,             exclude:["tigecycline","moxifloxacin","clindamycin"], note:"low urinary concentrations" },
+  { site:"cns",         re:/\b(mening\w*|cns|csf|brain|ventricul\w*)\b/i,                  exclude:["cefazolin","cefuroxime","gentamicin","tobramycin","amikacin","clindamycin","doxycycline","tigecycline","nitrofurantoin","amoxicillin-clavulanate","piperacillin-tazobactam","ertapenem"], note:"poor CSF penetration" },
+  { site:"respiratory", re:/\b(pneumonia|lung|respiratory|hap|vap|cap|sputum|bal)\b/i,      exclude:["nitrofurantoin","daptomycin"], note:"not active in lung" },
+  { site:"bloodstream", re:/\b(bacter[a]?emia|blood\w*|bsi|sepsis|septic)\b/i,              exclude:["nitrofurantoin","tigecycline"], note:"inadequate serum levels" },
+];
+const URINARY_ONLY = ["nitrofurantoin","fosfomycin"];
+
+// Specimen column / site of infection → one specimen name (first match wins)
+const SPECIMENS = [
+  ["urine",       /\b(urin\w*|msu|csu|uti|cystitis|pyelo\w*|urosepsis)\b/i],
+  ["csf",         /\b(csf|mening\w*|cns|ventricul\w*)\b/i],
+  ["blood",       /\b(blood\w*|bacter[a]?emia|bsi|sepsis|septic)\b/i],
+  ["respiratory", /\b(sputum|bal|tracheal|respiratory|lung|pneumonia|hap|vap|cap)\b/i],
+  ["wound",       /\b(wound|skin|tissue|pus|abscess|swab)\b/i],
+];
+
+/* =========================================================
+   LOADING
+   source: antibiogram object, JSON string, or KV binding (key "antibiogram")
+========================================================= */
+export async function loadAntibiogram(source, fallback) {
+  let raw = null;
+  try {
+    if (source&&typeof source.get==="function") raw = await source.get("antibiogram", "json");
+    else if (typeof source==="string") raw = JSON.parse(source);
+    else if (source&&typeof source==="object") raw = source;
+  } catch(e) { console.error("loadAntibiogram:", e); }
+  return raw&&raw.versions ? raw : fallback&&fallback.versions ? fallback : null;
+}
+
+// Version for the requested year, else the current (or latest) one
+export function resolveAntibiogramVersion(data, year=null) {
+  const years = Object.keys(data?.versions||{}).sort();
+  if (!years.length) return null;
+  const key = year!=null&&data.versions[String(year)] ? String(year) : data.current&&data.versions[data.current] ? data.current : years[years.length-1];
+  return { ...indexVersion(data.versions[key]), year:key, available_years:years, requested_year:year!=null ? String(year) : null };
+}
+
+const indexed = new WeakMap();
+function indexVersion(version) {
+  if (indexed.has(version)) return indexed.get(version);
+  const rows = (version.rows||[]).map(r=>({
+    organism:   canonicalOrganism(r.organism),
+    antibiotic: canonicalAntibiotic(r.antibiotic),
+    unit:       canonicalUnit(r.unit),
+    pct_s:      toNumber(r.pct_s),
+    isolates:   toNumber(r.isolates),
+    specimen:   canonicalSpecimen(r.specimen),
+  })).filter(r=>r.organism&&r.antibiotic&&r.pct_s!=null);
+  const out = { source:version.source||null, imported_at:version.imported_at||null, rows };
+  indexed.set(version, out);
+  return out;
+}
+
+/* =========================================================
+   LOOKUP
+========================================================= */
+export function lookupSusceptibility(version, { organism, antibiotic, unit=null, site="" }) {
+  if (!version) return null;
+  const org = canonicalOrganism(organism), abx = canonicalAntibiotic(antibiotic);
+  const r = rowsFor(version, org, unit, site).find(r=>r.antibiotic===abx);
+  if (!r) return null;
+  return { organism:r.organism, antibiotic:r.antibiotic, unit:r.unit, specimen:r.specimen, pct_s:r.pct_s, isolates:r.isolates,
+    low_isolates: r.isolates!=null&&r.isolates<MIN_ISOLATES, unit_fallback: !!unit&&r.unit!==canonicalUnit(unit),
+    specimen_fallback: r.specimen_fallback, tier:tierOf(r.pct_s) };
+}
+
+export function rankEmpiricOptions(version, { organism, site="", unit=null }) {
+  if (!version) return { unit_used:null, ranked:[], excluded:[] };
+  const org  = canonicalOrganism(organism);
+  const rows = rowsFor(version, org, unit, site);
+  const rules = SITE_EXCLUSIONS.filter(s=>s.re.test(site||""));
+  const urinary = rules.some(s=>s.site==="urinary");
+  const excluded = [];
+  const ranked = rows.filter(r=>{
+    const rule = rules.find(s=>s.exclude.includes(r.antibiotic));
+    if (rule) { excluded.push({ antibiotic:r.antibiotic, reason:`${rule.site}: ${rule.note}` }); return false; }
+    if (URINARY_ONLY.includes(r.antibiotic)&&!urinary) { excluded.push({ antibiotic:r.antibiotic, reason:"urinary tract only" }); return false; }
+    return true;
+  }).map(r=>({
+    antibiotic: r.antibiotic, pct_s: r.pct_s, isolates: r.isolates, unit: r.unit,
+    specimen: r.specimen, specimen_fallback: r.specimen_fallback,
+    tier: tierOf(r.pct_s),
+    low_isolates: r.isolates!=null&&r.isolates<MIN_ISOLATES,
+    spectrum_rank: SPECTRUM_RANK[r.antibiotic] ?? null,
+  })).sort((a,b)=>(a.low_isolates-b.low_isolates)||(b.pct_s-a.pct_s)||((a.spectrum_rank??99)-(b.spectrum_rank??99)));
+  return { organism:org, unit_used:rows[0]?.unit||null, unit_fallback:!!unit&&!!rows.length&&rows[0].unit!==canonicalUnit(unit), ranked, excluded };
+}
+
+// Unit rows if the unit has data for this organism, else hospital-wide —
+// then one row per antibiotic, the best specimen match for the site
+function rowsFor(version, org, unit, site) {
+  const u = canonicalUnit(unit);
+  const forOrg = version.rows.filter(r=>r.organism===org);
+  const inUnit = u!=="all" ? forOrg.filter(r=>r.unit===u) : [];
+  const rows   = inUnit.length ? inUnit : forOrg.filter(r=>r.unit==="all");
+  const want   = canonicalSpecimen(site);
+  const rank   = (r)=>r.specimen===want&&want ? 0 : r.specimen==null ? 1 : 2;
+  const best   = new Map();
+  for (const r of rows) {
+    const cur = best.get(r.antibiotic);
+    if (!cur||rank(r)<rank(cur)||(rank(r)===rank(cur)&&(r.isolates??0)>(cur.isolates??0))) best.set(r.antibiotic, r);
+  }
+  return [...best.values()].map(r=>({ ...r, specimen_fallback: rank(r)===2 }));
+}
+
+function tierOf(pct) { return pct>=TIER_PREFERRED ? "preferred" : pct>=TIER_ACCEPTABLE ? "acceptable" : "avoid"; }
+
+/* =========================================================
+   FORMATTING — table handed to the LLM as the only source of numbers
+========================================================= */
+export function formatAntibiogramTable(version, lookup, ranking) {
+  const lines = [`Local antibiogram ${version.year}${version.source ? ` (${version.source})` : ""} — ${ranking.organism||lookup?.organism||"organism"}, unit: ${ranking.unit_used||lookup?.unit||"n/a"}${ranking.unit_fallback ? " (hospital-wide; no unit-specific data)" : ""}`];
+  const spec = (r)=>r.specimen ? ` [${r.specimen}${r.specimen_fallback ? " — no data for this site" : ""}]` : "";
+  if (lookup) lines.push(`Requested: ${lookup.antibiotic} ${lookup.pct_s}% S (n=${lookup.isolates??"?"})${spec(lookup)}${lookup.low_isolates ? " — fewer than 30 isolates" : ""}`);
+  for (const r of ranking.ranked) lines.push(`- ${r.antibiotic}: ${r.pct_s}% S (n=${r.isolates??"?"}) ${r.tier}${spec(r)}${r.low_isolates ? ", <30 isolates" : ""}`);
+  if (ranking.excluded.length) lines.push(`Excluded for site: ${ranking.excluded.map(e=>`${e.antibiotic} (${e.reason})`).join(", ")}`);
+  return lines.join("\n");
+}
+
+/* =========================================================
+   NAMES
+========================================================= */
+export function canonicalOrganism(name) {
+  const s = String(name||"").trim().replace(/\s+/g," ");
+  if (!s) return null;
+  for (const [re, canonical] of ORGANISM_ALIASES) if (re.test(s)) return canonical;
+  return s.charAt(0).toUpperCase()+s.slice(1).toLowerCase();
+}
+
+export function canonicalAntibiotic(name) {
+  const s = String(name||"").trim();
+  if (!s) return null;
+  return drugProfile(s).generic || s.toLowerCase();
+}
+
+function canonicalSpecimen(text) {
+  const s = String(text||"").trim();
+  if (!s||/^(all|any|all specimens)$/i.test(s)) return null;
+  return SPECIMENS.find(([, re])=>re.test(s))?.[0] || s.toLowerCase();
+}
+
+function canonicalUnit(unit) {
+  const s = String(unit||"").toLowerCase().trim();
+  if (!s||/^(all|hospital|hospital[- ]wide|overall|total)$/.test(s)) return "all";
+  if (/icu|intensive|critical/.test(s)) return "icu";
+  if (/ward|floor|non[- ]?icu|general|medical|surgical/.test(s)) return "ward";
+  return s;
+}
+
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v).replace("%",""));
+  return Number.isNaN(n) ? null : n;
+}
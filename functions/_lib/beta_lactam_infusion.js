@@ -0,0 +1,266 @@
+// File: /functions/_lib/beta_lactam_infusion.js
+// Extended / continuous beta-lactam infusion — %fT>MIC from population PK.
+//
+//   Model     — one compartment, steady state; CL (L/h) linear in Cockcroft-Gault
+//               CrCl (ARC included, capped at 250 mL/min), Vd per kg actual weight,
+//               free fraction fu. Piperacillin is modelled as 8/9 of the pip/tazo dose.
+//   MIC       — worst reported MIC for a significant isolate (microbiology.js),
+//               else the EUCAST Pseudomonas breakpoint (meropenem 2, piperacillin
+//               16 mg/L) as the empiric worst case
+//   Target    — 40% fT>MIC meropenem / 50% piperacillin; 100% when critically ill
+//   Protocol  — EI/CI only when a criterion is met: critically ill (ICU, sepsis,
+//               septic shock), ARC, non-fermenter isolate, MIC ≥ ½ breakpoint,
+//               nosocomial pneumonia or febrile neutropenia
+//   Regimen   — first protocol regimen for the CrCl band that reaches the target,
+//               within the renal table's daily dose (±10%) for the indication;
+//               an ordered daily dose outside it is never CORRECT
+//
+// Not modelled on RRT (CrCl-based clearance does not apply) or without CrCl.
+// Rows come back in medication_adjustments shape with source
+// "beta_lactam_infusion" and locked:true, and replace the renal table row for
+// the same order. Model parameters approximate published population
+// estimates — check them against your site's TDM model.
+
+import { DOSE_TOLERANCE } from "./renal_dosing.js";
+
+export const INFUSION_MODEL_VERSION = "2026.1";
+
+const CRCL_CAP   = 250;
+const DEFAULT_WT = 70;
+const STEPS      = 480;
+
+export const INFUSION_DRUGS = {
+  meropenem: {
+    label:"Meropenem", names:["meropenem"], table_drug:"meropenem",
+    pk:{ cl_nonrenal:1.5, cl_per_crcl:0.1, vd_l_kg:0.3, fu:0.98, active_fraction:1 },
+    target_pct:40, breakpoint_mic:2, ei_h:3, stable_h:8,
+    regimens:[
+      { crcl:[50,null], type:"EI", dose_mg:1000, interval_h:8,  infusion_h:3, loading_mg:1000 },
+      { crcl:[50,null], type:"EI", dose_mg:2000, interval_h:8,  infusion_h:3, loading_mg:2000 },
+      { crcl:[50,null], type:"CI", daily_mg:3000, loading_mg:1000 },
+      { crcl:[50,null], type:"CI", daily_mg:6000, loading_mg:2000 },
+      { crcl:[26,50],   type:"EI", dose_mg:1000, interval_h:12, infusion_h:3, loading_mg:1000 },
+      { crcl:[26,50],   type:"EI", dose_mg:2000, interval_h:12, infusion_h:3, loading_mg:2000 },
+      { crcl:[26,50],   type:"CI", daily_mg:2000, loading_mg:1000 },
+      { crcl:[10,26],   type:"EI", dose_mg:500,  interval_h:12, infusion_h:3, loading_mg:1000 },
+      { crcl:[10,26],   type:"EI", dose_mg:1000, interval_h:12, infusion_h:3, loading_mg:1000 },
+    ],
+  },
+  piperacillin_tazobactam: {
+    label:"Piperacillin-tazobactam", names:["piperacillin","pip-tazo","pip/tazo","tazobactam"], table_drug:"piperacillin_tazobactam",
+    pk:{ cl_nonrenal:3, cl_per_crcl:0.09, vd_l_kg:0.25, fu:0.7, active_fraction:8/9 },
+    target_pct:50, breakpoint_mic:16, ei_h:4, stable_h:24,
+    regimens:[
+      { crcl:[40,null], type:"EI", dose_mg:4500, interval_h:8,  infusion_h:4, loading_mg:4500 },
+      { crcl:[40,null], type:"EI", dose_mg:4500, interval_h:6,  infusion_h:3, loading_mg:4500 },
+      { crcl:[40,null], type:"CI", daily_mg:13500, loading_mg:4500 },
+      { crcl:[40,null], type:"CI", daily_mg:18000, loading_mg:4500 },
+      { crcl:[20,40],   type:"EI", dose_mg:3375, interval_h:8,  infusion_h:4, loading_mg:4500 },
+      { crcl:[20,40],   type:"EI", dose_mg:4500, interval_h:8,  infusion_h:4, loading_mg:4500 },
+      { crcl:[20,40],   type:"CI", daily_mg:9000, loading_mg:4500 },
+      { crcl:[null,20], type:"EI", dose_mg:3375, interval_h:12, infusion_h:4, loading_mg:4500 },
+      { crcl:[null,20], type:"EI", dose_mg:4500, interval_h:12, infusion_h:4, loading_mg:4500 },
+    ],
+  },
+};
+
+const CRITICAL_RE   = /\b(icu|itu|intensive care|critical care|septic shock|sepsis|septic)\b/i;
+const NOSOCOMIAL_RE = /\b(hap|vap|nosocomial|hospital[- ]acquired pneumonia|ventilator[- ]associated|febrile neutropenia|neutropenic (?:fever|sepsis))\b/i;
+const NON_FERMENTER_RE = /\b(pseudomonas|acinetobacter|stenotrophomonas|burkholderia)\b/i;
+
+/* =========================================================
+   ENTRY POINT
+   crcl: Cockcroft-Gault mL/min; cultures: normalizeCultures() output
+   renalRows: renal_dosing_engine rows (their daily dose bounds the regimen)
+========================================================= */
+export function evaluateBetaLactamInfusion(medications, { crcl=null, arc=false, rrt=null, weightKg=null, septic=false,
+  careSetting="", contextText="", cultures=[], renalRows=[] }={}) {
+  if (crcl==null||rrt) return [];
+  const rows = [];
+  for (const med of (medications||[])) {
+    const key = findInfusionDrug(med.parsed?.drug)||findInfusionDrug(med.name);
+    if (!key||med.parsed?.route&&med.parsed.route!=="IV") continue;
+    const renalRow = renalRows.find(r=>r.table_drug===INFUSION_DRUGS[key].table_drug&&r.drug===med.name);
+    rows.push(buildRow(med, key, { crcl, arc, weightKg, septic, careSetting, contextText, cultures, renalRow }));
+  }
+  return rows;
+}
+
+export function findInfusionDrug(name) {
+  const n = String(name||"").toLowerCase();
+  if (!n) return null;
+  for (const [key, d] of Object.entries(INFUSION_DRUGS)) if (d.names.some(x=>n.includes(x))) return key;
+  return null;
+}
+
+function buildRow(med, key, ctx) {
+  const d       = INFUSION_DRUGS[key];
+  const order   = med.parsed || {};
+  const ordered = [med.name, med.dose, med.route, med.frequency].filter(Boolean).join(" ").replace(/\s+/g," ").trim();
+  const pk      = populationPk(d, ctx.crcl, ctx.weightKg);
+  const mic     = resolveMic(key, d, ctx.cultures);
+  const criteria = protocolCriteria(d, ctx, mic);
+  const critical = criteria.some(c=>c.id==="critical");
+  const target  = critical ? 100 : d.target_pct;
+  const band    = d.regimens.filter(r=>inBand(r.crcl, ctx.crcl));
+  const renal   = renalLimits(ctx.renalRow);
+  const withinRenal = (r)=>!renal||(dailyDose(r)>=renal.min_mg-1&&dailyDose(r)<=renal.max_mg+1);
+
+  const current = orderedRegimen(order);
+  const currentPk = current ? timeAboveMic(current, pk, mic.value) : null;
+  const candidates = band.filter(withinRenal).map(r=>({ regimen:r, ...timeAboveMic(r, pk, mic.value) }));
+  const best = candidates.find(c=>c.pct>=target) || candidates[candidates.length-1] || null;
+
+  const base = {
+    drug: med.name, ordered, source:"beta_lactam_infusion", locked:true,
+    table_version: INFUSION_MODEL_VERSION, table_drug: d.table_drug, indication: "infusion_strategy",
+    band: `CrCl ${ctx.crcl} mL/min${ctx.arc ? " (ARC)" : ""}`,
+    reference: `Beta-lactam infusion model v${INFUSION_MODEL_VERSION} — one-compartment population PK, target ${target}% fT>MIC at MIC ${mic.value} mg/L (${mic.source})`,
+    estimator: "Cockcroft-Gault", estimator_value: ctx.crcl,
+    renal: ctx.renalRow ? { indication:ctx.renalRow.indication, band:ctx.renalRow.band, recommended:ctx.renalRow.recommended, verdict:ctx.renalRow.verdict,
+      daily_dose_mg:renal ? [renal.min_mg, renal.max_mg] : null } : null,
+    pk: {
+      cl_l_h: pk.cl, vd_l: pk.vd, half_life_h: pk.half_life, fu: d.pk.fu, weight_kg: pk.weight, weight_assumed: pk.weight_assumed,
+      mic: mic.value, mic_source: mic.source, target_pct: target,
+      current_pct: currentPk?.pct ?? null, recommended_pct: best?.pct ?? null,
+      criteria,
+    },
+  };
+  const eligible = criteria.length>0;
+  if (!current) {
+    return { ...base, recommended: best ? formatRegimen(d, best.regimen) : "Protocol regimen not available for this CrCl",
+      recommended_regimen: best ? regimenOut(best.regimen) : null, verdict:"MONITOR",
+      reason: `Ordered dose/interval/infusion time could not be parsed — predicted ${best?.pct ?? "—"}% fT>MIC with the protocol regimen.` };
+  }
+  const curText = `${describeOrdered(current)} → ${currentPk.pct}% fT>MIC (target ${target}%)`;
+  const renalOk = withinRenal(current);
+  const renalText = renalOk ? "" : ` ${Math.round(dailyDose(current))} mg/day is outside the renal table's ${renal.min_mg}–${renal.max_mg} mg/day (${ctx.renalRow.band}).`;
+  // Without an infusion reason, the renal table's verdict stands
+  const renalVerdict = ()=>({ ...base, recommended: ctx.renalRow.recommended, recommended_regimen: ctx.renalRow.recommended_regimen, verdict: ctx.renalRow.verdict,
+    reason: `${ctx.renalRow.reason} ${curText}; no extended/continuous infusion regimen indicated.` });
+  if (currentPk.pct>=target&&renalOk) {
+    return { ...base, recommended: `Continue — ${describeOrdered(current)}`, recommended_regimen: regimenOut(current), verdict:"CORRECT",
+      reason: `${curText}.${eligible ? ` Criteria: ${criteria.map(c=>c.label).join(", ")}.` : ""}` };
+  }
+  if (!eligible&&ctx.renalRow&&(!renalOk||ctx.renalRow.verdict!=="CORRECT")) return renalVerdict();
+  if (!eligible) {
+    return { ...base, recommended: `Intermittent dosing acceptable — extended-infusion criteria not met`, recommended_regimen: regimenOut(current), verdict:"MONITOR",
+      reason: `${curText}. No protocol criterion for extended/continuous infusion; reassess if critically ill, ARC or MIC ≥${d.breakpoint_mic/2} mg/L.` };
+  }
+  if (!best&&ctx.renalRow&&!renalOk) return renalVerdict();
+  if (!best) {
+    return { ...base, recommended: "No protocol EI/CI regimen for this CrCl — use TDM-guided dosing", recommended_regimen: null, verdict:"MONITOR",
+      reason: `${curText}. CrCl below the modelled bands.` };
+  }
+  const reached = best.pct>=target;
+  return {
+    ...base,
+    recommended: formatRegimen(d, best.regimen),
+    recommended_regimen: regimenOut(best.regimen),
+    verdict: "ADJUST",
+    reason: `${curText}.${renalText} Criteria: ${criteria.map(c=>c.label).join(", ")}. Recommended regimen → ${best.pct}% fT>MIC${reached ? "" : ` — target not reached at the highest protocol regimen within the renal dose; TDM and ID review`}.`,
+  };
+}
+
+/* =========================================================
+   PK
+========================================================= */
+function populationPk(d, crcl, weightKg) {
+  const weight = weightKg || DEFAULT_WT;
+  const cl = round(d.pk.cl_nonrenal+d.pk.cl_per_crcl*Math.min(Math.max(crcl, 0), CRCL_CAP), 2);
+  const vd = round(d.pk.vd_l_kg*weight, 1);
+  return { cl, vd, k:cl/vd, half_life:round(Math.LN2*vd/cl, 2), fu:d.pk.fu, active:d.pk.active_fraction, weight, weight_assumed:!weightKg };
+}
+
+// Steady-state free concentration vs MIC over one dosing interval
+export function timeAboveMic(regimen, pk, mic) {
+  if (regimen.type==="CI") {
+    const css = round(pk.fu*regimen.daily_mg*pk.active/24/pk.cl, 1);
+    return { pct: css>mic ? 100 : 0, free_css: css };
+  }
+  const { dose_mg, interval_h:tau, infusion_h:tinf } = regimen;
+  const k = pk.k, rate = dose_mg*pk.active/tinf;
+  const plateau = rate/pk.cl;
+  const peak   = plateau*(1-Math.exp(-k*tinf))/(1-Math.exp(-k*tau));
+  const trough = peak*Math.exp(-k*(tau-tinf));
+  let above = 0;
+  for (let i=0; i<STEPS; i++) {
+    const t = (i+0.5)*tau/STEPS;
+    const c = t<=tinf ? trough*Math.exp(-k*t)+plateau*(1-Math.exp(-k*t)) : peak*Math.exp(-k*(t-tinf));
+    if (pk.fu*c>mic) above++;
+  }
+  return { pct: Math.round(above/STEPS*100), free_peak: round(pk.fu*peak, 1), free_trough: round(pk.fu*trough, 2) };
+}
+
+/* =========================================================
+   MIC / CRITERIA
+========================================================= */
+// Worst reported MIC for this drug among significant isolates; S without an MIC → breakpoint
+function resolveMic(key, d, cultures) {
+  const generic = key==="piperacillin_tazobactam" ? "piperacillin-tazobactam" : key;
+  const relevant = (cultures||[]).filter(c=>!c.negative&&c.significant!==false);
+  const mics = relevant.map(c=>c.mic?.[generic]).filter(m=>m&&m.value!=null);
+  if (mics.length) {
+    const worst = mics.reduce((a,b)=>b.value>a.value ? b : a);
+    return { value:worst.value, source:`reported MIC ${worst.raw}${worst.modifier===">" ? " — true MIC higher" : ""}`, reported:true, organism:relevant.find(c=>c.mic?.[generic]===worst)?.organism||null };
+  }
+  return { value:d.breakpoint_mic, source:"EUCAST Pseudomonas breakpoint (MIC not reported)", reported:false };
+}
+
+function protocolCriteria(d, ctx, mic) {
+  const out = [];
+  const text = `${ctx.careSetting||""} ${ctx.contextText||""}`;
+  if (ctx.septic||CRITICAL_RE.test(text)) out.push({ id:"critical", label:"critically ill / sepsis" });
+  if (ctx.arc) out.push({ id:"arc", label:`augmented renal clearance (CrCl ${ctx.crcl} mL/min)` });
+  const nf = (ctx.cultures||[]).find(c=>!c.negative&&c.significant!==false&&NON_FERMENTER_RE.test(c.organism||""));
+  if (nf) out.push({ id:"non_fermenter", label:`${nf.organism} isolated` });
+  if (mic.reported&&mic.value>=d.breakpoint_mic/2) out.push({ id:"high_mic", label:`MIC ${mic.value} mg/L (≥½ breakpoint)` });
+  if (NOSOCOMIAL_RE.test(text)) out.push({ id:"nosocomial", label:text.match(NOSOCOMIAL_RE)[0] });
+  return out;
+}
+
+/* =========================================================
+   REGIMENS
+========================================================= */
+// Ordered intermittent doses without a stated infusion time are taken as 30 min
+function orderedRegimen(order) {
+  if (order.dose_mg==null) return null;
+  if (order.continuous) return { type:"CI", daily_mg: order.interval_h ? order.dose_mg*24/order.interval_h : order.dose_mg };
+  if (!order.interval_h) return null;
+  const infusion = order.infusion_h&&order.infusion_h<order.interval_h ? order.infusion_h : 0.5;
+  return { type: infusion>=2 ? "EI" : "II", dose_mg:order.dose_mg, interval_h:order.interval_h, infusion_h:infusion, infusion_stated:!!order.infusion_h };
+}
+
+// Renal table daily dose ± tolerance for the selected indication and band
+function renalLimits(renalRow) {
+  const daily = renalRow?.recommended_regimen?.daily_dose_mg;
+  if (!daily) return null;
+  return { min_mg:Math.round(daily*(1-DOSE_TOLERANCE)), max_mg:Math.round(daily*(1+DOSE_TOLERANCE)) };
+}
+
+function dailyDose(r) { return r.type==="CI" ? r.daily_mg : r.dose_mg*24/r.interval_h; }
+
+function regimenOut(r) {
+  return r.type==="CI"
+    ? { infusion:"continuous", daily_dose_mg:r.daily_mg, loading_mg:r.loading_mg??null, dose_mg:null, interval_h:null, infusion_h:24 }
+    : { infusion: r.type==="EI" ? "extended" : "intermittent", dose_mg:r.dose_mg, interval_h:r.interval_h, infusion_h:r.infusion_h,
+        daily_dose_mg:Math.round(dailyDose(r)), loading_mg:r.loading_mg??null };
+}
+
+function formatRegimen(d, r) {
+  const load = r.loading_mg ? `${formatG(r.loading_mg)} IV over 30 min (loading), then ` : "";
+  if (r.type==="CI") {
+    const bags = d.stable_h<24 ? `, as ${formatG(r.daily_mg*d.stable_h/24)} over ${d.stable_h} h × ${24/d.stable_h} bags (stability ~${d.stable_h} h at room temperature)` : "";
+    return `${d.label} ${load}${formatG(r.daily_mg)}/24 h continuous infusion${bags} — start immediately after the loading dose`;
+  }
+  return `${d.label} ${load}${formatG(r.dose_mg)} IV Q${r.interval_h}H, each over ${r.infusion_h} h — first extended dose immediately after the loading dose`;
+}
+
+function describeOrdered(r) {
+  if (r.type==="CI") return `${formatG(r.daily_mg)}/24 h continuous`;
+  return `${formatG(r.dose_mg)} Q${r.interval_h}H over ${r.infusion_h} h${r.infusion_stated ? "" : " (assumed)"}`;
+}
+
+function formatG(mg) { return mg>=1000 ? `${round(mg/1000, 3)} g` : `${mg} mg`; }
+function inBand([lo, hi], crcl) { return (lo==null||crcl>=lo)&&(hi==null||crcl<hi); }
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
@@ -0,0 +1,163 @@
+// File: /functions/_lib/clinical_calc.js
+// Shared clinical calculations — used by /functions/ask.js (v2) and
+// /functions/api/ask.js (v3) so both endpoints give the same CrCl.
+//
+//   IBW     — Devine: 50 kg (M) / 45.5 kg (F) + 2.3 kg per inch over 60 in
+//   AdjBW   — IBW + 0.4 × (actual − IBW)
+//   LBW     — Janmahasatian 2005
+//   BSA     — Mosteller
+//   CrCl    — Cockcroft-Gault on the weight chosen by the weight policy
+//
+// WEIGHT POLICY
+//   Rules: "actual" | "ideal" | "adjusted" | "lean"
+//          "obese_adjusted"  — AdjBW if actual ≥1.2×IBW, else actual
+//          "aminoglycoside"  — actual if ≤IBW, AdjBW if ≥1.2×IBW, else IBW
+//   `crcl` sets the rule for Cockcroft-Gault; `drugs` per drug/use key.
+//   Sites override with env.WEIGHT_POLICY (JSON) or body.weight_policy.
+
+export const SCR_UMOL_PER_MGDL = 88.4;
+
+export const DEFAULT_WEIGHT_POLICY = {
+  crcl: "obese_adjusted",
+  default_drug: "actual",
+  drugs: {
+    vancomycin_loading: "actual",
+    vancomycin:         "actual",
+    gentamicin:         "aminoglycoside",
+    tobramycin:         "aminoglycoside",
+    amikacin:           "aminoglycoside",
+    enoxaparin:         "actual",
+    colistin:           "ideal",
+  },
+};
+
+/* =========================================================
+   HEIGHT
+   Accepts "175 cm", "5'9\"", "5 ft 9 in", "69 in" or a bare number
+   (>100 → cm, otherwise inches)
+========================================================= */
+// Bare numbers ≤100 are read as inches unless assumeCm (children are often <100 cm)
+export function parseHeightCm(raw, { assumeCm=false }={}) {
+  if (raw==null||raw==="") return null;
+  if (typeof raw==="number") return raw>100||assumeCm ? raw : raw*2.54;
+  const s = String(raw).toLowerCase();
+  const mCm   = s.match(/(\d+\.?\d*)\s*cm/);
+  const mFtIn = s.match(/(\d+)\s*(?:ft|')\s*(\d*)\s*(?:in|")?/);
+  const mIn   = s.match(/(\d+\.?\d*)\s*(?:in|")/);
+  const mNum  = s.match(/^(\d+\.?\d*)$/);
+  if (mCm)   return parseFloat(mCm[1]);
+  if (mFtIn) return parseInt(mFtIn[1],10)*30.48 + parseInt(mFtIn[2]||0,10)*2.54;
+  if (mIn)   return parseFloat(mIn[1])*2.54;
+  if (mNum)  return parseFloat(mNum[1])>100||assumeCm ? parseFloat(mNum[1]) : parseFloat(mNum[1])*2.54;
+  return null;
+}
+
+/* =========================================================
+   BODY SIZE
+========================================================= */
+export function idealBodyWeight(heightCm, sex) {
+  const heightIn = heightCm ? heightCm/2.54 : null;
+  if (!heightIn||heightIn<=60) return null;
+  return round1((isFemale(sex) ? 45.5 : 50) + 2.3*(heightIn-60));
+}
+
+export function adjustedBodyWeight(weightKg, ibw) {
+  if (!weightKg||!ibw) return null;
+  return round1(ibw + 0.4*(weightKg-ibw));
+}
+
+export function leanBodyWeight(weightKg, heightCm, sex) {
+  const bmi = bodyMassIndex(weightKg, heightCm);
+  if (bmi==null) return null;
+  return round1(isFemale(sex) ? (9270*weightKg)/(8780+244*bmi) : (9270*weightKg)/(6680+216*bmi));
+}
+
+export function bodySurfaceArea(weightKg, heightCm) {
+  if (!weightKg||!heightCm) return null;
+  return Math.round(Math.sqrt(weightKg*heightCm/3600)*100)/100;
+}
+
+export function bodyMassIndex(weightKg, heightCm) {
+  if (!weightKg||!heightCm) return null;
+  return round1(weightKg/((heightCm/100)**2));
+}
+
+/* =========================================================
+   WEIGHT POLICY
+========================================================= */
+export function resolveWeightPolicy(...overrides) {
+  const policy = { ...DEFAULT_WEIGHT_POLICY, drugs:{ ...DEFAULT_WEIGHT_POLICY.drugs } };
+  for (const o of overrides) {
+    let p = o;
+    if (typeof p==="string") { try { p = JSON.parse(p); } catch { p = null; } }
+    if (!p||typeof p!=="object") continue;
+    if (p.crcl)         policy.crcl = p.crcl;
+    if (p.default_drug) policy.default_drug = p.default_drug;
+    if (p.drugs)        Object.assign(policy.drugs, p.drugs);
+  }
+  return policy;
+}
+
+// use: "crcl" or a drug/use key from policy.drugs
+export function selectWeight({ weightKg, heightCm=null, sex=null, use="crcl", policy=DEFAULT_WEIGHT_POLICY }={}) {
+  const rule  = use==="crcl" ? policy.crcl : (policy.drugs?.[use] || policy.default_drug);
+  const ibw   = idealBodyWeight(heightCm, sex);
+  const abw   = adjustedBodyWeight(weightKg, ibw);
+  const lbw   = leanBodyWeight(weightKg, heightCm, sex);
+  const sizes = { actual:weightKg??null, ibw, abw_adj:abw, lbw, bsa:bodySurfaceArea(weightKg, heightCm), bmi:bodyMassIndex(weightKg, heightCm) };
+  const pick  = (basis, weight, reason) => ({ use, rule, basis, weight_used:weight, reason, ...sizes });
+
+  if (!weightKg) return pick(null, null, "Weight missing");
+  const noHeight = (wanted) => pick("actual", weightKg, `Height missing — actual body weight used (policy wanted ${wanted})`);
+
+  switch (rule) {
+    case "ideal":    return ibw ? pick("ideal", Math.min(ibw, weightKg), weightKg<ibw ? "IBW policy; actual < IBW so actual used" : "IBW policy") : noHeight("IBW");
+    case "adjusted": return ibw ? pick("adjusted", weightKg>ibw ? abw : weightKg, weightKg>ibw ? "AdjBW policy" : "AdjBW policy; actual ≤ IBW so actual used") : noHeight("AdjBW");
+    case "lean":     return lbw ? pick("lean", lbw, "LBW policy (Janmahasatian)") : noHeight("LBW");
+    case "obese_adjusted":
+      if (!ibw) return pick("actual", weightKg, "Actual BW (height missing)");
+      if (weightKg>=1.2*ibw) return pick("adjusted", abw, "ABW adjusted (obese ≥1.2×IBW)");
+      return pick("actual", weightKg, weightKg<=ibw ? "Actual BW (≤IBW)" : "Actual BW");
+    case "aminoglycoside":
+      if (!ibw) return pick("actual", weightKg, "Actual BW (height missing)");
+      if (weightKg<=ibw)     return pick("actual", weightKg, "Actual BW (≤IBW)");
+      if (weightKg>=1.2*ibw) return pick("adjusted", abw, "ABW adjusted (obese ≥1.2×IBW)");
+      return pick("ideal", ibw, "IBW (actual between IBW and 1.2×IBW)");
+    case "actual":
+    default:
+      return pick("actual", weightKg, rule==="actual" ? "Actual BW policy" : `Unknown rule "${rule}" — actual body weight used`);
+  }
+}
+
+/* =========================================================
+   CREATININE CLEARANCE
+========================================================= */
+export function cockcroftGault({ age, weightKg, scrMgdl, sex }) {
+  if (!age||!weightKg||!scrMgdl||!sex) return null;
+  return round1(((140-age)*weightKg*(isFemale(sex) ? 0.85 : 1))/(72*scrMgdl));
+}
+
+export function crclCategory(value) {
+  if (value==null) return "Unknown";
+  if (value>=90) return "Normal (≥90)";
+  if (value>=60) return "Mild impairment (60–89)";
+  if (value>=30) return "Moderate impairment (30–59)";
+  if (value>=15) return "Severe impairment (15–29)";
+  return "Kidney failure (<15)";
+}
+
+// scrMgdl overrides scrUmol (e.g. after a round-up policy)
+export function computeCrCl({ age=null, sex=null, weightKg=null, heightCm=null, scrUmol=null, scrMgdl=null, policy=DEFAULT_WEIGHT_POLICY }={}) {
+  const scr     = scrMgdl ?? (scrUmol ? scrUmol/SCR_UMOL_PER_MGDL : null);
+  const weight  = selectWeight({ weightKg, heightCm, sex, use:"crcl", policy });
+  const missing = [!age&&"age", !sex&&"sex", !weightKg&&"weight", !scr&&"SCr"].filter(Boolean);
+  const value   = missing.length ? null : cockcroftGault({ age, weightKg:weight.weight_used, scrMgdl:scr, sex });
+  return {
+    value, category:crclCategory(value), estimator:"Cockcroft-Gault", unit:"mL/min",
+    scr_mgdl: scr!=null ? Math.round(scr*1000)/1000 : null,
+    weight, missing,
+  };
+}
+
+function isFemale(sex) { return String(sex||"").toLowerCase().startsWith("f"); }
+function round1(n) { return Math.round(n*10)/10; }
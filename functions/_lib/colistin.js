@@ -0,0 +1,289 @@
+// File: /functions/_lib/colistin.js
+// IV colistimethate (CMS) dosing calculator.
+//
+//   Units        — 1 MIU ≈ 33.3 mg colistin base activity (CBA) ≈ 80 mg CMS
+//                  (colistimethate sodium); every dose is reported in all three
+//   Loading      — 4 mg CBA/kg (Garonzik: Css 2 mg/L × 2.0 × weight), weight by
+//                  policy (default "ideal": lesser of IBW and actual), max 300 mg
+//                  CBA (9 MIU); given in full whatever the renal function
+//   Maintenance  — daily CBA dose by CrCl / HD / CRRT from the renal dosing table
+//                  (international consensus 2019), two divided doses, first dose
+//                  12 h after the loading dose
+//   Order check  — ordered dose converted to mg CBA; amounts that only make
+//                  sense in another unit (MIU written as mg, IU as mg, mg as
+//                  MIU, mg CMS read as CBA) are flagged as mis-transcribed
+//
+// Rows come back in medication_adjustments shape with source
+// "colistin_calculator" and locked:true; inhaled colistin is not dosed here.
+
+import { DEFAULT_WEIGHT_POLICY, selectWeight } from "./clinical_calc.js";
+import { RENAL_DOSING_TABLE, RENAL_TABLE_VERSION, MIU_TO_MG_CBA } from "./renal_dosing.js";
+import { parseMedicationOrder } from "./med_orders.js";
+
+export const MIU_TO_MG_CMS      = 80;
+export const LOADING_MG_CBA_KG  = 4;
+export const LOADING_MAX_MG_CBA = 300;
+
+const DOSE_TOLERANCE = 0.1;
+const NAMES = ["colistin","colistimethate","polymyxin e","coly-mycin","colomycin"];
+
+/* =========================================================
+   UNIT CONVERSION
+   unit: "MIU" | "IU" | "mg_cba" | "mg_cms"
+========================================================= */
+export function convertColistin(value, unit) {
+  const v = Number(value);
+  if (!(v>0)) return { ok:false, error:"value must be a positive number" };
+  const toMiu = { MIU:1, IU:1e-6, mg_cba:1/MIU_TO_MG_CBA, mg_cms:1/MIU_TO_MG_CMS }[normalizeUnit(unit)];
+  if (!toMiu) return { ok:false, error:"unit must be one of: MIU, IU, mg_cba, mg_cms" };
+  return { ok:true, input:{ value:v, unit:normalizeUnit(unit) }, ...allUnits(v*toMiu*MIU_TO_MG_CBA) };
+}
+
+function normalizeUnit(unit) {
+  const u = String(unit||"").toLowerCase().replace(/[\s_-]+/g,"");
+  if (/^(miu|mu|millionunits|millioniu)$/.test(u)) return "MIU";
+  if (/^(iu|units?|u)$/.test(u))                   return "IU";
+  if (/^(mgcba|cba|mgcolistinbase(activity)?)$/.test(u)) return "mg_cba";
+  if (/^(mgcms|cms|mgcolistimethate(sodium)?)$/.test(u)) return "mg_cms";
+  return null;
+}
+
+function allUnits(mgCba) {
+  const miu = mgCba/MIU_TO_MG_CBA;
+  return { mg_cba:round(mgCba, 1), miu:round(miu, 2), iu:Math.round(miu*1e6), mg_cms:round(miu*MIU_TO_MG_CMS, 0) };
+}
+
+/* =========================================================
+   CALCULATOR
+   crcl: Cockcroft-Gault mL/min; rrt: "HD" | "CRRT" | null (RRT band wins)
+   order: { dose, frequency, ... } or free text; convert: { value, unit }
+========================================================= */
+export function computeColistinDosing({ weightKg, heightCm=null, sex=null, crcl=null, rrt=null, order=null, convert=null, weightPolicy=DEFAULT_WEIGHT_POLICY }={}) {
+  const warnings = [];
+  const weight   = selectWeight({ weightKg, heightCm, sex, use:"colistin", policy:weightPolicy });
+  if (!weight.weight_used) return { ok:false, error:"weight_kg is required for the loading dose" };
+  if (!weight.ibw) warnings.push("Height missing — actual body weight used for the loading dose; IBW not calculated.");
+
+  const rawLoading = LOADING_MG_CBA_KG*weight.weight_used;
+  const loading = {
+    mg_per_kg: LOADING_MG_CBA_KG, capped: rawLoading>LOADING_MAX_MG_CBA,
+    ...allUnits(Math.min(Math.round(rawLoading/5)*5, LOADING_MAX_MG_CBA)),
+  };
+
+  const maintenance = selectMaintenance(crcl, rrt);
+  if (!maintenance) warnings.push("CrCl unavailable and no RRT recorded — maintenance dose not assigned.");
+  if (maintenance&&!rrt&&crcl<30) warnings.push(`CrCl ${crcl} mL/min — colistin is nephrotoxic; SCr daily and review the need for a polymyxin.`);
+
+  const conversion = convert ? convertColistin(convert.value, convert.unit) : null;
+  const orderCheck = order ? checkOrder(typeof order==="string" ? { name:"colistimethate", dose:order, frequency:order, route:"IV" } : { name:"colistimethate", ...order },
+    { loading, maintenance }) : null;
+
+  const result = {
+    ok: true,
+    drug: "Colistimethate (IV)",
+    dosing_weight: weight,
+    crcl, rrt,
+    loading,
+    maintenance,
+    order_check: orderCheck,
+    conversion,
+    warnings,
+  };
+  result.note = buildChartNote(result);
+  return result;
+}
+
+function selectMaintenance(crcl, rrt) {
+  const bands = RENAL_DOSING_TABLE.colistin.indications.default.bands;
+  const band  = rrt ? bands.find(b=>b.rrt===rrt) : crcl!=null ? bands.find(b=>b.crcl&&(b.crcl[0]==null||crcl>=b.crcl[0])&&(b.crcl[1]==null||crcl<b.crcl[1])) : null;
+  if (!band) return null;
+  const daily = band.dose_mg*24/band.interval_h;
+  return {
+    band: band.rrt ? band.rrt : `CrCl ${formatRange(band.crcl)} mL/min`,
+    interval_h: band.interval_h,
+    dose: allUnits(band.dose_mg),
+    daily: allUnits(daily),
+    start: `${band.interval_h} h after the loading dose`,
+    note: band.note || null,
+  };
+}
+
+/* =========================================================
+   ORDER CHECK
+   Returns the ordered dose in mg CBA, how the unit was read, any
+   mis-transcription flags and the verdict against the calculator.
+========================================================= */
+function checkOrder(med, { loading, maintenance }) {
+  const order = parseMedicationOrder(med);
+  const text  = [med.dose, med.frequency, med.indication].filter(Boolean).join(" ").toLowerCase();
+  const isLoading = /\bload(ing)?\b/.test(text)||order.stat;
+  // Per-dose CBA the order should hold at its own interval (Q8H splits the daily dose in three)
+  const expected  = isLoading ? loading.mg_cba
+    : maintenance ? round(maintenance.daily.mg_cba*(order.interval_h||maintenance.interval_h)/24, 1) : null;
+  const read  = readOrderedUnit(order, text, expected);
+  const flags = read.flags;
+
+  if (read.mg_cba==null) {
+    return { is_loading:isLoading, ordered:null, flags, verdict:"MONITOR",
+      reason:"Ordered dose could not be read in MIU, IU or mg — verify the unit against the calculated regimen." };
+  }
+  const ordered = { ...allUnits(read.mg_cba), interval_h:order.interval_h, unit_read:read.unit_read };
+  if (expected==null) {
+    return { is_loading:isLoading, ordered, flags, verdict:"MONITOR", reason:"No maintenance band (CrCl/RRT unknown) — dose not compared." };
+  }
+
+  const issues = [];
+  if (isLoading) {
+    if (Math.abs(read.mg_cba-expected)>expected*DOSE_TOLERANCE) issues.push(`loading ${ordered.mg_cba} mg CBA vs ${expected} mg CBA`);
+  } else if (order.interval_h==null) {
+    return { is_loading:false, ordered, flags, verdict:"MONITOR", reason:"Ordered frequency could not be parsed — verify against the calculated regimen." };
+  } else {
+    // Q8H or Q12H both acceptable when the daily CBA dose matches
+    const dailyOrdered = read.mg_cba*24/order.interval_h;
+    ordered.daily = allUnits(dailyOrdered);
+    if (Math.abs(dailyOrdered-maintenance.daily.mg_cba)>maintenance.daily.mg_cba*DOSE_TOLERANCE) {
+      issues.push(`daily ${round(dailyOrdered, 1)} mg CBA vs ${maintenance.daily.mg_cba} mg CBA`);
+    }
+    if (![8,12].includes(order.interval_h)) issues.push(`interval q${order.interval_h}h vs q${maintenance.interval_h}h`);
+  }
+  if (flags.length) {
+    return { is_loading:isLoading, ordered, flags, verdict:"ADJUST",
+      reason:`Unit looks mis-transcribed — ${flags.map(f=>f.message).join("; ")}.${issues.length ? ` As read: ${issues.join(", ")}.` : ""}` };
+  }
+  if (issues.length) {
+    return { is_loading:isLoading, ordered, flags, verdict:"ADJUST", reason:`Ordered ${issues.join(", ")}.` };
+  }
+  return { is_loading:isLoading, ordered, flags, verdict:"CORRECT",
+    reason:`Ordered ${isLoading ? "loading dose" : "regimen"} matches the calculator (${ordered.mg_cba} mg CBA = ${ordered.miu} MIU).` };
+}
+
+// Plain "mg" is taken as CBA unless CMS / sodium is written next to it
+function readOrderedUnit(order, text, expected) {
+  const flags = [];
+  const flag  = (code, message) => flags.push({ code, message });
+  const a = order.amount;
+  if (a==null) return { mg_cba:null, unit_read:null, flags };
+
+  if (order.unit==="MIU") {
+    if (a>15) {
+      flag("MG_AS_MIU", `${a} MIU is ${round(a*MIU_TO_MG_CBA/1000, 1)} g CBA — reads as ${a} mg CBA written as MIU`);
+      return { mg_cba:a, unit_read:"mg CBA (written as MIU)", flags };
+    }
+    return { mg_cba:a*MIU_TO_MG_CBA, unit_read:"MIU", flags };
+  }
+  if (order.unit==="units") {
+    if (a<1000) {
+      flag("MIU_AS_IU", `${a} IU is a trace amount — reads as ${a} MIU written as IU`);
+      return { mg_cba:a*MIU_TO_MG_CBA, unit_read:"MIU (written as IU)", flags };
+    }
+    return { mg_cba:a/1e6*MIU_TO_MG_CBA, unit_read:"IU", flags };
+  }
+  if (order.dose_mg==null) return { mg_cba:null, unit_read:null, flags };
+
+  const mg = order.dose_mg;
+  if (mg>=1e5) {
+    flag("IU_AS_MG", `${mg} mg is ${round(mg/1e6, 1)} kg — reads as ${mg} IU written as mg`);
+    return { mg_cba:mg/1e6*MIU_TO_MG_CBA, unit_read:"IU (written as mg)", flags };
+  }
+  if (mg<=15) {
+    flag("MIU_AS_MG", `${mg} mg is far below any CBA dose — reads as ${mg} MIU written as mg`);
+    return { mg_cba:mg*MIU_TO_MG_CBA, unit_read:"MIU (written as mg)", flags };
+  }
+  const asCba = mg, asCms = mg*MIU_TO_MG_CBA/MIU_TO_MG_CMS;
+  if (/\bcms\b|sodium/.test(text)) return { mg_cba:asCms, unit_read:"mg CMS", flags };
+  if (!/\bcba\b|base activity|colistin base/.test(text)&&expected!=null
+    &&Math.abs(asCba-expected)>expected*DOSE_TOLERANCE&&Math.abs(asCms-expected)<=expected*DOSE_TOLERANCE) {
+    flag("CMS_AS_CBA", `${mg} mg matches the regimen only as mg CMS (= ${round(asCms, 1)} mg CBA); as CBA it is ${round(asCba/expected, 1)}× the dose — state the unit`);
+  }
+  return { mg_cba:asCba, unit_read:"mg CBA", flags };
+}
+
+/* =========================================================
+   CASE ANALYSIS
+   rrt: "HD" | "CRRT" | null (rrtTableModality)
+========================================================= */
+export function isColistin(name) {
+  const n = String(name||"").toLowerCase();
+  return NAMES.some(x=>n.includes(x));
+}
+
+export function evaluateColistin(medications, { crcl=null, rrt=null, weightKg=null, heightCm=null, sex=null, weightPolicy=DEFAULT_WEIGHT_POLICY, estimator="Cockcroft-Gault" }={}) {
+  const rows = [];
+  for (const med of (medications||[])) {
+    if (!isColistin(med.parsed?.drug)&&!isColistin(med.name)) continue;
+    if (med.parsed?.route&&med.parsed.route!=="IV") continue;
+    rows.push(buildRow(med, computeColistinDosing({ weightKg, heightCm, sex, crcl, rrt, weightPolicy, order:med }), { crcl, rrt, estimator }));
+  }
+  return rows;
+}
+
+function buildRow(med, calc, { crcl, rrt, estimator }) {
+  const ordered = [med.name, med.dose, med.route, med.frequency].filter(Boolean).join(" ").replace(/\s+/g," ").trim();
+  const base = {
+    drug: med.name, ordered, source:"colistin_calculator", locked:true,
+    table_version: RENAL_TABLE_VERSION, table_drug:"colistin", indication:"default",
+    estimator: rrt ? `${rrt} modality` : estimator, estimator_value: rrt ? null : crcl,
+  };
+  if (!calc.ok) {
+    return { ...base, band:null, reference:"Colistin calculator", recommended:"Weight required for the colistin loading dose",
+      recommended_regimen:null, verdict:"MONITOR", reason:calc.error };
+  }
+  const m   = calc.maintenance;
+  const chk = calc.order_check;
+  const load = `${calc.loading.mg_cba} mg CBA (${calc.loading.miu} MIU) loading`;
+  return {
+    ...base,
+    band: m?.band || null,
+    reference: `Colistin calculator — loading ${LOADING_MG_CBA_KG} mg CBA/kg (max ${LOADING_MAX_MG_CBA}), maintenance renal dosing table v${RENAL_TABLE_VERSION}${m ? `, ${m.band}` : ""}`,
+    recommended: m
+      ? `${load}, then ${m.dose.mg_cba} mg CBA (${m.dose.miu} MIU) Q${m.interval_h}H starting ${m.start}${m.note ? ` — ${m.note}` : ""}`
+      : `${load}; maintenance by CrCl once available`,
+    recommended_regimen: m ? { dose_mg:m.dose.mg_cba, interval_h:m.interval_h, loading_mg:calc.loading.mg_cba, daily_dose_mg:m.daily.mg_cba } : null,
+    colistin: { loading:calc.loading, maintenance:m, ordered:chk.ordered, unit_flags:chk.flags, dosing_weight:calc.dosing_weight.weight_used },
+    verdict: chk.verdict,
+    reason: `${chk.reason}${m ? ` Band: ${rrt ? `on ${rrt}` : `CrCl ${crcl} mL/min (${estimator})`}.` : ""}`,
+  };
+}
+
+// Rule-engine findings (shape matches runSafetyRules output)
+export function colistinDoseFindings(rows) {
+  return rows.filter(r=>r.verdict==="ADJUST").map(r=>{
+    const units = r.colistin?.unit_flags?.length;
+    return {
+      id: units ? "COLISTIN_UNITS" : "COLISTIN_DOSE",
+      severity: units ? "Critical" : "Major",
+      problem: `${r.drug}: ${r.reason}`,
+      recommendation: `${units ? "Rewrite the order with an explicit unit (mg CBA or MIU). " : ""}${r.recommended}.`,
+      queries: ["colistin loading dose", "colistimethate CBA international units dosing"],
+      source: "colistin_calculator", reference: r.reference,
+    };
+  });
+}
+
+/* =========================================================
+   CHART NOTE
+========================================================= */
+function buildChartNote(r) {
+  const w = r.dosing_weight, m = r.maintenance, l = r.loading;
+  const lines = [
+    "COLISTIMETHATE (IV) — LOADING + MAINTENANCE",
+    `Loading: ${LOADING_MG_CBA_KG} mg CBA/kg × ${w.weight_used} kg${l.capped ? ` (capped at ${LOADING_MAX_MG_CBA} mg)` : ""} = ${l.mg_cba} mg CBA = ${l.miu} MIU = ${l.mg_cms} mg CMS, IV over 30–60 min`,
+    `Dosing weight: ${w.reason}`,
+    m ? `Maintenance (${m.band}): ${m.daily.mg_cba} mg CBA/day (${m.daily.miu} MIU) → ${m.dose.mg_cba} mg CBA (${m.dose.miu} MIU) IV Q${m.interval_h}H, first dose ${m.start}`
+      : "Maintenance: not assigned (CrCl/RRT unknown)",
+  ];
+  if (m?.note) lines.push(`Note: ${m.note}`);
+  if (r.order_check) lines.push(`Order check: ${r.order_check.verdict} — ${r.order_check.reason}`);
+  if (r.conversion?.ok) lines.push(`Conversion: ${r.conversion.input.value} ${r.conversion.input.unit} = ${r.conversion.mg_cba} mg CBA = ${r.conversion.miu} MIU = ${r.conversion.mg_cms} mg CMS`);
+  lines.push("Monitor: SCr daily, urine output; neurotoxicity.");
+  for (const wn of r.warnings) lines.push(`Note: ${wn}`);
+  return lines.join("\n");
+}
+
+function formatRange([lo, hi]) {
+  if (lo==null) return `<${hi}`;
+  if (hi==null) return `≥${lo}`;
+  return `${lo}–${hi-1}`;
+}
+
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
@@ -0,0 +1,233 @@
+// File: /functions/_lib/drug_dictionary.js
+// Local drug dictionary — brand names, misspellings, abbreviations and
+// combination products resolved to generic ingredients + drug classes.
+//
+// resolveDrug("Tazocin") → { generic:"piperacillin-tazobactam",
+//   ingredients:["piperacillin","tazobactam"], classes:["penicillin","beta-lactam"] }
+//
+// Class ids are matched exactly (never by substring) so "lmwh" cannot
+// collide with "heparin" and "arb" cannot collide with "carbapenem" or
+// "carbamazepine". Drug names in rules match whole words only.
+
+/* =========================================================
+   DICTIONARY
+========================================================= */
+const DRUGS = [
+  // ── Beta-lactams ──────────────────────────────────────────
+  { generic:"amoxicillin",              classes:["penicillin","beta-lactam"], brands:["amoxil","moxypen"], synonyms:["amoxycillin","amoxicilin","amox"] },
+  { generic:"amoxicillin-clavulanate",  ingredients:["amoxicillin","clavulanate"], classes:["penicillin","beta-lactam"], brands:["augmentin","curam","klavox"], synonyms:["co-amoxiclav","coamoxiclav","amoxiclav","amoxicillin/clavulanic acid","amoxicillin clavulanic acid","amox-clav"] },
+  { generic:"ampicillin",               classes:["penicillin","beta-lactam"], synonyms:["ampicilin"] },
+  { generic:"ampicillin-sulbactam",     ingredients:["ampicillin","sulbactam"], classes:["penicillin","beta-lactam"], brands:["unasyn","unictam"], synonyms:["ampicillin/sulbactam","amp-sulb"] },
+  { generic:"benzylpenicillin",         classes:["penicillin","beta-lactam"], synonyms:["penicillin g","pen g","benzathine penicillin"] },
+  { generic:"flucloxacillin",           classes:["penicillin","beta-lactam"], brands:["floxapen"], synonyms:["floxacillin"] },
+  { generic:"cloxacillin",              classes:["penicillin","beta-lactam"], brands:["orbenin"] },
+  { generic:"piperacillin-tazobactam",  ingredients:["piperacillin","tazobactam"], classes:["penicillin","beta-lactam"], brands:["tazocin","zosyn"], synonyms:["pip-tazo","pip/tazo","piptaz","pip taz","ptz","tzp","piperacillin tazobactam","piperacillin/tazobactam","piperacillin-tazobactum","tazocine"] },
+  { generic:"cefazolin",                classes:["cephalosporin","beta-lactam"], brands:["ancef"], synonyms:["cephazolin"] },
+  { generic:"cefalexin",                classes:["cephalosporin","beta-lactam"], brands:["keflex"], synonyms:["cephalexin"] },
+  { generic:"cefuroxime",               classes:["cephalosporin","beta-lactam"], brands:["zinacef","zinnat"] },
+  { generic:"ceftriaxone",              classes:["cephalosporin","beta-lactam"], brands:["rocephin"], synonyms:["ceftriaxon"] },
+  { generic:"ceftazidime",              classes:["cephalosporin","beta-lactam"], brands:["fortum"] },
+  { generic:"ceftazidime-avibactam",    ingredients:["ceftazidime","avibactam"], classes:["cephalosporin","beta-lactam"], brands:["zavicefta","avycaz"] },
+  { generic:"cefepime",                 classes:["cephalosporin","beta-lactam"], brands:["maxipime"] },
+  { generic:"meropenem",                classes:["carbapenem","beta-lactam"], brands:["meronem","merrem"], synonyms:["meropenam","mero"] },
+  { generic:"imipenem-cilastatin",      ingredients:["imipenem","cilastatin"], classes:["carbapenem","beta-lactam"], brands:["tienam","primaxin"], synonyms:["imipenem"] },
+  { generic:"ertapenem",                classes:["carbapenem","beta-lactam"], brands:["invanz"] },
+
+  // ── Other antimicrobials ──────────────────────────────────
+  { generic:"vancomycin",               classes:["glycopeptide"], brands:["vancocin"], synonyms:["vanc","vanco","vancomicin","vancomycine"] },
+  { generic:"teicoplanin",              classes:["glycopeptide"], brands:["targocid"] },
+  { generic:"linezolid",                classes:["oxazolidinone"], brands:["zyvox"] },
+  { generic:"fidaxomicin",              classes:["macrocyclic"], brands:["dificid","dificlir"] },
+  { generic:"gentamicin",               classes:["aminoglycoside"], synonyms:["gentamycin","genta"] },
+  { generic:"tobramycin",               classes:["aminoglycoside"], synonyms:["tobra"] },
+  { generic:"amikacin",                 classes:["aminoglycoside"], synonyms:["amikin"] },
+  { generic:"ciprofloxacin",            classes:["fluoroquinolone","qt-prolonging"], brands:["ciprobay","cipro","ciproxin"], synonyms:["ciprofloxacine","ciproflox"] },
+  { generic:"levofloxacin",             classes:["fluoroquinolone","qt-prolonging"], brands:["tavanic","levaquin"], synonyms:["levofloxacine","levoflox"] },
+  { generic:"moxifloxacin",             classes:["fluoroquinolone","qt-prolonging"], brands:["avelox"] },
+  { generic:"colistin",                 classes:["polymyxin"], brands:["colomycin","coly-mycin"], synonyms:["colistimethate","colistimethate sodium","cms","polymyxin e"] },
+  { generic:"trimethoprim-sulfamethoxazole", ingredients:["trimethoprim","sulfamethoxazole"], classes:["sulfonamide"], brands:["bactrim","septrin","septra"], synonyms:["tmp-smx","tmp/smx","smx-tmp","co-trimoxazole","cotrimoxazole","sulfamethoxazole-trimethoprim","trimethoprim/sulfamethoxazole"] },
+  { generic:"metronidazole",            classes:["nitroimidazole"], brands:["flagyl"], synonyms:["metronidazol"] },
+  { generic:"clindamycin",              classes:["lincosamide"], brands:["dalacin"] },
+  { generic:"azithromycin",             classes:["macrolide","qt-prolonging"], brands:["zithromax"] },
+  { generic:"clarithromycin",           classes:["macrolide","qt-prolonging"], brands:["klacid"] },
+  { generic:"erythromycin",             classes:["macrolide","qt-prolonging"], brands:["erythrocin"] },
+  { generic:"doxycycline",              classes:["tetracycline"], brands:["vibramycin"], synonyms:["doxy"] },
+  { generic:"tigecycline",              classes:["glycylcycline"], brands:["tygacil"] },
+  { generic:"nitrofurantoin",           classes:["nitrofuran"], brands:["macrobid","macrodantin"] },
+  { generic:"aztreonam",                classes:["monobactam","beta-lactam"], brands:["azactam"] },
+  { generic:"hydroxychloroquine",       classes:["antimalarial","qt-prolonging"], brands:["plaquenil"], synonyms:["hcq"] },
+  { generic:"fluconazole",              classes:["azole-antifungal","qt-prolonging"], brands:["diflucan"] },
+
+  // ── Anticoagulants / antiplatelets ────────────────────────
+  { generic:"warfarin",                 classes:["vka","anticoagulant"], brands:["coumadin","marevan","jantoven"] },
+  { generic:"heparin",                  classes:["ufh","anticoagulant"], synonyms:["unfractionated heparin","ufh","heparin sodium"] },
+  { generic:"enoxaparin",               classes:["lmwh","anticoagulant"], brands:["clexane","lovenox"], synonyms:["enoxaparine","enox"] },
+  { generic:"dalteparin",               classes:["lmwh","anticoagulant"], brands:["fragmin"] },
+  { generic:"tinzaparin",               classes:["lmwh","anticoagulant"], brands:["innohep"] },
+  { generic:"fondaparinux",             classes:["anticoagulant"], brands:["arixtra"] },
+  { generic:"rivaroxaban",              classes:["doac","anticoagulant"], brands:["xarelto"] },
+  { generic:"apixaban",                 classes:["doac","anticoagulant"], brands:["eliquis"] },
+  { generic:"dabigatran",               classes:["doac","anticoagulant"], brands:["pradaxa"] },
+  { generic:"edoxaban",                 classes:["doac","anticoagulant"], brands:["lixiana","savaysa"] },
+  { generic:"aspirin",                  classes:["antiplatelet","nsaid"], brands:["aspocid","cardiprin","disprin"], synonyms:["asa","acetylsalicylic acid"] },
+  { generic:"clopidogrel",              classes:["antiplatelet"], brands:["plavix"] },
+  { generic:"ticagrelor",               classes:["antiplatelet"], brands:["brilinta","brilique"] },
+  { generic:"prasugrel",                classes:["antiplatelet"], brands:["effient"] },
+
+  // ── Cardiovascular / renal ────────────────────────────────
+  { generic:"lisinopril",               classes:["acei"], brands:["zestril","prinivil"] },
+  { generic:"enalapril",                classes:["acei"], brands:["vasotec","renitec"] },
+  { generic:"ramipril",                 classes:["acei"], brands:["tritace","altace"] },
+  { generic:"captopril",                classes:["acei"], brands:["capoten"] },
+  { generic:"perindopril",              classes:["acei"], brands:["coversyl"] },
+  { generic:"losartan",                 classes:["arb"], brands:["cozaar"] },
+  { generic:"valsartan",                classes:["arb"], brands:["diovan"] },
+  { generic:"irbesartan",               classes:["arb"], brands:["aprovel","avapro"] },
+  { generic:"candesartan",              classes:["arb"], brands:["atacand"] },
+  { generic:"telmisartan",              classes:["arb"], brands:["micardis"] },
+  { generic:"sacubitril-valsartan",     ingredients:["sacubitril","valsartan"], classes:["arb","arni"], brands:["entresto"] },
+  { generic:"spironolactone",           classes:["k-sparing-diuretic","mra"], brands:["aldactone"], synonyms:["spironolacton","spiro"] },
+  { generic:"eplerenone",               classes:["k-sparing-diuretic","mra"], brands:["inspra"] },
+  { generic:"furosemide",               classes:["loop-diuretic"], brands:["lasix"], synonyms:["frusemide"] },
+  { generic:"bumetanide",               classes:["loop-diuretic"], brands:["burinex","bumex"] },
+  { generic:"torsemide",                classes:["loop-diuretic"], brands:["demadex"], synonyms:["torasemide"] },
+  { generic:"hydrochlorothiazide",      classes:["thiazide"], synonyms:["hctz"] },
+  { generic:"chlorthalidone",           classes:["thiazide"], synonyms:["chlortalidone"] },
+  { generic:"indapamide",               classes:["thiazide"], brands:["natrilix"] },
+  { generic:"digoxin",                  classes:["cardiac-glycoside"], brands:["lanoxin"], synonyms:["digoxine"] },
+  { generic:"amiodarone",               classes:["antiarrhythmic","qt-prolonging"], brands:["cordarone","pacerone"], synonyms:["amiodaron"] },
+  { generic:"procainamide",             classes:["antiarrhythmic","qt-prolonging"], brands:["pronestyl"] },
+  { generic:"sotalol",                  classes:["antiarrhythmic","beta-blocker","qt-prolonging"], brands:["betapace","sotacor"] },
+  { generic:"atorvastatin",             classes:["statin"], brands:["lipitor"] },
+  { generic:"rosuvastatin",             classes:["statin"], brands:["crestor"] },
+  { generic:"simvastatin",              classes:["statin"], brands:["zocor"] },
+  { generic:"pravastatin",              classes:["statin"], brands:["pravachol"] },
+  { generic:"fluvastatin",              classes:["statin"], brands:["lescol"] },
+
+  // ── Analgesics ────────────────────────────────────────────
+  { generic:"paracetamol",              classes:["analgesic"], brands:["panadol","perfalgan","tylenol","adol"], synonyms:["acetaminophen","apap","paracetamole"] },
+  { generic:"ibuprofen",                classes:["nsaid"], brands:["brufen","advil","nurofen"] },
+  { generic:"naproxen",                 classes:["nsaid"], brands:["naprosyn"] },
+  { generic:"diclofenac",               classes:["nsaid"], brands:["voltaren","cataflam"] },
+  { generic:"ketorolac",                classes:["nsaid"], brands:["toradol"] },
+  { generic:"celecoxib",                classes:["nsaid"], brands:["celebrex"] },
+  { generic:"indomethacin",             classes:["nsaid"], brands:["indocid"], synonyms:["indometacin"] },
+
+  // ── Endocrine / GI / other ────────────────────────────────
+  { generic:"metformin",                classes:["biguanide"], brands:["glucophage"] },
+  { generic:"insulin",                  classes:["insulin"], brands:["lantus","novorapid","humalog","actrapid","mixtard","levemir","tresiba"], synonyms:["insulin glargine","insulin aspart","insulin lispro","regular insulin"] },
+  { generic:"dexamethasone",            classes:["corticosteroid"], brands:["decadron"] },
+  { generic:"prednisolone",             classes:["corticosteroid"] },
+  { generic:"methylprednisolone",       classes:["corticosteroid"], brands:["solu-medrol","depo-medrol"] },
+  { generic:"hydrocortisone",           classes:["corticosteroid"], brands:["solu-cortef"] },
+  { generic:"omeprazole",               classes:["ppi"], brands:["losec","prilosec"] },
+  { generic:"esomeprazole",             classes:["ppi"], brands:["nexium"] },
+  { generic:"pantoprazole",             classes:["ppi"], brands:["protonix","controloc","pantoloc"] },
+  { generic:"lansoprazole",             classes:["ppi"], brands:["prevacid","zoton"] },
+  { generic:"acetylcysteine",           classes:["antidote","mucolytic"], brands:["parvolex","fluimucil"], synonyms:["nac","n-acetylcysteine","n-acetyl cysteine"] },
+  { generic:"valproate",                classes:["antiepileptic"], brands:["depakine","depakote","epilim"], synonyms:["valproic acid","sodium valproate","divalproex"] },
+  { generic:"phenytoin",                classes:["antiepileptic"], brands:["dilantin","epanutin"] },
+  { generic:"tacrolimus",               classes:["calcineurin-inhibitor"], brands:["prograf","advagraf"] },
+  { generic:"cyclosporine",             classes:["calcineurin-inhibitor"], brands:["neoral","sandimmune"], synonyms:["ciclosporin"] },
+  { generic:"haloperidol",              classes:["antipsychotic","qt-prolonging"], brands:["haldol"] },
+  { generic:"quetiapine",               classes:["antipsychotic","qt-prolonging"], brands:["seroquel"] },
+  { generic:"citalopram",               classes:["ssri","qt-prolonging"], brands:["cipramil","celexa"] },
+  { generic:"escitalopram",             classes:["ssri","qt-prolonging"], brands:["cipralex","lexapro"] },
+  { generic:"ondansetron",              classes:["antiemetic","qt-prolonging"], brands:["zofran"] },
+  { generic:"domperidone",              classes:["antiemetic","qt-prolonging"], brands:["motilium"] },
+  { generic:"methadone",                classes:["opioid","qt-prolonging"], brands:["physeptone"] },
+  { generic:"norepinephrine",           classes:["vasopressor"], brands:["levophed"], synonyms:["noradrenaline","norepi"] },
+  { generic:"potassium chloride",       classes:["electrolyte"], synonyms:["kcl"] },
+];
+
+// Class words as written in free text (allergy lists, questions)
+const CLASS_ALIASES = {
+  "penicillins":"penicillin", "penicillin":"penicillin",
+  "cephalosporins":"cephalosporin", "cephalosporin":"cephalosporin",
+  "carbapenems":"carbapenem", "beta-lactams":"beta-lactam", "beta lactam":"beta-lactam", "beta-lactam":"beta-lactam",
+  "quinolones":"fluoroquinolone", "fluoroquinolones":"fluoroquinolone", "quinolone":"fluoroquinolone",
+  "aminoglycosides":"aminoglycoside", "sulfa":"sulfonamide", "sulpha":"sulfonamide", "sulfonamides":"sulfonamide",
+  "nsaids":"nsaid", "nsaid":"nsaid", "statins":"statin", "ace inhibitors":"acei", "ace inhibitor":"acei",
+  "macrolides":"macrolide", "heparins":"ufh", "lmwh":"lmwh", "doacs":"doac", "noacs":"doac",
+};
+
+/* =========================================================
+   LOOKUP INDEX — every name/brand/synonym → entry
+========================================================= */
+const TERM_INDEX = new Map();
+for (const d of DRUGS) {
+  for (const t of [d.generic, ...(d.brands||[]), ...(d.synonyms||[])]) TERM_INDEX.set(normalizeTerm(t), d);
+}
+// Longest terms first so "piperacillin tazobactam" wins over "piperacillin"
+const TERM_PATTERNS = Array.from(TERM_INDEX.keys())
+  .filter(t=>t.length>=3)
+  .sort((a,b)=>b.length-a.length)
+  .map(t=>[t, wordPattern(t)]);
+const CLASS_PATTERNS = Object.entries(CLASS_ALIASES).map(([alias, cls])=>[wordPattern(alias), cls]);
+const CLASS_IDS = new Set([...DRUGS.flatMap(d=>d.classes||[]), ...Object.values(CLASS_ALIASES)]);
+const GENERICS  = new Set(DRUGS.map(d=>d.generic));
+
+function normalizeTerm(s) {
+  return String(s||"").toLowerCase().replace(/\s*[\/+]\s*/g,"-").replace(/\s+/g," ").trim();
+}
+
+function wordPattern(term) {
+  return new RegExp(`(^|[^a-z])${term.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}($|[^a-z])`);
+}
+
+/* =========================================================
+   PUBLIC API
+========================================================= */
+// Resolve a drug name / brand / misspelling (possibly inside longer text)
+export function resolveDrug(text) {
+  const t = normalizeTerm(text);
+  if (!t) return null;
+  const exact = TERM_INDEX.get(t);
+  if (exact) return toResult(exact, t);
+  for (const [term, re] of TERM_PATTERNS) {
+    if (re.test(t)) return toResult(TERM_INDEX.get(term), term);
+  }
+  return null;
+}
+
+// Class ids named directly in free text ("sulfa allergy", "penicillins")
+export function resolveClasses(text) {
+  const t = normalizeTerm(text);
+  const out = new Set();
+  for (const [re, cls] of CLASS_PATTERNS) if (re.test(t)) out.add(cls);
+  return Array.from(out);
+}
+
+// Everything a rule can match for one medication or allergy string
+export function drugProfile(text) {
+  const raw  = String(text||"").toLowerCase().trim();
+  const drug = resolveDrug(raw);
+  const names = new Set([raw]);
+  const classes = new Set(resolveClasses(raw));
+  if (drug) {
+    names.add(drug.generic);
+    drug.ingredients.forEach(i=>names.add(i));
+    drug.classes.forEach(c=>classes.add(c));
+  }
+  return { raw, generic:drug?.generic||null, names:Array.from(names).filter(Boolean), classes:Array.from(classes) };
+}
+
+// Rule-term match: class ids against classes only, anything else as a whole
+// word in the names ("statin" never matches nystatin)
+export function profileMatches(profile, term) {
+  const t = normalizeTerm(term);
+  if (!t) return false;
+  if (profile.classes.includes(t)) return true;
+  if (CLASS_IDS.has(t)&&!GENERICS.has(t)) return false;
+  const re = wordPattern(t);
+  return profile.names.some(n=>re.test(normalizeTerm(n)));
+}
+
+function toResult(d, matched) {
+  return {
+    generic:     d.generic,
+    ingredients: d.ingredients || [d.generic],
+    classes:     d.classes || [],
+    matched,
+  };
+}
@@ -0,0 +1,150 @@
+// File: /functions/_lib/hepatic.js
+// Hepatic impairment scores for dose adjustment.
+//
+//   Child-Pugh — bilirubin, albumin, INR, ascites, encephalopathy (1–3 points each)
+//                A 5–6 | B 7–9 | C 10–15
+//   MELD-Na    — UNOS 2016: bilirubin, INR, SCr (floors 1.0, SCr cap 4.0 and set
+//                to 4.0 on dialysis), Na bounded 125–137; Na term only if MELD >11
+//
+// Missing components are listed, not assumed normal. With Child-Pugh
+// components missing, min/max scores bound the class so rules can still
+// act when the class is certain ("at least B").
+
+const BILI_UMOL_PER_MGDL = 17.1;
+const SCR_UMOL_PER_MGDL  = 88.4;
+
+const CP_COMPONENTS = [
+  { key:"bilirubin",      label:"Bilirubin",      unit:"µmol/L", points:(v)=>v<34 ? 1 : v<=50 ? 2 : 3 },
+  { key:"albumin",        label:"Albumin",        unit:"g/L",    points:(v)=>v>35 ? 1 : v>=28 ? 2 : 3 },
+  { key:"inr",            label:"INR",            unit:"",       points:(v)=>v<1.7 ? 1 : v<=2.3 ? 2 : 3 },
+  { key:"ascites",        label:"Ascites",        unit:"",       points:(v)=>v },
+  { key:"encephalopathy", label:"Encephalopathy", unit:"",       points:(v)=>v },
+];
+
+const LIVER_DISEASE_RE = /cirrho|chronic liver|\bcld\b|liver disease|hepatitis [bc]|\bnash\b|\bmasld\b|alcoholic liver|portal hypertension|varice|ascites|hepatic encephalopathy|hepatocellular|\bhcc\b|liver transplant/i;
+
+/* =========================================================
+   ENTRY POINT
+   labs: v3 normalized labs (bili_t µmol/L, albumin g/L, inr, na, scr_umol)
+   findings: { encephalopathy, ascites } as extracted (text or grade)
+========================================================= */
+export function scoreHepaticFunction({ labs={}, findings={}, conditionText="", dialysis=false }={}) {
+  const text  = String(conditionText||"");
+  const input = {
+    bilirubin:      num(labs.bili_t),
+    albumin:        num(labs.albumin),
+    inr:            num(labs.inr),
+    ascites:        gradeAscites(findings?.ascites),
+    encephalopathy: gradeEncephalopathy(findings?.encephalopathy),
+  };
+  const childPugh = scoreChildPugh(input);
+  const meld      = scoreMeldNa({ biliUmol:input.bilirubin, inr:input.inr, scrUmol:num(labs.scr_umol) ?? (num(labs.scr_mgdl)!=null ? labs.scr_mgdl*SCR_UMOL_PER_MGDL : null), na:num(labs.na), dialysis });
+  const liverDisease = LIVER_DISEASE_RE.test(text)||(childPugh.components.ascites.points??0)>1||(childPugh.components.encephalopathy.points??0)>1;
+  return {
+    child_pugh: childPugh,
+    meld_na: meld,
+    liver_disease_documented: liverDisease,
+    // Class that rules act on: exact if complete, else the class guaranteed by the minimum score
+    effective_class: childPugh.class || childPugh.class_at_least,
+  };
+}
+
+/* =========================================================
+   CHILD-PUGH
+========================================================= */
+function scoreChildPugh(input) {
+  const components = {};
+  const missing    = [];
+  let known = 0, nKnown = 0;
+  for (const c of CP_COMPONENTS) {
+    const value  = input[c.key];
+    const points = value==null ? null : c.points(value);
+    components[c.key] = { label:c.label, value: c.key==="ascites"||c.key==="encephalopathy" ? gradeLabel(c.key, value) : value, unit:c.unit, points };
+    if (points==null) missing.push(c.label);
+    else { known += points; nKnown++; }
+  }
+  const nMissing = CP_COMPONENTS.length-nKnown;
+  const minScore = known+nMissing;
+  const maxScore = known+3*nMissing;
+  const complete = nMissing===0;
+  return {
+    score:          complete ? known : null,
+    class:          complete ? cpClass(known) : null,
+    min_score:      nKnown ? minScore : null,
+    max_score:      nKnown ? maxScore : null,
+    class_at_least: nKnown&&cpClass(minScore)!=="A" ? cpClass(minScore) : null,
+    components,
+    missing,
+  };
+}
+
+function cpClass(score) { return score>=10 ? "C" : score>=7 ? "B" : "A"; }
+
+// 1 none | 2 mild / grade 1–2 / controlled | 3 moderate–severe / grade 3–4 / refractory
+function gradeAscites(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="number") return v>=1&&v<=3 ? v : null;
+  const s = String(v).toLowerCase();
+  if (/^(no|none|absent|nil|negative|false)\b/.test(s)) return 1;
+  if (/moderate|severe|tense|large|refractory|gross|grade 3|massive/.test(s)) return 3;
+  if (/mild|slight|small|minimal|controlled|grade [12]|trace|yes|present|true/.test(s)) return 2;
+  return null;
+}
+
+function gradeEncephalopathy(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="number") return v<=0 ? 1 : v<=2 ? 2 : 3;
+  const s = String(v).toLowerCase();
+  if (/^(no|none|absent|nil|negative|false)\b/.test(s)) return 1;
+  if (/grade\s*(iii|iv|3|4)|coma|severe|stupor/.test(s)) return 3;
+  if (/grade\s*(i|ii|1|2)\b|mild|minimal|covert|asterixis|confus|yes|present|true|controlled/.test(s)) return 2;
+  return null;
+}
+
+function gradeLabel(key, points) {
+  if (points==null) return null;
+  if (key==="ascites") return ["none","mild","moderate–severe"][points-1];
+  return ["none","grade 1–2","grade 3–4"][points-1];
+}
+
+/* =========================================================
+   MELD-Na (UNOS 2016)
+========================================================= */
+function scoreMeldNa({ biliUmol, inr, scrUmol, na, dialysis }) {
+  const missing = [biliUmol==null&&"Bilirubin", inr==null&&"INR", scrUmol==null&&!dialysis&&"SCr", na==null&&"Na"].filter(Boolean);
+  if (biliUmol==null||inr==null||(scrUmol==null&&!dialysis)) return { meld:null, meld_na:null, missing };
+
+  const bili = Math.max(1, biliUmol/BILI_UMOL_PER_MGDL);
+  const inrV = Math.max(1, inr);
+  const scr  = dialysis ? 4 : Math.min(4, Math.max(1, scrUmol/SCR_UMOL_PER_MGDL));
+  const meld = Math.round(10*(0.957*Math.log(scr) + 0.378*Math.log(bili) + 1.120*Math.log(inrV)) + 6.43);
+
+  let meldNa = meld;
+  if (na!=null&&meld>11) {
+    const n = Math.min(137, Math.max(125, na));
+    meldNa  = Math.round(meld + 1.32*(137-n) - 0.033*meld*(137-n));
+  }
+  return {
+    meld:    Math.min(40, meld),
+    meld_na: na!=null ? Math.min(40, meldNa) : null,
+    inputs:  { bilirubin_mgdl:round2(bili), inr:inrV, scr_mgdl:round2(scr), na: na!=null ? Math.min(137, Math.max(125, na)) : null, dialysis:!!dialysis },
+    missing,
+  };
+}
+
+// One line for the LLM prompts (Panel 1 uses the component breakdown)
+export function formatHepaticScores(h) {
+  if (!h) return "N/A";
+  const cp = h.child_pugh;
+  const cpText = cp.score!=null
+    ? `Child-Pugh ${cp.score} (class ${cp.class})`
+    : cp.min_score!=null
+      ? `Child-Pugh incomplete ${cp.min_score}–${cp.max_score}${cp.class_at_least ? ` (at least class ${cp.class_at_least})` : ""}`
+      : "Child-Pugh not calculable";
+  const meld = h.meld_na.meld_na!=null ? `MELD-Na ${h.meld_na.meld_na}` : h.meld_na.meld!=null ? `MELD ${h.meld_na.meld} (Na missing)` : "MELD-Na not calculable";
+  const missing = [...new Set([...cp.missing, ...h.meld_na.missing])];
+  return `${cpText} | ${meld}${missing.length ? ` | missing: ${missing.join(", ")}` : ""}`;
+}
+
+function num(v) { return v==null||v==="" ? null : Number.isNaN(Number(v)) ? null : Number(v); }
+function round2(n) { return Math.round(n*100)/100; }
@@ -0,0 +1,168 @@
+// File: /functions/_lib/hit_score.js
+// Heparin-induced thrombocytopenia pretest probability — 4T score (Lo et al., J Thromb Haemost 2006).
+//
+//   Thrombocytopenia — fall >50% and nadir ≥20 (2) | fall 30–50% or nadir 10–19 (1) | fall <30% or nadir <10 (0)
+//   Timing           — onset day 5–10, or ≤1 day with heparin in the past 30 days (2) |
+//                      probable day 5–10, onset >day 10, or ≤1 day with heparin 30–100 days ago (1) |
+//                      fall <day 4 without recent heparin (0)
+//   Thrombosis       — new proven thrombosis, skin necrosis (2) | progressive, recurrent or suspected (1) | none (0)
+//   Other causes     — none apparent (2) | possible (1) | definite (0)
+//   Low ≤3 · Intermediate 4–5 · High 6–8
+//
+// A component without data is reported as unknown (points null). The score
+// is then a range: known points alone ≥4 already give intermediate/high
+// (at least), a maximum ≤3 gives low, anything between is "indeterminate".
+// Onset day and fall % come from the platelet trend (lab_trends.js). Not
+// scored without heparin exposure, or without a ≥30% fall or count <150.
+// Thrombosis is scored from the extractor's hit block only — the admission
+// diagnosis is often the clot heparin was started for, which does not count.
+
+import { profileMatches } from "./drug_dictionary.js";
+
+const HEPARINS = ["ufh","lmwh","heparin"];
+const SUSPECT_THROMB_RE = /(?:\b(?:suspected|possible|query)\s+|\?\s*)(dvt|pe|pulmonary embol\w*|thrombosis)\b|\b(recurrent|progressive|extending)\s+(dvt|thrombosis|thrombus)\b|\bline thrombosis\b/i;
+const DEFINITE_CAUSE_RE = /\b(chemotherapy|marrow (?:failure|infiltration)|aplastic|itp|immune thrombocytopenia|ttp|massive transfusion|post-?transfusion purpura)\b/i;
+const POSSIBLE_CAUSE_RE = /\b(dic|disseminated intravascular|cardiopulmonary bypass|cabg|ecmo|liver cirrhosis|cirrhosis|hypersplenism|haemodilution|hemodilution|hellp)\b/i;
+const OTHER_DRUGS = ["linezolid","trimethoprim-sulfamethoxazole","valproate","vancomycin","piperacillin","rifampicin","quinine","carbamazepine","phenytoin","eptifibatide","tirofiban","abciximab"];
+
+/* =========================================================
+   SCORE
+   plateletFall: lab_trends platelet_fall; plt: latest count (×10⁹/L)
+   findings: extractor's hit block { new_thrombosis, skin_necrosis, other_cause, prior_heparin_days }
+========================================================= */
+export function scoreHit4T({ plateletFall=null, plt=null, medProfiles=[], findings={}, conditionText="", septic=false }={}) {
+  const heparins = uniqueNames(medProfiles.filter(p=>HEPARINS.some(h=>profileMatches(p, h))));
+  const f        = findings && typeof findings==="object" ? findings : {};
+  const priorDays = toNumber(f.prior_heparin_days);
+  if (!heparins.length&&priorDays==null) return null;
+  // Scored only when there is something to explain: a ≥30% fall or a count <150
+  if (!plateletFall?.falling&&!(plt!=null&&plt<150)) return null;
+
+  const components = [
+    scoreThrombocytopenia(plateletFall, plt),
+    scoreTiming(plateletFall, priorDays),
+    scoreThrombosis(f),
+    scoreOtherCauses(f, conditionText, septic, medProfiles),
+  ];
+  const known    = components.filter(c=>c.points!=null);
+  const unknown  = components.filter(c=>c.points==null).map(c=>c.component);
+  const scoreMin = known.reduce((s,c)=>s+c.points, 0);
+  const scoreMax = scoreMin+unknown.length*2;
+  const category = scoreMin>=4 ? categoryOf(scoreMin) : scoreMax<4 ? "low" : "indeterminate";
+
+  return {
+    heparins,
+    score: unknown.length ? null : scoreMin,
+    score_min: scoreMin, score_max: scoreMax, max: 8,
+    category,
+    components, unknown,
+    recommendation: buildRecommendation({ category, scoreMin, scoreMax, unknown, heparins }),
+  };
+}
+
+function categoryOf(score) { return score>=6 ? "high" : score>=4 ? "intermediate" : "low"; }
+
+function scoreThrombocytopenia(fall, plt) {
+  const c = { component:"Thrombocytopenia", points:null, basis:null };
+  const nadir = fall?.nadir ?? plt;
+  if (nadir!=null&&nadir<10) return { ...c, points:0, basis:`nadir ${nadir} ×10⁹/L (<10)` };
+  if (!fall) return { ...c, basis:"no serial platelet counts — fall not measurable" };
+  if (fall.peak==null) return { ...c, points:0, basis:"no fall across serial counts" };
+  const pct = fall.fall_pct;
+  const basis = `fall ${pct}% (${fall.peak} → ${fall.nadir} ×10⁹/L)`;
+  if (pct>50&&nadir>=20)          return { ...c, points:2, basis };
+  if (pct>=30||(nadir>=10&&nadir<20)) return { ...c, points:1, basis };
+  return { ...c, points:0, basis };
+}
+
+function scoreTiming(fall, priorDays) {
+  const c = { component:"Timing", points:null, basis:null };
+  const day = fall?.onset_day_of_heparin;
+  if (day==null) return { ...c, basis: fall ? "heparin start date not documented" : "no platelet fall to time" };
+  const basis = `onset day ${day} of heparin${priorDays!=null ? `, prior heparin ${priorDays} days ago` : ""}`;
+  if (day>=5&&day<=10)                           return { ...c, points:2, basis };
+  if (day<=1&&priorDays!=null&&priorDays<=30)    return { ...c, points:2, basis };
+  if (day>10||day===4)                           return { ...c, points:1, basis };
+  if (day<=1&&priorDays!=null&&priorDays<=100)   return { ...c, points:1, basis };
+  if (day<=1&&priorDays==null)                   return { ...c, basis:`${basis} — prior heparin exposure not documented` };
+  return { ...c, points:0, basis };
+}
+
+function scoreThrombosis(f) {
+  const c = { component:"Thrombosis or other sequelae", points:null, basis:null };
+  const stated = String(f.new_thrombosis??"").trim();
+  if (toBool(f.new_thrombosis)===true||toBool(f.skin_necrosis)===true) return { ...c, points:2, basis:"new thrombosis / skin necrosis since heparin started" };
+  if (SUSPECT_THROMB_RE.test(stated)) return { ...c, points:1, basis:`suspected/progressive: "${stated.match(SUSPECT_THROMB_RE)[0]}"` };
+  if (toBool(f.new_thrombosis)===false) return { ...c, points:0, basis:"no new thrombosis" };
+  return { ...c, basis:"thrombosis status since heparin not documented" };
+}
+
+function scoreOtherCauses(f, text, septic, medProfiles) {
+  const c = { component:"Other causes", points:null, basis:null };
+  const stated = String(f.other_cause??"").trim();
+  if (DEFINITE_CAUSE_RE.test(`${stated} ${text}`)) return { ...c, points:0, basis:`definite: ${(`${stated} ${text}`).match(DEFINITE_CAUSE_RE)[0]}` };
+  const possible = [
+    septic ? "sepsis" : null,
+    POSSIBLE_CAUSE_RE.test(text) ? text.match(POSSIBLE_CAUSE_RE)[0] : null,
+    ...uniqueNames(medProfiles.filter(p=>OTHER_DRUGS.some(d=>profileMatches(p, d)))),
+    stated&&toBool(stated)==null ? stated : null,
+  ].filter(Boolean);
+  if (possible.length) return { ...c, points:1, basis:`possible: ${possible.join(", ")}` };
+  return { ...c, points:2, basis:"none apparent in the documented case" };
+}
+
+function buildRecommendation({ category, scoreMin, scoreMax, unknown, heparins }) {
+  const on = heparins.join(", ")||"heparin";
+  if (category==="low") return `4T low (${scoreMin===scoreMax ? scoreMin : `${scoreMin}–${scoreMax}`}/8) — HIT unlikely; continue ${on} and look for another cause. Anti-PF4 testing not indicated.`;
+  const stop = `Stop ALL heparin (${on}, including flushes and heparin-coated lines). Start a non-heparin anticoagulant at therapeutic intensity — argatroban 0.5–2 µg/kg/min titrated to aPTT 1.5–3× baseline (0.5 µg/kg/min in hepatic impairment/critical illness), or fondaparinux 7.5 mg SC daily (5 mg <50 kg, 10 mg >100 kg; avoid CrCl <30). Send anti-PF4/heparin antibody (and functional assay if positive). No platelet transfusion unless bleeding; no warfarin until platelets ≥150 ×10⁹/L (reverse with vitamin K if already given). Doppler ultrasound for DVT.`;
+  if (category==="indeterminate") return `4T ${scoreMin}–${scoreMax}/8 — complete ${unknown.join(", ").toLowerCase()} now. If the score reaches ≥4: ${stop}`;
+  return stop;
+}
+
+/* =========================================================
+   SAFETY FINDING
+   Critical for intermediate/high; Major while indeterminate
+========================================================= */
+export function hitFinding(hit) {
+  if (!hit||hit.category==="low") return null;
+  const severity = hit.category==="indeterminate" ? "Major" : "Critical";
+  const scoreText = hit.score!=null ? `${hit.score}/${hit.max}` : `${hit.score_min}–${hit.score_max}/${hit.max}, unknown: ${hit.unknown.join(", ")}`;
+  return {
+    id: "HIT_4T_SCORE", severity,
+    problem: hit.category==="indeterminate"
+      ? `Possible heparin-induced thrombocytopenia on ${hit.heparins.join(", ")||"heparin"} — 4T score ${scoreText}`
+      : `${hit.category==="high" ? "High" : "Intermediate"} probability of heparin-induced thrombocytopenia (4T ${scoreText}) on ${hit.heparins.join(", ")||"heparin"}`,
+    recommendation: hit.recommendation,
+    factors: hit.components,
+    queries: ["heparin-induced thrombocytopenia 4T score management","argatroban dosing HIT","fondaparinux heparin-induced thrombocytopenia"],
+    source: "hit_4t_score",
+    reference: "4T score (code-computed)",
+  };
+}
+
+// One-line summary for prompts
+export function formatHit4T(hit) {
+  if (!hit) return "Not scored (no heparin exposure or no platelet fall/thrombocytopenia)";
+  const score = hit.score!=null ? `${hit.score}/8` : `${hit.score_min}–${hit.score_max}/8`;
+  return `${score} ${hit.category.toUpperCase()} — ${hit.components.map(c=>`${c.component}: ${c.points??"unknown"}`).join(", ")}`;
+}
+
+function uniqueNames(profiles) {
+  return [...new Set(profiles.map(p=>{
+    const n = p.generic||p.raw;
+    return n.charAt(0).toUpperCase()+n.slice(1);
+  }))];
+}
+function toBool(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="boolean") return v;
+  const s = String(v).toLowerCase().trim();
+  if (/^(yes|true|y|present|confirmed)\b/.test(s)) return true;
+  if (/^(no|false|n|none|absent)\b/.test(s)) return false;
+  return null;
+}
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v));
+  return Number.isNaN(n) ? null : n;
+}
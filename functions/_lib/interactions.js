@@ -0,0 +1,119 @@
+// File: /functions/_lib/interactions.js
+// Deterministic drug–drug interaction engine.
+//
+// INTERACTIONS is the local dataset: each entry pairs two term lists
+// (generic names or drug-dictionary class ids), with severity, mechanism
+// and management text. runInteractionEngine() checks every pair of
+// current medications and returns SAFETY_RULES-style findings with
+// source "interaction_engine".
+//
+// Bump INTERACTIONS_VERSION whenever an entry changes.
+
+import { profileMatches } from "./drug_dictionary.js";
+
+export const INTERACTIONS_VERSION = "2026.1";
+
+/* =========================================================
+   DATASET
+========================================================= */
+export const INTERACTIONS = [
+  { id:"DDI_AMIODARONE_WARFARIN", severity:"Major",
+    a:["amiodarone"], b:["warfarin"],
+    mechanism:"Amiodarone inhibits CYP2C9/CYP3A4 — warfarin clearance falls, INR rises over 1–4 weeks",
+    management:"Reduce warfarin dose by 30–50% when starting amiodarone. Check INR weekly for at least 6 weeks.",
+    queries:["amiodarone warfarin interaction INR","warfarin dose reduction amiodarone"] },
+  { id:"DDI_AMIODARONE_DIGOXIN", severity:"Major",
+    a:["amiodarone"], b:["digoxin"],
+    mechanism:"Amiodarone inhibits P-gp — digoxin levels rise up to 2-fold",
+    management:"Reduce digoxin dose by 50% when starting amiodarone. Check digoxin level and K⁺ in 1 week.",
+    queries:["amiodarone digoxin interaction dose reduction"] },
+  { id:"DDI_AMIODARONE_STATIN", severity:"Moderate",
+    a:["amiodarone"], b:["simvastatin","lovastatin"],
+    mechanism:"Amiodarone inhibits CYP3A4 — statin exposure and myopathy risk increase",
+    management:"Limit simvastatin to 20 mg/day or switch to rosuvastatin/pravastatin.",
+    queries:["amiodarone simvastatin myopathy dose limit"] },
+  { id:"DDI_CIPRO_WARFARIN", severity:"Major",
+    a:["ciprofloxacin","levofloxacin","moxifloxacin"], b:["warfarin"],
+    mechanism:"Fluoroquinolones inhibit warfarin metabolism and disturb gut flora vitamin K — INR rises",
+    management:"Check INR within 3–5 days of starting the fluoroquinolone. Consider empiric warfarin reduction 10–15%.",
+    queries:["ciprofloxacin warfarin interaction INR monitoring"] },
+  { id:"DDI_TMPSMX_WARFARIN", severity:"Critical",
+    a:["sulfamethoxazole"], b:["warfarin"],
+    mechanism:"Sulfamethoxazole inhibits CYP2C9 and displaces warfarin — marked INR rise and bleeding",
+    management:"Avoid combination; choose an alternative antibiotic. If unavoidable, reduce warfarin 10–20% and check INR every 2–3 days.",
+    queries:["trimethoprim sulfamethoxazole warfarin interaction","co-trimoxazole INR bleeding"] },
+  { id:"DDI_TMPSMX_ACEI_ARB", severity:"Major",
+    a:["trimethoprim"], b:["acei","arb"],
+    mechanism:"Trimethoprim blocks ENaC (amiloride-like) — additive hyperkalaemia with ACEi/ARB",
+    management:"Check K⁺ and SCr within 48–72h. Hold ACEi/ARB if K⁺ >5.5 mmol/L.",
+    queries:["trimethoprim ACE inhibitor hyperkalemia"] },
+  { id:"DDI_TMPSMX_KSPARING", severity:"Major",
+    a:["trimethoprim"], b:["k-sparing-diuretic"],
+    mechanism:"Trimethoprim + potassium-sparing diuretic — additive hyperkalaemia",
+    management:"Avoid combination or check K⁺ within 48h.",
+    queries:["trimethoprim spironolactone hyperkalemia"] },
+  { id:"DDI_FQ_QT", severity:"Major",
+    a:["fluoroquinolone"], b:["qt-prolonging"],
+    mechanism:"Additive QTc prolongation — torsades de pointes risk",
+    management:"Obtain baseline ECG/QTc, correct K⁺ and Mg²⁺. Avoid if QTc >500 ms; prefer a non-QT-prolonging antibiotic.",
+    queries:["fluoroquinolone QT prolongation drug interaction","QTc monitoring QT prolonging drugs"] },
+  { id:"DDI_MEROPENEM_VALPROATE", severity:"Critical",
+    a:["carbapenem"], b:["valproate"],
+    mechanism:"Carbapenems inhibit valproate glucuronide hydrolysis — valproate levels fall 60–90% within 24h; seizure risk",
+    management:"Avoid combination. Switch to a non-carbapenem antibiotic or an alternative antiepileptic (e.g. levetiracetam).",
+    queries:["meropenem valproate interaction seizure","carbapenem valproic acid level"] },
+  { id:"DDI_WARFARIN_NSAID", severity:"Major",
+    a:["warfarin","doac"], b:["ibuprofen","naproxen","diclofenac","ketorolac","celecoxib","indomethacin"],
+    mechanism:"NSAID antiplatelet effect + GI mucosal injury on top of anticoagulation — bleeding risk",
+    management:"Avoid NSAIDs. Use paracetamol. If unavoidable, add PPI and monitor for bleeding.",
+    queries:["anticoagulant NSAID bleeding risk"] },
+  { id:"DDI_CLARITHRO_STATIN", severity:"Major",
+    a:["clarithromycin","erythromycin"], b:["simvastatin","atorvastatin","lovastatin"],
+    mechanism:"Strong CYP3A4 inhibition — statin levels and rhabdomyolysis risk increase",
+    management:"Hold simvastatin/atorvastatin during the macrolide course, or use azithromycin.",
+    queries:["clarithromycin statin rhabdomyolysis"] },
+  { id:"DDI_FLUCONAZOLE_WARFARIN", severity:"Major",
+    a:["fluconazole"], b:["warfarin"],
+    mechanism:"Fluconazole inhibits CYP2C9 — INR rises",
+    management:"Reduce warfarin dose 25–30% and check INR within 3–5 days.",
+    queries:["fluconazole warfarin interaction INR"] },
+];
+
+/* =========================================================
+   ENGINE
+   medProfiles: drugProfile() per current medication (buildClinicalState)
+========================================================= */
+export function runInteractionEngine(medProfiles) {
+  const findings = [];
+  const profiles = (medProfiles||[]).filter(p=>p&&p.raw);
+  for (const ddi of INTERACTIONS) {
+    const seen = new Set();
+    for (let i=0; i<profiles.length; i++) {
+      for (let j=0; j<profiles.length; j++) {
+        // Two different orders, one on each side (a QT-prolonging FQ is not its own partner)
+        if (i===j) continue;
+        const pa = profiles[i], pb = profiles[j];
+        if (!ddi.a.some(t=>profileMatches(pa, t))||!ddi.b.some(t=>profileMatches(pb, t))) continue;
+        const key = [displayName(pa), displayName(pb)].sort().join("+");
+        if (seen.has(key)) continue;
+        seen.add(key);
+        findings.push({
+          id: ddi.id, severity: ddi.severity,
+          problem: `${displayName(pa)} + ${displayName(pb)} — ${ddi.mechanism}`,
+          recommendation: ddi.management,
+          mechanism: ddi.mechanism,
+          drugs: [displayName(pa), displayName(pb)],
+          queries: ddi.queries || [],
+          source: "interaction_engine",
+          reference: `Interaction dataset v${INTERACTIONS_VERSION} (${ddi.id})`,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+function displayName(p) {
+  const name = p.generic || p.raw;
+  return name.charAt(0).toUpperCase()+name.slice(1);
+}
@@ -0,0 +1,167 @@
+// File: /functions/_lib/lab_ranges.js
+// Lab reference ranges by sex and age band, with site overrides.
+//
+//   Base        — adult table (units are the v3 normalized units, see lab_units.js)
+//   Age band    — neonate | infant | child_1_5 | child_6_11 | adolescent (pediatric.js)
+//                 | adult 18–64 y | older_adult ≥65 y
+//   Sex         — male / female overrides, optionally per band ("female.adolescent")
+//   Site        — JSON with the same selectors ("all", band, sex, "sex.band"),
+//                 each mapping analyte → { low, high }; applied last
+//
+// Only low/high are overridable; labels, units and sections stay fixed so a
+// site table cannot change what a value means.
+
+import { pediatricAgeBand } from "./pediatric.js";
+
+export const LAB_RANGES = {
+  hb:           { label:"Hb",               unit:"g/dL",    low:12,   high:17.5, section:"cbc",         drugRelated:["anticoagulants","iron","ESA"] },
+  wbc:          { label:"WBC",              unit:"×10⁹/L",  low:4,    high:11,   section:"cbc",         drugRelated:["antibiotics","immunosuppressants"] },
+  plt:          { label:"Platelets",        unit:"×10⁹/L",  low:150,  high:400,  section:"cbc",         drugRelated:["anticoagulants","heparin","antiplatelet"] },
+  neutrophil:   { label:"Neutrophils",      unit:"×10⁹/L",  low:1.8,  high:7.5,  section:"cbc",         drugRelated:["G-CSF","immunosuppressants"] },
+  scr_umol:     { label:"SCr",              unit:"µmol/L",  low:null, high:106,  section:"renal",       drugRelated:["renal dosing","nephrotoxins"] },
+  scr_mgdl:     { label:"SCr",              unit:"mg/dL",   low:null, high:1.2,  section:"renal",       drugRelated:["renal dosing","nephrotoxins"] },
+  urea:         { label:"Urea",             unit:"mmol/L",  low:null, high:7.1,  section:"renal",       drugRelated:[] },
+  bun:          { label:"BUN",              unit:"mmol/L",  low:null, high:7.1,  section:"renal",       drugRelated:[] },
+  na:           { label:"Na",               unit:"mmol/L",  low:136,  high:145,  section:"electrolytes",drugRelated:["IV fluids","diuretics"] },
+  k:            { label:"K",                unit:"mmol/L",  low:3.5,  high:5.0,  section:"electrolytes",drugRelated:["diuretics","ACEi/ARB","insulin","antiarrhythmics"] },
+  cl:           { label:"Cl",               unit:"mmol/L",  low:98,   high:107,  section:"electrolytes",drugRelated:[] },
+  bicarb:       { label:"HCO3",             unit:"mmol/L",  low:22,   high:29,   section:"electrolytes",drugRelated:["diuretics"] },
+  ca:           { label:"Ca",               unit:"mmol/L",  low:2.12, high:2.62, section:"electrolytes",drugRelated:["calcium therapy","digoxin"] },
+  mg:           { label:"Mg",               unit:"mmol/L",  low:0.74, high:1.03, section:"electrolytes",drugRelated:["aminoglycosides","diuretics","PPIs"] },
+  phos:         { label:"Phos",             unit:"mmol/L",  low:0.81, high:1.45, section:"electrolytes",drugRelated:["phosphate binders"] },
+  alt:          { label:"ALT",              unit:"U/L",     low:null, high:56,   section:"liver",       drugRelated:["hepatotoxic drugs","paracetamol","statins"] },
+  ast:          { label:"AST",              unit:"U/L",     low:null, high:40,   section:"liver",       drugRelated:["hepatotoxic drugs","statins"] },
+  alp:          { label:"ALP",              unit:"U/L",     low:null, high:120,  section:"liver",       drugRelated:[] },
+  bili_t:       { label:"Total Bilirubin",  unit:"µmol/L",  low:null, high:21,   section:"liver",       drugRelated:["hepatotoxic drugs"] },
+  albumin:      { label:"Albumin",          unit:"g/L",     low:35,   high:50,   section:"liver",       drugRelated:["warfarin","phenytoin","protein binding"] },
+  inr:          { label:"INR",              unit:"",        low:null, high:1.2,  section:"coagulation", drugRelated:["warfarin","bleeding risk"] },
+  pt:           { label:"PT",               unit:"sec",     low:null, high:13.5, section:"coagulation", drugRelated:["warfarin"] },
+  aptt:         { label:"aPTT",             unit:"sec",     low:null, high:35,   section:"coagulation", drugRelated:["heparin"] },
+  fibrinogen:   { label:"Fibrinogen",       unit:"g/L",     low:2,    high:4,    section:"coagulation", drugRelated:[] },
+  crp:          { label:"CRP",              unit:"mg/L",    low:null, high:10,   section:"infection",   drugRelated:["antibiotics"] },
+  procalc:      { label:"PCT",              unit:"µg/L",    low:null, high:0.5,  section:"infection",   drugRelated:["antibiotics"] },
+  lactate:      { label:"Lactate",          unit:"mmol/L",  low:null, high:2.0,  section:"infection",   drugRelated:["sepsis","metformin"] },
+  glucose:      { label:"Glucose",          unit:"mmol/L",  low:3.9,  high:7.8,  section:"metabolic",   drugRelated:["insulin","steroids"] },
+  vanc_trough:  { label:"Vancomycin Trough",unit:"mg/L",    low:10,   high:20,   section:"tdm",         drugRelated:["vancomycin"] },
+  vanc_auc:     { label:"Vancomycin AUC",   unit:"mg·h/L",  low:400,  high:600,  section:"tdm",         drugRelated:["vancomycin"] },
+  genta_trough: { label:"Gentamicin Trough",unit:"mg/L",    low:null, high:2,    section:"tdm",         drugRelated:["gentamicin"] },
+  tobra_trough: { label:"Tobramycin Trough",unit:"mg/L",    low:null, high:2,    section:"tdm",         drugRelated:["tobramycin"] },
+  digoxin:      { label:"Digoxin",          unit:"µg/L",    low:0.5,  high:2,    section:"tdm",         drugRelated:["digoxin"] },
+  phenytoin:    { label:"Phenytoin",        unit:"mg/L",    low:10,   high:20,   section:"tdm",         drugRelated:["phenytoin"] },
+  valproate:    { label:"Valproate",        unit:"mg/L",    low:50,   high:100,  section:"tdm",         drugRelated:["valproate"] },
+  tacro:        { label:"Tacrolimus",       unit:"µg/L",    low:5,    high:15,   section:"tdm",         drugRelated:["tacrolimus"] },
+  cyclo:        { label:"Cyclosporine",     unit:"µg/L",    low:100,  high:400,  section:"tdm",         drugRelated:["cyclosporine"] },
+};
+
+const ADULT_BANDS = [
+  { id:"adult",       label:"Adult (18–64 y)", max_y:65 },
+  { id:"older_adult", label:"Older adult (≥65 y)", max_y:Infinity },
+];
+
+/* =========================================================
+   BUILT-IN OVERRIDES
+   Selector → analyte → { low, high }; applied all → band → sex → sex.band
+========================================================= */
+const RANGE_OVERRIDES = {
+  male: {
+    hb:{ low:13.5, high:17.5 }, scr_umol:{ low:null, high:106 }, scr_mgdl:{ low:null, high:1.2 }, alt:{ low:null, high:50 },
+  },
+  female: {
+    hb:{ low:12, high:15.5 }, scr_umol:{ low:null, high:80 }, scr_mgdl:{ low:null, high:0.9 }, alt:{ low:null, high:35 },
+  },
+  older_adult: {
+    urea:{ low:null, high:8.3 }, bun:{ low:null, high:8.3 }, alp:{ low:null, high:130 },
+  },
+  neonate: {
+    hb:{ low:13.5, high:21.5 }, wbc:{ low:9, high:30 }, plt:{ low:150, high:450 },
+    scr_umol:{ low:null, high:88 }, scr_mgdl:{ low:null, high:1.0 }, urea:{ low:null, high:6.4 },
+    k:{ low:3.7, high:5.9 }, phos:{ low:1.5, high:2.8 }, alp:{ low:null, high:420 },
+    bili_t:{ low:null, high:205 }, glucose:{ low:2.6, high:7.8 }, albumin:{ low:28, high:44 },
+  },
+  infant: {
+    hb:{ low:10, high:14 }, wbc:{ low:6, high:17.5 }, plt:{ low:150, high:450 },
+    scr_umol:{ low:null, high:35 }, scr_mgdl:{ low:null, high:0.4 }, urea:{ low:null, high:6.4 },
+    k:{ low:4.1, high:5.3 }, phos:{ low:1.3, high:2.3 }, alp:{ low:null, high:420 }, albumin:{ low:30, high:48 },
+  },
+  child_1_5: {
+    hb:{ low:11, high:14 }, wbc:{ low:5.5, high:15.5 }, plt:{ low:150, high:450 },
+    scr_umol:{ low:null, high:40 }, scr_mgdl:{ low:null, high:0.45 },
+    k:{ low:3.4, high:4.7 }, phos:{ low:1.2, high:2.0 }, alp:{ low:null, high:320 },
+  },
+  child_6_11: {
+    hb:{ low:11.5, high:15.5 }, wbc:{ low:4.5, high:13.5 }, plt:{ low:150, high:450 },
+    scr_umol:{ low:null, high:60 }, scr_mgdl:{ low:null, high:0.7 },
+    k:{ low:3.4, high:4.7 }, phos:{ low:1.2, high:1.8 }, alp:{ low:null, high:360 },
+  },
+  adolescent: {
+    hb:{ low:12, high:16 }, wbc:{ low:4.5, high:11 }, plt:{ low:150, high:450 },
+    scr_umol:{ low:null, high:90 }, scr_mgdl:{ low:null, high:1.0 },
+    phos:{ low:0.9, high:1.5 }, alp:{ low:null, high:500 },
+  },
+  // Sex overrides above are adult values; children share one range until adolescence
+  "male.adolescent":   { hb:{ low:13, high:16 }, scr_umol:{ low:null, high:90 }, scr_mgdl:{ low:null, high:1.0 } },
+  "female.adolescent": { hb:{ low:12, high:16 }, scr_umol:{ low:null, high:80 }, scr_mgdl:{ low:null, high:0.9 } },
+};
+
+const PEDIATRIC_BANDS = new Set(["neonate","infant","child_1_5","child_6_11","adolescent"]);
+
+/* =========================================================
+   RESOLUTION
+   siteOverrides: JSON strings or objects (env.LAB_RANGES, body.lab_ranges)
+========================================================= */
+export function resolveLabRanges({ sex=null, age=null }={}, ...siteOverrides) {
+  const band    = labAgeBand(age);
+  const sexKey  = /^f/i.test(String(sex||"")) ? "female" : /^m/i.test(String(sex||"")) ? "male" : null;
+  const pediatric = band&&PEDIATRIC_BANDS.has(band.id);
+  // Pediatric bands carry their own sex-neutral values; adult sex ranges apply only from 18 y
+  const selectors = ["all", band?.id, pediatric ? null : sexKey, sexKey&&band ? `${sexKey}.${band.id}` : null].filter(Boolean);
+
+  const ranges = Object.fromEntries(Object.entries(LAB_RANGES).map(([k, r])=>[k, { ...r }]));
+  for (const sel of selectors) applyOverrides(ranges, RANGE_OVERRIDES[sel]);
+
+  const site = siteOverrides.map(parseOverrides).filter(Boolean);
+  let siteApplied = false;
+  for (const o of site) for (const sel of selectors) siteApplied = applyOverrides(ranges, o[sel]) || siteApplied;
+
+  return {
+    ranges,
+    profile: {
+      sex: sexKey,
+      band: band?.id || null,
+      label: [band?.label || "Adult (age unknown)", pediatric ? null : sexKey].filter(Boolean).join(", "),
+      pediatric: !!pediatric,
+      site_overrides: siteApplied,
+    },
+  };
+}
+
+export function labAgeBand(ageYears) {
+  if (ageYears==null) return null;
+  const peds = pediatricAgeBand(ageYears);
+  if (peds) return { id:peds.id, label:peds.label };
+  return ADULT_BANDS.find(b=>ageYears<b.max_y);
+}
+
+function applyOverrides(ranges, overrides) {
+  if (!overrides||typeof overrides!=="object") return false;
+  let applied = false;
+  for (const [key, r] of Object.entries(overrides)) {
+    if (!ranges[key]||!r||typeof r!=="object") continue;
+    if ("low"  in r) ranges[key].low  = toLimit(r.low);
+    if ("high" in r) ranges[key].high = toLimit(r.high);
+    applied = true;
+  }
+  return applied;
+}
+
+function parseOverrides(o) {
+  let p = o;
+  if (typeof p==="string") { try { p = JSON.parse(p); } catch { p = null; } }
+  return p&&typeof p==="object" ? p : null;
+}
+
+function toLimit(v) {
+  if (v==null||v==="") return null;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+}
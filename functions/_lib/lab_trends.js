@@ -0,0 +1,225 @@
+// File: /functions/_lib/lab_trends.js
+// Serial lab results → deltas, rates and clinical trend patterns.
+//
+//   Every series   — first / last / min / max, Δ, % change, rate per 24 h
+//   AKI (KDIGO)    — SCr rise ≥26.5 µmol/L within 48 h, or ≥1.5× baseline
+//                    within 7 days (baseline: documented, else the lowest
+//                    value in the 7 days before the rise);
+//                    stage 1 ≥1.5× | 2 ≥2× | 3 ≥3× or SCr ≥353.6 µmol/L with an acute rise
+//   Platelet fall  — % fall from the preceding peak; onset day counted from
+//                    heparin start when known (4T timing: day 5–10 typical)
+//   INR rise       — ≥0.5 above the series minimum and still rising
+//
+// Points are { date | day | hours, value, unit }. Without times, order is
+// taken as given and time-based criteria are not applied.
+
+import { convertLabValue } from "./lab_units.js";
+
+const AKI_DELTA_UMOL  = 26.5;
+const AKI_WINDOW_H    = 48;
+const AKI_RATIO       = 1.5;
+const AKI_RATIO_WINDOW_H = 168;
+const AKI_STAGE3_UMOL = 353.6;
+const PLT_FALL_PCT    = 30;
+const INR_RISE        = 0.5;
+
+/* =========================================================
+   ENTRY POINT
+   series: { analyte: [points] } as extracted
+   baselineScrUmol: documented baseline; heparinStart: ISO date of first heparin dose
+   pediatric: patient is a child (creatinine unit guess, see lab_units.js)
+========================================================= */
+export function analyzeLabTrends(series, { baselineScrUmol=null, heparinStart=null, pediatric=false }={}) {
+  const normalized = {};
+  const conversions = [];
+  for (const [key, points] of Object.entries(series||{})) {
+    const s = normalizeSeries(key, points, conversions, { pediatric });
+    if (s.length) normalized[key] = s;
+  }
+
+  const trends = {};
+  for (const [key, s] of Object.entries(normalized)) if (s.length>=2) trends[key] = summarize(s);
+
+  return {
+    series: normalized,
+    trends,
+    aki: detectAki(normalized.scr_umol||[], baselineScrUmol),
+    platelet_fall: detectPlateletFall(normalized.plt||[], heparinStart),
+    inr_rise: detectInrRise(normalized.inr||[]),
+    conversions,
+  };
+}
+
+// Latest value per analyte, for filling the single-value labs block
+export function latestValues(trendResult) {
+  return Object.fromEntries(Object.entries(trendResult?.series||{}).map(([k, s])=>[k, s[s.length-1].value]));
+}
+
+/* =========================================================
+   SERIES
+========================================================= */
+function normalizeSeries(key, points, conversions, opts) {
+  if (!Array.isArray(points)) return [];
+  const raw = points.map((p, i)=>{
+    const obj  = p && typeof p==="object" ? p : { value:p };
+    const conv = convertLabValue(key, obj.value, obj.unit, opts);
+    if (conv.conversion) conversions.push({ ...conv.conversion, date:obj.date||obj.day||null });
+    const day  = toNumber(String(obj.day??"").replace(/^\D+/,""));
+    const hours = toNumber(obj.hours);
+    return { value:conv.value, date:obj.date||null, day, hours, label:obj.date||(day!=null ? `D${day}` : hours!=null ? `${hours} h` : null) };
+  }).filter(p=>p.value!=null);
+
+  const ms = raw.map(p=>p.date ? Date.parse(p.date) : NaN);
+  const allDated = raw.length&&ms.every(t=>!Number.isNaN(t));
+  const allDays  = raw.length&&raw.every(p=>p.day!=null);
+  const allHours = raw.length&&raw.every(p=>p.hours!=null);
+  for (let i=0; i<raw.length; i++) {
+    raw[i].t = allDated ? ms[i]/3.6e6 : allDays ? (raw[i].day-1)*24 : allHours ? raw[i].hours : null;
+  }
+  const timed = raw.every(p=>p.t!=null);
+  if (timed) {
+    raw.sort((a,b)=>a.t-b.t);
+    const t0 = raw[0].t;
+    for (const p of raw) p.t = round(p.t-t0, 1);
+  }
+  return raw.map(({ value, t, label, date, day })=>({ value, t_h:t, label, date, day }));
+}
+
+function summarize(s) {
+  const first = s[0], last = s[s.length-1], prev = s[s.length-2];
+  const values = s.map(p=>p.value);
+  const span  = last.t_h!=null ? last.t_h-first.t_h : null;
+  const step  = last.t_h!=null ? last.t_h-prev.t_h : null;
+  const delta = last.value-first.value;
+  return {
+    n: s.length,
+    first: first.value, last: last.value, min: Math.min(...values), max: Math.max(...values),
+    delta: round(delta, 2),
+    pct_change: first.value ? round(delta/first.value*100, 1) : null,
+    span_h: span,
+    rate_per_24h: step ? round((last.value-prev.value)/step*24, 2) : null,
+    direction: Math.abs(delta)<1e-9 ? "stable" : delta>0 ? "rising" : "falling",
+    values: s.map(p=>p.value),
+  };
+}
+
+/* =========================================================
+   AKI — KDIGO SCr criteria
+========================================================= */
+function detectAki(s, documentedBaseline) {
+  if (!s.length) return null;
+  const timed = s.every(p=>p.t_h!=null);
+  let absolute = null;
+  if (timed) {
+    for (let j=1; j<s.length&&!absolute; j++) for (let i=0; i<j; i++) {
+      if (s[j].t_h-s[i].t_h<=AKI_WINDOW_H&&s[j].value-s[i].value>=AKI_DELTA_UMOL) {
+        absolute = { from:s[i].value, to:s[j].value, hours:round(s[j].t_h-s[i].t_h, 1) }; break;
+      }
+    }
+  }
+  const seriesMin = Math.min(...s.map(p=>p.value));
+  const peakIdx   = s.reduce((bi, p, i)=>p.value>=s[bi].value ? i : bi, 0);
+  const peak      = s[peakIdx].value;
+  let baseline = documentedBaseline || (s.length>=2 ? seriesMin : null);
+  let ratio = null, ratioHours = null;
+  if (documentedBaseline) ratio = round(peak/documentedBaseline, 2);
+  else if (timed) {
+    // Series baseline: the lowest value in the 7 days before each later value
+    for (let j=1; j<s.length; j++) for (let i=0; i<j; i++) {
+      if (s[j].t_h-s[i].t_h>AKI_RATIO_WINDOW_H) continue;
+      const r = round(s[j].value/s[i].value, 2);
+      if (ratio==null||r>ratio) { ratio = r; baseline = s[i].value; ratioHours = round(s[j].t_h-s[i].t_h, 1); }
+    }
+  } else if (s.length>=2&&s.slice(0, peakIdx+1).some(p=>p.value===seriesMin)) {
+    // Untimed: a series baseline only counts if it precedes the peak
+    ratio = round(peak/seriesMin, 2);
+  }
+  const byRatio   = ratio!=null&&ratio>=AKI_RATIO;
+  if (!absolute&&!byRatio) return { aki:false, baseline_umol:baseline, peak_umol:peak, ratio, criterion:null, stage:null, status:null };
+
+  const stage = ratio>=3||(peak>=AKI_STAGE3_UMOL&&absolute) ? 3 : ratio>=2 ? 2 : 1;
+  const last  = s[s.length-1].value;
+  return {
+    aki: true,
+    stage,
+    criterion: [absolute ? `SCr +${round(absolute.to-absolute.from,1)} µmol/L in ${absolute.hours} h` : null,
+      byRatio ? `SCr ${ratio}× baseline ${baseline} µmol/L${ratioHours!=null ? ` within ${ratioHours} h` : ""}` : null].filter(Boolean).join("; "),
+    baseline_umol: baseline,
+    baseline_source: documentedBaseline ? "documented" : "lowest value in series",
+    peak_umol: peak,
+    ratio,
+    status: last<peak-AKI_DELTA_UMOL ? "recovering" : peakIdx===s.length-1 ? "worsening" : "plateau",
+  };
+}
+
+/* =========================================================
+   PLATELETS — fall from preceding peak
+========================================================= */
+function detectPlateletFall(s, heparinStart) {
+  if (s.length<2) return null;
+  let best = null;
+  for (let i=0; i<s.length; i++) for (let j=i+1; j<s.length; j++) {
+    const pct = (s[i].value-s[j].value)/s[i].value*100;
+    if (pct>0&&(!best||pct>best.pct)) best = { i, j, pct };
+  }
+  if (!best) return { falling:false, fall_pct:0 };
+  const peak = s[best.i], nadir = s[best.j], onset = s[best.i+1];
+  // heparinStart: ISO date (dated series) or hospital day ("D3", 3) for day-numbered series
+  let onsetDay = null;
+  const startMs  = heparinStart ? Date.parse(heparinStart) : NaN;
+  const startDay = toNumber(String(heparinStart??"").replace(/^\D+/,""));
+  if (!Number.isNaN(startMs)&&onset.date&&!Number.isNaN(Date.parse(onset.date))) onsetDay = Math.floor((Date.parse(onset.date)-startMs)/86400000);
+  else if (startDay!=null&&onset.day!=null) onsetDay = onset.day-startDay;
+  return {
+    falling: best.pct>=PLT_FALL_PCT,
+    fall_pct: round(best.pct, 1),
+    peak: peak.value, nadir: nadir.value,
+    peak_at: peak.label, nadir_at: nadir.label,
+    onset_at: onset.label,
+    onset_day_of_heparin: onsetDay,
+    still_falling: best.j===s.length-1,
+  };
+}
+
+/* =========================================================
+   INR — rising trend
+========================================================= */
+function detectInrRise(s) {
+  if (s.length<2) return null;
+  const min  = Math.min(...s.map(p=>p.value));
+  const last = s[s.length-1], prev = s[s.length-2];
+  const rise = round(last.value-min, 2);
+  const step = last.t_h!=null&&prev.t_h!=null ? last.t_h-prev.t_h : null;
+  return {
+    rising: rise>=INR_RISE&&last.value>prev.value,
+    rise, from: min, to: last.value,
+    rate_per_24h: step ? round((last.value-prev.value)/step*24, 2) : null,
+  };
+}
+
+/* =========================================================
+   FORMATTING
+========================================================= */
+const TREND_LABELS = { scr_umol:["SCr","µmol/L"], plt:["Platelets","×10⁹/L"], inr:["INR",""], k:["K","mmol/L"], hb:["Hb","g/dL"], wbc:["WBC","×10⁹/L"],
+  bili_t:["Bilirubin","µmol/L"], alt:["ALT","U/L"], na:["Na","mmol/L"], urea:["Urea","mmol/L"], lactate:["Lactate","mmol/L"], crp:["CRP","mg/L"] };
+
+export function formatTrendLines(t) {
+  if (!t) return [];
+  const lines = [];
+  for (const [key, tr] of Object.entries(t.trends||{})) {
+    const [label, unit] = TREND_LABELS[key] || [key, ""];
+    const span = tr.span_h!=null ? ` over ${tr.span_h} h` : "";
+    lines.push(`- ${label}: ${tr.values.join(" → ")}${unit?` ${unit}`:""} (Δ ${tr.delta>0?"+":""}${tr.delta}${span})`);
+  }
+  if (t.aki?.aki) lines.push(`- ⚠ AKI — KDIGO stage ${t.aki.stage} (${t.aki.criterion}), ${t.aki.status}`);
+  if (t.platelet_fall?.falling) lines.push(`- ⚠ Platelets fell ${t.platelet_fall.fall_pct}% (${t.platelet_fall.peak} → ${t.platelet_fall.nadir})${t.platelet_fall.onset_day_of_heparin!=null ? `, onset day ${t.platelet_fall.onset_day_of_heparin} of heparin` : ""}`);
+  if (t.inr_rise?.rising) lines.push(`- ⚠ INR rising ${t.inr_rise.from} → ${t.inr_rise.to}${t.inr_rise.rate_per_24h!=null ? ` (+${t.inr_rise.rate_per_24h}/24 h)` : ""}`);
+  return lines;
+}
+
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v));
+  return Number.isNaN(n) ? null : n;
+}
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
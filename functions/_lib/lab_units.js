@@ -0,0 +1,95 @@
+// File: /functions/_lib/lab_units.js
+// Lab unit detection and conversion to the v3 normalized units.
+//
+//   Glucose, urea, BUN, Ca, Mg, phosphate — mmol/L (from mg/dL; Ca/Mg also mEq/L)
+//   Creatinine (scr_umol, scr_baseline_umol) and bilirubin — µmol/L (from mg/dL)
+//   scr_mgdl — mg/dL (from µmol/L)
+//
+// The unit comes from the value string ("180 mg/dL"), the extractor's
+// lab_units map, or — only where the two units cannot overlap clinically —
+// the magnitude (glucose ≥60, Ca ≥5, creatinine <20 in scr_umol). Every
+// conversion records the original value and unit.
+//
+// Children (opts.pediatric): infant creatinine in µmol/L is often below 20,
+// so an unlabelled value is only read as mg/dL below 2; between 2 and 20 it is
+// kept as µmol/L with a warning asking for the unit.
+
+const MGDL = "mg/dL", MMOL = "mmol/L", UMOL = "µmol/L", MEQ = "mEq/L";
+const PEDIATRIC_SCR_MGDL_MAX = 2;
+
+// Creatinine in scr_umol / scr_baseline_umol without a unit
+const scrGuess     = (v, { pediatric }={})=>v<(pediatric ? PEDIATRIC_SCR_MGDL_MAX : 20) ? MGDL : null;
+const scrAmbiguous = (v, { pediatric }={})=>pediatric && v>=PEDIATRIC_SCR_MGDL_MAX && v<20;
+
+const UNIT_RULES = {
+  glucose:           { unit:MMOL, from:{ [MGDL]:(v)=>v/18.016 },           guess:(v)=>v>=60 ? MGDL : null, dp:1 },
+  urea:              { unit:MMOL, from:{ [MGDL]:(v)=>v/6.006 },            dp:1 },
+  bun:               { unit:MMOL, from:{ [MGDL]:(v)=>v*0.357 },            dp:1 },
+  ca:                { unit:MMOL, from:{ [MGDL]:(v)=>v/4.008, [MEQ]:(v)=>v/2 }, guess:(v)=>v>=5 ? MGDL : null, dp:2 },
+  mg:                { unit:MMOL, from:{ [MGDL]:(v)=>v/2.431, [MEQ]:(v)=>v/2 }, dp:2 },
+  phos:              { unit:MMOL, from:{ [MGDL]:(v)=>v/3.097 },            dp:2 },
+  scr_umol:          { unit:UMOL, from:{ [MGDL]:(v)=>v*88.4 },             guess:scrGuess, ambiguous:scrAmbiguous, dp:0 },
+  scr_baseline_umol: { unit:UMOL, from:{ [MGDL]:(v)=>v*88.4 },             guess:scrGuess, ambiguous:scrAmbiguous, dp:0 },
+  scr_mgdl:          { unit:MGDL, from:{ [UMOL]:(v)=>v/88.4 },             guess:(v)=>v>=20 ? UMOL : null, dp:2 },
+  bili_t:            { unit:UMOL, from:{ [MGDL]:(v)=>v*17.1 },             dp:0 },
+};
+
+/* =========================================================
+   ENTRY POINT
+   labs: extractor's labs (numbers or strings with units)
+   units: optional { key: "unit as written" }
+   opts:  { pediatric } — patient is a child
+========================================================= */
+export function normalizeLabUnits(labs, units={}, opts={}) {
+  const out         = {};
+  const conversions = [];
+  const warnings    = [];
+  const unitMap     = units && typeof units==="object" ? units : {};
+
+  for (const [key, raw] of Object.entries(labs||{})) {
+    const r = convertLabValue(key, raw, unitMap[key], opts);
+    out[key] = r.value;
+    if (r.conversion) conversions.push(r.conversion);
+    if (r.warning)    warnings.push(r.warning);
+  }
+  return { labs:out, conversions, warnings };
+}
+
+// One value → { value (normalized unit), conversion|null, warning|null }
+export function convertLabValue(key, raw, statedUnit=null, opts={}) {
+  const parsed = parseLabValue(raw);
+  if (parsed.value==null) return { value:null, conversion:null, warning:null };
+  const rule   = UNIT_RULES[key];
+  if (!rule) return { value:parsed.value, conversion:null, warning:null };
+  const stated = canonicalUnit(parsed.unit) || canonicalUnit(statedUnit);
+  const unit   = stated || rule.guess?.(parsed.value, opts) || null;
+  if (!unit && rule.ambiguous?.(parsed.value, opts)) {
+    return { value:parsed.value, conversion:null, warning:`${key}: ${parsed.value} has no unit and could be mg/dL or ${rule.unit} in a child — kept as ${rule.unit}; confirm the unit.` };
+  }
+  if (!unit||unit===rule.unit) return { value:parsed.value, conversion:null, warning:null };
+  const convert = rule.from[unit];
+  if (!convert) return { value:parsed.value, conversion:null, warning:`${key}: unit "${parsed.unit||statedUnit}" not recognised — value kept as ${rule.unit}.` };
+  const value = round(convert(parsed.value), rule.dp);
+  return { value, warning:null, conversion:{ key, original_value:parsed.value, original_unit:unit, value, unit:rule.unit, basis: stated ? "stated unit" : "magnitude" } };
+}
+
+// "180 mg/dL" → { value:180, unit:"mg/dL" }; "<0.5" → 0.5
+export function parseLabValue(raw) {
+  if (raw==null||raw==="") return { value:null, unit:null };
+  if (typeof raw==="number") return { value:Number.isNaN(raw) ? null : raw, unit:null };
+  const m = String(raw).trim().match(/^[<>≤≥~]?\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!m) return { value:null, unit:null };
+  return { value:parseFloat(m[1]), unit:m[2].trim()||null };
+}
+
+function canonicalUnit(u) {
+  const s = String(u||"").toLowerCase().replace(/\s+/g,"");
+  if (!s) return null;
+  if (s==="mg/dl"||s==="mg%") return MGDL;
+  if (s==="mmol/l"||s==="mm") return MMOL;
+  if (s==="µmol/l"||s==="umol/l"||s==="μmol/l"||s==="micromol/l") return UMOL;
+  if (s==="meq/l") return MEQ;
+  return s;
+}
+
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
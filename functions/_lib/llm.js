@@ -0,0 +1,39 @@
+// File: /functions/_lib/llm.js
+// Chat-completion client used by /api/ask.
+//
+// Every client exposes:
+//   complete({ system, user, max_tokens, model }) → Promise<string|null>
+//   (null when the model returned nothing)
+//
+// Default: OpenAI chat completions with env.OPENAI_API_KEY.
+// env.LLM_CLIENT (an object with complete()) overrides it, e.g. in tests —
+// together with RETRIEVAL_BACKEND="local" the whole pipeline runs offline.
+
+/* =========================================================
+   CLIENT FACTORY
+========================================================= */
+export function createLlmClient(env) {
+  if (env.LLM_CLIENT && typeof env.LLM_CLIENT.complete==="function") return env.LLM_CLIENT;
+  return createOpenAIChatClient(env);
+}
+
+export function llmBackend(env) {
+  return env.LLM_CLIENT ? "custom" : "openai";
+}
+
+/* =========================================================
+   OPENAI CHAT COMPLETIONS
+========================================================= */
+export function createOpenAIChatClient(env) {
+  return {
+    async complete({ system, user, max_tokens=600, model="gpt-4o-mini" }) {
+      const res = await fetch("https://api.openai.com/v1/chat/completions", {
+        method:"POST",
+        headers:{ Authorization:`Bearer ${env.OPENAI_API_KEY}`, "Content-Type":"application/json" },
+        body: JSON.stringify({ model, temperature:0.2, max_tokens, messages:[{ role:"system",content:system },{ role:"user",content:user }] }),
+      });
+      const data = await res.json();
+      return data?.choices?.[0]?.message?.content || null;
+    },
+  };
+}
@@ -0,0 +1,215 @@
+// File: /functions/_lib/med_orders.js
+// Medication order parser.
+//
+// Turns the free strings from extractCaseJson ({ name, dose, route, frequency })
+// into numbers every downstream check can use:
+//   { drug, amount, unit, per_kg, dose_mg, route, interval_h, doses_per_day,
+//     daily_dose_mg, infusion_h, continuous, prn, stat, frequency_label }
+// dose_mg / daily_dose_mg are only set for mass units (g, mg, mcg).
+// doseLimitFindings() compares them with ADULT_DOSE_LIMITS (per dose and per day).
+
+import { resolveDrug } from "./drug_dictionary.js";
+
+/* =========================================================
+   NAME NORMALIZATION
+========================================================= */
+// Salt / hydrate / dosage-form words dropped after the base name
+const SALT_WORDS = new Set([
+  "hydrochloride","hcl","hydrobromide","sodium","disodium","potassium","calcium","magnesium",
+  "sulfate","sulphate","phosphate","maleate","mesylate","mesilate","besylate","besilate",
+  "tartrate","succinate","fumarate","citrate","acetate","bromide","monohydrate","dihydrate","trihydrate",
+]);
+const FORM_WORDS = new Set([
+  "tab","tabs","tablet","tablets","cap","caps","capsule","capsules","inj","injection","vial","amp","ampoule",
+  "infusion","syrup","suspension","solution","iv","po","sc","im","er","sr","xr","cr","mr",
+]);
+
+export function normalizeDrugName(name) {
+  const words = String(name||"").toLowerCase()
+    .replace(/\([^)]*\)/g," ")
+    .replace(/\d+(?:\.\d+)?\s*(?:mg|g|mcg|µg|units?|iu|miu|ml|%)\b.*$/,"")
+    .replace(/[^a-z\/\-\s]/g," ")
+    .split(/\s+/).filter(Boolean);
+  const kept = words.filter((w,i)=>i===0||(!SALT_WORDS.has(w)&&!FORM_WORDS.has(w)));
+  const base = kept.join(" ").replace(/\s*[\/+]\s*/g,"-").trim();
+  // Brands, misspellings and abbreviations resolve through the drug dictionary
+  return resolveDrug(base)?.generic || resolveDrug(name)?.generic || base;
+}
+
+/* =========================================================
+   ORDER PARSER
+========================================================= */
+export function parseMedicationOrder(med, { weightKg=null }={}) {
+  const m    = typeof med==="string" ? { name:med } : (med||{});
+  const text = [m.name, m.dose, m.route, m.frequency].filter(Boolean).join(" ");
+
+  // Dose may be embedded in the name when the extractor did not split it
+  const dose     = parseDoseAmount(m.dose) || parseDoseAmount(m.name);
+  const route    = normalizeRoute(m.route) || normalizeRoute(text);
+  const freq     = parseFrequency(m.frequency) || parseFrequency(text);
+  const infusion = parseInfusion(text);
+
+  let doseMg = null;
+  if (dose && MASS_TO_MG[dose.unit]!=null) {
+    doseMg = dose.amount*MASS_TO_MG[dose.unit];
+    if (dose.per_kg) doseMg = weightKg ? doseMg*weightKg : null;
+    if (doseMg!=null) doseMg = round(doseMg, 3);
+  }
+
+  const dosesPerDay = freq?.interval_h ? round(24/freq.interval_h, 3) : (freq?.stat ? 1 : null);
+  return {
+    drug:            normalizeDrugName(m.name),
+    amount:          dose?.amount ?? null,
+    unit:            dose?.unit ?? null,
+    per_kg:          dose?.per_kg ?? false,
+    dose_mg:         doseMg,
+    route,
+    interval_h:      freq?.interval_h ?? null,
+    frequency_label: freq?.label ?? null,
+    doses_per_day:   dosesPerDay,
+    daily_dose_mg:   doseMg!=null&&dosesPerDay!=null ? round(doseMg*dosesPerDay, 3) : null,
+    infusion_h:      infusion.hours,
+    continuous:      infusion.continuous,
+    prn:             /\b(prn|p\.r\.n\.?|as needed|as required|when required|if needed)\b/i.test(text),
+    stat:            !!freq?.stat,
+  };
+}
+
+/* =========================================================
+   DOSE
+========================================================= */
+const MASS_TO_MG = { g:1000, mg:1, mcg:0.001 };
+const UNIT_ALIASES = {
+  g:"g", gm:"g", gram:"g", grams:"g",
+  mg:"mg", milligram:"mg", milligrams:"mg",
+  mcg:"mcg", "µg":"mcg", ug:"mcg", microgram:"mcg", micrograms:"mcg",
+  unit:"units", units:"units", u:"units", iu:"units",
+  miu:"MIU", mu:"MIU", "million units":"MIU", "million iu":"MIU",
+  mmol:"mmol", meq:"mEq", ml:"mL",
+};
+
+export function parseDoseAmount(str) {
+  const s = String(str||"").toLowerCase().replace(/,/g,"");
+  const m = s.match(/(\d+(?:\.\d+)?)\s*(million\s+(?:units|iu)|mg|mcg|µg|ug|gm|grams?|g|milligrams?|micrograms?|miu|mu|units?|iu|u|mmol|meq|ml)\b(\s*\/\s*kg)?/);
+  if (!m) return null;
+  const unit = UNIT_ALIASES[m[2].replace(/\s+/g," ")];
+  if (!unit) return null;
+  return { amount:parseFloat(m[1]), unit, per_kg:!!m[3] };
+}
+
+/* =========================================================
+   ROUTE
+========================================================= */
+export const ROUTES = ["IV","IM","SC","PO","SL","PR","NG","INH","TOP"];
+
+export function normalizeRoute(str) {
+  const s = String(str||"").toLowerCase();
+  if (!s) return null;
+  if (/\b(iv|i\.v\.?|intravenous(ly)?|ivpb|iv infusion|ivi)\b/.test(s)) return "IV";
+  if (/\b(im|i\.m\.?|intramuscular(ly)?)\b/.test(s))                      return "IM";
+  if (/\b(sc|s\.c\.?|sq|subcut|subcutaneous(ly)?)\b/.test(s))             return "SC";
+  if (/\b(ng|ngt|nasogastric|peg|via tube)\b/.test(s))                    return "NG";
+  if (/\b(sl|sublingual(ly)?)\b/.test(s))                                 return "SL";
+  if (/\b(pr|rectal(ly)?|supp(ository)?)\b/.test(s))                      return "PR";
+  if (/\b(inh|inhaled|inhalation|neb(ulised|ulized)?|mdi|puffs?)\b/.test(s)) return "INH";
+  if (/\b(top|topical(ly)?|cream|ointment|patch)\b/.test(s))              return "TOP";
+  if (/\b(po|p\.o\.?|oral(ly)?|per os|by mouth|tabs?|tablets?|caps?)\b/.test(s)) return "PO";
+  return null;
+}
+
+/* =========================================================
+   FREQUENCY
+========================================================= */
+export function parseFrequency(str) {
+  const s = String(str||"").toLowerCase();
+  if (!s) return null;
+  let m = s.match(/\bq\s*(\d+(?:\.\d+)?)(?:\s*-\s*\d+)?\s*(?:h|hr|hrs|hours?|hourly)\b/)
+       || s.match(/\bevery\s+(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*\d+)?\s*(?:h|hr|hrs|hours?)\b/)
+       || s.match(/\b(\d+(?:\.\d+)?)\s*(?:-\s*)?hourly\b/);
+  // Ranges (q4-6h) keep the shortest interval — the worst case for max daily dose
+  if (m) return withLabel(parseFloat(m[1]));
+  if (/\bq\s*(\d+)\s*d\b/.test(s)) return withLabel(parseInt(s.match(/\bq\s*(\d+)\s*d\b/)[1],10)*24);
+  if (/\b(qid|q\.i\.d\.?|qds|q\.d\.s\.?)\b|four times/.test(s))          return withLabel(6);
+  if (/\b(tid|t\.i\.d\.?|tds|t\.d\.s\.?)\b|three times/.test(s))         return withLabel(8);
+  if (/\b(bid|b\.i\.d\.?|bd|b\.d\.?)\b|twice/.test(s))                   return withLabel(12);
+  if (/\b(qod|every other day|alternate days?)\b/.test(s))               return withLabel(48);
+  if (/\b(weekly|once a week|q\s*week)\b/.test(s))                       return withLabel(168);
+  if (/\b(od|o\.d\.?|qd|q\.d\.?|daily|once daily|once a day|nocte|qhs|hs|mane|at night)\b/.test(s)) return withLabel(24);
+  if (/\b(stat|once only|single dose|one dose|x\s*1)\b/.test(s))        return { interval_h:null, label:"STAT", stat:true };
+  return null;
+}
+
+function withLabel(h) {
+  return { interval_h:h, label:`Q${h}H`, stat:false };
+}
+
+/* =========================================================
+   INFUSION
+========================================================= */
+export function parseInfusion(str) {
+  const s = String(str||"").toLowerCase();
+  const continuous = /\b(continuous|cont\.?\s*inf|ci\b|over\s+24\s*(h|hr|hours?))/.test(s);
+  const m = s.match(/\bover\s+(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|min|mins|minutes?)\b/)
+         || s.match(/\b(?:ei|extended(?: infusion)?)\s+(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?)\b/);
+  let hours = null;
+  if (m) hours = /^m/.test(m[2]) ? round(parseFloat(m[1])/60, 3) : parseFloat(m[1]);
+  return { hours, continuous };
+}
+
+/* =========================================================
+   ADULT DAILY / SINGLE-DOSE MAXIMUM
+   Keyed by dictionary generic. A frequency error (1 g q2h) passes a per-dose
+   check, so the parsed daily dose is compared too; PRN orders are checked at
+   the most they allow. Children are checked by pediatric.js instead.
+========================================================= */
+export const ADULT_DOSE_LIMITS = {
+  "paracetamol":   { max_daily_mg:4000, max_dose_mg:1000 },
+  "ibuprofen":     { max_daily_mg:3200, max_dose_mg:800 },
+  "naproxen":      { max_daily_mg:1500, max_dose_mg:1000 },
+  "diclofenac":    { max_daily_mg:150,  max_dose_mg:75 },
+  "ketorolac":     { max_daily_mg:120,  max_dose_mg:60 },
+  "celecoxib":     { max_daily_mg:400,  max_dose_mg:400 },
+  "indomethacin":  { max_daily_mg:200,  max_dose_mg:75 },
+  "ondansetron":   { max_daily_mg:32,   max_dose_mg:16 },
+  "domperidone":   { max_daily_mg:30,   max_dose_mg:10 },
+  "metformin":     { max_daily_mg:3000, max_dose_mg:1000 },
+  "citalopram":    { max_daily_mg:40,   max_dose_mg:40 },
+  "escitalopram":  { max_daily_mg:20,   max_dose_mg:20 },
+  "quetiapine":    { max_daily_mg:800,  max_dose_mg:800 },
+  "haloperidol":   { max_daily_mg:20,   max_dose_mg:10 },
+  "atorvastatin":  { max_daily_mg:80,   max_dose_mg:80 },
+  "rosuvastatin":  { max_daily_mg:40,   max_dose_mg:40 },
+  "simvastatin":   { max_daily_mg:40,   max_dose_mg:40 },
+  "omeprazole":    { max_daily_mg:120,  max_dose_mg:80 },
+  "pantoprazole":  { max_daily_mg:240,  max_dose_mg:80 },
+};
+
+// Rule-engine findings (shape matches runSafetyRules output)
+export function doseLimitFindings(medications) {
+  const out = [];
+  for (const med of (medications||[])) {
+    const o = med.parsed, limit = o && ADULT_DOSE_LIMITS[o.drug];
+    if (!limit||o.dose_mg==null) continue;
+    const issues = [];
+    if (limit.max_dose_mg&&o.dose_mg>limit.max_dose_mg) issues.push(`single dose ${o.dose_mg} mg > max ${limit.max_dose_mg} mg`);
+    if (o.daily_dose_mg!=null&&o.daily_dose_mg>limit.max_daily_mg) {
+      issues.push(`${o.dose_mg} mg ${o.frequency_label} = ${o.daily_dose_mg} mg/day${o.prn ? " if given as often as ordered" : ""} > max ${limit.max_daily_mg} mg/day`);
+    }
+    if (!issues.length) continue;
+    const ratio = Math.max(o.dose_mg/(limit.max_dose_mg||Infinity), (o.daily_dose_mg??0)/limit.max_daily_mg);
+    out.push({
+      id: `DOSE_MAX_${o.drug.toUpperCase().replace(/[^A-Z]/g,"_")}`,
+      severity: ratio>=1.5 ? "Critical" : "Major",
+      problem: `${med.name}: ${issues.join("; ")}.`,
+      recommendation: `Reduce to ≤${limit.max_dose_mg ? `${limit.max_dose_mg} mg per dose and ` : ""}${limit.max_daily_mg} mg/day; check the ordered frequency${o.prn ? " and add a daily maximum to the PRN order" : ""}.`,
+      queries: [`${o.drug} maximum daily dose`],
+      source: "dose_limit_check", reference: "Adult maximum dose table (code)",
+    });
+  }
+  return out;
+}
+
+function round(n, dp) {
+  const f = 10**dp;
+  return Math.round(n*f)/f;
+}
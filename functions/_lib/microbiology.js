@@ -0,0 +1,357 @@
+// File: /functions/_lib/microbiology.js
+// Culture & sensitivity reports → normalized isolates and bug–drug checks.
+//
+//   Isolate       — specimen, collection date, organism, colony count (CFU/mL),
+//                   per-antibiotic S/I/R with MIC as reported
+//   Significance  — urine <10³ CFU/mL or mixed growth → not significant;
+//                   10³–10⁵, skin flora in blood, Candida in urine/sputum →
+//                   "confirm" (findings drop one severity level)
+//   Coverage      — each current antimicrobial vs each isolate: reported S/I/R
+//                   first; without a result, intrinsic resistance (EUCAST
+//                   expected resistant phenotypes) → inactive; else untested
+//   Findings      — MICRO_RESISTANT: isolate only covered by agents reported R/I
+//                   MICRO_MISMATCH:  isolate not covered (intrinsic/spectrum), or
+//                                    an agent inactive against every isolate
+//                   MICRO_NARROWER:  a narrower agent is reported S for every isolate
+//
+// Lab-reported results always win over intrinsic tables; MIC values are shown
+// as written and never re-interpreted against breakpoints here.
+
+import { drugProfile, profileMatches } from "./drug_dictionary.js";
+import { ANTIMICROBIAL_CLASSES, SPECTRUM_RANK } from "./stewardship.js";
+
+const SIGNIFICANT_CFU = 1e5;
+const MIN_CFU         = 1e3;
+
+const NO_GROWTH_RE  = /\b(no growth|negative|sterile|ngtd|no organisms?)\b/i;
+const MIXED_RE      = /\b(mixed (?:growth|flora)|mixed organisms|contaminat\w*|perineal flora|normal flora|commensal)\b/i;
+const SKIN_FLORA_RE = /\b(coagulase[- ]negative|cons|s\.? ?epidermidis|diphtheroids?|corynebacter\w*|micrococc\w*|bacillus species|cutibacterium|propionibacter\w*)\b/i;
+const FUNGAL_RE     = /\b(candida|c\.? ?(?:albicans|auris|glabrata|krusei|parapsilosis|tropicalis)|aspergill\w*|cryptococc\w*|yeasts?|fung\w*)\b/i;
+const GRAM_NEG_RE   = /\b(escherichia|e\.? ?coli|klebsiella|enterobacter|citrobacter|serratia|proteus|morganella|providencia|hafnia|salmonella|shigella|pseudomonas|acinetobacter|stenotrophomonas|burkholderia|haemophilus|moraxella|neisseria|gram[- ]negative\w*|coliforms?|enterobacterales|esbl)\b/i;
+// Enterobacterales and non-fermenters — not Neisseria / Haemophilus / Moraxella
+const ENTERIC_NF_RE = /\b(escherichia|e\.? ?coli|klebsiella|enterobacter|citrobacter|serratia|proteus|morganella|providencia|hafnia|salmonella|shigella|pseudomonas|acinetobacter|stenotrophomonas|burkholderia|gram[- ]negative bacill\w*|coliforms?|enterobacterales|esbl)\b/i;
+const GRAM_POS_RE   = /\b(staph\w*|s\.? ?aureus|mrsa|mssa|streptococc\w*|s\.? ?pneumoniae|pneumococc\w*|enterococc\w*|e\.? ?faec(?:alis|ium)|vre|listeria|gram[- ]positive\w*)\b|\bcons\b/i;
+const URINE_RE      = /\b(urine|msu|csu|urinary|catheter urine)\b/i;
+const RESP_RE       = /\b(sputum|bal|bronch\w*|tracheal|endotracheal|eta)\b/i;
+const BLOOD_RE      = /\bblood\b/i;
+const URINARY_ONLY  = ["nitrofurantoin","fosfomycin"];
+const MRSA_ONLY     = ["vancomycin","teicoplanin","daptomycin","linezolid"];
+
+// Expected resistant phenotypes — terms are generics or dictionary classes (exact)
+const INTRINSIC = [
+  { re:FUNGAL_RE,   inactive:"antibacterial", note:"antibacterials have no antifungal activity" },
+  { re:GRAM_NEG_RE, inactive:["glycopeptide","oxazolidinone","daptomycin","lincosamide","azole-antifungal"], note:"no gram-negative activity" },
+  { re:ENTERIC_NF_RE, inactive:["flucloxacillin","cloxacillin","benzylpenicillin"], note:"no activity against Enterobacterales / non-fermenters" },
+  { re:GRAM_POS_RE, inactive:["monobactam","polymyxin","azole-antifungal"], note:"no gram-positive activity" },
+  { re:/\b(escherichia|e\.? ?coli|klebsiella|enterobacter|citrobacter|serratia|proteus|pseudomonas|acinetobacter|stenotrophomonas|staph\w*|s\.? ?aureus|mrsa|mssa|streptococc\w*|enterococc\w*|e\.? ?faec\w*|coliforms?)\b/i,
+    inactive:["nitroimidazole"], note:"metronidazole has no aerobic activity" },
+  { re:/\b(enterococc\w*|e\.? ?faec(?:alis|ium)|vre)\b/i, inactive:["cephalosporin","lincosamide","trimethoprim-sulfamethoxazole","ertapenem"], note:"enterococci are intrinsically resistant to cephalosporins, clindamycin, TMP-SMX and ertapenem" },
+  { re:/\b(vre|vancomycin[- ]resistant)\b/i, inactive:["glycopeptide"], note:"vancomycin-resistant enterococcus" },
+  { re:/\b(mrsa|methicillin[- ]resistant)\b/i, inactive:["beta-lactam"], note:"MRSA — beta-lactams inactive (except ceftaroline/ceftobiprole)" },
+  { re:/\b(p\.? ?aeruginosa|pseudomonas)\b/i, inactive:["cefazolin","cefalexin","cefuroxime","ceftriaxone","ertapenem","amoxicillin","amoxicillin-clavulanate","ampicillin","ampicillin-sulbactam","trimethoprim-sulfamethoxazole","tetracycline","glycylcycline","nitrofuran"], note:"no antipseudomonal activity" },
+  { re:/\b(acinetobacter|a\.? ?baumannii)\b/i, inactive:["ertapenem","amoxicillin","amoxicillin-clavulanate","ampicillin","cefazolin","cefalexin","cefuroxime","monobactam","nitrofuran"], note:"intrinsic Acinetobacter resistance" },
+  { re:/\bstenotrophomonas\b/i, inactive:["carbapenem","aminoglycoside"], note:"Stenotrophomonas — intrinsic carbapenemase (L1) and aminoglycoside resistance" },
+  { re:/\b(enterobacter|k\.? ?aerogenes|citrobacter freundii|serratia|morganella|hafnia|providencia)\b/i, inactive:["amoxicillin","amoxicillin-clavulanate","ampicillin","ampicillin-sulbactam","cefazolin","cefalexin","cefuroxime"], note:"chromosomal AmpC" },
+  { re:/\b(klebsiella|k\.? ?pneumoniae)\b/i, inactive:["amoxicillin","ampicillin"], note:"Klebsiella — intrinsic penicillinase" },
+  { re:/\b(proteus|morganella|providencia|serratia)\b/i, inactive:["polymyxin","nitrofuran","glycylcycline"], note:"intrinsic polymyxin / nitrofurantoin / tigecycline resistance" },
+  { re:/\b(c\.? ?krusei|candida krusei)\b/i, inactive:["fluconazole"], note:"C. krusei is intrinsically fluconazole-resistant" },
+];
+
+/* =========================================================
+   NORMALIZE
+   raw: [{ specimen, date, organism, colony_count,
+           susceptibilities: [{ antibiotic, result, mic }] | { antibiotic: "S" | { result, mic } } }]
+========================================================= */
+export function normalizeCultures(raw) {
+  return (Array.isArray(raw) ? raw : []).filter(c=>c&&typeof c==="object"&&(c.organism||c.specimen)).map(c=>{
+    const organism = c.organism ? String(c.organism).trim() : null;
+    const specimen = c.specimen ? String(c.specimen).trim() : null;
+    // "coagulase-negative" / "gram-negative" name organisms, not negative cultures
+    const negative = !organism||NO_GROWTH_RE.test(organism.replace(/\b(coagulase|gram|oxidase)[- ]negative\b/gi,""));
+    const susceptibilities = {}, mic = {};
+    for (const row of susceptibilityRows(c.susceptibilities)) {
+      const drug = drugProfile(row.antibiotic).generic||String(row.antibiotic).trim().toLowerCase();
+      if (!drug) continue;
+      if (row.result&&!(drug in susceptibilities)) susceptibilities[drug] = row.result;
+      if (row.mic&&!(drug in mic)) mic[drug] = row.mic;
+    }
+    const colony = parseColonyCount(c.colony_count);
+    const sig    = negative ? { significant:null, note:null } : significance(organism, specimen, colony);
+    return {
+      specimen, date:c.date||c.collected||null, organism, negative,
+      colony_count: c.colony_count!=null&&c.colony_count!=="" ? String(c.colony_count) : null,
+      colony_cfu_ml: colony,
+      significant: sig.significant, significance_note: sig.note,
+      susceptibilities, mic,
+    };
+  });
+}
+
+function susceptibilityRows(raw) {
+  if (Array.isArray(raw)) return raw.filter(r=>r&&typeof r==="object"&&r.antibiotic).map(r=>({ antibiotic:r.antibiotic, ...parseResult(r.result, r.mic) }));
+  if (raw&&typeof raw==="object") return Object.entries(raw).map(([antibiotic, v])=>({ antibiotic,
+    ...(v&&typeof v==="object" ? parseResult(v.result??v.sir, v.mic) : parseResult(v, null)) }));
+  return [];
+}
+
+// "S", "Resistant", "R (MIC >16)", "≤0.25 S" → { result, mic }
+function parseResult(result, mic) {
+  const text = String(result??"").trim();
+  const word = text.match(/\b(susceptible|sensitive|intermediate|resistant|sdd|[SIR])\b/i)?.[1]||null;
+  const sir  = !word ? null : /^(s|susceptible|sensitive)$/i.test(word) ? "S" : /^(i|intermediate|sdd)$/i.test(word) ? "I" : "R";
+  return { result:sir, mic:parseMic(mic) || parseMic(text.replace(/\b(susceptible|sensitive|intermediate|resistant|sdd|mic|[SIR])\b/gi,"")) };
+}
+
+// "≤0.25", "<=0.25 mg/L", ">16", "16/4" → { raw, value, modifier }
+export function parseMic(v) {
+  if (v==null||v==="") return null;
+  const s = String(v).trim();
+  const m = s.match(/(≤|<=|<|≥|>=|>|=)?\s*(\d+(?:\.\d+)?)(?:\s*\/\s*\d+(?:\.\d+)?)?/);
+  if (!m) return null;
+  const modifier = { "<=":"≤", ">=":"≥" }[m[1]] || m[1] || "=";
+  return { raw:`${m[1] ? modifier : ""}${m[0].replace(/^[^\d]+/,"").replace(/\s+/g,"")}`, value:parseFloat(m[2]), modifier };
+}
+
+// "10^5 CFU/mL", "10⁵", "1x10*4", ">100,000", "1e5" → CFU/mL (first number of a range)
+export function parseColonyCount(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="number") return v;
+  const s = String(v).replace(/,/g,"").replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, ch=>"⁰¹²³⁴⁵⁶⁷⁸⁹".indexOf(ch)).toLowerCase();
+  let m = s.match(/(\d+(?:\.\d+)?)\s*[x×*]\s*10\s*(?:\^|\*\*?)?\s*(\d+)/);
+  if (m) return parseFloat(m[1])*10**parseInt(m[2], 10);
+  m = s.match(/\b10\s*(?:\^|\*\*?|e)?\s*([2-9])\b/);
+  if (m&&!/\b10\s*\d{2,}/.test(s)) return 10**parseInt(m[1], 10);
+  m = s.match(/(\d+(?:\.\d+)?)e(\d+)/);
+  if (m) return parseFloat(m[1])*10**parseInt(m[2], 10);
+  m = s.match(/\d+(?:\.\d+)?/);
+  return m&&parseFloat(m[0])>=100 ? parseFloat(m[0]) : null;
+}
+
+function significance(organism, specimen, cfu) {
+  const spec = specimen||"";
+  if (MIXED_RE.test(organism)) return { significant:false, note:"mixed growth / likely contamination — repeat if clinically indicated" };
+  if (URINE_RE.test(spec)&&cfu!=null) {
+    if (cfu<MIN_CFU)         return { significant:false, note:`${formatCfu(cfu)} CFU/mL — below significance` };
+    if (cfu<SIGNIFICANT_CFU) return { significant:null,  note:`${formatCfu(cfu)} CFU/mL — significant only if symptomatic or catheter specimen` };
+  }
+  if (BLOOD_RE.test(spec)&&SKIN_FLORA_RE.test(organism)) return { significant:null, note:"skin flora in blood — treat only if ≥2 sets positive or line infection" };
+  if ((URINE_RE.test(spec)||RESP_RE.test(spec))&&FUNGAL_RE.test(organism)) return { significant:null, note:"Candida in urine/respiratory samples is usually colonisation" };
+  return { significant:true, note:null };
+}
+
+/* =========================================================
+   BUG–DRUG REVIEW
+   medications: normalized case medications; allergies: strings
+========================================================= */
+export function reviewMicrobiology({ cultures=[], medications=[], allergies=[] }={}) {
+  const current = [...new Map(medications.map(m=>drugProfile(m.parsed?.drug||m.name))
+    .filter(p=>ANTIMICROBIAL_CLASSES.some(c=>p.classes.includes(c)))
+    .map(p=>[p.generic||p.raw, p])).values()];
+  const positive = cultures.filter(c=>!c.negative);
+  const isolates = positive.map(c=>{
+    const coverage = current.map(p=>coverageOf(c, p));
+    return {
+      specimen: c.specimen, date: c.date, organism: c.organism,
+      colony_count: c.colony_count, significant: c.significant, significance_note: c.significance_note,
+      panel: Object.keys({ ...c.susceptibilities, ...c.mic }).map(d=>({ antibiotic:d, result:c.susceptibilities[d]||null, mic:c.mic[d]?.raw||null })),
+      coverage,
+      covered: !current.length ? null : coverage.some(x=>x.status==="active") ? true : coverage.some(x=>x.status==="untested") ? null : false,
+      _culture: c,
+    };
+  });
+  const findings = buildFindings(isolates.filter(i=>i.significant!==false), current, allergies);
+  return {
+    isolates: isolates.map(({ _culture, ...i })=>i),
+    negative: cultures.filter(c=>c.negative).map(c=>({ specimen:c.specimen, date:c.date, result:c.organism||"no growth" })),
+    antimicrobials: current.map(p=>p.generic||p.raw),
+    findings,
+  };
+}
+
+function coverageOf(c, profile) {
+  const drug = profile.generic||profile.raw;
+  const result = c.susceptibilities[drug];
+  const mic    = c.mic[drug]?.raw ? ` (MIC ${c.mic[drug].raw})` : "";
+  if (result==="S") return { drug, status:"active",       basis:`reported S${mic}` };
+  if (result==="I") return { drug, status:"intermediate", basis:`reported I${mic} — susceptible only at increased exposure` };
+  if (result==="R") return { drug, status:"resistant",    basis:`reported R${mic}` };
+  const intrinsic = intrinsicResistance(c, profile);
+  if (intrinsic) return { drug, status:"inactive", basis:intrinsic };
+  return { drug, status:"untested", basis:"not on the susceptibility panel" };
+}
+
+function intrinsicResistance(c, profile) {
+  const drug  = profile.generic||profile.raw;
+  const label = isMrsa(c) ? `${c.organism} MRSA` : c.organism;
+  for (const rule of INTRINSIC) {
+    if (!rule.re.test(label)) continue;
+    const hit = rule.inactive==="antibacterial"
+      ? !profile.classes.includes("azole-antifungal")
+      : rule.inactive.some(t=>t===drug||profile.classes.includes(t));
+    if (hit) return rule.note;
+  }
+  return null;
+}
+
+// S. aureus reported resistant to flucloxacillin / oxacillin / cefoxitin
+function isMrsa(c) {
+  return /\b(s\.? ?aureus|staph\w* aureus)\b/i.test(c.organism||"")&&["flucloxacillin","cloxacillin","oxacillin","cefoxitin"].some(d=>c.susceptibilities[d]==="R");
+}
+
+/* =========================================================
+   FINDINGS
+========================================================= */
+function buildFindings(isolates, current, allergies) {
+  const out = [];
+  if (!current.length) return out;
+  const drugs = current.map(p=>p.generic||p.raw);
+
+  for (const iso of isolates) {
+    const where   = `${iso.organism} (${[iso.specimen, iso.date].filter(Boolean).join(", ")||"culture"})`;
+    const confirm = iso.significant===null ? ` Significance uncertain: ${iso.significance_note}.` : "";
+    const options = susceptibleOptions([iso._culture], allergies, Infinity);
+    const switchTo = options.length ? `Reported susceptible: ${options.slice(0,4).map(d=>withMic(iso._culture, d)).join(", ")} (narrowest first).` : "No susceptible alternative on the panel — request extended susceptibilities / ID advice.";
+    const by = status=>iso.coverage.filter(x=>x.status===status);
+
+    if (iso.covered===false) {
+      const resistant = [...by("resistant"), ...by("intermediate")];
+      if (resistant.length) out.push(finding({
+        id: "MICRO_RESISTANT",
+        severity: downgrade(by("resistant").length ? "Critical" : "Major", iso),
+        problem: `${where} is ${by("resistant").length ? "resistant" : "intermediate"} to current ${resistant.map(x=>`${x.drug} — ${x.basis}`).join("; ")} — no current antimicrobial covers it`,
+        recommendation: `${by("resistant").length ? "Change therapy." : "Use maximal dose / extended infusion or change therapy."} ${switchTo}${confirm}`,
+        organism: iso.organism, drugs: resistant.map(x=>x.drug),
+      }));
+      else out.push(finding({
+        id: "MICRO_MISMATCH", severity: downgrade("Critical", iso),
+        problem: `Bug–drug mismatch: ${where} not covered by ${by("inactive").map(x=>`${x.drug} (${x.basis})`).join(", ")}`,
+        recommendation: `Add or switch to an agent active against ${iso.organism}. ${switchTo}${confirm}`,
+        organism: iso.organism, drugs: by("inactive").map(x=>x.drug),
+      }));
+    } else if (iso.covered===null&&iso.significant===true&&by("untested").length) {
+      out.push(finding({
+        id: "MICRO_MISMATCH", severity: "Major",
+        problem: `Coverage of ${where} unverified — susceptibility to ${by("untested").map(x=>x.drug).join(", ")} not reported${by("resistant").length ? `; resistant to ${by("resistant").map(x=>x.drug).join(", ")}` : ""}`,
+        recommendation: `Request ${by("untested").map(x=>x.drug).join(", ")} susceptibility or switch. ${switchTo}${confirm}`,
+        organism: iso.organism, drugs: by("untested").map(x=>x.drug),
+      }));
+    }
+  }
+
+  // Agents with no activity against any significant isolate, while the isolates are covered
+  if (isolates.length&&isolates.every(i=>i.covered===true)) {
+    for (const drug of drugs) {
+      const cov = isolates.map(i=>i.coverage.find(x=>x.drug===drug));
+      if (!cov.every(x=>["resistant","inactive"].includes(x.status))) continue;
+      const resistant = cov.some(x=>x.status==="resistant");
+      out.push(finding({
+        id: resistant ? "MICRO_RESISTANT" : "MICRO_MISMATCH", severity: "Major",
+        problem: `${drug} adds no activity against ${isolates.map((i, k)=>`${i.organism} (${cov[k].basis})`).join(", ")}`,
+        recommendation: `Isolates already covered by ${[...new Set(isolates.flatMap(i=>drugsWith(i, "active")))].join(", ")}. Stop ${drug} unless it targets a separate, untreated infection.`,
+        organism: isolates.map(i=>i.organism).join(", "), drugs: [drug],
+      }));
+    }
+  }
+
+  // Narrower susceptible agent for every significant isolate
+  const definite = isolates.filter(i=>i.significant===true);
+  if (definite.length) {
+    const urinary = definite.every(i=>URINE_RE.test(i.specimen||""));
+    for (const drug of drugs) {
+      const rank = SPECTRUM_RANK[drug];
+      if (rank==null||!definite.every(i=>i._culture.susceptibilities[drug]==="S")) continue;
+      const narrower = susceptibleOptions(definite.map(i=>i._culture), allergies, rank)
+        .filter(d=>urinary||!URINARY_ONLY.includes(d))
+        .filter(d=>!definite.some(i=>intrinsicResistance(i._culture, drugProfile(d))));
+      if (!narrower.length) continue;
+      out.push(finding({
+        id: "MICRO_NARROWER", severity: "Major",
+        problem: `${drug} is broader than needed — ${definite.map(i=>i.organism).join(", ")} susceptible to narrower ${narrower.slice(0,3).join(", ")}`,
+        recommendation: `De-escalate ${drug} to ${narrower.slice(0,3).map(d=>withMic(definite[0]._culture, d)).join(" or ")} (narrowest first), dosed for site and renal function.`,
+        organism: definite.map(i=>i.organism).join(", "), drugs: [drug],
+      }));
+    }
+    // Anti-MRSA agent on methicillin-susceptible S. aureus — beta-lactams outperform vancomycin
+    const mssa = definite.filter(i=>/\b(s\.? ?aureus|staph\w* aureus|mssa)\b/i.test(i.organism)&&!isMrsa(i._culture)
+      &&["flucloxacillin","cloxacillin","oxacillin","cefoxitin","cefazolin"].some(d=>i._culture.susceptibilities[d]==="S"));
+    for (const drug of drugs.filter(d=>MRSA_ONLY.includes(d))) {
+      if (!mssa.length||out.some(f=>f.id==="MICRO_NARROWER"&&f.drugs.includes(drug))) continue;
+      const betaLactamAllergy = allergies.some(a=>profileMatches(drugProfile("flucloxacillin"), drugProfile(a).generic||String(a).toLowerCase()));
+      out.push(finding({
+        id: "MICRO_NARROWER", severity: "Major",
+        problem: `${drug} for methicillin-susceptible ${mssa.map(i=>i.organism).join(", ")} — anti-staphylococcal beta-lactam is superior`,
+        recommendation: betaLactamAllergy
+          ? `Penicillin allergy documented — if not anaphylaxis, switch ${drug} to cefazolin 2 g IV Q8H; otherwise continue ${drug} and consider allergy de-labelling.`
+          : `Switch ${drug} to flucloxacillin 2 g IV Q4–6H (or cefazolin 2 g IV Q8H), dosed for renal function.`,
+        organism: mssa.map(i=>i.organism).join(", "), drugs: [drug],
+      }));
+    }
+  }
+  return out;
+}
+
+function drugsWith(iso, status) { return iso.coverage.filter(x=>x.status===status).map(x=>x.drug); }
+
+// Reported S for every culture, narrower than maxRank, not in an allergy class
+function susceptibleOptions(cultures, allergies, maxRank) {
+  const tested = cultures.filter(c=>Object.keys(c.susceptibilities).length);
+  if (!tested.length) return [];
+  const allergyTerms = allergies.map(a=>String(a||"").toLowerCase().trim()).filter(Boolean);
+  return Object.keys(tested[0].susceptibilities)
+    .filter(d=>tested.every(c=>c.susceptibilities[d]==="S"))
+    .filter(d=>maxRank===Infinity||(SPECTRUM_RANK[d] ?? Infinity)<maxRank)
+    .filter(d=>{ const p = drugProfile(d); return !allergyTerms.some(t=>profileMatches(p, drugProfile(t).generic||t)); })
+    .sort((a,b)=>(SPECTRUM_RANK[a]??99)-(SPECTRUM_RANK[b]??99));
+}
+
+function withMic(c, drug) { return c.mic[drug]?.raw ? `${drug} (MIC ${c.mic[drug].raw})` : drug; }
+
+function downgrade(severity, iso) { return iso.significant===null&&severity==="Critical" ? "Major" : severity; }
+
+function finding({ id, severity, problem, recommendation, organism, drugs }) {
+  return {
+    id, severity, problem, recommendation, organism, drugs,
+    queries: [`${organism} treatment ${drugs.join(" ")}`, `${organism} antimicrobial susceptibility therapy`],
+    source: "microbiology",
+    reference: "Culture & sensitivity report (code-checked)",
+  };
+}
+
+/* =========================================================
+   PANEL 2 / PROMPTS
+========================================================= */
+const SITE_DISEASE = [
+  { specimen:URINE_RE, disease:/\b(uti|urin\w*|cystitis|pyelo\w*|urosepsis|cauti)\b/i },
+  { specimen:BLOOD_RE, disease:/\b(bacter[a]?emia|sepsis|urosepsis|septic|bsi|endocarditis|line infection|clabsi)\b/i },
+  { specimen:RESP_RE,  disease:/\b(pneumonia|hap|vap|cap|lrti|chest infection|empyema|bronch\w*)\b/i },
+  { specimen:/\b(csf)\b/i, disease:/\b(mening\w*|ventricul\w*)\b/i },
+  { specimen:/\b(wound|swab|tissue|pus|abscess)\b/i, disease:/\b(cellulitis|wound|abscess|ssti|osteomyelitis|diabetic foot|fasciitis)\b/i },
+];
+const INFECTION_RE = /\b(infect\w*|sepsis|septic|bacter[a]?emia|pneumonia|uti|urosepsis|pyelo\w*|cystitis|cellulitis|abscess|mening\w*|endocarditis|osteomyelitis|peritonitis|cholangitis|empyema|colitis|fasciitis|candid\w*|fungaemia|fungemia)\b/i;
+
+// Isolates relevant to a Panel 2 disease: site-matched, else all for an infective diagnosis
+export function isolatesForDisease(review, diseaseName) {
+  const name = String(diseaseName||"");
+  if (!review?.isolates?.length||!INFECTION_RE.test(name)) return [];
+  const bySite = review.isolates.filter(i=>SITE_DISEASE.some(s=>s.disease.test(name)&&s.specimen.test(i.specimen||"")));
+  return bySite.length ? bySite : SITE_DISEASE.some(s=>s.disease.test(name)) ? [] : review.isolates;
+}
+
+export function formatMicrobiologyLines(review) {
+  if (!review) return [];
+  const lines = review.isolates.map(i=>{
+    const panel = ["S","I","R"].map(r=>{
+      const rows = i.panel.filter(p=>p.result===r);
+      return rows.length ? `${r}: ${rows.map(p=>p.mic ? `${p.antibiotic} (${p.mic})` : p.antibiotic).join(", ")}` : null;
+    }).filter(Boolean).join("; ");
+    const cover = i.coverage.length ? ` | current: ${i.coverage.map(x=>`${x.drug} ${x.status}`).join(", ")}` : "";
+    return `- ${i.specimen||"Culture"}${i.date ? ` (${i.date})` : ""}: ${i.organism}${i.colony_count ? ` ${i.colony_count}` : ""}${i.significant===false ? " [not significant]" : i.significant===null ? " [significance uncertain]" : ""}${panel ? ` — ${panel}` : ""}${cover}`;
+  });
+  for (const n of review.negative) lines.push(`- ${n.specimen||"Culture"}${n.date ? ` (${n.date})` : ""}: ${n.result}`);
+  return lines;
+}
+
+function formatCfu(n) {
+  const exp = Math.floor(Math.log10(n));
+  return n===10**exp ? `10^${exp}` : String(n);
+}
@@ -0,0 +1,191 @@
+// File: /functions/_lib/pediatric.js
+// Pediatric / neonatal branch for the v3 case pipeline (patients <18 y).
+//
+//   Age bands   — neonate <28 d | infant 28 d–<1 y | child 1–5 y | child 6–11 y | adolescent 12–17 y
+//   mg/kg check — ordered dose → mg/kg/dose and mg/kg/day against the band range,
+//                 per-dose and per-day caps; rows use the renal table's locked-row shape
+// Renal function for children (bedside Schwartz) lives in renal_function.js;
+// age-band lab ranges in lab_ranges.js.
+
+import { drugProfile } from "./drug_dictionary.js";
+import { parseMedicationOrder } from "./med_orders.js";
+
+export const PEDIATRIC_TABLE_VERSION = "2026.1";
+export const PEDIATRIC_AGE_LIMIT     = 18;
+
+const AGE_BANDS = [
+  { id:"neonate",    label:"Neonate (<28 days)",     max_y:28/365, query:"neonatal" },
+  { id:"infant",     label:"Infant (28 days–<1 y)",  max_y:1,      query:"infant pediatric" },
+  { id:"child_1_5",  label:"Child (1–5 y)",          max_y:6,      query:"pediatric" },
+  { id:"child_6_11", label:"Child (6–11 y)",         max_y:12,     query:"pediatric" },
+  { id:"adolescent", label:"Adolescent (12–17 y)",   max_y:18,     query:"pediatric adolescent" },
+];
+
+/* =========================================================
+   AGE
+   Accepts years (number or "4"), "8 months", "10 days", "3 weeks", "2y 6m"
+========================================================= */
+export function parseAgeYears(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="number") return Number.isNaN(v) ? null : v;
+  const s = String(v).toLowerCase();
+  let years = 0, found = false;
+  for (const [re, f] of [[/(\d+(?:\.\d+)?)\s*(?:y|yr|yrs|years?)\b/, 1], [/(\d+(?:\.\d+)?)\s*(?:m|mo|mos|months?)\b/, 1/12],
+    [/(\d+(?:\.\d+)?)\s*(?:w|wk|wks|weeks?)\b/, 7/365], [/(\d+(?:\.\d+)?)\s*(?:d|days?)\b/, 1/365]]) {
+    const m = s.match(re);
+    if (m) { years += parseFloat(m[1])*f; found = true; }
+  }
+  if (found) return Math.round(years*1000)/1000;
+  const n = parseFloat(s);
+  return Number.isNaN(n) ? null : n;
+}
+
+export function isPediatric(ageYears) {
+  return ageYears!=null&&ageYears<PEDIATRIC_AGE_LIMIT;
+}
+
+export function pediatricAgeBand(ageYears) {
+  if (!isPediatric(ageYears)) return null;
+  return AGE_BANDS.find(b=>ageYears<b.max_y)||null;
+}
+
+export function formatAge(ageYears) {
+  if (ageYears==null) return "—";
+  if (ageYears<1/12) return `${Math.round(ageYears*365)}D`;
+  if (ageYears<2)    return `${Math.round(ageYears*12)}M`;
+  return `${Math.floor(ageYears)}Y`;
+}
+
+/* =========================================================
+   mg/kg DOSING TABLE
+   mg_per_kg_dose: [lo, hi] per dose   max_dose_mg: per-dose cap
+   max_mg_per_kg_day / max_daily_mg: daily caps   interval_h: usual interval
+   component: fraction of the ordered mass the mg/kg refers to (pip/tazo → piperacillin)
+   bands: per-band overrides; min_age_y: not recommended below this age
+========================================================= */
+export const PEDIATRIC_DOSING_TABLE = {
+  paracetamol: { label:"Paracetamol", mg_per_kg_dose:[10,15], max_dose_mg:1000, max_mg_per_kg_day:75, max_daily_mg:4000, interval_h:6,
+    bands:{ neonate:{ mg_per_kg_dose:[10,15], max_mg_per_kg_day:60, interval_h:8 } } },
+  ibuprofen: { label:"Ibuprofen", mg_per_kg_dose:[5,10], max_dose_mg:400, max_mg_per_kg_day:40, max_daily_mg:2400, interval_h:8,
+    min_age_y:0.25, min_age_note:"Not recommended under 3 months" },
+  amoxicillin: { label:"Amoxicillin", mg_per_kg_dose:[25,30], max_dose_mg:1000, max_mg_per_kg_day:100, max_daily_mg:3000, interval_h:8 },
+  ampicillin: { label:"Ampicillin", mg_per_kg_dose:[25,50], max_dose_mg:2000, max_mg_per_kg_day:300, max_daily_mg:12000, interval_h:6,
+    bands:{ neonate:{ interval_h:8 } } },
+  cefazolin: { label:"Cefazolin", mg_per_kg_dose:[25,50], max_dose_mg:2000, max_mg_per_kg_day:150, max_daily_mg:6000, interval_h:8 },
+  ceftriaxone: { label:"Ceftriaxone", mg_per_kg_dose:[50,100], max_dose_mg:2000, max_mg_per_kg_day:100, max_daily_mg:4000, interval_h:24,
+    bands:{ neonate:{ caution:"Avoid in hyperbilirubinaemic neonates and with IV calcium — use cefotaxime" } } },
+  meropenem: { label:"Meropenem", mg_per_kg_dose:[20,40], max_dose_mg:2000, max_mg_per_kg_day:120, max_daily_mg:6000, interval_h:8 },
+  "piperacillin-tazobactam": { label:"Piperacillin-tazobactam (piperacillin)", component:4/4.5, mg_per_kg_dose:[80,100], max_dose_mg:4000, max_mg_per_kg_day:400, max_daily_mg:16000, interval_h:8,
+    min_age_y:28/365, min_age_note:"Limited neonatal data — use the neonatal protocol" },
+  vancomycin: { label:"Vancomycin", mg_per_kg_dose:[15,20], max_dose_mg:2000, max_mg_per_kg_day:80, interval_h:6,
+    bands:{ neonate:{ mg_per_kg_dose:[10,15], interval_h:12 } }, note:"AUC-guided; confirm with levels" },
+  gentamicin: { label:"Gentamicin", mg_per_kg_dose:[5,7.5], max_mg_per_kg_day:7.5, interval_h:24,
+    bands:{ neonate:{ mg_per_kg_dose:[4,5], max_mg_per_kg_day:5, interval_h:36 } }, note:"Extended interval; level-guided" },
+  azithromycin: { label:"Azithromycin", mg_per_kg_dose:[10,10], max_dose_mg:500, max_mg_per_kg_day:10, max_daily_mg:500, interval_h:24 },
+  ondansetron: { label:"Ondansetron", mg_per_kg_dose:[0.1,0.15], max_dose_mg:8, max_mg_per_kg_day:0.45, max_daily_mg:24, interval_h:8 },
+  omeprazole: { label:"Omeprazole", mg_per_kg_dose:[0.7,1], max_dose_mg:40, max_mg_per_kg_day:2, max_daily_mg:80, interval_h:24 },
+};
+
+const DOSE_TOLERANCE = 0.1;
+
+/* =========================================================
+   ENGINE
+========================================================= */
+export function evaluatePediatricDosing(medications, { ageYears, weightKg=null }={}) {
+  const band = pediatricAgeBand(ageYears);
+  if (!band) return [];
+  const rows = [];
+  for (const med of (medications||[])) {
+    const order = med.parsed || parseMedicationOrder(med, { weightKg });
+    const key   = findPediatricDrug(order.drug) || findPediatricDrug(drugProfile(med.name).generic);
+    if (!key) continue;
+    rows.push(buildRow(med, order, key, band, ageYears, weightKg));
+  }
+  return rows;
+}
+
+export function findPediatricDrug(name) {
+  const n = String(name||"").toLowerCase();
+  if (!n) return null;
+  if (PEDIATRIC_DOSING_TABLE[n]) return n;
+  return Object.keys(PEDIATRIC_DOSING_TABLE).find(k=>n.startsWith(k))||null;
+}
+
+function buildRow(med, order, key, band, ageYears, weightKg) {
+  const entry   = { ...PEDIATRIC_DOSING_TABLE[key], ...(PEDIATRIC_DOSING_TABLE[key].bands?.[band.id]||{}) };
+  const ordered = [med.name, med.dose, med.route, med.frequency].filter(Boolean).join(" ").replace(/\s+/g," ").trim();
+  const [lo, hi] = entry.mg_per_kg_dose;
+  const base = {
+    drug: med.name, ordered, source:"pediatric_dosing_engine", locked:true,
+    table_version: PEDIATRIC_TABLE_VERSION, table_drug: key, band: band.label,
+    reference: `Pediatric dosing table v${PEDIATRIC_TABLE_VERSION} — ${entry.label}, ${band.label}`,
+    usual: `${lo===hi ? lo : `${lo}–${hi}`} mg/kg Q${entry.interval_h}H${entry.max_dose_mg ? ` (max ${entry.max_dose_mg} mg/dose)` : ""}`,
+    mg_per_kg_dose: null, mg_per_kg_day: null, exceeds_max: false, direction: null,
+  };
+
+  if (entry.min_age_y!=null&&ageYears<entry.min_age_y) {
+    return { ...base, recommended:`Avoid. ${entry.min_age_note}`, recommended_regimen:null, verdict:"STOP",
+      reason:`${entry.min_age_note} (age ${formatAge(ageYears)}).` };
+  }
+  if (!weightKg) {
+    return { ...base, recommended:`${base.usual} (weight required)`, recommended_regimen:null, verdict:"MONITOR",
+      reason:"Weight missing — mg/kg dose cannot be checked. Weigh the child." };
+  }
+
+  const recDose   = roundDose(Math.min(((lo+hi)/2)*weightKg, entry.max_dose_mg ?? Infinity)/(entry.component||1));
+  const regimen   = { dose_mg:recDose, interval_h:entry.interval_h, daily_dose_mg:Math.round(recDose*24/entry.interval_h*10)/10 };
+  const recText   = `${recDose} mg Q${entry.interval_h}H${entry.note ? ` — ${entry.note}` : ""}${entry.caution ? ` — ${entry.caution}` : ""}`;
+
+  if (order.dose_mg==null) {
+    return { ...base, recommended:recText, recommended_regimen:regimen, verdict:"MONITOR",
+      reason:"Ordered dose could not be parsed — verify mg/kg against the recommended regimen." };
+  }
+
+  const activeMg  = order.dose_mg*(entry.component||1);
+  const perKg     = round(activeMg/weightKg, 2);
+  const perDay    = order.interval_h ? round(perKg*24/order.interval_h, 1) : null;
+  const dailyMg   = order.interval_h ? activeMg*24/order.interval_h : null;
+  const ceiling   = Math.min(hi*weightKg, entry.max_dose_mg ?? Infinity);
+  const floor     = Math.min(lo*weightKg, entry.max_dose_mg ?? Infinity);
+  const issues    = [];
+  let exceedsMax  = false, direction = null;
+
+  if (entry.max_dose_mg&&activeMg>entry.max_dose_mg*(1+DOSE_TOLERANCE)) { exceedsMax = true; issues.push(`dose ${round(activeMg,1)} mg exceeds the ${entry.max_dose_mg} mg/dose cap`); }
+  if (perDay!=null&&entry.max_mg_per_kg_day&&perDay>entry.max_mg_per_kg_day*(1+DOSE_TOLERANCE)) { exceedsMax = true; issues.push(`${perDay} mg/kg/day exceeds ${entry.max_mg_per_kg_day} mg/kg/day`); }
+  if (dailyMg!=null&&entry.max_daily_mg&&dailyMg>entry.max_daily_mg*(1+DOSE_TOLERANCE)) { exceedsMax = true; issues.push(`${Math.round(dailyMg)} mg/day exceeds the ${entry.max_daily_mg} mg/day cap`); }
+  if (!exceedsMax&&activeMg>ceiling*(1+DOSE_TOLERANCE)) issues.push(`${perKg} mg/kg/dose is above ${hi} mg/kg`);
+  if (activeMg<floor*(1-DOSE_TOLERANCE)) { direction = "below"; issues.push(`${perKg} mg/kg/dose is below ${lo} mg/kg`); }
+  if (exceedsMax||activeMg>ceiling*(1+DOSE_TOLERANCE)) direction = "above";
+
+  const common = { ...base, mg_per_kg_dose:perKg, mg_per_kg_day:perDay, exceeds_max:exceedsMax, direction, recommended:recText, recommended_regimen:regimen };
+  if (!issues.length) {
+    return { ...common, verdict:entry.caution ? "MONITOR" : "CORRECT",
+      reason:`${perKg} mg/kg/dose${perDay!=null ? `, ${perDay} mg/kg/day` : ""} — within ${base.usual}.${entry.caution ? ` ${entry.caution}.` : ""}` };
+  }
+  return { ...common, verdict:"ADJUST", reason:`Ordered ${issues.join("; ")} (${weightKg} kg).` };
+}
+
+// Rule-engine findings for rows outside range (shape matches runSafetyRules output)
+export function pediatricDoseFindings(rows) {
+  return rows.filter(r=>r.verdict==="ADJUST"||r.verdict==="STOP").map(r=>({
+    id: `PEDS_DOSE_${r.table_drug.toUpperCase().replace(/[^A-Z]/g,"_")}`,
+    severity: r.exceeds_max||r.verdict==="STOP" ? "Critical" : r.direction==="above" ? "Major" : "Moderate",
+    problem: `${r.drug} (pediatric): ${r.reason}`,
+    recommendation: r.verdict==="STOP" ? r.recommended : `Change to ${r.recommended} (usual ${r.usual}).`,
+    queries: [`${r.table_drug} pediatric dose mg/kg`],
+    source: "pediatric_dosing_engine", reference: r.reference,
+  }));
+}
+
+// Retrieval vocabulary for the age band
+export function pediatricQueryTerm(ageYears) {
+  return pediatricAgeBand(ageYears)?.query || null;
+}
+
+function roundDose(mg) {
+  if (mg>=500) return Math.round(mg/50)*50;
+  if (mg>=100) return Math.round(mg/10)*10;
+  if (mg>=10)  return Math.round(mg);
+  return Math.round(mg*10)/10;
+}
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
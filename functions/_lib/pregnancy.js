@@ -0,0 +1,103 @@
+// File: /functions/_lib/pregnancy.js
+// Pregnancy / lactation state for the v3 case pipeline.
+//
+//   Pregnant     — extractor flag, else a current-pregnancy phrase in the case
+//                  text ("currently pregnant", "28 weeks gestation", "GA 12");
+//                  history such as "previous ectopic pregnancy" does not count
+//   Gestation    — weeks → trimester (T1 <14 w | T2 14–27 w | T3 ≥28 w); near term ≥36 w
+//   Lactation    — breastfeeding / lactating / nursing
+//
+// Male sex or age outside 10–55 y clears a text-only match. Drug rules
+// that read this state live in the v3 SAFETY_RULES.
+
+export const NEAR_TERM_WEEKS = 36;
+
+const PREGNANT_RE   = /\b((?:currently|is|now|she is|she's|patient is|pt is)\s+pregnant|pregnant\s+(?:at|with)\b|(?:current|ongoing|viable)\s+(?:intrauterine\s+)?pregnancy|\d+\s*(?:\+\d\s*)?(?:weeks?|wks?|w)\s*(?:of\s*)?(?:gestation|pregnant|pregnancy|ga)\b|\bga\s*\d+)|(?:^|[,;:(]\s*)pregnant\b/i;
+const NOT_PREG_RE   = /\b(not pregnant|non-?pregnant|pregnancy test negative|negative (?:urine |serum )?(?:b-?hcg|pregnancy test)|post-?menopausal)\b/i;
+const GEST_RE       = /(?:\bga\s*(?:of\s*)?(\d{1,2})(?:\+\d)?\s*(?:weeks?|wks?|w)?|(\d{1,2})(?:\+\d)?\s*(?:weeks?|wks?|w)\s*(?:of\s*)?(?:gestation|pregnant|pregnancy|ga)\b)/i;
+const TRIMESTER_RE  = /\b(first|second|third|1st|2nd|3rd)\s+trimester\b/i;
+const LACTATION_RE  = /\b(breast-?feeding|lactating|lactation|nursing mother|breastfed infant|expressing (?:breast )?milk)\b/i;
+const POSTPARTUM_RE = /\b(post-?partum|puerper\w*|post-?natal|after delivery|post (?:c-?section|caesarean|cesarean))\b/i;
+
+/* =========================================================
+   NORMALIZATION
+   raw: extractor's pregnancy block; text: diagnosis/PMH/admission/case excerpt
+========================================================= */
+export function normalizePregnancy(raw, { text="", sex=null, age=null }={}) {
+  const r     = raw && typeof raw==="object" ? raw : {};
+  const t     = String(text||"");
+  const male  = /^m/i.test(String(sex||""));
+  const plausibleAge = age==null||(age>=10&&age<=55);
+
+  let pregnant = toBool(r.pregnant);
+  let source   = pregnant!=null ? "extracted" : null;
+  if (pregnant==null&&!male&&plausibleAge) {
+    if (NOT_PREG_RE.test(t))     { pregnant = false; source = "case_text"; }
+    else if (PREGNANT_RE.test(t)) { pregnant = true;  source = "case_text"; }
+  }
+  if (male) pregnant = false;
+
+  let weeks = toNumber(r.gestational_weeks);
+  if (weeks==null&&pregnant) {
+    const m = t.match(GEST_RE);
+    if (m) weeks = parseInt(m[1]||m[2], 10);
+  }
+  if (weeks!=null&&(weeks<1||weeks>44)) weeks = null;
+  const trimester = pregnant ? (weeks!=null ? trimesterFromWeeks(weeks) : normalizeTrimester(r.trimester) ?? normalizeTrimester(t.match(TRIMESTER_RE)?.[1])) : null;
+
+  const lactating  = !male&&(toBool(r.breastfeeding)===true||(toBool(r.breastfeeding)==null&&LACTATION_RE.test(t)));
+  const postpartum = !male&&!pregnant&&(toBool(r.postpartum)===true||POSTPARTUM_RE.test(t));
+
+  return {
+    pregnant: pregnant===true,
+    status_known: pregnant!=null||male,
+    gestational_weeks: pregnant ? weeks : null,
+    trimester,
+    near_term: !!pregnant&&weeks!=null&&weeks>=NEAR_TERM_WEEKS,
+    lactating,
+    postpartum,
+    source,
+  };
+}
+
+export function trimesterFromWeeks(weeks) {
+  if (weeks==null) return null;
+  return weeks<14 ? 1 : weeks<28 ? 2 : 3;
+}
+
+// One-line description for prompts and the SOAP note
+export function formatPregnancy(p) {
+  if (!p||(!p.pregnant&&!p.lactating&&!p.postpartum)) return "Not pregnant / not documented";
+  const parts = [];
+  if (p.pregnant) {
+    const ga = p.gestational_weeks!=null ? `${p.gestational_weeks} weeks` : "gestation not documented";
+    parts.push(`Pregnant — ${ga}${p.trimester ? `, trimester ${p.trimester}` : ""}${p.near_term ? " (near term)" : ""}`);
+  }
+  if (p.postpartum) parts.push("Postpartum");
+  if (p.lactating)  parts.push("Breastfeeding");
+  return parts.join(" | ");
+}
+
+function normalizeTrimester(v) {
+  if (v==null||v==="") return null;
+  const s = String(v).toLowerCase();
+  if (/^(1|first|1st|t1)\b/.test(s)) return 1;
+  if (/^(2|second|2nd|t2)\b/.test(s)) return 2;
+  if (/^(3|third|3rd|t3)\b/.test(s)) return 3;
+  return null;
+}
+
+function toBool(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="boolean") return v;
+  const s = String(v).toLowerCase().trim();
+  if (/^(yes|true|y|pregnant|positive)\b/.test(s)) return true;
+  if (/^(no|false|n|not|negative|none)\b/.test(s)) return false;
+  return null;
+}
+
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v));
+  return Number.isNaN(n) ? null : n;
+}
@@ -0,0 +1,108 @@
+// File: /functions/_lib/qt_risk.js
+// QT prolongation risk score (Tisdale et al., Circ Cardiovasc Qual Outcomes 2013).
+//
+// Scored items follow the published tool (max 21):
+//   age ≥68 (1), female (1), loop diuretic (1), K ≤3.5 (2), QTc ≥450 (2),
+//   acute MI (2), one QTc-prolonging drug (3) / two or more (3 more),
+//   sepsis (3), heart failure (3)
+//   Low ≤6 · Moderate 7–10 · High ≥11
+// Low Mg and low Ca are listed as contributing factors but do not add
+// points, so the bands keep their validated meaning.
+
+import { profileMatches } from "./drug_dictionary.js";
+
+const K_LOW_MMOL  = 3.5;
+const MG_LOW_MMOL = 0.7;
+const CA_LOW_MMOL = 2.1;
+const QTC_BORDER  = 450;
+const QTC_DANGER  = 500;
+
+const MI_RE = /\b(stemi|nstemi|acute mi|myocardial infarction|acute coronary|acs)\b/i;
+const HF_RE = /\b(heart failure|hfref|hfpef|chf|ccf|cardiomyopathy|lvef\s*<?\s*[1-3]\d\s*%)\b/i;
+
+/* =========================================================
+   SCORE
+========================================================= */
+export function scoreQtRisk({ age=null, sex=null, labs={}, qtcMs=null, medProfiles=[], conditionText="", septic=false }={}) {
+  const factors    = [];
+  const additional = [];
+  const add = (factor, points, value=null) => factors.push({ factor, points, value });
+
+  const qtDrugs = uniqueNames(medProfiles.filter(p=>profileMatches(p, "qt-prolonging")));
+  const loop    = uniqueNames(medProfiles.filter(p=>profileMatches(p, "loop-diuretic")));
+  const female  = /^f/i.test(String(sex||""));
+
+  if (age!=null&&age>=68)                         add("Age ≥68 years", 1, age);
+  if (female)                                     add("Female sex", 1);
+  if (loop.length)                                add("Loop diuretic", 1, loop.join(", "));
+  if (labs.k!=null&&labs.k<=K_LOW_MMOL)           add(`Serum K ≤${K_LOW_MMOL} mmol/L`, 2, labs.k);
+  if (qtcMs!=null&&qtcMs>=QTC_BORDER)             add(`QTc ≥${QTC_BORDER} ms`, 2, qtcMs);
+  if (MI_RE.test(conditionText))                  add("Acute myocardial infarction", 2);
+  if (qtDrugs.length>=1)                          add("QTc-prolonging drug", 3, qtDrugs[0]);
+  if (qtDrugs.length>=2)                          add("≥2 QTc-prolonging drugs", 3, qtDrugs.join(", "));
+  if (septic)                                     add("Sepsis", 3);
+  if (HF_RE.test(conditionText))                  add("Heart failure", 3);
+
+  if (labs.mg!=null&&labs.mg<MG_LOW_MMOL) additional.push({ factor:`Serum Mg <${MG_LOW_MMOL} mmol/L`, value:labs.mg });
+  if (labs.ca!=null&&labs.ca<CA_LOW_MMOL) additional.push({ factor:`Serum Ca <${CA_LOW_MMOL} mmol/L`, value:labs.ca });
+
+  const score    = factors.reduce((s,f)=>s+f.points, 0);
+  const category = score>=11 ? "high" : score>=7 ? "moderate" : "low";
+  const missing  = [
+    qtcMs==null ? "QTc" : null, labs.k==null ? "K" : null,
+    labs.mg==null ? "Mg" : null, labs.ca==null ? "Ca" : null,
+  ].filter(Boolean);
+
+  return {
+    score, max:21, category,
+    qtc_ms: qtcMs,
+    qtc_over_500: qtcMs!=null&&qtcMs>=QTC_DANGER,
+    qt_drugs: qtDrugs,
+    factors, additional_factors: additional, missing,
+    recommendation: buildRecommendation({ category, qtcMs, qtDrugs, labs, additional, missing }),
+  };
+}
+
+function buildRecommendation({ category, qtcMs, qtDrugs, labs, additional, missing }) {
+  const steps = [];
+  if (qtcMs!=null&&qtcMs>=QTC_DANGER) {
+    steps.push(`QTc ${qtcMs} ms ≥${QTC_DANGER} — stop or substitute non-essential QTc-prolonging drugs${qtDrugs.length?` (${qtDrugs.join(", ")})`:""}, continuous ECG monitoring.`);
+  } else if (category==="high") {
+    steps.push(`High risk — avoid adding QTc-prolonging drugs; review need for ${qtDrugs.join(", ")||"current QT drugs"}. Daily ECG/QTc.`);
+  } else if (category==="moderate") {
+    steps.push("Moderate risk — baseline ECG and repeat QTc after each new QTc-prolonging drug or dose increase.");
+  } else {
+    steps.push("Low risk — routine monitoring.");
+  }
+  if (labs.k!=null&&labs.k<=K_LOW_MMOL) steps.push("Replace K⁺ to ≥4.0 mmol/L.");
+  if (additional.length) steps.push(`Correct ${additional.map(a=>a.factor.split(" ")[1]).join(" and ")} (target Mg ≥1.0 mmol/L).`);
+  if (missing.length&&qtDrugs.length) steps.push(`Obtain ${missing.join(", ")}.`);
+  return steps.join(" ");
+}
+
+/* =========================================================
+   SAFETY FINDING
+   Only when a QTc-prolonging drug is on the chart and risk is not low
+========================================================= */
+export function qtRiskFinding(qtRisk) {
+  if (!qtRisk||!qtRisk.qt_drugs.length) return null;
+  if (qtRisk.category==="low"&&!qtRisk.qtc_over_500) return null;
+  const severity = qtRisk.category==="high"||qtRisk.qtc_over_500 ? "Critical" : "Major";
+  const qtcText  = qtRisk.qtc_ms!=null ? `, QTc ${qtRisk.qtc_ms} ms` : ", QTc not documented";
+  return {
+    id: "QT_RISK_SCORE", severity,
+    problem: `QT prolongation risk ${qtRisk.category.toUpperCase()} (Tisdale score ${qtRisk.score}/${qtRisk.max}${qtcText}) on ${qtRisk.qt_drugs.join(", ")}`,
+    recommendation: qtRisk.recommendation,
+    factors: qtRisk.factors,
+    queries: [...qtRisk.qt_drugs.map(d=>`${d} QT prolongation monitoring`), "QTc prolongation management electrolytes"],
+    source: "qt_risk_score",
+    reference: "Tisdale QT risk score (code-computed)",
+  };
+}
+
+function uniqueNames(profiles) {
+  return [...new Set(profiles.map(p=>{
+    const n = p.generic||p.raw;
+    return n.charAt(0).toUpperCase()+n.slice(1);
+  }))];
+}
@@ -0,0 +1,334 @@
+// File: /functions/_lib/renal_dosing.js
+// Deterministic renal dosing table engine.
+//
+// RENAL_DOSING_TABLE is keyed drug → indication → CrCl / dialysis band.
+// evaluateRenalDosing() picks the band from the code-computed CrCl, builds
+// the exact recommended regimen and compares it with the ordered dose.
+// Rows come back in medication_adjustments shape with source
+// "renal_dosing_engine" and locked:true — the LLM may not overwrite them.
+//
+// Bump RENAL_TABLE_VERSION whenever a band or regimen changes.
+
+import { parseMedicationOrder } from "./med_orders.js";
+
+export const RENAL_TABLE_VERSION = "2026.1";
+
+/* =========================================================
+   TABLE
+   Band:    crcl:[min, max) in mL/min (null = open) or rrt:"HD"|"CRRT";
+            max_inclusive closes the upper bound (label "26–50") and the
+            band above it then starts above that value (label ">50")
+   Regimen: dose_mg | dose_mg_per_kg (+round_to, max_dose_mg),
+            interval_h, loading_mg?, avoid?, note?
+   Indication selection: first entry whose `match` keywords hit the
+   order indication / diagnosis and whose `route` fits; else `default`.
+========================================================= */
+export const RENAL_DOSING_TABLE = {
+  meropenem: {
+    names: ["meropenem"],
+    indications: {
+      cns: { label:"Meningitis / CNS", match:["mening","cns","brain abscess","ventriculitis"], bands:[
+        { crcl:[50,null], dose_mg:2000, interval_h:8 },
+        { crcl:[26,50],   dose_mg:2000, interval_h:12, max_inclusive:true },
+        { crcl:[10,26],   dose_mg:1000, interval_h:12 },
+        { crcl:[null,10], dose_mg:1000, interval_h:24 },
+        { rrt:"HD",       dose_mg:1000, interval_h:24, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg:2000, interval_h:12 },
+      ] },
+      default: { label:"Standard", bands:[
+        { crcl:[50,null], dose_mg:1000, interval_h:8 },
+        { crcl:[26,50],   dose_mg:1000, interval_h:12, max_inclusive:true },
+        { crcl:[10,26],   dose_mg:500,  interval_h:12 },
+        { crcl:[null,10], dose_mg:500,  interval_h:24 },
+        { rrt:"HD",       dose_mg:500,  interval_h:24, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg:1000, interval_h:12 },
+      ] },
+    },
+  },
+  piperacillin_tazobactam: {
+    names: ["piperacillin","pip-tazo","pip/tazo","tazobactam"],
+    unit: "g pip/tazo",
+    indications: {
+      nosocomial: { label:"Nosocomial pneumonia / Pseudomonas", match:["hap","vap","nosocomial","hospital acquired","ventilator","pseudomonas","neutropen"], bands:[
+        { crcl:[40,null], dose_mg:4500, interval_h:6 },
+        { crcl:[20,40],   dose_mg:3375, interval_h:6 },
+        { crcl:[null,20], dose_mg:2250, interval_h:6 },
+        { rrt:"HD",       dose_mg:2250, interval_h:8,  note:"Plus 0.75 g after each HD session" },
+        { rrt:"CRRT",     dose_mg:3375, interval_h:6 },
+      ] },
+      default: { label:"Standard", bands:[
+        { crcl:[40,null], dose_mg:3375, interval_h:6 },
+        { crcl:[20,40],   dose_mg:2250, interval_h:6 },
+        { crcl:[null,20], dose_mg:2250, interval_h:8 },
+        { rrt:"HD",       dose_mg:2250, interval_h:12, note:"Plus 0.75 g after each HD session" },
+        { rrt:"CRRT",     dose_mg:3375, interval_h:6 },
+      ] },
+    },
+  },
+  ciprofloxacin: {
+    names: ["ciprofloxacin"],
+    indications: {
+      iv: { label:"IV", route:"iv", bands:[
+        { crcl:[30,null], dose_mg:400, interval_h:12 },
+        { crcl:[null,30], dose_mg:400, interval_h:24 },
+        { rrt:"HD",       dose_mg:400, interval_h:24, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg:400, interval_h:12 },
+      ] },
+      default: { label:"Oral", bands:[
+        { crcl:[50,null], dose_mg:500, interval_h:12 },
+        { crcl:[30,50],   dose_mg:250, interval_h:12 },
+        { crcl:[null,30], dose_mg:500, interval_h:24 },
+        { rrt:"HD",       dose_mg:500, interval_h:24, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg:500, interval_h:12 },
+      ] },
+    },
+  },
+  levofloxacin: {
+    names: ["levofloxacin"],
+    indications: {
+      default: { label:"750 mg regimen", bands:[
+        { crcl:[50,null], dose_mg:750, interval_h:24 },
+        { crcl:[20,50],   dose_mg:750, interval_h:48 },
+        { crcl:[null,20], dose_mg:500, interval_h:48, loading_mg:750 },
+        { rrt:"HD",       dose_mg:500, interval_h:48, loading_mg:750, note:"No supplemental dose after HD" },
+        { rrt:"CRRT",     dose_mg:750, interval_h:48 },
+      ] },
+    },
+  },
+  colistin: {
+    names: ["colistin","colistimethate"],
+    unit: "mg CBA",
+    // Daily CBA dose by CrCl (international consensus 2019), given in two divided doses
+    indications: {
+      default: { label:"IV colistimethate (CBA)", route:"iv", bands:[
+        { crcl:[90,null], dose_mg:180,   interval_h:12 },
+        { crcl:[80,90],   dose_mg:170,   interval_h:12 },
+        { crcl:[70,80],   dose_mg:150,   interval_h:12 },
+        { crcl:[60,70],   dose_mg:137.5, interval_h:12 },
+        { crcl:[50,60],   dose_mg:122.5, interval_h:12 },
+        { crcl:[40,50],   dose_mg:110,   interval_h:12 },
+        { crcl:[30,40],   dose_mg:97.5,  interval_h:12 },
+        { crcl:[20,30],   dose_mg:87.5,  interval_h:12 },
+        { crcl:[10,20],   dose_mg:80,    interval_h:12 },
+        { crcl:[5,10],    dose_mg:72.5,  interval_h:12 },
+        { crcl:[null,5],  dose_mg:65,    interval_h:12 },
+        { rrt:"HD",       dose_mg:65,    interval_h:12, note:"Supplement 40–50 mg CBA after each HD session" },
+        { rrt:"CRRT",     dose_mg:220,   interval_h:12 },
+      ] },
+    },
+  },
+  tmp_smx: {
+    names: ["trimethoprim","sulfamethoxazole","tmp-smx","tmp/smx","co-trimoxazole","cotrimoxazole"],
+    unit: "mg TMP",
+    indications: {
+      pjp: { label:"PJP treatment", match:["pjp","pcp","pneumocystis"], bands:[
+        { crcl:[30,null], dose_mg_per_kg:5,   interval_h:8,  round_to:80 },
+        { crcl:[15,30],   dose_mg_per_kg:5,   interval_h:16, round_to:80 },
+        { crcl:[null,15], avoid:true, note:"Not recommended if CrCl <15 mL/min unless dialysis available" },
+        { rrt:"HD",       dose_mg_per_kg:5,   interval_h:24, round_to:80, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg_per_kg:5,   interval_h:12, round_to:80 },
+      ] },
+      default: { label:"Standard (1 DS tab)", bands:[
+        { crcl:[30,null], dose_mg:160, interval_h:12 },
+        { crcl:[15,30],   dose_mg:160, interval_h:24 },
+        { crcl:[null,15], avoid:true, note:"Not recommended if CrCl <15 mL/min" },
+        { rrt:"HD",       dose_mg:160, interval_h:24, note:"Give after HD on dialysis days" },
+        { rrt:"CRRT",     dose_mg:160, interval_h:12 },
+      ] },
+    },
+  },
+  enoxaparin: {
+    names: ["enoxaparin"],
+    indications: {
+      prophylaxis: { label:"VTE prophylaxis", match:["prophyla","dvt prevention","vte prevention"], bands:[
+        { crcl:[30,null], dose_mg:40, interval_h:24 },
+        { crcl:[null,30], dose_mg:30, interval_h:24 },
+        { rrt:"HD",       avoid:true, note:"Use unfractionated heparin 5000 units SC q8–12h" },
+        { rrt:"CRRT",     avoid:true, note:"Use unfractionated heparin" },
+      ] },
+      default: { label:"Treatment", bands:[
+        { crcl:[30,null], dose_mg_per_kg:1, interval_h:12, round_to:10 },
+        { crcl:[null,30], dose_mg_per_kg:1, interval_h:24, round_to:10 },
+        { rrt:"HD",       avoid:true, note:"Use unfractionated heparin infusion (aPTT-guided)" },
+        { rrt:"CRRT",     avoid:true, note:"Use unfractionated heparin infusion (aPTT-guided)" },
+      ] },
+    },
+  },
+  vancomycin: {
+    names: ["vancomycin"],
+    indications: {
+      default: { label:"IV, AUC 400–600 target", route:"iv", bands:[
+        { crcl:[50,null], dose_mg_per_kg:15, interval_h:12, round_to:250, max_dose_mg:2000 },
+        { crcl:[30,50],   dose_mg_per_kg:15, interval_h:24, round_to:250, max_dose_mg:2000 },
+        { crcl:[15,30],   dose_mg_per_kg:10, interval_h:24, round_to:250, max_dose_mg:2000 },
+        { crcl:[null,15], dose_mg_per_kg:15, interval_h:null, round_to:250, max_dose_mg:2000, note:"Single dose; redose by level (<15 mg/L)" },
+        { rrt:"HD",       dose_mg:1000, interval_h:null, note:"After each HD session; adjust to pre-HD level 15–20 mg/L" },
+        { rrt:"CRRT",     dose_mg_per_kg:15, interval_h:24, round_to:250, max_dose_mg:2000 },
+      ] },
+    },
+  },
+};
+
+/* =========================================================
+   ENGINE
+========================================================= */
+// renal: { crcl:number|null, modality:"HD"|"CRRT"|null }
+// weightForDrug(drugKey) → dosing weight for mg/kg bands (weight policy); defaults to weightKg
+export function evaluateRenalDosing(medications, { crcl=null, modality=null, weightKg=null, contextText="", estimator="Cockcroft-Gault", weightForDrug=null }={}) {
+  const rows = [];
+  if (crcl==null&&!modality) return rows;
+  for (const med of (medications||[])) {
+    const order   = med.parsed || parseMedicationOrder(med, { weightKg });
+    const drugKey = findTableDrug(order.drug) || findTableDrug(med.name);
+    if (!drugKey) continue;
+    const entry = RENAL_DOSING_TABLE[drugKey];
+    const [indKey, indication] = selectIndication(entry, med, order, contextText);
+    const band = selectBand(indication.bands, crcl, modality);
+    if (!band) continue;
+    const dosingWeight = weightForDrug ? weightForDrug(drugKey) : weightKg;
+    rows.push(buildRow(med, order, drugKey, entry, indKey, indication, band, { crcl, modality, weightKg:dosingWeight, estimator }));
+  }
+  return rows;
+}
+
+export function findTableDrug(name) {
+  const n = String(name||"").toLowerCase();
+  if (!n) return null;
+  for (const [key, entry] of Object.entries(RENAL_DOSING_TABLE)) {
+    if (entry.names.some(x=>n.includes(x))) return key;
+  }
+  return null;
+}
+
+function selectIndication(entry, med, order, contextText) {
+  const text  = `${med.indication||""} ${contextText||""}`.toLowerCase();
+  const route = ROUTE_GROUP[order.route] || null;
+  const routeOk = (ind)=>!ind.route||!route||ind.route===route;
+  for (const [key, ind] of Object.entries(entry.indications)) {
+    if (key==="default") continue;
+    if (ind.match&&ind.match.some(k=>text.includes(k))&&routeOk(ind)) return [key, ind];
+  }
+  for (const [key, ind] of Object.entries(entry.indications)) {
+    if (key!=="default"&&!ind.match&&ind.route&&ind.route===route) return [key, ind];
+  }
+  return ["default", entry.indications.default];
+}
+
+// Table `route` values group the parser's route enum
+const ROUTE_GROUP = { IV:"iv", PO:"oral", NG:"oral", SC:"sc" };
+
+// On RRT only the modality band applies — CrCl bands are never a fallback
+function selectBand(bands, crcl, modality) {
+  if (modality) return bands.find(b=>b.rrt===modality)||null;
+  if (crcl==null) return null;
+  return bands.find(b=>b.crcl&&(b.crcl[0]==null||crcl>=b.crcl[0])&&(b.crcl[1]==null||crcl<b.crcl[1]||(b.max_inclusive&&crcl===b.crcl[1]))
+    &&!(crcl===b.crcl[0]&&lowerOpen(b, bands)))||null;
+}
+
+function lowerOpen(band, bands) {
+  return bands.some(o=>o.max_inclusive&&o.crcl[1]===band.crcl[0]);
+}
+
+function buildRow(med, order, drugKey, entry, indKey, indication, band, { crcl, modality, weightKg, estimator }) {
+  const ordered   = [med.name, med.dose, med.route, med.frequency].filter(Boolean).join(" ").replace(/\s+/g," ").trim();
+  const bandLabel = band.rrt ? band.rrt : `CrCl ${formatRange(band, indication.bands)} mL/min`;
+  const basis     = band.rrt ? `on ${band.rrt}` : `CrCl ${crcl} mL/min (${estimator})`;
+  const reference = `Renal dosing table v${RENAL_TABLE_VERSION} — ${indication.label}, ${bandLabel}`;
+  const base = {
+    drug: med.name, ordered, source:"renal_dosing_engine", locked:true,
+    table_version: RENAL_TABLE_VERSION, table_drug: drugKey, indication: indKey, band: bandLabel, reference,
+    estimator: band.rrt ? `${band.rrt} modality` : estimator, estimator_value: band.rrt ? null : crcl,
+  };
+
+  if (band.avoid) {
+    return { ...base, recommended:`Avoid. ${band.note||""}`.trim(), recommended_regimen:null,
+      verdict:"STOP", reason:`${med.name} not recommended ${basis}.` };
+  }
+
+  const doseMg = computeDoseMg(band, weightKg);
+  if (doseMg==null) {
+    return { ...base, recommended:`${band.dose_mg_per_kg} mg/kg ${formatInterval(band.interval_h)} (weight required)`,
+      recommended_regimen:null, verdict:"MONITOR", reason:`Weight missing — cannot compute mg/kg dose ${basis}.` };
+  }
+
+  const regimen = { dose_mg:doseMg, interval_h:band.interval_h, loading_mg:band.loading_mg||null,
+    daily_dose_mg: band.interval_h ? Math.round(doseMg*24/band.interval_h*10)/10 : null };
+  const recommended = [
+    band.loading_mg ? `${formatDose(band.loading_mg, entry.unit)} loading, then` : "",
+    `${formatDose(doseMg, entry.unit)} ${formatInterval(band.interval_h)}`,
+    band.note ? `— ${band.note}` : "",
+  ].filter(Boolean).join(" ");
+
+  const cmp = compareOrdered(order, regimen, drugKey);
+  return { ...base, recommended, recommended_regimen:regimen, ...cmp, reason:`${cmp.reason} Band: ${basis}.` };
+}
+
+function computeDoseMg(band, weightKg) {
+  if (band.dose_mg!=null) return band.dose_mg;
+  if (!weightKg) return null;
+  let dose = band.dose_mg_per_kg*weightKg;
+  if (band.round_to) dose = Math.round(dose/band.round_to)*band.round_to;
+  if (band.max_dose_mg) dose = Math.min(dose, band.max_dose_mg);
+  return dose;
+}
+
+/* =========================================================
+   ORDERED vs RECOMMENDED
+========================================================= */
+export const DOSE_TOLERANCE = 0.1;
+// A different interval is accepted only when the daily dose matches and the
+// dose runs as a continuous infusion, or as an extended (≥3 h) infusion at most
+// 1.5× the table's interval — e.g. pip/tazo 4.5 g q8h over 4 h vs 3.375 g q6h.
+// Intermittent doses must match the table's interval.
+const EQUIVALENT_INTERVAL_RATIO = 1.5;
+const EXTENDED_INFUSION_H       = 3;
+// Colistimethate: 1 million IU ≈ 33.3 mg colistin base activity
+export const MIU_TO_MG_CBA = 33.3;
+
+function compareOrdered(order, regimen, drugKey) {
+  let orderedMg = order.dose_mg;
+  if (orderedMg==null&&drugKey==="colistin"&&order.unit==="MIU") orderedMg = Math.round(order.amount*MIU_TO_MG_CBA*10)/10;
+  const orderedH = order.interval_h;
+  if (orderedMg==null||(orderedH==null&&regimen.interval_h!=null)) {
+    return { verdict:"MONITOR", reason:"Ordered dose/frequency could not be parsed — verify against recommended regimen." };
+  }
+  const doseOk = Math.abs(orderedMg-regimen.dose_mg)<=regimen.dose_mg*DOSE_TOLERANCE;
+  const freqOk = regimen.interval_h==null||orderedH===regimen.interval_h;
+  if (doseOk&&freqOk) return { verdict:"CORRECT", reason:"Ordered regimen matches renal dosing table." };
+
+  const orderedDaily = regimen.interval_h&&orderedH ? orderedMg*24/orderedH : null;
+  const dailyOk = orderedDaily!=null&&Math.abs(orderedDaily-regimen.daily_dose_mg)<=regimen.daily_dose_mg*DOSE_TOLERANCE;
+  const extended   = (order.infusion_h??0)>=EXTENDED_INFUSION_H||order.continuous;
+  const intervalOk = order.continuous||(extended&&orderedH<=regimen.interval_h*EQUIVALENT_INTERVAL_RATIO);
+  if (dailyOk&&intervalOk) {
+    return { verdict:"CORRECT", reason:`Equivalent regimen — ${Math.round(orderedDaily)} mg/day matches the table's ${regimen.daily_dose_mg} mg/day (ordered q${orderedH}h${order.infusion_h ? ` over ${order.infusion_h} h` : ""} vs q${regimen.interval_h}h).` };
+  }
+  const issues = [];
+  if (dailyOk) issues.push(`interval q${orderedH}h vs q${regimen.interval_h}h (same daily dose, ${extended ? "interval too long" : "intermittent infusion"})`);
+  else {
+    if (!doseOk) issues.push(`dose ${orderedMg} mg vs ${regimen.dose_mg} mg`);
+    if (!freqOk) issues.push(`interval q${orderedH}h vs q${regimen.interval_h}h`);
+    if (orderedDaily!=null) issues.push(`daily ${Math.round(orderedDaily)} mg vs ${regimen.daily_dose_mg} mg`);
+  }
+  return { verdict:"ADJUST", reason:`Ordered ${issues.join(", ")}.` };
+}
+
+/* =========================================================
+   FORMATTERS
+========================================================= */
+function formatRange(band, bands) {
+  const [lo, hi] = band.crcl;
+  if (lo==null) return `<${hi}`;
+  if (hi==null) return lowerOpen(band, bands) ? `>${lo}` : `≥${lo}`;
+  return `${lo}–${band.max_inclusive ? hi : hi-1}`;
+}
+
+function formatDose(mg, unit) {
+  if (unit==="g pip/tazo") return `${Math.round(mg/1000*1000)/1000} g`;
+  if (unit) return `${mg} ${unit}`;
+  return mg>=1000 && mg%250===0 ? `${mg/1000} g` : `${mg} mg`;
+}
+
+function formatInterval(h) {
+  return h ? `Q${h}H` : "(redose by level)";
+}
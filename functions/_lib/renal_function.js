@@ -0,0 +1,165 @@
+// File: /functions/_lib/renal_function.js
+// Renal function estimators and reliability flags.
+//
+//   Cockcroft-Gault  — CrCl mL/min; the estimator drug dosing tables use
+//   CKD-EPI 2021     — race-free eGFR mL/min/1.73 m²
+//   MDRD (IDMS 175)  — eGFR mL/min/1.73 m²
+//   De-indexed eGFR  — CKD-EPI × BSA/1.73 (mL/min), for drugs labelled by GFR
+//   Bedside Schwartz — 0.413 × height(cm) / SCr(mg/dL), mL/min/1.73 m²; replaces
+//                      all adult estimators under 18 y
+//
+// assessRenalFunction() adds flags for when a single SCr-based estimate
+// should not drive dosing: ARC, AKI/changing SCr, amputation, extremes of
+// age or weight, low SCr in the elderly, dialysis.
+// Cockcroft-Gault and body size come from clinical_calc.js.
+// dialysis: true or the RRT modality ("IHD" | "PD" | "CRRT", see rrt.js) — when
+// set, dosing follows the modality and Cockcroft-Gault is reported only.
+// Without it, the modality is read from conditionText by rrt.js, which skips
+// negated or planned dialysis ("not on dialysis", "HD planned").
+
+import { SCR_UMOL_PER_MGDL, DEFAULT_WEIGHT_POLICY, computeCrCl, crclCategory, bodySurfaceArea, bodyMassIndex } from "./clinical_calc.js";
+import { normalizeRrt } from "./rrt.js";
+
+const ARC_THRESHOLD     = 130;
+const ELDERLY_AGE       = 65;
+const LOW_SCR_MGDL      = 0.7;
+const AKI_DELTA_UMOL    = 26.5;
+const AKI_RATIO         = 1.5;
+const PEDIATRIC_AGE     = 18;
+const NEONATE_AGE       = 28/365;
+
+/* =========================================================
+   ESTIMATORS
+========================================================= */
+export function ckdEpi2021({ age, scrMgdl, sex }) {
+  if (!age||!scrMgdl||!sex) return null;
+  const female = isFemale(sex);
+  const kappa  = female ? 0.7 : 0.9;
+  const alpha  = female ? -0.241 : -0.302;
+  const ratio  = scrMgdl/kappa;
+  return round1(142 * Math.min(ratio,1)**alpha * Math.max(ratio,1)**-1.2 * 0.9938**age * (female ? 1.012 : 1));
+}
+
+export function mdrd({ age, scrMgdl, sex }) {
+  if (!age||!scrMgdl||!sex) return null;
+  return round1(175 * scrMgdl**-1.154 * age**-0.203 * (isFemale(sex) ? 0.742 : 1));
+}
+
+export function bedsideSchwartz({ heightCm, scrMgdl }) {
+  if (!heightCm||!scrMgdl) return null;
+  return round1(0.413*heightCm/scrMgdl);
+}
+
+export function deindexEgfr(egfr, bsa) {
+  if (egfr==null||!bsa) return null;
+  return round1(egfr*bsa/1.73);
+}
+
+/* =========================================================
+   ASSESSMENT
+   roundUpScrMgdl: site policy — in patients ≥65 y, SCr below this value
+   is rounded up before Cockcroft-Gault (null = no rounding)
+========================================================= */
+export function assessRenalFunction({ age=null, sex=null, weightKg=null, heightCm=null, scrUmol=null, scrBaselineUmol=null,
+  conditionText="", dialysis=false, roundUpScrMgdl=null, weightPolicy=DEFAULT_WEIGHT_POLICY }={}) {
+  const scrMgdl  = scrUmol ? scrUmol/SCR_UMOL_PER_MGDL : null;
+  const flags    = [];
+  const flag     = (id, message, severity="warning") => flags.push({ id, severity, message });
+  const text     = String(conditionText||"").toLowerCase();
+  if (!dialysis) dialysis = normalizeRrt(null, { text }).modality || false;
+
+  if (age!=null&&age<PEDIATRIC_AGE) return assessPediatric({ age, weightKg, heightCm, scrUmol, scrMgdl, scrBaselineUmol, text, dialysis, flag, flags });
+
+  let scrForCg = scrMgdl, roundedUp = false;
+  const elderlyLowScr = age!=null&&age>=ELDERLY_AGE&&scrMgdl!=null&&scrMgdl<LOW_SCR_MGDL;
+  if (elderlyLowScr) {
+    if (roundUpScrMgdl&&scrMgdl<roundUpScrMgdl) {
+      scrForCg = roundUpScrMgdl; roundedUp = true;
+      flag("LOW_SCR_ELDERLY", `SCr ${round2(scrMgdl)} mg/dL in a patient ≥${ELDERLY_AGE} y — rounded up to ${roundUpScrMgdl} mg/dL for Cockcroft-Gault (site policy).`, "info");
+    } else {
+      flag("LOW_SCR_ELDERLY", `SCr ${round2(scrMgdl)} mg/dL in a patient ≥${ELDERLY_AGE} y — low muscle mass may overestimate CrCl.`);
+    }
+  }
+
+  const crcl    = computeCrCl({ age, sex, weightKg, heightCm, scrMgdl:scrForCg, policy:weightPolicy });
+  const cg      = crcl.value;
+  const epi     = ckdEpi2021({ age, scrMgdl, sex });
+  const mdrdVal = mdrd({ age, scrMgdl, sex });
+  const bsa     = bodySurfaceArea(weightKg, heightCm);
+  const deindexed = deindexEgfr(epi, bsa);
+
+  const onRrt   = !!dialysis;
+  const arc     = !onRrt&&cg!=null&&cg>ARC_THRESHOLD;
+  if (arc) flag("ARC", `Augmented renal clearance (CrCl ${cg} >${ARC_THRESHOLD} mL/min) — risk of subtherapeutic beta-lactam/vancomycin exposure; do not reduce renally cleared doses, consider a measured urine CrCl.`);
+
+  const scrChanging = scrUmol&&scrBaselineUmol&&(Math.abs(scrUmol-scrBaselineUmol)>=AKI_DELTA_UMOL||scrUmol/scrBaselineUmol>=AKI_RATIO);
+  if (scrChanging||/\baki\b|acute kidney injury|acute renal failure/.test(text)) {
+    flag("AKI_UNSTABLE_SCR", `${scrChanging ? `SCr ${scrUmol} vs baseline ${scrBaselineUmol} µmol/L` : "AKI documented"} — SCr not at steady state; CrCl estimate unreliable.`);
+  }
+  if (/amputat/.test(text)) flag("AMPUTATION", "Limb amputation — reduced muscle mass; SCr-based estimates overestimate renal function.");
+  if (age!=null&&age>=90) flag("AGE_EXTREME", `Age ${age} y — Cockcroft-Gault is poorly validated at this age.`);
+
+  const bmi = bodyMassIndex(weightKg, heightCm);
+  if (bmi!=null&&(bmi>=40||bmi<18.5)) flag("WEIGHT_EXTREME", `BMI ${bmi} kg/m² — weight choice dominates Cockcroft-Gault.`);
+  else if (bmi==null&&weightKg&&(weightKg<40||weightKg>150)) flag("WEIGHT_EXTREME", `Weight ${weightKg} kg (height unknown) — Cockcroft-Gault may be misleading.`);
+
+  if (onRrt) {
+    flag("DIALYSIS", `Patient on renal replacement therapy${typeof dialysis==="string" ? ` (${dialysis})` : ""} — SCr-based estimates do not apply; dose per dialysis modality.`, "critical");
+  }
+
+  // ARC is a real finding, not an estimation problem
+  const unreliable = flags.some(f=>f.severity!=="info"&&f.id!=="ARC");
+  return {
+    scr_umol: scrUmol,
+    scr_mgdl: scrMgdl!=null ? round2(scrMgdl) : null,
+    scr_used_for_cg_mgdl: scrForCg!=null ? round2(scrForCg) : null,
+    scr_rounded_up: roundedUp,
+    crcl: cg!=null ? { value:cg, category:crcl.category, estimator:crcl.estimator, unit:crcl.unit, weight:crcl.weight } : null,
+    egfr_ckd_epi_2021: epi!=null ? { value:epi, unit:"mL/min/1.73m²" } : null,
+    egfr_mdrd:         mdrdVal!=null ? { value:mdrdVal, unit:"mL/min/1.73m²" } : null,
+    egfr_deindexed:    deindexed!=null ? { value:deindexed, unit:"mL/min", bsa_m2:bsa } : null,
+    bmi,
+    arc,
+    flags,
+    reliable: !unreliable,
+    dosing_estimator: onRrt ? "RRT modality" : "Cockcroft-Gault",
+  };
+}
+
+/* =========================================================
+   PEDIATRIC (<18 y) — bedside Schwartz is the dosing estimator
+========================================================= */
+function assessPediatric({ age, weightKg, heightCm, scrUmol, scrMgdl, scrBaselineUmol, text, dialysis, flag, flags }) {
+  const egfr = bedsideSchwartz({ heightCm, scrMgdl });
+  if (scrMgdl&&!heightCm) flag("PEDIATRIC_NO_HEIGHT", "Height missing — bedside Schwartz eGFR cannot be calculated; Cockcroft-Gault is not valid in children.");
+  if (age<NEONATE_AGE) flag("NEONATE_SCR", "Neonate — SCr in the first weeks reflects maternal creatinine and renal maturation; Schwartz eGFR is unreliable, dose by postnatal/gestational age.");
+  else if (age<1) flag("INFANT_SCHWARTZ", "Infant <1 y — bedside Schwartz is validated from 1 year; interpret eGFR with caution.");
+
+  const scrChanging = scrUmol&&scrBaselineUmol&&(Math.abs(scrUmol-scrBaselineUmol)>=AKI_DELTA_UMOL||scrUmol/scrBaselineUmol>=AKI_RATIO);
+  if (scrChanging||/\baki\b|acute kidney injury|acute renal failure/.test(text)) flag("AKI_UNSTABLE_SCR", "SCr not at steady state — eGFR estimate unreliable.");
+  const onRrt = !!dialysis;
+  if (onRrt) flag("DIALYSIS", `Patient on renal replacement therapy${typeof dialysis==="string" ? ` (${dialysis})` : ""} — SCr-based estimates do not apply; dose per dialysis modality.`, "critical");
+
+  const unreliable = flags.some(f=>f.severity!=="info");
+  return {
+    scr_umol: scrUmol,
+    scr_mgdl: scrMgdl!=null ? round2(scrMgdl) : null,
+    scr_used_for_cg_mgdl: null,
+    scr_rounded_up: false,
+    crcl: egfr!=null ? { value:egfr, category:crclCategory(egfr), estimator:"Bedside Schwartz", unit:"mL/min/1.73m²", weight:null } : null,
+    egfr_schwartz:     egfr!=null ? { value:egfr, unit:"mL/min/1.73m²", height_cm:heightCm } : null,
+    egfr_ckd_epi_2021: null,
+    egfr_mdrd:         null,
+    egfr_deindexed:    null,
+    bmi: bodyMassIndex(weightKg, heightCm),
+    arc: false,
+    flags,
+    reliable: !unreliable,
+    pediatric: true,
+    dosing_estimator: onRrt ? "RRT modality" : "Bedside Schwartz",
+  };
+}
+
+function isFemale(sex) { return String(sex||"").toLowerCase().startsWith("f"); }
+function round1(n) { return Math.round(n*10)/10; }
+function round2(n) { return Math.round(n*100)/100; }
@@ -0,0 +1,175 @@
+// File: /functions/_lib/retrieval.js
+// Retrieval providers shared by /api/ask and /ask.
+//
+// Every provider exposes:
+//   search(query, { storeIds, maxResults }) → Promise<Hit[]>
+//   Hit = { filename, text, score, attributes:{ page, chunk_index, section }, store }
+//
+// Backends (env.RETRIEVAL_BACKEND):
+//   "openai" (default) — OpenAI vector store search API
+//   "local"            — BM25 over local_index.json built by build_vectorstores.mjs --local
+// env.RETRIEVAL_PROVIDER (an object with search()) overrides both, e.g. in tests.
+
+/* =========================================================
+   PROVIDER FACTORY
+========================================================= */
+export function createRetrievalProvider(env) {
+  if (env.RETRIEVAL_PROVIDER && typeof env.RETRIEVAL_PROVIDER.search==="function") return env.RETRIEVAL_PROVIDER;
+  const backend = String(env.RETRIEVAL_BACKEND || "openai").toLowerCase();
+  if (backend==="local") return createLocalIndexProvider(env);
+  return createOpenAIVectorStoreProvider(env);
+}
+
+export function retrievalBackend(env) {
+  if (env.RETRIEVAL_PROVIDER) return "custom";
+  return String(env.RETRIEVAL_BACKEND || "openai").toLowerCase()==="local" ? "local" : "openai";
+}
+
+/* =========================================================
+   OPENAI VECTOR STORE PROVIDER
+========================================================= */
+export function createOpenAIVectorStoreProvider(env) {
+  return {
+    async search(query, { storeIds, maxResults=6 }={}) {
+      const stores  = storeIds && storeIds.length ? storeIds : [env.VECTOR_STORE_ID];
+      const results = await Promise.allSettled(stores.map(id=>searchOpenAIStore(env, id, query, maxResults)));
+      const hits = [];
+      for (const r of results) if (r.status==="fulfilled") hits.push(...r.value);
+      return hits;
+    },
+  };
+}
+
+async function searchOpenAIStore(env, storeId, query, maxResults) {
+  try {
+    const res = await fetch(`https://api.openai.com/v1/vector_stores/${storeId}/search`, {
+      method:"POST",
+      headers:{ Authorization:`Bearer ${env.OPENAI_API_KEY}`, "Content-Type":"application/json", "OpenAI-Beta":"assistants=v2" },
+      body: JSON.stringify({ query, max_num_results: maxResults }),
+    });
+    if (!res.ok) { console.error("vector store search failed:", await res.text()); return []; }
+    const data = await res.json();
+    return (data.data||[]).map((item,i)=>({
+      filename:   item.attributes?.filename||item.attributes?.file_name||item.filename||item.file_name||item.file_id||`source_${i+1}`,
+      text:       extractItemText(item),
+      score:      item.score??item.similarity??null,
+      attributes: { ...(item.metadata||{}), ...(item.attributes||{}) },
+      store:      storeId,
+    }));
+  } catch(e) { console.error("vector store search exception:",e); return []; }
+}
+
+function extractItemText(item) {
+  let content = "";
+  if (item.content) {
+    if (Array.isArray(item.content)) content=item.content.map(c=>c.text||c.value||"").join("\n");
+    else if (typeof item.content==="string") content=item.content;
+    else if (item.content?.text) content=item.content.text;
+  }
+  if (!content&&item.text) content=item.text;
+  if (!content&&Array.isArray(item.chunks)) content=item.chunks.map(c=>c.text||"").join("\n");
+  return content;
+}
+
+/* =========================================================
+   LOCAL INDEX PROVIDER (BM25, no network)
+   Index source, first match wins:
+     env.LOCAL_INDEX as an object   — injected index (tests)
+     env.LOCAL_INDEX as KV binding  — key "local_index"
+     env.ASSETS                     — static /local_index.json
+========================================================= */
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+const STOPWORDS = new Set(["a","an","and","are","as","at","be","by","for","from","in","is","it","of","on","or","that","the","to","with","what","which","when","how","dose","dosing"]);
+
+let cachedIndex = null;
+
+export function createLocalIndexProvider(env) {
+  return {
+    async search(query, { storeIds, maxResults=6 }={}) {
+      const index = await loadLocalIndex(env);
+      if (!index) { console.error("local index not available"); return []; }
+      return searchBm25(index, query, storeIds, maxResults);
+    },
+  };
+}
+
+async function loadLocalIndex(env) {
+  const src = env.LOCAL_INDEX;
+  if (src && Array.isArray(src.chunks)) return prepareIndex(src);
+  if (cachedIndex) return cachedIndex;
+  let raw = null;
+  try {
+    if (src && typeof src.get==="function") raw = await src.get("local_index", "json");
+    else if (env.ASSETS) {
+      const res = await env.ASSETS.fetch("https://assets.local/local_index.json");
+      if (res.ok) raw = await res.json();
+    }
+  } catch(e) { console.error("loadLocalIndex:", e); }
+  if (!raw || !Array.isArray(raw.chunks)) return null;
+  cachedIndex = prepareIndex(raw);
+  return cachedIndex;
+}
+
+// Tokenize once per index object; df/avgdl drive BM25
+const prepared = new WeakMap();
+function prepareIndex(raw) {
+  if (prepared.has(raw)) return prepared.get(raw);
+  const docs = raw.chunks.map(c=>{
+    const tokens = tokenize(c.text);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t)||0)+1);
+    return { chunk:c, tf, len:tokens.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t)||0)+1);
+  const avgdl = docs.reduce((s,d)=>s+d.len,0)/(docs.length||1);
+  const index = { docs, df, avgdl };
+  prepared.set(raw, index);
+  return index;
+}
+
+export function tokenize(text) {
+  return String(text||"").toLowerCase()
+    .replace(/[^a-z0-9.\/\-]+/g," ")
+    .split(" ")
+    .map(t=>t.replace(/^[.\/\-]+|[.\/\-]+$/g,""))
+    .filter(t=>t.length>1&&!STOPWORDS.has(t));
+}
+
+function searchBm25(index, query, storeIds, maxResults) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) return [];
+
+  // Restrict to routed stores; a store with no local chunks (e.g. the global
+  // store) means "search everything"
+  let docs = index.docs;
+  if (storeIds && storeIds.length) {
+    const scoped = docs.filter(d=>storeIds.includes(d.chunk.store_id)||storeIds.includes(d.chunk.store));
+    if (scoped.length) docs = scoped;
+  }
+
+  const N = index.docs.length;
+  const scored = [];
+  for (const d of docs) {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t); if (!f) continue;
+      const n   = index.df.get(t)||0;
+      const idf = Math.log(1+(N-n+0.5)/(n+0.5));
+      score += idf*(f*(BM25_K1+1))/(f+BM25_K1*(1-BM25_B+BM25_B*d.len/(index.avgdl||1)));
+    }
+    if (score>0) scored.push({ d, score });
+  }
+  scored.sort((a,b)=>b.score-a.score);
+
+  // Scale to 0–1 against the best hit so score thresholds downstream still apply
+  const top = scored[0]?.score||1;
+  return scored.slice(0, maxResults).map(({ d, score })=>({
+    filename:   d.chunk.filename,
+    text:       d.chunk.text,
+    score:      Math.round((score/top)*1000)/1000,
+    attributes: { page:d.chunk.page, chunk_index:d.chunk.chunk_index, section:d.chunk.section },
+    store:      d.chunk.store_id||d.chunk.store||"local",
+  }));
+}
@@ -0,0 +1,135 @@
+// File: /functions/_lib/rrt.js
+// Renal replacement therapy (and ECMO) state for the v3 case pipeline.
+//
+//   Modality    — "IHD" | "PD" | "CRRT" (CVVH / CVVHD / CVVHDF, SLED counted as IHD)
+//   Effluent    — mL/kg/h; CRRT table doses assume 20–25 mL/kg/h
+//   Timing      — last / next session, schedule (e.g. "Mon/Wed/Fri")
+//   ECMO        — circuit sequestration / ↑Vd, tracked separately from RRT
+//
+// When a modality is present, Cockcroft-Gault does not drive dosing:
+// rrtTableModality() maps the modality onto the renal dosing table's
+// rrt bands ("HD" | "CRRT").
+
+const CRRT_EFFLUENT_RANGE = [20, 25];   // mL/kg/h the CRRT bands were written for
+const HIGH_EFFLUENT       = 35;
+
+const MODALITY_LABELS = { IHD:"Intermittent haemodialysis", PD:"Peritoneal dialysis", CRRT:"Continuous RRT" };
+
+// Free-text fallback when the extractor leaves the structured fields empty.
+// Only affirmative clauses count: "not on dialysis", "declined HD" or
+// "haemodialysis planned" do not make the patient dialysed.
+const NOT_CURRENT_RE = /\b(no|not|never|without|declined?|declines|refused|refuses|off|stopped|pre-?dialysis|planned|plan for|to start|will need|may need|awaiting|consider\w*|discuss\w*)\b/i;
+const TEXT_PATTERNS = [
+  { re:/\b(cvvhdf|cvvhd|cvvh|crrt|cavh|continuous (veno-?venous|renal replacement))/i, modality:"CRRT" },
+  { re:/\b(capd|apd|peritoneal dialysis)\b/i,                                          modality:"PD" },
+  { re:/\b(ihd|sled|haemodialysis|hemodialysis|on dialysis|esrd on hd|hd (mon|tue|wed|thu|fri|sat|sun|3x|three))\b/i, modality:"IHD" },
+];
+
+/* =========================================================
+   NORMALIZATION
+   raw: extractor's renal_replacement block; text: diagnosis/PMH/admission
+========================================================= */
+export function normalizeRrt(raw, { text="", weightKg=null }={}) {
+  const r        = raw && typeof raw==="object" ? raw : {};
+  const current  = affirmativeText(text);
+  const crrtType = normalizeCrrtType(r.crrt_type) || normalizeCrrtType(r.modality) || normalizeCrrtType(current);
+  let modality   = normalizeModality(r.modality) || (normalizeCrrtType(r.crrt_type)||normalizeCrrtType(r.modality) ? "CRRT" : null);
+  let source     = modality ? "extracted" : null;
+  if (!modality) {
+    const hit = TEXT_PATTERNS.find(p=>p.re.test(current));
+    if (hit) { modality = hit.modality; source = "case_text"; }
+  }
+
+  let perKg = toNumber(r.effluent_ml_kg_h);
+  let perH  = toNumber(r.effluent_ml_h);
+  if (perKg==null&&perH!=null&&weightKg) perKg = Math.round(perH/weightKg*10)/10;
+  if (perH==null&&perKg!=null&&weightKg) perH  = Math.round(perKg*weightKg);
+
+  const ecmo = r.ecmo===true||/^(yes|true|va|vv|v-a|v-v)/i.test(String(r.ecmo||"")) || /\b(ecmo|ecls|extracorporeal membrane)/i.test(current);
+
+  return {
+    modality,
+    modality_label: modality ? MODALITY_LABELS[modality] : null,
+    crrt_type: modality==="CRRT" ? crrtType : null,
+    effluent_ml_kg_h: modality==="CRRT" ? perKg : null,
+    effluent_ml_h:    modality==="CRRT" ? perH  : null,
+    last_session: r.last_session || null,
+    next_session: r.next_session || null,
+    schedule:     r.schedule     || null,
+    ecmo,
+    ecmo_mode: ecmo ? normalizeEcmoMode(r.ecmo) : null,
+    source,
+  };
+}
+
+// Renal dosing table band for this modality (PD is dosed on the HD band without post-session supplements)
+export function rrtTableModality(rrt) {
+  if (!rrt?.modality) return null;
+  return rrt.modality==="CRRT" ? "CRRT" : "HD";
+}
+
+/* =========================================================
+   WARNINGS
+   Modality-level cautions; drug-level rules live in the v3 SAFETY_RULES
+========================================================= */
+export function rrtWarnings(rrt) {
+  const out = [];
+  if (!rrt?.modality&&!rrt?.ecmo) return out;
+  if (rrt.modality==="CRRT") {
+    const e = rrt.effluent_ml_kg_h;
+    if (e==null) out.push(`CRRT effluent rate not documented — table doses assume ${CRRT_EFFLUENT_RANGE[0]}–${CRRT_EFFLUENT_RANGE[1]} mL/kg/h.`);
+    else if (e>=HIGH_EFFLUENT) out.push(`High-intensity CRRT (${e} mL/kg/h) — clearance of renally eliminated antimicrobials is higher than the table assumes; use upper-range doses and TDM.`);
+    else if (e<CRRT_EFFLUENT_RANGE[0]) out.push(`Low CRRT effluent (${e} mL/kg/h) — accumulation risk with table doses; use TDM where available.`);
+    out.push("Interruptions to CRRT (filter clotting, transfers) reduce clearance — re-check dosing if downtime exceeds several hours.");
+  }
+  if (rrt.modality==="IHD") {
+    out.push(`Dialysable drugs: give the dose after the HD session${rrt.next_session ? ` (next session ${rrt.next_session})` : ""}; add post-HD supplements where the table states them.`);
+    if (!rrt.last_session&&!rrt.schedule) out.push("HD schedule not documented — confirm session days to time doses and pre-HD levels.");
+  }
+  if (rrt.modality==="PD") out.push("Peritoneal dialysis — dose as for HD without post-session supplements; intraperitoneal antibiotics for PD peritonitis follow the ISPD protocol.");
+  if (rrt.ecmo) out.push("ECMO — circuit sequestration and ↑Vd for lipophilic/protein-bound drugs (e.g. fentanyl, midazolam, propofol, voriconazole); higher loading doses and TDM.");
+  return out;
+}
+
+// One-line description for prompts and the SOAP renal block
+export function formatRrt(rrt) {
+  if (!rrt?.modality&&!rrt?.ecmo) return "None";
+  const parts = [];
+  if (rrt.modality) parts.push(`${rrt.modality_label}${rrt.crrt_type ? ` (${rrt.crrt_type})` : ""}`);
+  if (rrt.effluent_ml_kg_h!=null) parts.push(`effluent ${rrt.effluent_ml_kg_h} mL/kg/h${rrt.effluent_ml_h!=null ? ` (${rrt.effluent_ml_h} mL/h)` : ""}`);
+  if (rrt.schedule)     parts.push(`schedule ${rrt.schedule}`);
+  if (rrt.last_session) parts.push(`last session ${rrt.last_session}`);
+  if (rrt.next_session) parts.push(`next session ${rrt.next_session}`);
+  if (rrt.ecmo)         parts.push(`ECMO${rrt.ecmo_mode ? ` ${rrt.ecmo_mode}` : ""}`);
+  return parts.join(" | ");
+}
+
+// Clauses of the case text that state current therapy (no negation / plan)
+function affirmativeText(text) {
+  return String(text||"").split(/[.;,\n]|\bbut\b/i).filter(c=>!NOT_CURRENT_RE.test(c)).join(". ");
+}
+
+function normalizeModality(v) {
+  const s = String(v||"").toLowerCase();
+  if (!s) return null;
+  if (/crrt|cvvh|cavh|continuous/.test(s)) return "CRRT";
+  if (/\bpd\b|peritoneal|capd|apd/.test(s)) return "PD";
+  if (/\bi?hd\b|haemo|hemo|sled|intermittent/.test(s)) return "IHD";
+  return null;
+}
+
+function normalizeCrrtType(v) {
+  const m = String(v||"").toUpperCase().match(/\b(CVVHDF|CVVHD|CVVH|SCUF)\b/);
+  return m ? m[1] : null;
+}
+
+function normalizeEcmoMode(v) {
+  const s = String(v||"").toUpperCase().replace(/-/g,"");
+  return s.startsWith("VA") ? "VA" : s.startsWith("VV") ? "VV" : null;
+}
+
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v).replace(/,/g,""));
+  return Number.isNaN(n) ? null : n;
+}
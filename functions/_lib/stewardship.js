@@ -0,0 +1,384 @@
+// File: /functions/_lib/stewardship.js
+// Antimicrobial stewardship review — one checklist row per antimicrobial.
+//
+//   Day of therapy  — stated day, else start date → review date (ISO) or
+//                     start day → current hospital day ("D3" → "D8" = day 6)
+//   Duration        — indication → protocol days; exceeds_duration when past it
+//   IV → PO         — afebrile ≥24 h, haemodynamically stable, tolerating oral,
+//                     WBC settling, no infection needing IV (endocarditis, CNS,
+//                     S. aureus bacteraemia, neutropenic fever, necrotising
+//                     infection) and an oral equivalent exists
+//   De-escalation   — resistant isolate → change; narrower susceptible agent →
+//                     step down; MRSA cover on MSSA → flucloxacillin/cefazolin;
+//                     MRSA cover with no MRSA isolated at ≥48 h → stop, or
+//                     change when it is the only agent for a non-MRSA isolate
+//                     (oral vancomycin and fidaxomicin for C. difficile excluded);
+//                     negative cultures at ≥72 h → review need
+//   Duplicates      — ≥2 anaerobic agents; ≥2 gram-negative agents
+//
+// Protocol durations can be overridden per site ({ key: days }, keys as in
+// PROTOCOL_DURATIONS). Every checklist item is "pass" | "action" | "unknown".
+// Cultures arrive normalized by microbiology.js.
+
+import { drugProfile, profileMatches } from "./drug_dictionary.js";
+
+export const ANTIMICROBIAL_CLASSES = ["beta-lactam","aminoglycoside","fluoroquinolone","macrolide","glycopeptide","oxazolidinone",
+  "nitroimidazole","lincosamide","polymyxin","sulfonamide","azole-antifungal","tetracycline","glycylcycline","nitrofuran","macrocyclic"];
+const AFEBRILE_HOURS = 24;
+const FEVER_C        = 38;
+const CULTURE_REVIEW_DAY = 3;
+const MRSA_RULE_OUT_HOURS = 48;
+
+/* =========================================================
+   TABLES
+========================================================= */
+// Oral step-down per IV agent; culture_directed: no like-for-like oral form
+const IV_TO_PO = {
+  "ciprofloxacin":                 { oral:"Ciprofloxacin 500–750 mg PO Q12H (400 mg IV ≈ 500 mg PO)" },
+  "levofloxacin":                  { oral:"Levofloxacin same dose PO (bioavailability ~99%)" },
+  "moxifloxacin":                  { oral:"Moxifloxacin 400 mg PO daily" },
+  "metronidazole":                 { oral:"Metronidazole 400–500 mg PO Q8H" },
+  "linezolid":                     { oral:"Linezolid 600 mg PO Q12H" },
+  "fluconazole":                   { oral:"Fluconazole same dose PO" },
+  "trimethoprim-sulfamethoxazole": { oral:"Trimethoprim-sulfamethoxazole same dose PO" },
+  "clindamycin":                   { oral:"Clindamycin 300–450 mg PO Q6–8H" },
+  "doxycycline":                   { oral:"Doxycycline 100 mg PO Q12H" },
+  "azithromycin":                  { oral:"Azithromycin 500 mg PO daily" },
+  "clarithromycin":                { oral:"Clarithromycin 500 mg PO Q12H" },
+  "amoxicillin-clavulanate":       { oral:"Amoxicillin-clavulanate 625 mg PO Q8H (or 875/125 mg Q12H)" },
+  "ampicillin-sulbactam":          { oral:"Amoxicillin-clavulanate 625 mg PO Q8H" },
+  "ampicillin":                    { oral:"Amoxicillin 500 mg–1 g PO Q8H" },
+  "amoxicillin":                   { oral:"Amoxicillin 500 mg–1 g PO Q8H" },
+  "benzylpenicillin":              { oral:"Amoxicillin 500 mg–1 g PO Q8H (or phenoxymethylpenicillin 500 mg PO Q6H)" },
+  "flucloxacillin":                { oral:"Flucloxacillin 1 g PO Q6H (or cefalexin 1 g PO Q8H)" },
+  "cefazolin":                     { oral:"Cefalexin 500 mg–1 g PO Q6–8H" },
+  "cefuroxime":                    { oral:"Cefuroxime axetil 500 mg PO Q12H" },
+  "ceftriaxone":                   { oral:"Culture-directed: amoxicillin-clavulanate 625 mg PO Q8H, cefuroxime axetil 500 mg PO Q12H, or ciprofloxacin / TMP-SMX per susceptibility", culture_directed:true },
+  "piperacillin-tazobactam":       { oral:"Culture-directed: amoxicillin-clavulanate 625 mg PO Q8H, or ciprofloxacin 500 mg PO Q12H + metronidazole 400 mg PO Q8H per susceptibility", culture_directed:true },
+  "meropenem":                     { oral:"No oral carbapenem — step down only by susceptibility (ciprofloxacin, TMP-SMX, amoxicillin-clavulanate)", culture_directed:true },
+  "ertapenem":                     { oral:"No oral carbapenem — step down only by susceptibility (ciprofloxacin, TMP-SMX, amoxicillin-clavulanate)", culture_directed:true },
+  "imipenem-cilastatin":           { oral:"No oral carbapenem — step down only by susceptibility (ciprofloxacin, TMP-SMX, amoxicillin-clavulanate)", culture_directed:true },
+  "vancomycin":                    { oral:"No systemic oral form (oral vancomycin is gut-only) — linezolid 600 mg PO Q12H, or doxycycline / TMP-SMX per MRSA susceptibility", culture_directed:true },
+};
+
+// Oral agents a culture-directed step-down can land on
+const ORAL_STEP_DOWN = {
+  "amoxicillin":"Amoxicillin 500 mg–1 g PO Q8H", "amoxicillin-clavulanate":"Amoxicillin-clavulanate 625 mg PO Q8H",
+  "cefalexin":"Cefalexin 500 mg–1 g PO Q6–8H", "cefuroxime":"Cefuroxime axetil 500 mg PO Q12H",
+  "ciprofloxacin":"Ciprofloxacin 500–750 mg PO Q12H", "levofloxacin":"Levofloxacin 750 mg PO daily",
+  "trimethoprim-sulfamethoxazole":"Trimethoprim-sulfamethoxazole 960 mg PO Q12H", "doxycycline":"Doxycycline 100 mg PO Q12H",
+  "nitrofurantoin":"Nitrofurantoin 100 mg MR PO Q12H (cystitis only)", "flucloxacillin":"Flucloxacillin 1 g PO Q6H",
+  "clindamycin":"Clindamycin 300–450 mg PO Q6–8H", "linezolid":"Linezolid 600 mg PO Q12H",
+};
+
+// Indication → protocol duration in days (uncomplicated course, source controlled)
+const PROTOCOL_DURATIONS = [
+  { key:"surgical_prophylaxis", re:/\b(surgical|peri-?operative|pre-?operative) prophyla\w*/i,                 days:1,  label:"Surgical prophylaxis" },
+  { key:"cystitis",             re:/\b(cystitis|lower uti|uncomplicated uti)\b/i,                        days:5,  label:"Uncomplicated cystitis" },
+  { key:"pyelonephritis",       re:/\b(pyelonephritis|upper uti|complicated uti|urosepsis|cauti)\b/i,    days:7,  label:"Pyelonephritis / complicated UTI" },
+  { key:"cap",                  re:/\b(cap|community[- ]acquired pneumonia)\b/i,                         days:5,  label:"Community-acquired pneumonia" },
+  { key:"hap_vap",              re:/\b(hap|vap|hospital[- ]acquired pneumonia|ventilator[- ]associated)\b/i, days:7, label:"HAP / VAP" },
+  { key:"cellulitis",           re:/\b(cellulitis|erysipelas|skin and soft tissue|ssti)\b/i,             days:5,  label:"Cellulitis" },
+  { key:"intra_abdominal",      re:/\b(intra-?abdominal|peritonitis|cholangitis|appendicitis|cholecystitis)\b/i, days:4, label:"Intra-abdominal infection (source controlled)" },
+  { key:"s_aureus_bacteraemia", re:/\b(s\.? ?aureus|staph\w* aureus|mrsa|mssa)\b.*\bbacter[a]?emia\b|\bbacter[a]?emia\b.*\b(s\.? ?aureus|mrsa|mssa)\b/i, days:14, label:"S. aureus bacteraemia (uncomplicated)" },
+  { key:"gn_bacteraemia",       re:/\b(gram[- ]negative|e\.? ?coli|klebsiella|pseudomonas)\b.*\bbacter[a]?emia\b|\bgn bacter[a]?emia\b/i, days:7, label:"Gram-negative bacteraemia" },
+  { key:"c_difficile",          re:/\b(c\.? ?diff\w*|clostridioides|clostridium difficile)\b/i,         days:10, label:"C. difficile infection" },
+  { key:"meningitis",           re:/\bmeningitis\b/i,                                                    days:14, label:"Bacterial meningitis" },
+  { key:"sepsis",               re:/\b(sepsis|septic shock|bacter[a]?emia)\b/i,                          days:7,  label:"Sepsis / bacteraemia (unspecified source)" },
+];
+
+// Relative breadth for step-down suggestions — lower is narrower
+export const SPECTRUM_RANK = {
+  "benzylpenicillin":1, "amoxicillin":2, "ampicillin":2, "flucloxacillin":2, "cloxacillin":2, "nitrofurantoin":2,
+  "cefalexin":3, "cefazolin":3, "doxycycline":3, "trimethoprim-sulfamethoxazole":3, "clindamycin":3,
+  "amoxicillin-clavulanate":4, "ampicillin-sulbactam":4, "cefuroxime":4,
+  "ceftriaxone":5, "ciprofloxacin":5, "levofloxacin":5, "gentamicin":5,
+  "ceftazidime":6, "cefepime":6, "aztreonam":6, "amikacin":6,
+  "piperacillin-tazobactam":7, "ertapenem":7,
+  "meropenem":8, "imipenem-cilastatin":8,
+  "ceftazidime-avibactam":9, "colistin":9, "tigecycline":9,
+};
+
+const ANAEROBIC   = ["metronidazole","clindamycin","piperacillin-tazobactam","amoxicillin-clavulanate","ampicillin-sulbactam",
+  "meropenem","imipenem-cilastatin","ertapenem","moxifloxacin","tigecycline"];
+const GRAM_NEGATIVE = ["piperacillin-tazobactam","amoxicillin-clavulanate","ampicillin-sulbactam","cefuroxime","ceftriaxone","ceftazidime",
+  "ceftazidime-avibactam","cefepime","meropenem","imipenem-cilastatin","ertapenem","aztreonam","gentamicin","tobramycin","amikacin",
+  "ciprofloxacin","levofloxacin","moxifloxacin","colistin","trimethoprim-sulfamethoxazole","tigecycline"];
+const MRSA_AGENTS = ["vancomycin","teicoplanin","linezolid"];
+const ANTI_STAPH_BETA_LACTAMS = ["flucloxacillin","cloxacillin","oxacillin","cefoxitin","cefazolin"];
+
+const IV_ONLY_RE   = /\b(endocarditis|meningitis|brain abscess|cns infection|ventriculitis|febrile neutropenia|neutropenic (?:fever|sepsis)|necroti[sz]ing fasciitis|undrained|empyema)\b/i;
+const MRSA_RE      = /\b(mrsa|methicillin[- ]resistant|mrse|enterococc\w*|corynebacter\w*)\b/i;
+const S_AUREUS_RE  = /\b(s\.? ?aureus|staph\w* aureus|mssa|mrsa)\b/i;
+const C_DIFF_RE    = /\b(c\.? ?diff\w*|clostridioides|clostridium difficile|cdi)\b/i;
+
+/* =========================================================
+   ENTRY POINT
+   medications: normalized case medications (with parsed order)
+   stewardship: { review_date, current_day, afebrile_hours, tolerating_oral, hemodynamically_stable }
+========================================================= */
+export function reviewAntimicrobials({ medications=[], cultures=[], stewardship={}, vitals={}, labs={}, trends=null,
+  diagnosis="", today=null, durationOverrides=[] }={}) {
+  const st        = stewardship && typeof stewardship==="object" ? stewardship : {};
+  const durations = resolveDurations(...durationOverrides);
+  const profiles  = medications.map(m=>({ med:m, profile:drugProfile(m.parsed?.drug||m.name) }))
+    .filter(({ profile })=>ANTIMICROBIAL_CLASSES.some(c=>profile.classes.includes(c)));
+  const allMedProfiles = medications.map(m=>drugProfile(m.name));
+  // Isolates microbiology.js marks not significant (contaminants, low counts) do not direct therapy
+  const positive  = cultures.filter(c=>!c.negative&&c.significant!==false);
+  const reviewDate = today || st.review_date || null;
+  const regimen   = profiles.map(({ med, profile })=>profile.generic||med.parsed?.drug||profile.raw);
+
+  const antimicrobials = profiles.map(({ med, profile })=>{
+    const drug       = profile.generic||med.parsed?.drug||profile.raw;
+    const indication = med.indication || null;
+    const day        = dayOfTherapy(med, reviewDate, st.current_day);
+    const duration   = protocolDuration(`${indication||""} ${indication ? "" : diagnosis}`, durations);
+    const deEsc      = deEscalation({ drug, day, cultures, positive, regimen, route:med.parsed?.route, indication, reviewDate, currentDay:st.current_day });
+    return {
+      drug,
+      ordered: [med.name, med.dose, med.route, med.frequency].filter(Boolean).join(" "),
+      route: med.parsed?.route || null,
+      indication,
+      start: med.start_date || null,
+      day_of_therapy: day,
+      protocol: duration ? { key:duration.key, label:duration.label, days:duration.days } : null,
+      exceeds_duration: day!=null&&duration ? day>duration.days : null,
+      // An agent that should stop is not switched
+      iv_to_po: deEsc.action==="stop" ? { applicable:false, eligible:null, oral_equivalent:null, criteria:[] }
+        : ivToPo({ drug, route:med.parsed?.route, st, vitals, labs, trends, text:`${diagnosis} ${indication||""}`, cultures:positive, allMedProfiles }),
+      de_escalation: deEsc,
+    };
+  });
+
+  const duplicates = findDuplicates(antimicrobials, `${diagnosis} ${antimicrobials.map(a=>a.indication||"").join(" ")}`);
+  return {
+    antimicrobials,
+    duplicates,
+    cultures,
+    checklist: buildChecklist(antimicrobials, duplicates, cultures),
+  };
+}
+
+export function resolveDurations(...overrides) {
+  const out = PROTOCOL_DURATIONS.map(d=>({ ...d }));
+  for (const o of overrides) {
+    const obj = typeof o==="string" ? safeJson(o) : o;
+    if (!obj||typeof obj!=="object") continue;
+    for (const d of out) if (Number(obj[d.key])>0) d.days = Number(obj[d.key]);
+  }
+  return out;
+}
+
+/* =========================================================
+   DAY OF THERAPY / DURATION
+========================================================= */
+function dayOfTherapy(med, reviewDate, currentDay) {
+  const stated = toNumber(String(med.day_of_therapy??"").replace(/^\D+/,""));
+  if (stated!=null) return stated;
+  const start = med.start_date;
+  if (!start) return null;
+  const startMs = Date.parse(start), reviewMs = reviewDate ? Date.parse(reviewDate) : NaN;
+  if (!Number.isNaN(startMs)&&/\d{4}-\d{2}-\d{2}/.test(start)) {
+    const ref = Number.isNaN(reviewMs) ? Date.now() : reviewMs;
+    return Math.floor((ref-startMs)/86400000)+1;
+  }
+  const startDay = toNumber(String(start).replace(/^\D+/,"")), nowDay = toNumber(String(currentDay??"").replace(/^\D+/,""));
+  return startDay!=null&&nowDay!=null ? nowDay-startDay+1 : null;
+}
+
+function protocolDuration(text, durations) {
+  return durations.find(d=>d.re.test(text)) || null;
+}
+
+/* =========================================================
+   IV → PO
+========================================================= */
+function ivToPo({ drug, route, st, vitals, labs, trends, text, cultures, allMedProfiles }) {
+  if (route!=="IV") return { applicable:false, eligible:null, oral_equivalent:null, criteria:[] };
+  const option   = IV_TO_PO[drug] || null;
+  const temp     = toNumber(vitals.temp);
+  const afebrileHours = toNumber(st.afebrile_hours);
+  const sbp      = toNumber(String(vitals.bp||"").split("/")[0]);
+  const pressor  = allMedProfiles.some(p=>profileMatches(p, "vasopressor"));
+  const stable   = toBool(st.hemodynamically_stable);
+  const oral     = toBool(st.tolerating_oral);
+  const wbcTrend = trends?.trends?.wbc;
+  const crpTrend = trends?.trends?.crp;
+  // Culture-directed step-down: only oral agents every isolate is susceptible to
+  const oralOptions = option?.culture_directed||!option ? susceptibleOptions(cultures, Infinity).filter(d=>ORAL_STEP_DOWN[d]) : null;
+  const ivOnly   = text.match(IV_ONLY_RE)?.[0] || (cultures.some(c=>S_AUREUS_RE.test(c.organism)&&/blood/i.test(c.specimen||"")) ? "S. aureus bacteraemia" : null);
+
+  const criteria = [
+    criterion("Afebrile ≥24 h",
+      afebrileHours!=null ? afebrileHours>=AFEBRILE_HOURS : temp!=null&&temp>=FEVER_C ? false : temp!=null ? true : null,
+      afebrileHours!=null ? `afebrile ${afebrileHours} h` : temp!=null ? `current temperature ${temp} °C${temp<FEVER_C ? " (duration not documented)" : ""}` : "temperature not documented"),
+    criterion("Haemodynamically stable",
+      pressor ? false : stable!=null ? stable : sbp!=null ? sbp>=90 : null,
+      pressor ? "on vasopressor" : stable!=null ? "as documented" : sbp!=null ? `SBP ${sbp} mmHg` : "not documented"),
+    criterion("Tolerating oral intake / functioning gut", oral, oral==null ? "not documented" : oral ? "tolerating oral" : "not tolerating oral / NPO"),
+    criterion("Inflammatory markers settling",
+      wbcTrend ? wbcTrend.direction!=="rising"||wbcTrend.last<=12 : crpTrend ? crpTrend.direction==="falling" : labs.wbc!=null ? labs.wbc>=4&&labs.wbc<=12 : null,
+      wbcTrend ? `WBC ${wbcTrend.values.join(" → ")}` : crpTrend ? `CRP ${crpTrend.values.join(" → ")}` : labs.wbc!=null ? `WBC ${labs.wbc}` : "no WBC/CRP"),
+    criterion("No infection requiring IV therapy", !ivOnly, ivOnly ? `${ivOnly} — keep IV` : "none identified"),
+    criterion("Oral equivalent available", oralOptions ? oralOptions.length>0 : !!option,
+      oralOptions ? (oralOptions.length ? `isolate susceptible to ${oralOptions.join(", ")}` : cultures.length ? "no oral agent on the susceptibility panel" : "needs a susceptibility result")
+        : option ? "like-for-like oral form" : "no oral equivalent"),
+  ];
+  const failed  = criteria.some(c=>c.met===false);
+  const unknown = criteria.some(c=>c.met==null);
+  return {
+    applicable: true,
+    eligible: failed ? false : unknown ? null : true,
+    oral_equivalent: oralOptions ? (oralOptions.length ? oralOptions.map(d=>ORAL_STEP_DOWN[d]).join(" or ") : option?.oral||null) : option?.oral || null,
+    criteria,
+  };
+}
+
+function criterion(name, met, detail) { return { criterion:name, met:met==null ? null : !!met, detail }; }
+
+/* =========================================================
+   DE-ESCALATION
+========================================================= */
+function deEscalation({ drug, day, cultures, positive, regimen=[], route=null, indication=null, reviewDate=null, currentDay=null }) {
+  // Oral vancomycin / fidaxomicin treat C. difficile in the gut — not culture-directed systemic cover
+  if (drug==="fidaxomicin"||(drug==="vancomycin"&&(route==="PO"||C_DIFF_RE.test(indication||"")))) {
+    return { action:"continue", options:[], basis:`${drug} ${route==="PO" ? "PO " : ""}for C. difficile — gut-only, not MRSA cover; review against the C. difficile course` };
+  }
+  if (!cultures.length) return { action:"send_cultures", options:[], basis:"No culture results documented" };
+  const resistant = positive.filter(c=>c.susceptibilities[drug]==="R");
+  if (resistant.length) return { action:"change", options:susceptibleOptions(positive, Infinity), basis:`${resistant.map(c=>c.organism).join(", ")} resistant to ${drug}` };
+
+  if (MRSA_AGENTS.includes(drug)) {
+    const mrsa = positive.some(c=>MRSA_RE.test(c.organism)||(S_AUREUS_RE.test(c.organism)&&["flucloxacillin","cloxacillin","oxacillin","cefoxitin"].some(d=>c.susceptibilities[d]==="R")));
+    if (!mrsa) {
+      const mssa = positive.filter(c=>S_AUREUS_RE.test(c.organism)&&ANTI_STAPH_BETA_LACTAMS.some(d=>c.susceptibilities[d]==="S"));
+      if (mssa.length) return { action:"de-escalate", options:["flucloxacillin","cefazolin"], basis:`Methicillin-susceptible ${mssa.map(c=>c.organism).join(", ")} — switch ${drug} to an anti-staphylococcal beta-lactam` };
+      // Sole agent for a non-MRSA isolate: a switch, not a step down — other agents get their own row
+      const options = regimen.some(d=>!MRSA_AGENTS.includes(d)) ? [] : susceptibleOptions(positive, Infinity);
+      if (options.length) return { action:"change", options, basis:`${positive.map(c=>c.organism).join(", ")} isolated, no MRSA/enterococcus — ${drug} is not directed therapy; change to a susceptible agent` };
+      const hours = cultureAgeHours(cultures, { day, reviewDate, currentDay });
+      if (hours==null||hours<MRSA_RULE_OUT_HOURS) {
+        return { action:"await", options:[], basis:`No MRSA isolated so far (${hours==null ? "culture time not documented" : `culture ${hours} h old`}) — stop ${drug} if still no MRSA at 48–72 h` };
+      }
+      return { action:"stop", options:[], basis: positive.length ? `No MRSA/enterococcus isolated at ${hours} h (${positive.map(c=>c.organism).join(", ")})` : `Cultures negative at ${hours} h — no MRSA isolated` };
+    }
+  }
+  if (!positive.length) {
+    return (day??0)>=CULTURE_REVIEW_DAY
+      ? { action:"review_need", options:[], basis:`Cultures negative at day ${day} — stop if infection not confirmed clinically` }
+      : { action:"await", options:[], basis:"Cultures negative so far — review at 48–72 h" };
+  }
+  const rank    = SPECTRUM_RANK[drug];
+  if (rank==null) return { action:"continue", options:[], basis:`${drug} is not on the isolate's susceptibility panel — review against the indication` };
+  const options = susceptibleOptions(positive, rank);
+  if (options.length) return { action:"de-escalate", options, basis:`${positive.map(c=>c.organism).join(", ")} susceptible to narrower agent(s)` };
+  const tested  = positive.every(c=>c.susceptibilities[drug]==="S");
+  return { action:"continue", options:[], basis: tested ? "Isolate susceptible; no narrower susceptible agent reported" : `Susceptibility to ${drug} not reported` };
+}
+
+// Hours since the most recent culture was collected — ISO dates against the
+// review date, hospital days ("D2") against the current day; otherwise the
+// day of therapy, taking cultures as drawn when the course started
+function cultureAgeHours(cultures, { day, reviewDate, currentDay }) {
+  const reviewMs = reviewDate ? Date.parse(reviewDate) : NaN;
+  const nowDay   = toNumber(String(currentDay??"").replace(/^\D+/,""));
+  const ages = cultures.map(c=>{
+    const d = String(c.date||"");
+    if (/\d{4}-\d{2}-\d{2}/.test(d)&&!Number.isNaN(reviewMs)&&!Number.isNaN(Date.parse(d))) return Math.round((reviewMs-Date.parse(d))/3600000);
+    const cDay = /^d(?:ay)?\s*\d+$/i.test(d.trim()) ? toNumber(d.replace(/^\D+/,"")) : null;
+    return cDay!=null&&nowDay!=null ? (nowDay-cDay)*24 : null;
+  });
+  if (ages.length&&ages.every(a=>a!=null)) return Math.min(...ages);
+  return day!=null ? (day-1)*24 : null;
+}
+
+// Agents reported S for every positive isolate, narrowest first, narrower than maxRank
+function susceptibleOptions(positive, maxRank) {
+  const tested = positive.filter(c=>Object.keys(c.susceptibilities).length);
+  if (!tested.length) return [];
+  const common = Object.keys(tested[0].susceptibilities).filter(d=>tested.every(c=>c.susceptibilities[d]==="S"));
+  return common.filter(d=>(SPECTRUM_RANK[d] ?? Infinity)<maxRank).sort((a,b)=>(SPECTRUM_RANK[a]??99)-(SPECTRUM_RANK[b]??99));
+}
+
+/* =========================================================
+   DUPLICATE COVERAGE
+========================================================= */
+function findDuplicates(antimicrobials, text) {
+  const out   = [];
+  const drugs = [...new Set(antimicrobials.map(a=>a.drug))];
+  const anaerobic = drugs.filter(d=>ANAEROBIC.includes(d));
+  if (anaerobic.length>=2) {
+    const cdiff = /\b(c\.? ?diff\w*|clostridioides|clostridium difficile)\b/i.test(text);
+    const toxin = /\b(necroti[sz]ing fasciitis|toxic shock|gas gangrene)\b/i.test(text)&&anaerobic.includes("clindamycin");
+    const redundant = anaerobic.filter(d=>d==="metronidazole"||d==="clindamycin");
+    out.push({
+      type: "anaerobic", drugs: anaerobic,
+      justified: cdiff||toxin,
+      recommendation: cdiff ? "Metronidazole may be for C. difficile — confirm indication; otherwise stop the duplicate."
+        : toxin ? "Clindamycin for toxin suppression is appropriate — review at 48–72 h."
+        : `Stop ${redundant.length&&redundant.length<anaerobic.length ? redundant.join(" / ") : anaerobic.slice(1).join(" / ")} — ${anaerobic.find(d=>!redundant.includes(d))||anaerobic[0]} already covers anaerobes.`,
+    });
+  }
+  const gn = drugs.filter(d=>GRAM_NEGATIVE.includes(d));
+  if (gn.length>=2) {
+    const betaLactams = gn.filter(d=>profileMatches(drugProfile(d), "beta-lactam"));
+    const maxDay = Math.max(0, ...antimicrobials.filter(a=>gn.includes(a.drug)).map(a=>a.day_of_therapy??0));
+    const empiricShock = betaLactams.length<2&&/\bseptic shock\b/i.test(text)&&maxDay<=CULTURE_REVIEW_DAY;
+    out.push({
+      type: "gram-negative", drugs: gn,
+      justified: empiricShock,
+      recommendation: betaLactams.length>=2
+        ? `Two beta-lactams (${betaLactams.join(", ")}) — stop one.`
+        : empiricShock
+          ? "Empiric double gram-negative cover in septic shock — acceptable until susceptibilities; drop to one agent by 72 h."
+          : `Overlapping gram-negative cover (${gn.join(", ")}) — continue only the agent the isolate is susceptible to.`,
+    });
+  }
+  return out;
+}
+
+/* =========================================================
+   CHECKLIST
+========================================================= */
+function buildChecklist(antimicrobials, duplicates, cultures) {
+  const items = [];
+  const add = (drug, item, status, detail) => items.push({ drug, item, status, detail });
+
+  add(null, "Cultures sent / resulted", cultures.length ? "pass" : "action",
+    cultures.length ? cultures.map(c=>`${c.specimen||"culture"}: ${c.organism||"pending"}`).join("; ") : "No culture results documented");
+  for (const type of ["anaerobic","gram-negative"]) {
+    const d = duplicates.find(x=>x.type===type);
+    add(null, `Duplicate ${type} coverage`, !d ? "pass" : d.justified ? "pass" : "action", d ? `${d.drugs.join(" + ")} — ${d.recommendation}` : "None");
+  }
+  for (const a of antimicrobials) {
+    add(a.drug, "Indication documented", a.indication ? "pass" : "action", a.indication||"No indication on the order");
+    add(a.drug, "Within protocol duration", a.exceeds_duration==null ? "unknown" : a.exceeds_duration ? "action" : "pass",
+      a.day_of_therapy==null ? "Start date not documented" : a.protocol ? `Day ${a.day_of_therapy} of ${a.protocol.days} (${a.protocol.label})` : `Day ${a.day_of_therapy} — no protocol duration for this indication`);
+    if (a.iv_to_po.applicable) {
+      add(a.drug, "IV → PO switch", a.iv_to_po.eligible===true ? "action" : a.iv_to_po.eligible===false ? "pass" : "unknown",
+        a.iv_to_po.eligible===true ? `Switch: ${a.iv_to_po.oral_equivalent}`
+          : a.iv_to_po.eligible===false ? `Stay IV — ${a.iv_to_po.criteria.filter(c=>c.met===false).map(c=>c.detail).join("; ")}`
+          : `Check: ${a.iv_to_po.criteria.filter(c=>c.met==null).map(c=>c.criterion).join(", ")}`);
+    }
+    const de = a.de_escalation;
+    add(a.drug, "Culture-directed therapy", ["change","stop","de-escalate","review_need","send_cultures"].includes(de.action) ? "action" : "pass",
+      `${de.basis}${de.options.length ? ` — options: ${de.options.join(", ")}` : ""}`);
+  }
+  return items;
+}
+
+function toBool(v) {
+  if (v==null||v==="") return null;
+  if (typeof v==="boolean") return v;
+  const s = String(v).toLowerCase().trim();
+  if (/^(yes|true|y|stable|tolerating)\b/.test(s)) return true;
+  if (/^(no|false|n|not|npo|nil by mouth|unstable)\b/.test(s)) return false;
+  return null;
+}
+function toNumber(v) {
+  if (v==null||v==="") return null;
+  const n = parseFloat(String(v));
+  return Number.isNaN(n) ? null : n;
+}
+function safeJson(s) { try { return JSON.parse(s); } catch { return null; } }
@@ -0,0 +1,210 @@
+// File: /functions/_lib/vanco_pk.js
+// Vancomycin AUC-guided dosing — one-compartment, intermittent infusion.
+//
+// PARAMETERS
+//   No levels  → population: Ke = 0.00083·CrCl + 0.0044 (Matzke), Vd = 0.7 L/kg
+//   One level  → Ke fitted to the level, Vd held at population value
+//   Two levels → Ke and Vd both fitted (least squares on log concentration)
+// Concentrations are predicted by superposition over the full dose history,
+// so levels do not have to follow the same dose.
+//
+// REGIMEN
+//   Target AUC24 400–600 mg·h/L (MIC 1). Maintenance = target AUC × CL,
+//   rounded to 250 mg; the longest standard interval that keeps AUC in range
+//   and steady-state peak ≤40 mg/L is proposed. Loading 25 mg/kg (max 3 g)
+//   on loadingWeightKg when the weight policy gives one.
+
+export const VANCO_TARGET_AUC = [400, 600];
+
+const POP_VD_L_PER_KG = 0.7;
+const INTERVALS_H     = [8, 12, 24, 36, 48];
+const ROUND_MG        = 250;
+const MAX_DOSE_MG     = 3000;
+const MAX_PEAK        = 40;
+const LOADING_MG_KG   = 25;
+
+/* =========================================================
+   ENTRY POINT
+   doses:  [{ dose_mg, time, infusion_h? }]   time = ISO string or hours
+   levels: [{ value, time }]                  value in mg/L
+========================================================= */
+export function computeVancomycinPk({ weightKg, loadingWeightKg=null, age=null, crcl=null, doses=[], levels=[], targetAuc=VANCO_TARGET_AUC, loadingMgPerKg=LOADING_MG_KG }={}) {
+  const warnings = [];
+  const history  = normalizeDoses(doses);
+  const samples  = normalizeLevels(levels, history, warnings);
+
+  const popKe = crcl!=null ? 0.00083*crcl+0.0044 : null;
+  const popVd = POP_VD_L_PER_KG*weightKg;
+  let ke = popKe, vd = popVd, method = "population", fit = null;
+
+  if (samples.length&&history.length) {
+    if (samples.length===1) {
+      ke = fitKe(history, samples, popVd);
+      method = "one_level";
+      if (ke==null) warnings.push("Could not fit Ke to the single level — population Ke used.");
+    } else {
+      const best = fitKeVd(history, samples);
+      if (best) { ke = best.ke; vd = best.vd; method = "two_levels"; }
+      else warnings.push("Could not fit the levels — population parameters used.");
+    }
+    ke = ke ?? popKe;
+    if (ke!=null) fit = samples.map(s=>({ time_h:round(s.t,2), measured:s.value, predicted:round(predictConc(history, ke, vd, s.t), 1) }));
+  } else if (samples.length) {
+    warnings.push("Levels supplied without dose history — population parameters used.");
+  }
+
+  if (ke==null) return { ok:false, error:"CrCl (age, sex, SCr) or dose history with levels is required to estimate Ke." };
+  if (method==="population"&&age!=null&&age<18) warnings.push("Population model is for adults — use a pediatric protocol.");
+
+  const cl = ke*vd;
+  const pk = {
+    ke_h:         round(ke, 4),
+    vd_L:         round(vd, 1),
+    vd_L_per_kg:  round(vd/weightKg, 2),
+    cl_L_h:       round(cl, 2),
+    half_life_h:  round(Math.LN2/ke, 1),
+  };
+
+  const current  = currentRegimen(history, ke, vd);
+  const proposed = proposeRegimen({ ke, vd, weightKg:loadingWeightKg ?? weightKg, targetAuc, loadingMgPerKg, needLoading:!history.length });
+
+  // auc24 is null until an interval is known (a single dose)
+  if (current&&current.auc24!=null&&current.auc24<targetAuc[0]) warnings.push(`Current AUC24 ${current.auc24} is below target — increase dose.`);
+  if (current&&current.auc24!=null&&current.auc24>targetAuc[1]) warnings.push(`Current AUC24 ${current.auc24} is above target — nephrotoxicity risk, reduce dose.`);
+  if (pk.vd_L_per_kg<0.3||pk.vd_L_per_kg>1.5) warnings.push(`Fitted Vd ${pk.vd_L_per_kg} L/kg is outside the usual 0.3–1.5 range — check level and dose times.`);
+
+  return { ok:true, method, crcl, pk, current, proposed, target_auc:targetAuc, fit, warnings };
+}
+
+/* =========================================================
+   INPUT NORMALIZATION
+========================================================= */
+function toHours(t) {
+  if (typeof t==="number") return t;
+  const ms = Date.parse(t);
+  return Number.isNaN(ms) ? null : ms/3.6e6;
+}
+
+function normalizeDoses(doses) {
+  const list = (doses||[])
+    .map(d=>({ dose:Number(d.dose_mg), t:toHours(d.time), inf:Number(d.infusion_h)||null }))
+    .filter(d=>d.dose>0&&d.t!=null)
+    // Default infusion time: 1 h per gram, at least 1 h
+    .map(d=>({ ...d, inf:d.inf||Math.max(1, d.dose/1000) }))
+    .sort((a,b)=>a.t-b.t);
+  const t0 = list.length ? list[0].t : 0;
+  return list.map(d=>({ ...d, t:d.t-t0, t0 }));
+}
+
+function normalizeLevels(levels, history, warnings) {
+  const t0 = history.length ? history[0].t0 : 0;
+  const out = [];
+  for (const l of levels||[]) {
+    const value = Number(l.value), t = toHours(l.time);
+    if (!(value>0)||t==null) continue;
+    const rel = t-t0;
+    if (history.length&&rel<=0) { warnings.push(`Level ${value} mg/L is before the first recorded dose — ignored.`); continue; }
+    if (history.some(d=>rel>d.t&&rel<d.t+d.inf)) warnings.push(`Level ${value} mg/L was drawn during an infusion — fit may be unreliable.`);
+    out.push({ value, t:rel });
+  }
+  return out.sort((a,b)=>a.t-b.t).slice(-2);
+}
+
+/* =========================================================
+   MODEL
+========================================================= */
+// Concentration at time t (h from first dose) by superposition of infusions
+function predictConc(history, ke, vd, t) {
+  let c = 0;
+  for (const d of history) {
+    const dt = t-d.t;
+    if (dt<=0) continue;
+    const k0 = d.dose/d.inf;
+    c += dt<=d.inf
+      ? (k0/(ke*vd))*(1-Math.exp(-ke*dt))
+      : (k0/(ke*vd))*(1-Math.exp(-ke*d.inf))*Math.exp(-ke*(dt-d.inf));
+  }
+  return c;
+}
+
+// Log-spaced grid over plausible Ke (t½ ≈ 1.4–700 h), then local refinement
+function searchKe(objective) {
+  let best = null;
+  const scan = (lo, hi, n) => {
+    for (let i=0; i<=n; i++) {
+      const ke = Math.exp(Math.log(lo)+(Math.log(hi)-Math.log(lo))*i/n);
+      const v  = objective(ke);
+      if (v&&(!best||v.err<best.err)) best = { ke, ...v };
+    }
+  };
+  scan(0.001, 0.5, 400);
+  if (best) scan(best.ke/1.05, best.ke*1.05, 200);
+  return best;
+}
+
+function fitKe(history, samples, vd) {
+  const s = samples[0];
+  const best = searchKe(ke=>{
+    const p = predictConc(history, ke, vd, s.t);
+    return p>0 ? { err:Math.abs(Math.log(p/s.value)) } : null;
+  });
+  return best ? best.ke : null;
+}
+
+function fitKeVd(history, samples) {
+  const best = searchKe(ke=>{
+    // For fixed Ke, log-space least squares gives Vd in closed form
+    const unit = samples.map(s=>predictConc(history, ke, 1, s.t));
+    if (unit.some(p=>p<=0)) return null;
+    const logVd = samples.reduce((sum,s,i)=>sum+Math.log(unit[i]/s.value), 0)/samples.length;
+    const vd    = Math.exp(logVd);
+    const err   = samples.reduce((sum,s,i)=>sum+(Math.log(unit[i]/vd)-Math.log(s.value))**2, 0);
+    return { vd, err };
+  });
+  return best&&best.vd>0 ? { ke:best.ke, vd:best.vd } : null;
+}
+
+function steadyState(doseMg, intervalH, infusionH, ke, vd) {
+  const k0   = doseMg/infusionH;
+  const cmax = (k0/(ke*vd))*(1-Math.exp(-ke*infusionH))/(1-Math.exp(-ke*intervalH));
+  const cmin = cmax*Math.exp(-ke*(intervalH-infusionH));
+  return { cmax_ss:round(cmax, 1), cmin_ss:round(cmin, 1), auc24:Math.round((doseMg*24/intervalH)/(ke*vd)) };
+}
+
+/* =========================================================
+   REGIMENS
+========================================================= */
+function currentRegimen(history, ke, vd) {
+  if (!history.length) return null;
+  const last = history[history.length-1];
+  const prev = history.length>1 ? history[history.length-2] : null;
+  if (!prev) return { dose_mg:last.dose, interval_h:null, infusion_h:last.inf, auc24:null, cmax_ss:null, cmin_ss:null };
+  const interval = round(last.t-prev.t, 1);
+  return { dose_mg:last.dose, interval_h:interval, infusion_h:last.inf, ...steadyState(last.dose, interval, last.inf, ke, vd) };
+}
+
+function proposeRegimen({ ke, vd, weightKg, targetAuc, loadingMgPerKg, needLoading }) {
+  const [lo, hi] = targetAuc;
+  const mid      = (lo+hi)/2;
+  const daily    = mid*ke*vd;
+  const options  = INTERVALS_H.map(interval=>{
+    const dose = Math.min(MAX_DOSE_MG, Math.max(ROUND_MG, roundTo(daily*interval/24, ROUND_MG)));
+    const inf  = Math.max(1, dose/1000);
+    return { maintenance_dose_mg:dose, interval_h:interval, infusion_h:inf, ...steadyState(dose, interval, inf, ke, vd) };
+  });
+  const inRange = options.filter(o=>o.auc24>=lo&&o.auc24<=hi&&o.cmax_ss<=MAX_PEAK);
+  const chosen  = inRange.length
+    ? inRange[inRange.length-1]
+    : options.reduce((a,b)=>Math.abs(b.auc24-mid)<Math.abs(a.auc24-mid) ? b : a);
+  const loading = needLoading ? Math.min(MAX_DOSE_MG, roundTo(loadingMgPerKg*weightKg, ROUND_MG)) : null;
+  return {
+    loading_dose_mg: loading,
+    ...chosen,
+    daily_dose_mg:   Math.round(chosen.maintenance_dose_mg*24/chosen.interval_h),
+    in_target:       inRange.length>0,
+    alternatives:    inRange.filter(o=>o!==chosen),
+  };
+}
+
+function roundTo(n, step) { return Math.round(n/step)*step; }
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
@@ -0,0 +1,190 @@
+// File: /functions/_lib/warfarin.js
+// Warfarin maintenance dosing — INR band → weekly dose change, hold, vitamin K,
+// next INR date. Deterministic; the mode handler attaches protocol citations.
+//
+// Bands are set relative to the target range (lo–hi), so the same table
+// serves 2.0–3.0 and 2.5–3.5:
+//   < lo−0.5        +15% weekly
+//   lo−0.5 – <lo    +10% weekly
+//   lo – hi         no change
+//   >hi – <hi+1     −10% weekly
+//   hi+1 – <5       hold 1 dose, −15% weekly
+//   5 – <9          hold 1–2 doses, −15%; vitamin K 1–2.5 mg PO if high bleeding risk
+//   ≥9              hold; vitamin K 2.5–5 mg PO; restart −20% when in range
+//   Major bleeding  hold; vitamin K 5–10 mg slow IV + 4-factor PCC (any INR)
+
+import { drugProfile } from "./drug_dictionary.js";
+import { runInteractionEngine } from "./interactions.js";
+
+// Indication keyword → default target INR range
+const INDICATION_TARGETS = [
+  { re:/mechanical.*mitral|mitral.*mechanical|\bmvr\b|caged.?ball|tilting.?disc/i, target:[2.5,3.5], label:"Mechanical mitral valve" },
+  { re:/\brecurrent\b.*\b(vte|dvt|pe|pulmonary embol\w*)\b|\b(vte|dvt|pe)\b.*\bon\b.*\b(warfarin|therapeutic)\b|antiphospholipid.*recurr/i, target:[2.5,3.5], label:"Recurrent VTE on therapeutic anticoagulation" },
+  { re:/mechanical.*aortic|\bavr\b|aortic.*mechanical/i, target:[2.0,3.0], label:"Mechanical aortic valve" },
+  { re:/\b(af|afib|atrial fibrillation|atrial fib\w*|atrial flutter)\b/i, target:[2.0,3.0], label:"Atrial fibrillation" },
+  { re:/\b(dvt|pe|vte)\b|pulmonary embol|venous thrombo/i, target:[2.0,3.0], label:"VTE treatment" },
+];
+const DEFAULT_TARGET = [2.0, 3.0];
+// Bleeding text is read per clause; a negated clause ("no GI bleed", "denies bleeding") counts as none
+const BLEED_MAJOR_RE  = /\b(major|severe|life[- ]threatening|intracranial|ich|sah|subdural|haemodynamic\w*|hemodynamic\w*|gi bleed\w*|gastrointestinal bleed\w*|melaena|melena|haematemesis|hematemesis|transfus\w*)\b/;
+const BLEED_NEGATE_RE = /\b(no|not|nil|denies|denied|without|negative for|absence of|free of)\b/;
+const BLEED_TERM_RE   = /\b(bleed\w*|haemorrhag\w*|hemorrhag\w*|bruis\w*|melaena|melena|haematemesis|hematemesis|haematuria|hematuria|epistaxis|ich)\b/;
+
+/* =========================================================
+   ENTRY POINT
+   inrHistory: [{ date, value }]   weeklyDoseMg: current total mg/week
+   bleeding:   "none" | "minor" | "major" (free text is classified)
+========================================================= */
+export function computeWarfarinAdjustment({ indication="", target=null, weeklyDoseMg, inrHistory=[], bleeding="none", interactingDrugs=[], today=null }={}) {
+  const warnings = [];
+  const history  = (inrHistory||[])
+    .map(h=>({ date:h.date, t:Date.parse(h.date), value:Number(h.value) }))
+    .filter(h=>!Number.isNaN(h.t)&&h.value>0)
+    .sort((a,b)=>a.t-b.t);
+  if (!history.length) return { ok:false, error:"inr_history needs at least one { date, value }" };
+  if (!(weeklyDoseMg>0)) return { ok:false, error:"weekly_dose_mg is required" };
+
+  const targetInfo = resolveTarget(indication, target);
+  const [lo, hi]   = targetInfo.target;
+  const latest     = history[history.length-1];
+  const previous   = history.length>1 ? history[history.length-2] : null;
+  const bleed      = classifyBleeding(bleeding);
+
+  const band  = selectBand(latest.value, lo, hi, bleed);
+  const newWeekly = band.change_pct!=null ? roundHalf(weeklyDoseMg*(1+band.change_pct/100)) : null;
+
+  // Stable run of in-range INRs lengthens the recheck interval
+  let streak = 0;
+  for (let i=history.length-1; i>=0&&history[i].value>=lo&&history[i].value<=hi; i--) streak++;
+  let nextDays = band.next_inr_days;
+  if (band.id==="IN_RANGE") nextDays = streak>=3 ? 28 : streak===2 ? 14 : 7;
+
+  const base    = today&&!Number.isNaN(Date.parse(today)) ? Date.parse(today) : latest.t;
+  const nextInr = new Date(base + nextDays*864e5).toISOString().slice(0,10);
+
+  const interactions = findWarfarinInteractions(interactingDrugs);
+  if (interactions.length&&band.id==="IN_RANGE") warnings.push("Interacting drug on board — recheck INR sooner if it was started or stopped in the last 2 weeks.");
+  if (interactions.length&&band.id!=="IN_RANGE"&&latest.value>hi) warnings.push("Elevated INR with an interacting drug — address the interaction before re-escalating the dose.");
+  if (previous&&Math.abs(latest.value-previous.value)>=1.5) warnings.push(`INR changed by ${round(latest.value-previous.value,1)} since ${previous.date} — check adherence, diet, acute illness and new drugs.`);
+  if (bleed==="minor"&&latest.value<=hi) warnings.push("Minor bleeding with INR in or below range — investigate a local cause.");
+
+  const result = {
+    ok: true,
+    indication: indication||null,
+    indication_label: targetInfo.label,
+    target_inr: [lo, hi],
+    latest_inr: { date:latest.date, value:latest.value },
+    previous_inr: previous ? { date:previous.date, value:previous.value } : null,
+    in_range_streak: streak,
+    bleeding: bleed,
+    band: { id:band.id, label:band.label },
+    current_weekly_dose_mg: weeklyDoseMg,
+    change_pct: band.change_pct,
+    new_weekly_dose_mg: newWeekly,
+    approx_daily_dose_mg: newWeekly!=null ? round(newWeekly/7, 2) : null,
+    hold_doses: band.hold_doses,
+    vitamin_k: band.vitamin_k,
+    pcc: band.pcc||false,
+    actions: band.actions,
+    next_inr_days: nextDays,
+    next_inr_date: nextInr,
+    interactions,
+    warnings,
+  };
+  result.note = buildNote(result);
+  return result;
+}
+
+/* =========================================================
+   BANDS
+========================================================= */
+function selectBand(inr, lo, hi, bleed) {
+  if (bleed==="major") return {
+    id:"MAJOR_BLEED", label:"Major bleeding", change_pct:null, hold_doses:"hold", next_inr_days:1, pcc:true,
+    vitamin_k:{ dose_mg:"5–10", route:"IV (slow)" },
+    actions:["Hold warfarin","Vitamin K 5–10 mg slow IV","4-factor PCC per protocol","Urgent medical review; repeat INR after PCC"],
+  };
+  if (inr>=9) return {
+    id:"INR_GE_9", label:`INR ≥9`, change_pct:-20, hold_doses:"hold", next_inr_days:1,
+    vitamin_k:{ dose_mg:"2.5–5", route:"PO" },
+    actions:["Hold warfarin","Vitamin K 2.5–5 mg PO","Repeat INR in 24–48 h","Restart at 20% lower weekly dose when INR in range"],
+  };
+  if (inr>=5) return {
+    id:"INR_5_9", label:"INR 5–8.9", change_pct:-15, hold_doses:"1–2", next_inr_days:2,
+    vitamin_k:bleed==="minor" ? { dose_mg:"1–2.5", route:"PO" } : { dose_mg:"1–2.5", route:"PO", only_if:"high bleeding risk" },
+    actions:["Hold 1–2 doses","Reduce weekly dose 15%","Repeat INR in 24–48 h"],
+  };
+  if (inr>=hi+1) return {
+    id:"HIGH", label:`INR ${hi+1}–4.9`, change_pct:-15, hold_doses:"1", next_inr_days:5,
+    vitamin_k:bleed==="minor" ? { dose_mg:"1–2.5", route:"PO" } : null,
+    actions:["Hold 1 dose","Reduce weekly dose 15%"],
+  };
+  if (inr>hi) return {
+    id:"SLIGHTLY_HIGH", label:`INR >${hi} to <${hi+1}`, change_pct:-10, hold_doses:null, next_inr_days:7, vitamin_k:null,
+    actions:["Reduce weekly dose 10%"],
+  };
+  if (inr>=lo) return {
+    id:"IN_RANGE", label:`INR ${lo}–${hi}`, change_pct:0, hold_doses:null, next_inr_days:7, vitamin_k:null,
+    actions:["Continue current weekly dose"],
+  };
+  if (inr>=lo-0.5) return {
+    id:"SLIGHTLY_LOW", label:`INR ${round(lo-0.5,1)} to <${lo}`, change_pct:10, hold_doses:null, next_inr_days:7, vitamin_k:null,
+    actions:["Increase weekly dose 10%"],
+  };
+  return {
+    id:"LOW", label:`INR <${round(lo-0.5,1)}`, change_pct:15, hold_doses:null, next_inr_days:7, vitamin_k:null,
+    actions:["Increase weekly dose 15%","Check adherence; consider bridging if high thrombotic risk"],
+  };
+}
+
+function resolveTarget(indication, target) {
+  if (Array.isArray(target)&&target.length===2&&target.every(n=>Number(n)>0)) {
+    return { target:target.map(Number), label:"User-specified target" };
+  }
+  const hit = INDICATION_TARGETS.find(t=>t.re.test(String(indication||"")));
+  return hit ? { target:hit.target, label:hit.label } : { target:DEFAULT_TARGET, label:"Default target (indication not recognised)" };
+}
+
+function classifyBleeding(b) {
+  if (b===true) return "minor";
+  const s = String(b||"").toLowerCase().trim();
+  if (!s||/^(none|no|false|nil|n\/a)$/.test(s)) return "none";
+  // Per clause: a negation before the first bleeding term negates it; after it, only qualifies it
+  const clauses = s.split(/[.;,]|\bbut\b|\bhowever\b/).map(c=>c.trim()).filter(Boolean).map(c=>{
+    const neg = c.search(BLEED_NEGATE_RE), term = c.search(BLEED_TERM_RE);
+    if (neg>=0&&(term<0||neg<term)) return null;
+    return neg>=0 ? c.slice(0, neg) : c;
+  }).filter(Boolean);
+  if (!clauses.length) return "none";
+  return clauses.some(c=>BLEED_MAJOR_RE.test(c)) ? "major" : "minor";
+}
+
+function findWarfarinInteractions(drugs) {
+  const profiles = [drugProfile("warfarin"), ...(drugs||[]).map(d=>drugProfile(typeof d==="string" ? d : d?.name))];
+  return runInteractionEngine(profiles)
+    .filter(f=>f.drugs.includes("Warfarin"))
+    .map(f=>({ id:f.id, severity:f.severity, drug:f.drugs.find(d=>d!=="Warfarin"), mechanism:f.mechanism, management:f.recommendation }));
+}
+
+/* =========================================================
+   NOTE
+========================================================= */
+function buildNote(r) {
+  const lines = [
+    `WARFARIN — INR MANAGEMENT`,
+    `Indication: ${r.indication||"—"} (${r.indication_label}) | Target INR ${r.target_inr[0]}–${r.target_inr[1]}`,
+    `INR ${r.latest_inr.value} on ${r.latest_inr.date}${r.previous_inr?` (previous ${r.previous_inr.value} on ${r.previous_inr.date})`:""} | Bleeding: ${r.bleeding}`,
+    `Band: ${r.band.label}`,
+    `Current weekly dose: ${r.current_weekly_dose_mg} mg`,
+  ];
+  if (r.hold_doses) lines.push(`Hold: ${r.hold_doses==="hold" ? "hold warfarin" : `${r.hold_doses} dose(s)`}`);
+  if (r.vitamin_k)  lines.push(`Vitamin K: ${r.vitamin_k.dose_mg} mg ${r.vitamin_k.route}${r.vitamin_k.only_if?` (only if ${r.vitamin_k.only_if})`:""}`);
+  if (r.pcc)        lines.push(`4-factor PCC per protocol`);
+  if (r.new_weekly_dose_mg!=null) lines.push(`New weekly dose: ${r.new_weekly_dose_mg} mg (${r.change_pct>0?"+":""}${r.change_pct}%) ≈ ${r.approx_daily_dose_mg} mg/day`);
+  for (const i of r.interactions) lines.push(`Interaction: ${i.drug} — ${i.management}`);
+  lines.push(`Next INR: ${r.next_inr_date} (${r.next_inr_days} day${r.next_inr_days===1?"":"s"})`);
+  return lines.join("\n");
+}
+
+function roundHalf(n) { return Math.round(n*2)/2; }
+function round(n, dp) { const f=10**dp; return Math.round(n*f)/f; }
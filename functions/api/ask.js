@@ -2,22 +2,81 @@
 // TheraGuard AI — Clinical Pharmacist Engine v3
 //
 // PIPELINE (case_analysis mode):
-//   Stage 1  — Raw case → structured JSON (L1+L2)
+//   Stage 1  — Raw case → structured JSON (L1+L2); lab units converted to mmol/L /
+//              µmol/L (functions/_lib/lab_units.js), ranges by sex/age band + site
+//              overrides (functions/_lib/lab_ranges.js); serial values → trends, KDIGO AKI,
+//              platelet fall, INR rise (functions/_lib/lab_trends.js)
+//   Stage 1b — Renal estimators (CG, CKD-EPI 2021, MDRD) + reliability flags (code);
+//              RRT modality (IHD/PD/CRRT) / ECMO replaces CrCl for dosing (functions/_lib/rrt.js);
+//              Child-Pugh + MELD-Na (functions/_lib/hepatic.js)
+//   Stage 1c — Renal dosing table → locked medication_adjustments rows (code);
+//              <18 y: bedside Schwartz, age-band lab ranges and mg/kg checks
+//              replace the adult table (functions/_lib/pediatric.js); meropenem /
+//              pip-tazo %fT>MIC → extended/continuous infusion (functions/_lib/beta_lactam_infusion.js);
+//              IV colistin loading + maintenance, CBA/IU unit check (functions/_lib/colistin.js)
 //   Stage 2  — Extract active diseases / clinical problems (L2+)
 //   Stage 3  — Disease-by-disease pharmacotherapy retrieval (L6+L7)
-//   Stage 4  — Medication-by-medication deep review (L4+L5+L8)
-//   Stage 5  — Final pharmacist note (L9)
+//   Stage 4  — Medication-by-medication deep review (L4+L5+L8);
+//              safety rules + drug–drug interaction engine (functions/_lib/interactions.js);
+//              HIT 4T score on heparin/LMWH with a platelet fall (functions/_lib/hit_score.js);
+//              culture & sensitivity vs current antimicrobials (functions/_lib/microbiology.js)
+//   Stage 5  — Final pharmacist note (L9); pregnancy/lactation section appended
+//              from the PREG_/LACT_ rules (functions/_lib/pregnancy.js)
 //
 // OUTPUT PANELS:
 //   panel1  — Case Structurer (clean SOAP)
-//   panel2  — Disease Scanner (disease → protocol pharmacotherapy)
+//   panel2  — Disease Scanner (disease → protocol pharmacotherapy; infection cards
+//             carry the matching isolates and bug–drug coverage)
 //   panel3  — Medication Scanner (per-drug deep review)
 //   panel4  — Final Pharmacist Note (decisive intervention note)
 //
-// OTHER MODES (unchanged):
+// RETRIEVAL:
+//   Queries naming a protocol drug are routed to its store(s) in vectorstores.json;
+//   everything else falls back to env.VECTOR_STORE_ID.
+//   Backend is pluggable (functions/_lib/retrieval.js): env.RETRIEVAL_BACKEND =
+//   "openai" (default) or "local" (offline BM25 index, no external calls).
+//   The LLM client is injectable the same way (functions/_lib/llm.js, env.LLM_CLIENT);
+//   test/ runs ask, monograph and case_analysis with neither.
+//
+// OTHER MODES:
 //   ask       — Protocol Search with page-aware retrieval
 //   monograph — Drug monograph
-//   antibiogram — Antimicrobial interpretation
+//   antibiogram — Local cumulative %S lookup + empiric ranking (code, antibiogram.json
+//              via build_antibiogram.mjs); LLM commentary grounded on those numbers
+//   vanco_pk  — Vancomycin AUC-guided dosing (code only, no GPT/retrieval)
+//   aminoglycoside — Extended-interval gentamicin/tobramycin/amikacin + nomogram (code only)
+//   colistin  — IV colistimethate loading/maintenance, MIU ↔ mg CBA ↔ mg CMS, order unit check (code only)
+//   warfarin  — INR band → weekly dose change (code) + warfarin protocol citations
+//   stewardship — per-antimicrobial checklist: day of therapy vs protocol duration,
+//              IV→PO eligibility, culture-directed de-escalation, duplicate cover (code)
+
+import VECTOR_STORES from "../../vectorstores.json";
+import ANTIBIOGRAM from "../../antibiogram.json";
+import { createRetrievalProvider, retrievalBackend } from "../_lib/retrieval.js";
+import { createLlmClient, llmBackend } from "../_lib/llm.js";
+import { evaluateRenalDosing, findTableDrug } from "../_lib/renal_dosing.js";
+import { parseMedicationOrder, doseLimitFindings } from "../_lib/med_orders.js";
+import { evaluateBetaLactamInfusion } from "../_lib/beta_lactam_infusion.js";
+import { drugProfile, profileMatches } from "../_lib/drug_dictionary.js";
+import { runInteractionEngine } from "../_lib/interactions.js";
+import { scoreQtRisk, qtRiskFinding } from "../_lib/qt_risk.js";
+import { scoreHit4T, hitFinding, formatHit4T } from "../_lib/hit_score.js";
+import { reviewAntimicrobials } from "../_lib/stewardship.js";
+import { normalizeCultures, reviewMicrobiology, isolatesForDisease, formatMicrobiologyLines } from "../_lib/microbiology.js";
+import { loadAntibiogram, resolveAntibiogramVersion, lookupSusceptibility, rankEmpiricOptions, formatAntibiogramTable } from "../_lib/antibiogram.js";
+import { computeVancomycinPk, VANCO_TARGET_AUC } from "../_lib/vanco_pk.js";
+import { computeAminoglycosideDosing } from "../_lib/aminoglycoside.js";
+import { computeColistinDosing, convertColistin, evaluateColistin, colistinDoseFindings } from "../_lib/colistin.js";
+import { parseHeightCm, computeCrCl, selectWeight, resolveWeightPolicy } from "../_lib/clinical_calc.js";
+import { computeWarfarinAdjustment } from "../_lib/warfarin.js";
+import { assessRenalFunction } from "../_lib/renal_function.js";
+import { normalizeRrt, rrtTableModality, rrtWarnings, formatRrt } from "../_lib/rrt.js";
+import { scoreHepaticFunction, formatHepaticScores } from "../_lib/hepatic.js";
+import { normalizePregnancy, formatPregnancy } from "../_lib/pregnancy.js";
+import { LAB_RANGES, resolveLabRanges } from "../_lib/lab_ranges.js";
+import { normalizeLabUnits } from "../_lib/lab_units.js";
+import { analyzeLabTrends, latestValues, formatTrendLines } from "../_lib/lab_trends.js";
+import { parseAgeYears, isPediatric, pediatricAgeBand, formatAge, evaluatePediatricDosing, findPediatricDrug, pediatricDoseFindings, pediatricQueryTerm } from "../_lib/pediatric.js";
 
 export async function onRequest(context) {
   const { request, env } = context;
@@ -41,6 +100,16 @@ export async function onRequest(context) {
         return await handleMonograph(body, env, corsHeaders, language);
       case "antibiogram":
         return await handleAntibiogram(body, env, corsHeaders, language);
+      case "vanco_pk":
+        return handleVancoPk(body, env, corsHeaders);
+      case "aminoglycoside":
+        return handleAminoglycoside(body, env, corsHeaders);
+      case "colistin":
+        return handleColistin(body, env, corsHeaders);
+      case "warfarin":
+        return await handleWarfarin(body, env, corsHeaders);
+      case "stewardship":
+        return await handleStewardship(body, env, corsHeaders);
       case "ask":
       default:
         return await handleAsk(body, env, corsHeaders, language);
@@ -52,48 +121,8 @@ export async function onRequest(context) {
 }
 
 /* =========================================================
-   REFERENCE DATA — Lab Ranges
+   REFERENCE DATA — Lab Ranges (table and sex/age bands: functions/_lib/lab_ranges.js)
 ========================================================= */
-const LAB_RANGES = {
-  hb:           { label:"Hb",               unit:"g/dL",    low:12,   high:17.5, section:"cbc",         drugRelated:["anticoagulants","iron","ESA"] },
-  wbc:          { label:"WBC",              unit:"×10⁹/L",  low:4,    high:11,   section:"cbc",         drugRelated:["antibiotics","immunosuppressants"] },
-  plt:          { label:"Platelets",        unit:"×10⁹/L",  low:150,  high:400,  section:"cbc",         drugRelated:["anticoagulants","heparin","antiplatelet"] },
-  neutrophil:   { label:"Neutrophils",      unit:"×10⁹/L",  low:1.8,  high:7.5,  section:"cbc",         drugRelated:["G-CSF","immunosuppressants"] },
-  scr_umol:     { label:"SCr",              unit:"µmol/L",  low:null, high:106,  section:"renal",       drugRelated:["renal dosing","nephrotoxins"] },
-  scr_mgdl:     { label:"SCr",              unit:"mg/dL",   low:null, high:1.2,  section:"renal",       drugRelated:["renal dosing","nephrotoxins"] },
-  urea:         { label:"Urea",             unit:"mmol/L",  low:null, high:7.1,  section:"renal",       drugRelated:[] },
-  bun:          { label:"BUN",              unit:"mmol/L",  low:null, high:7.1,  section:"renal",       drugRelated:[] },
-  na:           { label:"Na",               unit:"mmol/L",  low:136,  high:145,  section:"electrolytes",drugRelated:["IV fluids","diuretics"] },
-  k:            { label:"K",                unit:"mmol/L",  low:3.5,  high:5.0,  section:"electrolytes",drugRelated:["diuretics","ACEi/ARB","insulin","antiarrhythmics"] },
-  cl:           { label:"Cl",               unit:"mmol/L",  low:98,   high:107,  section:"electrolytes",drugRelated:[] },
-  bicarb:       { label:"HCO3",             unit:"mmol/L",  low:22,   high:29,   section:"electrolytes",drugRelated:["diuretics"] },
-  ca:           { label:"Ca",               unit:"mmol/L",  low:2.12, high:2.62, section:"electrolytes",drugRelated:["calcium therapy","digoxin"] },
-  mg:           { label:"Mg",               unit:"mmol/L",  low:0.74, high:1.03, section:"electrolytes",drugRelated:["aminoglycosides","diuretics","PPIs"] },
-  phos:         { label:"Phos",             unit:"mmol/L",  low:0.81, high:1.45, section:"electrolytes",drugRelated:["phosphate binders"] },
-  alt:          { label:"ALT",              unit:"U/L",     low:null, high:56,   section:"liver",       drugRelated:["hepatotoxic drugs","paracetamol","statins"] },
-  ast:          { label:"AST",              unit:"U/L",     low:null, high:40,   section:"liver",       drugRelated:["hepatotoxic drugs","statins"] },
-  alp:          { label:"ALP",              unit:"U/L",     low:null, high:120,  section:"liver",       drugRelated:[] },
-  bili_t:       { label:"Total Bilirubin",  unit:"µmol/L",  low:null, high:21,   section:"liver",       drugRelated:["hepatotoxic drugs"] },
-  albumin:      { label:"Albumin",          unit:"g/L",     low:35,   high:50,   section:"liver",       drugRelated:["warfarin","phenytoin","protein binding"] },
-  inr:          { label:"INR",              unit:"",        low:null, high:1.2,  section:"coagulation", drugRelated:["warfarin","bleeding risk"] },
-  pt:           { label:"PT",               unit:"sec",     low:null, high:13.5, section:"coagulation", drugRelated:["warfarin"] },
-  aptt:         { label:"aPTT",             unit:"sec",     low:null, high:35,   section:"coagulation", drugRelated:["heparin"] },
-  fibrinogen:   { label:"Fibrinogen",       unit:"g/L",     low:2,    high:4,    section:"coagulation", drugRelated:[] },
-  crp:          { label:"CRP",              unit:"mg/L",    low:null, high:10,   section:"infection",   drugRelated:["antibiotics"] },
-  procalc:      { label:"PCT",              unit:"µg/L",    low:null, high:0.5,  section:"infection",   drugRelated:["antibiotics"] },
-  lactate:      { label:"Lactate",          unit:"mmol/L",  low:null, high:2.0,  section:"infection",   drugRelated:["sepsis","metformin"] },
-  glucose:      { label:"Glucose",          unit:"mmol/L",  low:3.9,  high:7.8,  section:"metabolic",   drugRelated:["insulin","steroids"] },
-  vanc_trough:  { label:"Vancomycin Trough",unit:"mg/L",    low:10,   high:20,   section:"tdm",         drugRelated:["vancomycin"] },
-  vanc_auc:     { label:"Vancomycin AUC",   unit:"mg·h/L",  low:400,  high:600,  section:"tdm",         drugRelated:["vancomycin"] },
-  genta_trough: { label:"Gentamicin Trough",unit:"mg/L",    low:null, high:2,    section:"tdm",         drugRelated:["gentamicin"] },
-  tobra_trough: { label:"Tobramycin Trough",unit:"mg/L",    low:null, high:2,    section:"tdm",         drugRelated:["tobramycin"] },
-  digoxin:      { label:"Digoxin",          unit:"µg/L",    low:0.5,  high:2,    section:"tdm",         drugRelated:["digoxin"] },
-  phenytoin:    { label:"Phenytoin",        unit:"mg/L",    low:10,   high:20,   section:"tdm",         drugRelated:["phenytoin"] },
-  valproate:    { label:"Valproate",        unit:"mg/L",    low:50,   high:100,  section:"tdm",         drugRelated:["valproate"] },
-  tacro:        { label:"Tacrolimus",       unit:"µg/L",    low:5,    high:15,   section:"tdm",         drugRelated:["tacrolimus"] },
-  cyclo:        { label:"Cyclosporine",     unit:"µg/L",    low:100,  high:400,  section:"tdm",         drugRelated:["cyclosporine"] },
-};
-
 const BORDERLINE_MARGIN = 0.15;
 const LAB_SECTION_ORDER = ["renal","cbc","electrolytes","liver","coagulation","infection","metabolic","tdm"];
 const SECTION_TITLES = {
@@ -105,6 +134,13 @@ const SECTION_TITLES = {
 /* =========================================================
    DETERMINISTIC SAFETY RULES (L5)
 ========================================================= */
+const AKI_NEPHROTOXINS = ["ibuprofen","naproxen","diclofenac","ketorolac","celecoxib","indomethacin","aminoglycoside","vancomycin","acei","arb","colistin","amphotericin"];
+
+// Generic names of the patient's drugs matching any rule term
+function namesMatching(s, terms) {
+  return [...new Set(s.medProfiles.filter(p=>terms.some(t=>profileMatches(p, t))).map(p=>p.generic||p.raw))];
+}
+
 const SAFETY_RULES = [
   { id:"RENAL_METFORMIN",         severity:"Critical",
     test:(s)=>s.renalFlag&&s.crcl&&s.crcl.value<30&&s.hasDrug(["metformin"]),
@@ -132,12 +168,12 @@ const SAFETY_RULES = [
     recommendation:"Avoid NSAIDs. Use paracetamol or weak opioids.",
     queries:()=>["NSAID renal impairment contraindication"] },
   { id:"RENAL_AMINOGLYCOSIDE",    severity:"Major",
-    test:(s)=>s.renalFlag&&s.hasDrug(["gentamicin","tobramycin","amikacin","streptomycin"]),
+    test:(s)=>s.renalFlag&&!s.rrt.modality&&s.hasDrug(["gentamicin","tobramycin","amikacin","streptomycin"]),
     problem:"Aminoglycoside with renal impairment — nephrotoxicity + ototoxicity risk",
     recommendation:"Extend dosing interval per CrCl. Monitor drug levels and renal function.",
     queries:(s)=>[`aminoglycoside renal dose adjustment CrCl ${Math.round(s.crcl?.value||0)}`,"aminoglycoside nephrotoxicity monitoring"] },
   { id:"RENAL_VANCOMYCIN",        severity:"Major",
-    test:(s)=>s.renalFlag&&s.hasDrug(["vancomycin"]),
+    test:(s)=>s.renalFlag&&!s.rrt.modality&&s.hasDrug(["vancomycin"]),
     problem:"Vancomycin with renal impairment — dose/interval adjustment required",
     recommendation:"Adjust vancomycin per CrCl. Target AUC/MIC 400–600 mg·h/L.",
     queries:(s)=>[`vancomycin renal dose CrCl ${Math.round(s.crcl?.value||0)}`,"vancomycin AUC monitoring renal"] },
@@ -156,6 +192,55 @@ const SAFETY_RULES = [
     problem:"Spironolactone with CrCl <30 — severe hyperkalemia risk",
     recommendation:"Avoid spironolactone if CrCl <30 mL/min.",
     queries:()=>["spironolactone contraindication renal failure"] },
+  { id:"ARC_BETALACTAM",          severity:"Major",
+    test:(s)=>s.renal?.arc&&s.hasDrug(["beta-lactam","carbapenem","vancomycin"]),
+    problem:"Augmented renal clearance (CrCl >130 mL/min) on beta-lactam/vancomycin — risk of underdosing",
+    recommendation:"Use full (non-renally reduced) doses; consider extended or continuous beta-lactam infusion and TDM. Confirm with measured urine CrCl.",
+    queries:()=>["augmented renal clearance beta-lactam dosing","extended infusion meropenem piperacillin critically ill"] },
+  { id:"RRT_METFORMIN",           severity:"Critical",
+    test:(s)=>s.rrt.modality&&s.hasDrug(["metformin"]),
+    problem:(s)=>`Metformin on ${s.rrt.modality_label} — contraindicated`,
+    recommendation:"Stop metformin. Use insulin for glycaemic control.",
+    queries:()=>["metformin dialysis contraindication"] },
+  { id:"RRT_VANCOMYCIN",          severity:"Major",
+    test:(s)=>s.rrt.modality&&s.hasDrug(["vancomycin"]),
+    problem:(s)=>`Vancomycin on ${s.rrt.modality_label} — dose by modality, not CrCl`,
+    recommendation:(s)=>s.rrt.modality==="CRRT"
+      ? `Load 20–25 mg/kg, then 15 mg/kg Q24H (effluent ${s.rrt.effluent_ml_kg_h??"not documented"} mL/kg/h); level before the 3rd dose, target AUC 400–600.`
+      : "Load 20–25 mg/kg, then 500–1000 mg after each HD session; pre-HD level 15–20 mg/L guides the next dose.",
+    queries:(s)=>[`vancomycin ${s.rrt.modality==="CRRT"?"CRRT":"haemodialysis"} dosing`,"vancomycin pre-dialysis level"] },
+  { id:"RRT_AMINOGLYCOSIDE",      severity:"Major",
+    test:(s)=>s.rrt.modality&&s.hasDrug(["gentamicin","tobramycin","amikacin"]),
+    problem:(s)=>`Aminoglycoside on ${s.rrt.modality_label} — accumulation and ototoxicity risk`,
+    recommendation:(s)=>s.rrt.modality==="CRRT"
+      ? "Give the full mg/kg dose, redose when the level is <1 mg/L (amikacin <2.5 mg/L); levels every 24 h."
+      : "Give the dose after HD; redose by pre-HD level (gentamicin <2 mg/L). Do not use extended-interval nomograms.",
+    queries:(s)=>[`aminoglycoside ${s.rrt.modality==="CRRT"?"CRRT":"haemodialysis"} dosing levels`] },
+  { id:"RRT_ANTICOAG",            severity:"Major",
+    test:(s)=>s.rrt.modality&&s.hasDrug(["enoxaparin","dalteparin","fondaparinux","dabigatran","rivaroxaban","edoxaban"]),
+    problem:(s)=>`LMWH/fondaparinux/DOAC on ${s.rrt.modality_label} — accumulation and bleeding risk`,
+    recommendation:"Switch to unfractionated heparin (SC prophylaxis or aPTT/anti-Xa-guided infusion).",
+    queries:()=>["anticoagulation dialysis unfractionated heparin","enoxaparin renal failure dialysis"] },
+  { id:"RRT_K_SPARING",           severity:"Major",
+    test:(s)=>s.rrt.modality&&s.rrt.modality!=="CRRT"&&s.hasDrug(["spironolactone","eplerenone","amiloride","triamterene"]),
+    problem:"Potassium-sparing diuretic on dialysis — interdialytic hyperkalaemia risk",
+    recommendation:"Stop unless nephrology-directed; check pre-HD K⁺.",
+    queries:()=>["spironolactone haemodialysis hyperkalaemia"] },
+  { id:"RRT_HD_DOSE_TIMING",      severity:"Moderate",
+    test:(s)=>s.rrt.modality==="IHD"&&s.hasDrug(["piperacillin","meropenem","cefepime","ceftazidime","levetiracetam","acyclovir","fluconazole","colistin","gentamicin","vancomycin"]),
+    problem:"Dialysable drug on intermittent HD — doses given before a session are largely removed",
+    recommendation:(s)=>`Schedule daily doses after HD on dialysis days and give the post-HD supplements in the renal table${s.rrt.next_session?`; next session ${s.rrt.next_session}`:""}.`,
+    queries:()=>["drug dosing after haemodialysis supplemental dose"] },
+  { id:"CRRT_EFFLUENT_UNKNOWN",   severity:"Moderate",
+    test:(s)=>s.rrt.modality==="CRRT"&&s.rrt.effluent_ml_kg_h==null&&s.hasDrug(["beta-lactam","glycopeptide","gentamicin","tobramycin","amikacin","levofloxacin","fluconazole","colistin"]),
+    problem:"CRRT effluent rate not documented — antimicrobial doses cannot be matched to clearance",
+    recommendation:"Document the prescribed effluent dose (mL/kg/h). Table CRRT doses assume 20–25 mL/kg/h; use TDM.",
+    queries:()=>["CRRT antibiotic dosing effluent rate"] },
+  { id:"ECMO_SEQUESTRATION",      severity:"Moderate",
+    test:(s)=>s.rrt.ecmo&&s.hasDrug(["fentanyl","midazolam","propofol","voriconazole","caspofungin","vancomycin","meropenem"]),
+    problem:"ECMO — circuit sequestration and expanded Vd lower drug exposure",
+    recommendation:"Use higher loading doses; titrate sedatives to effect; TDM for vancomycin, voriconazole and beta-lactams where available.",
+    queries:()=>["ECMO pharmacokinetics sequestration dosing"] },
   { id:"HYPERK_ACEI_SPIRO",       severity:"Critical",
     test:(s)=>s.labs.k&&s.labs.k>5.5&&s.hasDrug(["spironolactone","eplerenone"])&&s.hasDrug(["lisinopril","enalapril","ramipril","captopril","perindopril","losartan","valsartan","irbesartan","candesartan","telmisartan"]),
     problem:"Hyperkalemia + ACEi/ARB + K-sparing diuretic — life-threatening K⁺ elevation",
@@ -227,30 +312,148 @@ const SAFETY_RULES = [
     recommendation:"Intensify glucose monitoring. Consider insulin adjustment.",
     queries:()=>["steroid-induced hyperglycemia management"] },
   { id:"ALLERGY_PENICILLIN",      severity:"Critical",
-    test:(s)=>s.hasAllergy(["penicillin","amoxicillin","ampicillin"])&&s.hasDrug(["amoxicillin","ampicillin","piperacillin","piperacillin-tazobactam","co-amoxiclav","flucloxacillin"]),
+    test:(s)=>s.hasAllergy(["penicillin","amoxicillin","ampicillin"])&&s.hasDrug(["penicillin","amoxicillin","ampicillin","piperacillin","piperacillin-tazobactam","co-amoxiclav","flucloxacillin"]),
     problem:"Documented penicillin allergy — patient receiving penicillin-class antibiotic",
     recommendation:"STOP drug immediately. Switch to alternative per allergy type.",
     queries:()=>["penicillin allergy alternatives","beta-lactam cross-reactivity"] },
   { id:"ALLERGY_PENICILLIN_CEPH", severity:"Moderate",
-    test:(s)=>s.hasAllergy(["penicillin","amoxicillin","ampicillin"])&&s.hasDrug(["cefazolin","ceftriaxone","cefuroxime","cefalexin","cephalexin","cefepime","ceftazidime"]),
+    test:(s)=>s.hasAllergy(["penicillin","amoxicillin","ampicillin"])&&s.hasDrug(["cephalosporin","cefazolin","ceftriaxone","cefuroxime","cefalexin","cephalexin","cefepime","ceftazidime"]),
     problem:"Penicillin allergy + cephalosporin — cross-reactivity risk",
     recommendation:"Review allergy nature. If anaphylaxis, avoid cephalosporins with same R1 side chain.",
     queries:()=>["penicillin allergy cephalosporin cross-reactivity"] },
   { id:"ALLERGY_NSAID",           severity:"Major",
-    test:(s)=>s.hasAllergy(["nsaid","aspirin","ibuprofen","diclofenac"])&&s.hasDrug(["ibuprofen","naproxen","diclofenac","ketorolac","celecoxib","aspirin","indomethacin"]),
+    test:(s)=>s.hasAllergy(["nsaid","aspirin","ibuprofen","diclofenac"])&&s.hasDrug(["nsaid","ibuprofen","naproxen","diclofenac","ketorolac","celecoxib","aspirin","indomethacin"]),
     problem:"NSAID allergy — patient receiving NSAID",
     recommendation:"Stop NSAID. Switch to paracetamol or opioid.",
     queries:()=>["NSAID allergy cross-reactivity"] },
   { id:"HEPATIC_PARACETAMOL",     severity:"Major",
     test:(s)=>s.hepaticFlag&&s.hasDrug(["paracetamol","acetaminophen"]),
-    problem:"Paracetamol with elevated liver enzymes — hepatotoxicity risk",
-    recommendation:"Limit paracetamol ≤2 g/day. Avoid if ALT/AST >3× ULN.",
-    queries:()=>["paracetamol liver disease dose limit"] },
+    problem:(s)=>s.childPughClass
+      ? `Paracetamol in Child-Pugh ${s.childPughClass} liver disease — reduced glutathione reserve`
+      : "Paracetamol with elevated liver enzymes — hepatotoxicity risk",
+    recommendation:(s)=>s.childPughClass==="C"
+      ? "Limit paracetamol to 2 g/day (max 500 mg–1 g per dose, ≥6 h apart); avoid if acute decompensation or alcohol use."
+      : s.childPughClass==="B"
+        ? "Limit paracetamol to 2–3 g/day; 2 g/day if malnourished, <50 kg or ongoing alcohol use."
+        : "Limit paracetamol ≤2 g/day. Avoid if ALT/AST >3× ULN.",
+    queries:()=>["paracetamol liver disease dose limit","paracetamol cirrhosis maximum daily dose"] },
   { id:"HEPATIC_STATIN",          severity:"Moderate",
-    test:(s)=>s.hepaticFlag&&s.hasDrug(["atorvastatin","rosuvastatin","simvastatin","pravastatin","fluvastatin"]),
-    problem:"Statin with active liver disease — hepatotoxicity risk",
-    recommendation:"Hold statin if ALT/AST >3× ULN.",
+    test:(s)=>s.hepaticFlag&&s.childPughClass!=="C"&&s.hasDrug(["atorvastatin","rosuvastatin","simvastatin","pravastatin","fluvastatin"]),
+    problem:(s)=>s.childPughClass
+      ? `Statin in Child-Pugh ${s.childPughClass} liver disease`
+      : "Statin with active liver disease — hepatotoxicity risk",
+    recommendation:(s)=>s.childPughClass==="B"
+      ? "Use low-dose statin only (e.g. simvastatin ≤20 mg, rosuvastatin ≤10 mg); monitor CK and LFTs. Hold if ALT/AST >3× ULN."
+      : "Hold statin if ALT/AST >3× ULN.",
     queries:()=>["statin liver disease contraindication"] },
+  { id:"CHILD_PUGH_C_STATIN",     severity:"Major",
+    test:(s)=>s.childPughClass==="C"&&s.hasDrug(["atorvastatin","rosuvastatin","simvastatin","pravastatin","fluvastatin"]),
+    problem:"Statin in decompensated (Child-Pugh C) cirrhosis — contraindicated, rhabdomyolysis risk",
+    recommendation:"Stop statin.",
+    queries:()=>["statin decompensated cirrhosis Child-Pugh C"] },
+  { id:"CHILD_PUGH_SEDATIVE",     severity:"Major",
+    test:(s)=>(s.childPughClass==="B"||s.childPughClass==="C")&&s.hasDrug(["midazolam","diazepam","lorazepam","alprazolam","zolpidem","morphine","oxycodone","tramadol","codeine","pethidine"]),
+    problem:(s)=>`Benzodiazepine/opioid in Child-Pugh ${s.childPughClass} — precipitates hepatic encephalopathy`,
+    recommendation:"Avoid or use the lowest dose at extended intervals (e.g. oxazepam/lorazepam over diazepam; hydromorphone/fentanyl over morphine/tramadol). Monitor for encephalopathy; lactulose.",
+    queries:()=>["opioid benzodiazepine cirrhosis hepatic encephalopathy","analgesia in cirrhosis"] },
+  { id:"CHILD_PUGH_NSAID",        severity:"Major",
+    test:(s)=>(s.childPughClass==="B"||s.childPughClass==="C")&&s.hasDrug(["ibuprofen","naproxen","diclofenac","ketorolac","celecoxib","indomethacin"]),
+    problem:(s)=>`NSAID in Child-Pugh ${s.childPughClass} cirrhosis — renal failure, GI bleeding and diuretic-resistant ascites`,
+    recommendation:"Stop NSAID. Use paracetamol within hepatic limits.",
+    queries:()=>["NSAID cirrhosis contraindication"] },
+  // Pregnancy / lactation — trimester-aware; state from functions/_lib/pregnancy.js
+  { id:"PREG_WARFARIN",           severity:"Critical",
+    test:(s)=>s.pregnancy.pregnant&&s.hasDrug(["warfarin"]),
+    problem:(s)=>s.pregnancy.trimester===1||s.pregnancy.trimester==null
+      ? "Warfarin in pregnancy — warfarin embryopathy (highest risk weeks 6–12)"
+      : s.pregnancy.near_term
+        ? "Warfarin near term — fetal/neonatal intracranial haemorrhage at delivery"
+        : `Warfarin in pregnancy (trimester ${s.pregnancy.trimester}) — fetal CNS abnormalities and bleeding`,
+    recommendation:"Switch to therapeutic LMWH (e.g. enoxaparin 1 mg/kg SC Q12H, anti-Xa guided) or UFH. Mechanical valve: continue only under cardiology/obstetric joint plan; switch to UFH/LMWH by 36 weeks.",
+    queries:()=>["warfarin pregnancy contraindication LMWH","anticoagulation in pregnancy enoxaparin dose"] },
+  { id:"PREG_ACEI_ARB",           severity:"Critical",
+    test:(s)=>s.pregnancy.pregnant&&s.hasDrug(["acei","arb"]),
+    problem:(s)=>s.pregnancy.trimester===2||s.pregnancy.trimester===3
+      ? `ACEi/ARB in trimester ${s.pregnancy.trimester} — fetotoxic (oligohydramnios, fetal renal failure, skull hypoplasia)`
+      : "ACEi/ARB in pregnancy — teratogenic risk and fetotoxic from the second trimester",
+    recommendation:"Stop ACEi/ARB. Replace with labetalol 100–200 mg PO Q12H, nifedipine MR 20–30 mg PO Q12–24H or methyldopa 250 mg PO Q8–12H. Arrange fetal growth/liquor scan if exposed beyond trimester 1.",
+    queries:()=>["ACE inhibitor pregnancy contraindication","hypertension in pregnancy labetalol nifedipine"] },
+  { id:"PREG_STATIN",             severity:"Major",
+    test:(s)=>s.pregnancy.pregnant&&s.hasDrug(["statin"]),
+    problem:"Statin in pregnancy — contraindicated, no benefit during pregnancy",
+    recommendation:"Stop statin for the duration of pregnancy and breastfeeding. Restart postpartum after weaning; diet for hyperlipidaemia.",
+    queries:()=>["statin pregnancy contraindication"] },
+  { id:"PREG_FLUOROQUINOLONE",    severity:"Major",
+    test:(s)=>s.pregnancy.pregnant&&s.hasDrug(["fluoroquinolone"]),
+    problem:(s)=>`Fluoroquinolone in pregnancy${s.pregnancy.trimester ? ` (trimester ${s.pregnancy.trimester})` : ""} — fetal cartilage toxicity; avoid when alternatives exist`,
+    recommendation:"Replace with a beta-lactam per indication: cefalexin/cefuroxime or amoxicillin-clavulanate (UTI), ceftriaxone ± azithromycin (pneumonia). Keep a fluoroquinolone only if no alternative (e.g. MDR organism) and document.",
+    queries:()=>["fluoroquinolone pregnancy alternative antibiotic","antibiotics safe in pregnancy"] },
+  { id:"PREG_TMP_SMX",            severity:"Major",
+    test:(s)=>s.pregnancy.pregnant&&(s.pregnancy.trimester===1||s.pregnancy.near_term||s.pregnancy.trimester==null)&&s.hasDrug(["trimethoprim-sulfamethoxazole"]),
+    problem:(s)=>s.pregnancy.near_term
+      ? "TMP-SMX near term — neonatal kernicterus (bilirubin displacement)"
+      : s.pregnancy.trimester===1
+        ? "TMP-SMX in trimester 1 — folate antagonist, neural tube and cardiac defects"
+        : "TMP-SMX in pregnancy (gestation unknown) — trimester 1 folate antagonism / near-term kernicterus",
+    recommendation:(s)=>s.pregnancy.near_term
+      ? "Avoid from 36 weeks. Use cefalexin or amoxicillin-clavulanate (UTI); PJP treatment continues only if no alternative, with neonatal bilirubin monitoring."
+      : "Use cefalexin or amoxicillin-clavulanate (UTI); nitrofurantoin acceptable in trimester 2. If TMP-SMX is essential (PJP), add folic acid 5 mg daily.",
+    queries:()=>["trimethoprim sulfamethoxazole pregnancy first trimester","UTI in pregnancy antibiotic choice"] },
+  { id:"PREG_VALPROATE",          severity:"Critical",
+    test:(s)=>s.pregnancy.pregnant&&s.hasDrug(["valproate"]),
+    problem:(s)=>`Valproate in pregnancy${s.pregnancy.trimester ? ` (trimester ${s.pregnancy.trimester})` : ""} — major malformations (~10%) and neurodevelopmental harm`,
+    recommendation:"Urgent neurology/psychiatry review to switch (lamotrigine or levetiracetam for epilepsy; antipsychotic for bipolar). Do not stop abruptly in epilepsy. Folic acid 5 mg daily; detailed anomaly scan.",
+    queries:()=>["valproate pregnancy teratogenic alternative","antiepileptic drugs in pregnancy lamotrigine levetiracetam"] },
+  { id:"LACT_STATIN",             severity:"Moderate",
+    test:(s)=>s.pregnancy.lactating&&s.hasDrug(["statin"]),
+    problem:"Statin while breastfeeding — not recommended",
+    recommendation:"Hold statin until breastfeeding stops.",
+    queries:()=>["statin breastfeeding lactation"] },
+  { id:"LACT_TMP_SMX",            severity:"Minor",
+    test:(s)=>s.pregnancy.lactating&&s.hasDrug(["trimethoprim-sulfamethoxazole"]),
+    problem:"TMP-SMX while breastfeeding — kernicterus risk in jaundiced, premature or G6PD-deficient infants <2 months",
+    recommendation:"Acceptable for healthy term infants >2 months; otherwise use cefalexin or amoxicillin-clavulanate.",
+    queries:()=>["sulfamethoxazole trimethoprim breastfeeding infant"] },
+  // Serial-lab trends — AKI, platelet fall, INR rise; state from functions/_lib/lab_trends.js
+  { id:"AKI_NEPHROTOXIN",         severity:(s)=>s.aki.stage>=2 ? "Critical" : "Major",
+    test:(s)=>!!s.aki&&s.hasDrug(AKI_NEPHROTOXINS),
+    problem:(s)=>`${namesMatching(s, AKI_NEPHROTOXINS).join(", ")} during AKI${s.aki.stage ? ` (KDIGO stage ${s.aki.stage}, ${s.aki.status})` : ""} — ongoing nephrotoxic exposure`,
+    recommendation:"Stop NSAIDs; hold ACEi/ARB until SCr recovers. Replace aminoglycoside/colistin/amphotericin where an alternative exists; otherwise extend interval and dose by levels. Vancomycin: AUC-guided dosing with daily SCr.",
+    queries:(s)=>[...namesMatching(s, AKI_NEPHROTOXINS).map(n=>`${n} acute kidney injury nephrotoxicity`),"nephrotoxic drug stewardship AKI"] },
+  { id:"AKI_METFORMIN",           severity:"Critical",
+    test:(s)=>!!s.aki&&s.hasDrug(["metformin"]),
+    problem:"Metformin during AKI — accumulation and lactic acidosis risk",
+    recommendation:"Hold metformin until renal function is stable; use insulin for glycaemic control meanwhile.",
+    queries:()=>["metformin acute kidney injury lactic acidosis"] },
+  { id:"AKI_NONSTEADY_CRCL",      severity:"Major",
+    test:(s)=>!!s.aki&&s.aki.criterion!=="documented"&&s.renalPattern==="AKI"&&!!s.crcl,
+    problem:(s)=>`SCr not at steady state (${s.aki.criterion}) — ${s.crcl.estimator} ${s.crcl.value} ${s.crcl.unit||"mL/min"} overestimates renal function`,
+    recommendation:(s)=>s.aki.status==="recovering"
+      ? "Renal function recovering — reassess renally adjusted doses daily and step up as SCr falls to avoid underdosing (especially antimicrobials)."
+      : "SCr still rising — dose renally cleared drugs for CrCl <30 mL/min (or the next band down), keep loading doses unchanged, and recheck SCr daily.",
+    queries:()=>["drug dosing acute kidney injury non-steady state creatinine"] },
+  // Intermediate/high/indeterminate 4T is reported by HIT_4T_SCORE (functions/_lib/hit_score.js)
+  { id:"PLT_FALL_HEPARIN",        severity:"Major",
+    test:(s)=>!!s.trends.platelet_fall?.falling&&s.hasDrug(["ufh","lmwh","heparin"])&&(!s.hit||s.hit.category==="low"),
+    problem:(s)=>{ const f = s.trends.platelet_fall;
+      return `Platelets fell ${f.fall_pct}% (${f.peak} → ${f.nadir}) on heparin/LMWH${s.hit ? ` — 4T low (${s.hit.score_min}–${s.hit.score_max}/8), HIT unlikely` : ""}`; },
+    recommendation:(s)=>s.hit ? s.hit.recommendation : "Calculate the 4T score; if intermediate/high stop all heparin and start argatroban or fondaparinux.",
+    queries:()=>["thrombocytopenia in ICU causes","heparin-induced thrombocytopenia 4T score"] },
+  { id:"PLT_FALL_DRUG",           severity:"Moderate",
+    test:(s)=>!!s.trends.platelet_fall?.falling&&!s.hasDrug(["ufh","lmwh","heparin"]),
+    problem:(s)=>`Platelets fell ${s.trends.platelet_fall.fall_pct}% (${s.trends.platelet_fall.peak} → ${s.trends.platelet_fall.nadir}) — sepsis/consumption or drug-induced thrombocytopenia`,
+    recommendation:"Review drugs started 5–10 days before the fall (linezolid, beta-lactams, vancomycin, TMP-SMX, valproate). Repeat count, blood film; hold antiplatelets/anticoagulant prophylaxis if <50 ×10⁹/L.",
+    queries:()=>["drug-induced thrombocytopenia causes","linezolid thrombocytopenia"] },
+  { id:"INR_RISING_WARFARIN",     severity:"Major",
+    test:(s)=>!!s.trends.inr_rise?.rising&&s.hasDrug(["warfarin"]),
+    problem:(s)=>`INR rising on warfarin (${s.trends.inr_rise.from} → ${s.trends.inr_rise.to}) — overshoot risk before the next dose`,
+    recommendation:"Reduce or hold the next warfarin dose before the target is exceeded. Look for interacting antimicrobials/amiodarone and reduced intake; recheck INR daily.",
+    queries:()=>["warfarin INR rising dose adjustment","warfarin antibiotic interaction INR"] },
+  { id:"INR_RISING_NO_VKA",       severity:"Moderate",
+    test:(s)=>!!s.trends.inr_rise?.rising&&!s.hasDrug(["warfarin"]),
+    problem:(s)=>`INR rising without a vitamin K antagonist (${s.trends.inr_rise.from} → ${s.trends.inr_rise.to}) — hepatic synthetic failure, vitamin K deficiency or DIC`,
+    recommendation:"Check LFTs, fibrinogen and platelets. Give vitamin K 10 mg IV if deficiency is likely (poor intake, antibiotics, cholestasis). Review hepatically cleared doses.",
+    queries:()=>["coagulopathy rising INR causes vitamin K","drug-induced liver injury INR"] },
   { id:"MONITOR_VANC_NOLEVELS",   severity:"Moderate",
     test:(s)=>s.hasDrug(["vancomycin"])&&s.labs.vanc_trough===null&&s.labs.vanc_auc===null,
     problem:"Vancomycin without documented drug level monitoring",
@@ -268,6 +471,8 @@ const SAFETY_RULES = [
     queries:()=>["warfarin INR monitoring protocol"] },
 ];
 
+const RRT_QUERY_TERMS = { IHD:"haemodialysis", PD:"peritoneal dialysis", CRRT:"CRRT continuous renal replacement" };
+
 /* =========================================================
    DRUG → PROTOCOL FILE HINTS
 ========================================================= */
@@ -306,6 +511,23 @@ const DRUG_FILE_HINTS = {
   "colistin":                ["colistin renal toxicity protocol","colistin loading dose"],
 };
 
+/* =========================================================
+   DRUG → VECTOR STORE ROUTING (keys match vectorstores.json)
+========================================================= */
+const DRUG_STORE_KEYWORDS = {
+  "Amiodarone":              ["amiodarone"],
+  "Anticoagulation":         ["anticoagulation","heparin","enoxaparin","dalteparin","fondaparinux","rivaroxaban","apixaban","dabigatran","edoxaban"],
+  "Ciprofloxacin":           ["ciprofloxacin"],
+  "Colistin":                ["colistin","colistimethate"],
+  "Levofloxacin":            ["levofloxacin"],
+  "Meropenem":               ["meropenem"],
+  "Vancomycin":              ["vancomycin","vanco"],
+  "Warfarin":                ["warfarin"],
+  "Piperacillin/Tazobactam": ["piperacillin","tazobactam","pip-tazo","pip/tazo"],
+  "Procainamide":            ["procainamide"],
+  "TMP-SMX":                 ["tmp-smx","tmp/smx","trimethoprim","sulfamethoxazole","co-trimoxazole","cotrimoxazole"],
+};
+
 /* =========================================================
    MODE: ASK — PROTOCOL SEARCH WITH PAGE-AWARE RETRIEVAL
 ========================================================= */
@@ -323,11 +545,12 @@ async function handleAsk(body, env, corsHeaders, language) {
   const fileIntent = detectFileIntent(question);
 
   // ── RETRIEVAL ───────────────────────────────────────────────────────────────
+  const storeIds = routeVectorStores(env, question, fileIntent);
   let evidence;
   if (pageIntent) {
-    evidence = await vectorSearchPageAware(env, question, pageIntent, fileIntent, 8);
+    evidence = await vectorSearchPageAware(env, question, pageIntent, fileIntent, 8, storeIds);
   } else {
-    evidence = await vectorSearch(env, question, 10);
+    evidence = await vectorSearch(env, question, 10, storeIds);
     if (fileIntent) {
       // Re-rank: put matching file first
       evidence.sort((a,b) => {
@@ -372,7 +595,7 @@ async function handleAsk(body, env, corsHeaders, language) {
     const systemMsg = pageIntent
       ? `You are a clinical pharmacist AI. The user is asking about specific page content. Answer using ONLY the provided sources. If the exact page text is available, quote it. If not available, say so clearly. Return 3-6 bullet points starting with •.`
       : `You are a clinical pharmacist AI. Answer using ONLY the provided sources. Return 3-6 concise bullet points, each beginning with •. No preamble.`;
-    answer = (await callGPT(env.OPENAI_API_KEY, {
+    answer = (await callGPT(env, {
       system: systemMsg,
       user: `Question: ${question}\n\nSources:\n${evidenceText}`,
       max_tokens: 400,
@@ -381,7 +604,7 @@ async function handleAsk(body, env, corsHeaders, language) {
     const systemMsg = pageIntent
       ? `You are a clinical pharmacist AI. The user requested specific page content. Use ONLY the provided sources. If page-specific content is available, quote it precisely. If the exact page is not available in sources, state clearly: "I could not retrieve page-specific text for the requested page." Do not hallucinate page content.\nFormat:\nANSWER: [answer]\n\nSOURCE:\n• [filename, page number]`
       : `You are a clinical pharmacist AI. Use ONLY the provided sources.\nFormat:\nANSWER: [2-4 sentence answer]\n\nKEY EVIDENCE:\n• ... — [filename, page if available]\nDo not add unsupported information.`;
-    answer = (await callGPT(env.OPENAI_API_KEY, {
+    answer = (await callGPT(env, {
       system: systemMsg,
       user: `Question: ${question}\n\nSources:\n${evidenceText}`,
       max_tokens: 700,
@@ -403,7 +626,7 @@ async function handleMonograph(body, env, corsHeaders, language) {
   requireApiCredentials(env);
   const evidence    = await vectorSearch(env, `${drug_name} dosing indications renal warnings contraindications`, 8);
   const evidenceText = evidence.length ? formatEvidenceText(evidence) : "No protocol sources found.";
-  const monograph   = (await callGPT(env.OPENAI_API_KEY, {
+  const monograph   = (await callGPT(env, {
     system: "You are a clinical pharmacist generating a concise protocol-based monograph.",
     user: `Generate a concise clinical monograph for ${drug_name}.\n${patient_context ? `Patient context: ${patient_context}\n` : ""}Use ONLY the provided sources.\nStructure:\n## Drug\n## Key Indications\n## Standard Dosing\n## Renal Adjustment\n## Major Warnings / Contraindications\n## Monitoring\n## Important Notes\n\nSources:\n${evidenceText}`,
     max_tokens: 900,
@@ -413,23 +636,187 @@ async function handleMonograph(body, env, corsHeaders, language) {
 
 /* =========================================================
    MODE: ANTIBIOGRAM
+   Numbers come from the local cumulative antibiogram (functions/_lib/antibiogram.js);
+   env.ANTIBIOGRAM (object, JSON or KV) overrides the bundled antibiogram.json.
+   Body: organism, antibiotic?, site_of_infection?, unit? ("icu"|"ward"), year?, patient_context?
+   Without local data for the organism, the protocol-only interpretation is kept.
 ========================================================= */
 async function handleAntibiogram(body, env, corsHeaders, language) {
   const organism         = body.organism || "";
   const antibiotic       = body.antibiotic || "";
   const site_of_infection = body.site_of_infection || "";
   const patient_context  = body.patient_context || "";
+  const unit             = body.unit || body.ward || null;
   if (!organism && !antibiotic) return jsonResponse({ ok:false, error:"organism or antibiotic is required" }, 400, corsHeaders);
   requireApiCredentials(env);
+
+  const data     = await loadAntibiogram(env.ANTIBIOGRAM, ANTIBIOGRAM);
+  const version  = resolveAntibiogramVersion(data, body.year ?? null);
+  const lookup   = organism&&antibiotic ? lookupSusceptibility(version, { organism, antibiotic, unit, site:site_of_infection }) : null;
+  const ranking  = organism ? rankEmpiricOptions(version, { organism, site:site_of_infection, unit }) : { ranked:[], excluded:[] };
+  const hasLocal = !!lookup||ranking.ranked.length>0;
+  const local    = hasLocal ? {
+    year: version.year, source: version.source, available_years: version.available_years,
+    year_fallback: !!version.requested_year&&version.requested_year!==version.year,
+    unit_requested: unit, unit_used: ranking.unit_used||lookup?.unit||null, unit_fallback: !!(ranking.unit_fallback||lookup?.unit_fallback),
+    susceptibility: lookup, empiric_ranking: ranking.ranked, excluded_for_site: ranking.excluded,
+  } : null;
+
   const query    = [organism, antibiotic, site_of_infection, "susceptibility resistance empiric therapy"].filter(Boolean).join(" ");
   const evidence = await vectorSearch(env, query, 8);
   const evidenceText = evidence.length ? formatEvidenceText(evidence) : "No protocol sources found.";
-  const analysis = (await callGPT(env.OPENAI_API_KEY, {
-    system: "You are an infectious disease pharmacist. Use only provided sources.",
-    user: `Organism: ${organism||"N/A"}\nAntibiotic: ${antibiotic||"N/A"}\nSite: ${site_of_infection||"N/A"}\nPatient: ${patient_context||"N/A"}\nFormat:\n## Interpretation\n## Empiric / Targeted Considerations\n## Key Risks / Notes\nSources:\n${evidenceText}`,
+  const localText = hasLocal
+    ? `LOCAL ANTIBIOGRAM (code-computed — the only source of susceptibility percentages; do not state any other %S):\n${formatAntibiogramTable(version, lookup, ranking)}`
+    : "LOCAL ANTIBIOGRAM: no local data for this organism — do not quote susceptibility percentages.";
+  const analysis = (await callGPT(env, {
+    system: "You are an infectious disease pharmacist. Use only the local antibiogram numbers and the provided sources.",
+    user: `Organism: ${organism||"N/A"}\nAntibiotic: ${antibiotic||"N/A"}\nSite: ${site_of_infection||"N/A"}\nUnit: ${unit||"N/A"}\nPatient: ${patient_context||"N/A"}\n\n${localText}\n\nComment briefly on the ranked options (the ranking is fixed; explain, do not re-rank).\nFormat:\n## Interpretation\n## Empiric / Targeted Considerations\n## Key Risks / Notes\nSources:\n${evidenceText}`,
     max_tokens: 900,
   })) || "Could not generate analysis.";
-  return jsonResponse({ ok:true, organism:organism||null, antibiotic:antibiotic||null, site_of_infection:site_of_infection||null, analysis, citations:buildCitations(evidence,220) }, 200, corsHeaders);
+  return jsonResponse({ ok:true, organism:organism||null, antibiotic:antibiotic||null, site_of_infection:site_of_infection||null,
+    local_antibiogram:local, analysis, citations:buildCitations(evidence,220) }, 200, corsHeaders);
+}
+
+/* =========================================================
+   MODE: VANCOMYCIN PK
+   All numbers are computed in code (functions/_lib/vanco_pk.js).
+   Body: weight_kg, height_cm?, age, sex, scr_umol|scr_mgdl, doses[], levels[], target_auc?
+========================================================= */
+function handleVancoPk(body, env, corsHeaders) {
+  const weightKg = toNumberOrNull(body.weight_kg);
+  const age      = toNumberOrNull(body.age);
+  if (!weightKg) return jsonResponse({ ok:false, error:"weight_kg is required" }, 400, corsHeaders);
+  const doses  = Array.isArray(body.doses)  ? body.doses  : [];
+  const levels = Array.isArray(body.levels) ? body.levels : [];
+  if (levels.length&&!doses.length) return jsonResponse({ ok:false, error:"doses (with times) are required to interpret levels" }, 400, corsHeaders);
+
+  const patient   = modePatient(body, env);
+  const crcl      = computeCrCl({ ...patient, age });
+  const weights   = {
+    maintenance: selectWeight({ ...patient, use:"vancomycin" }),
+    loading:     selectWeight({ ...patient, use:"vancomycin_loading" }),
+  };
+  const targetAuc = Array.isArray(body.target_auc)&&body.target_auc.length===2 ? body.target_auc.map(Number) : VANCO_TARGET_AUC;
+  const result    = computeVancomycinPk({ weightKg:weights.maintenance.weight_used, loadingWeightKg:weights.loading.weight_used,
+    age, crcl:crcl.value, doses, levels, targetAuc, loadingMgPerKg: toNumberOrNull(body.loading_mg_per_kg) ?? undefined });
+  if (!result.ok) return jsonResponse({ ok:false, error:result.error }, 400, corsHeaders);
+  return jsonResponse({ ...result, crcl, dosing_weights:weights }, 200, corsHeaders);
+}
+
+/* =========================================================
+   MODE: AMINOGLYCOSIDE
+   Body: drug, weight_kg, height_cm|height, age, sex, scr_umol|scr_mgdl,
+         nomogram? ("hartford" | "urban_craig"), level? { value, hours_post_dose }
+========================================================= */
+function handleAminoglycoside(body, env, corsHeaders) {
+  if (!body.drug)                        return jsonResponse({ ok:false, error:"drug is required" }, 400, corsHeaders);
+  if (!toNumberOrNull(body.weight_kg))   return jsonResponse({ ok:false, error:"weight_kg is required" }, 400, corsHeaders);
+  const patient = modePatient(body, env);
+  const crcl    = computeCrCl({ ...patient, age:toNumberOrNull(body.age) });
+  const result  = computeAminoglycosideDosing({ drug:body.drug, weightKg:patient.weightKg, heightCm:patient.heightCm, sex:patient.sex,
+    weightPolicy:patient.policy, crcl:crcl.value, level:body.level||null,
+    nomogram:String(body.nomogram||"hartford").toLowerCase().replace(/[\s-]+/g,"_") });
+  if (!result.ok) return jsonResponse({ ok:false, error:result.error }, 400, corsHeaders);
+  return jsonResponse({ ...result, crcl_derivation:crcl }, 200, corsHeaders);
+}
+
+/* =========================================================
+   MODE: COLISTIN
+   Body: weight_kg, height_cm|height, age, sex, scr_umol|scr_mgdl,
+         rrt? ("HD" | "PD" | "CRRT"), order? ("2 MIU q8h" | { dose, frequency }),
+         convert? { value, unit: "MIU" | "IU" | "mg_cba" | "mg_cms" }
+   convert alone (no weight) returns the unit conversion only.
+========================================================= */
+function handleColistin(body, env, corsHeaders) {
+  if (!toNumberOrNull(body.weight_kg)) {
+    if (!body.convert) return jsonResponse({ ok:false, error:"weight_kg is required (or convert: { value, unit } for a unit conversion)" }, 400, corsHeaders);
+    const conversion = convertColistin(body.convert.value, body.convert.unit);
+    return jsonResponse(conversion, conversion.ok ? 200 : 400, corsHeaders);
+  }
+  const patient = modePatient(body, env);
+  const rrt     = rrtTableModality(normalizeRrt({ modality:body.rrt }));
+  const crcl    = computeCrCl({ ...patient, age:toNumberOrNull(body.age) });
+  const result  = computeColistinDosing({ weightKg:patient.weightKg, heightCm:patient.heightCm, sex:patient.sex,
+    weightPolicy:patient.policy, crcl:crcl.value, rrt, order:body.order||null, convert:body.convert||null });
+  if (!result.ok) return jsonResponse({ ok:false, error:result.error }, 400, corsHeaders);
+  return jsonResponse({ ...result, crcl_derivation:crcl }, 200, corsHeaders);
+}
+
+// Patient fields shared by the calculator modes, in clinical_calc.js argument shape
+function modePatient(body, env) {
+  return {
+    weightKg: toNumberOrNull(body.weight_kg),
+    heightCm: parseHeightCm(body.height_cm ?? body.height),
+    sex:      body.sex || null,
+    scrUmol:  toNumberOrNull(body.scr_umol) ?? (toNumberOrNull(body.scr_mgdl)!=null ? body.scr_mgdl*88.4 : null),
+    policy:   resolveWeightPolicy(env.WEIGHT_POLICY, body.weight_policy),
+  };
+}
+
+/* =========================================================
+   MODE: WARFARIN
+   Dose math is code-only (functions/_lib/warfarin.js); retrieval only
+   attaches the matching protocol excerpts as citations.
+   Body: indication, target_inr? [lo,hi], weekly_dose_mg, inr_history [{date,value}],
+         bleeding?, interacting_drugs? [], today?
+========================================================= */
+async function handleWarfarin(body, env, corsHeaders) {
+  const result = computeWarfarinAdjustment({
+    indication:       body.indication || "",
+    target:           body.target_inr || null,
+    weeklyDoseMg:     toNumberOrNull(body.weekly_dose_mg),
+    inrHistory:       Array.isArray(body.inr_history) ? body.inr_history : [],
+    bleeding:         body.bleeding ?? "none",
+    interactingDrugs: Array.isArray(body.interacting_drugs) ? body.interacting_drugs : [],
+    today:            body.today || null,
+  });
+  if (!result.ok) return jsonResponse({ ok:false, error:result.error }, 400, corsHeaders);
+
+  const query    = [
+    `warfarin INR ${result.latest_inr.value} ${result.band.label} dose adjustment`,
+    result.vitamin_k||result.pcc ? "vitamin K reversal" : "",
+    result.bleeding!=="none" ? `${result.bleeding} bleeding` : "",
+  ].filter(Boolean).join(" ");
+  const evidence = await vectorSearch(env, query, 6, routeVectorStores(env, "warfarin"));
+  return jsonResponse({ ...result, citations:buildCitations(evidence, 280) }, 200, corsHeaders);
+}
+
+/* =========================================================
+   MODE: STEWARDSHIP
+   Case text → the standard extraction, then a code-only checklist per
+   antimicrobial (functions/_lib/stewardship.js); retrieval only attaches
+   protocol citations. Body: case_text, today? (ISO review date),
+   durations? { protocol key: days } — site override, also env.STEWARDSHIP_DURATIONS
+========================================================= */
+async function handleStewardship(body, env, corsHeaders) {
+  const case_text = body.case_text || "";
+  if (!case_text) return jsonResponse({ ok:false, error:"case_text is required" }, 400, corsHeaders);
+  requireApiCredentials(env);
+
+  const normalized = normalizeExtractedCase(await extractCaseJson(env, case_text));
+  const review = reviewAntimicrobials({
+    medications: normalized.medications, cultures: normalized.cultures, stewardship: normalized.stewardship,
+    vitals: normalized.vitals, labs: normalized.labs, trends: normalized.lab_trends,
+    diagnosis: [normalized.diagnosis, normalized.reason_admission].filter(Boolean).join(" "),
+    today: body.today || null, durationOverrides: [env.STEWARDSHIP_DURATIONS, body.durations].filter(Boolean),
+  });
+  if (!review.antimicrobials.length) return jsonResponse({ ok:false, error:"No antimicrobials found in the case" }, 400, corsHeaders);
+
+  const drugs    = review.antimicrobials.map(a=>a.drug);
+  const query    = [`antimicrobial stewardship IV to oral switch duration ${drugs.join(" ")}`,
+    ...new Set(review.antimicrobials.filter(a=>a.protocol).map(a=>`${a.protocol.label} antibiotic duration`))].join(" ");
+  const evidence = await vectorSearch(env, query, 6, routeVectorStores(env, ...drugs));
+  return jsonResponse({
+    ok: true,
+    patient: { age:normalized.age, sex:normalized.sex, weight_kg:normalized.weight_kg, diagnosis:normalized.diagnosis||null },
+    ...review,
+    summary: {
+      antimicrobials: review.antimicrobials.length,
+      actions: review.checklist.filter(c=>c.status==="action").length,
+      unknown: review.checklist.filter(c=>c.status==="unknown").length,
+    },
+    citations: buildCitations(evidence, 280),
+  }, 200, corsHeaders);
 }
 
 /* =========================================================
@@ -446,13 +833,52 @@ async function handleCaseAnalysis(body, env, corsHeaders, language) {
   const normalized = normalizeExtractedCase(extracted);
 
   // ── STAGE 1b: Derived clinical state ──────────────────────────────────────
-  const crcl         = calcCrCl(normalized.age, normalized.weight_kg,
-    normalized.labs?.scr_umol || (normalized.labs?.scr_mgdl ? normalized.labs.scr_mgdl*88.42 : null), normalized.sex);
-  const classifiedLabs = classifyLabs(normalized.labs || {});
-  const clinicalState  = buildClinicalState(normalized, crcl);
+  // Cockcroft-Gault drives dosing; CKD-EPI/MDRD and reliability flags ride along
+  const weightPolicy   = resolveWeightPolicy(env.WEIGHT_POLICY, body.weight_policy);
+  const rrt            = normalized.renal_replacement;
+  const renalFunction  = assessRenalFunction({ weightPolicy, dialysis:rrt.modality||false,
+    age: normalized.age, sex: normalized.sex, weightKg: normalized.weight_kg, heightCm: normalized.height_cm,
+    scrUmol: normalized.labs?.scr_umol || (normalized.labs?.scr_mgdl ? normalized.labs.scr_mgdl*88.4 : null),
+    scrBaselineUmol: normalized.labs?.scr_baseline_umol ?? (normalized.lab_trends?.aki?.aki ? normalized.lab_trends.aki.baseline_umol : null),
+    conditionText: `${normalized.diagnosis||""} ${normalized.pmh||""} ${normalized.reason_admission||""}`,
+    roundUpScrMgdl: toNumberOrNull(body.scr_round_up_mgdl ?? env.SCR_ROUND_UP_MGDL),
+  });
+  // On RRT the Cockcroft-Gault value stays in renal_function for reference only
+  const crcl           = rrt.modality ? null : renalFunction.crcl;
+  const pediatric      = isPediatric(normalized.age);
+  // Sex/age-band reference ranges; env.LAB_RANGES / body.lab_ranges override per site
+  const { ranges:labRanges, profile:labProfile } = resolveLabRanges({ sex:normalized.sex, age:normalized.age }, env.LAB_RANGES, body.lab_ranges);
+  const classifiedLabs = classifyLabs(normalized.labs || {}, labRanges, normalized.lab_conversions);
+  const clinicalState  = buildClinicalState(normalized, crcl, renalFunction);
+
+  // ── STAGE 1c: Renal dosing table (code-derived, locked) ───────────────────
+  // The adult renal table does not apply to children; mg/kg checks replace it
+  const weightFor = (use)=>selectWeight({ weightKg:normalized.weight_kg, heightCm:normalized.height_cm, sex:normalized.sex, use, policy:weightPolicy });
+  const renalAdjustments = pediatric ? [] : evaluateRenalDosing(normalized.medications, {
+    crcl: crcl?.value ?? null, modality: rrtTableModality(rrt), weightKg: normalized.weight_kg, estimator: renalFunction.dosing_estimator,
+    weightForDrug: (drugKey)=>weightFor(drugKey).weight_used,
+    contextText: `${normalized.diagnosis||""} ${normalized.reason_admission||""}`,
+  });
+  const pediatricAdjustments = evaluatePediatricDosing(normalized.medications, { ageYears:normalized.age, weightKg:normalized.weight_kg });
+  // Meropenem / pip-tazo: %fT>MIC of the ordered regimen → extended or continuous infusion, within the renal table dose
+  const infusionAdjustments  = pediatric ? [] : evaluateBetaLactamInfusion(normalized.medications, {
+    crcl: crcl?.value ?? null, arc: !!renalFunction.arc, rrt: rrt.modality||null, weightKg: normalized.weight_kg,
+    septic: clinicalState.septicFlag, careSetting: normalized.care_setting||"",
+    contextText: `${normalized.diagnosis||""} ${normalized.reason_admission||""}`,
+    cultures: normalized.cultures||[], renalRows: renalAdjustments,
+  });
+  // IV colistin: the calculator row (loading + unit check) replaces the plain renal table row
+  const colistinAdjustments  = pediatric ? [] : evaluateColistin(normalized.medications, {
+    crcl: crcl?.value ?? null, rrt: rrtTableModality(rrt), weightKg: normalized.weight_kg, heightCm: normalized.height_cm, sex: normalized.sex,
+    weightPolicy, estimator: renalFunction.dosing_estimator,
+  });
+  // Colistin and infusion rows replace the renal table row for the same order (the infusion row is bounded by it)
+  const lockedAdjustments    = [...renalAdjustments.filter(r=>![...colistinAdjustments, ...infusionAdjustments].some(c=>c.drug===r.drug)),
+    ...colistinAdjustments, ...infusionAdjustments, ...pediatricAdjustments];
 
   // ── PANEL 1: Case Structurer ───────────────────────────────────────────────
-  const panel1_soap = buildSoapNote({ patient:normalized, classifiedLabs, crcl,
+  const panel1_soap = buildSoapNote({ patient:normalized, classifiedLabs, crcl, renal:renalFunction, hepatic:clinicalState.hepatic, pediatric:clinicalState.pediatric, labProfile,
+    microbiology:clinicalState.microbiology,
     assessment:"See Panel 4 — Final Pharmacist Note for full assessment.",
     interventionsSummary:"See Panel 3 — Medication Scanner.",
     followupPlan:"See Panel 4."
@@ -465,16 +891,19 @@ async function handleCaseAnalysis(body, env, corsHeaders, language) {
   const panel2_diseases = await runDiseaseScannerGPT({ env, normalized, crcl, clinicalState, diseases });
 
   // ── STAGE 4: Medication scanner ───────────────────────────────────────────
-  const ruleFindings  = runSafetyRules(clinicalState);
+  const ruleFindings  = [...runSafetyRules(clinicalState), ...runInteractionEngine(clinicalState.medProfiles),
+    qtRiskFinding(clinicalState.qtRisk), hitFinding(clinicalState.hit), ...clinicalState.microbiology.findings, ...pediatricDoseFindings(pediatricAdjustments),
+    ...(pediatric ? [] : doseLimitFindings(normalized.medications)),
+    ...colistinDoseFindings(colistinAdjustments)].filter(Boolean);
   const medQueries    = buildTargetedQueries(normalized, clinicalState, ruleFindings, question);
   const rawEvidence   = await retrieveTargetedEvidence(env, medQueries);
   const allEvidence   = deduplicateEvidence(rawEvidence, 20);
 
-  const panel3_meds = await runMedicationScannerGPT({ env, normalized, crcl, clinicalState, ruleFindings, evidence:allEvidence, question, language });
+  const panel3_meds = await runMedicationScannerGPT({ env, normalized, crcl, clinicalState, ruleFindings, lockedAdjustments, labRanges, evidence:allEvidence, question, language });
 
   // ── STAGE 5: Final pharmacist note ────────────────────────────────────────
   const panel4_note = await buildFinalPharmacistNote({ env, normalized, classifiedLabs, crcl, clinicalState,
-    ruleFindings, medScanResult:panel3_meds, diseaseResult:panel2_diseases, evidence:allEvidence, question, language });
+    ruleFindings, lockedAdjustments, labProfile, medScanResult:panel3_meds, diseaseResult:panel2_diseases, evidence:allEvidence, question, language });
 
   // ── Merge interventions for legacy compatibility ───────────────────────────
   const mergedInterventions = mergeInterventions(ruleFindings, panel3_meds.interventions || []);
@@ -483,13 +912,25 @@ async function handleCaseAnalysis(body, env, corsHeaders, language) {
     ok: true,
     // 4-panel output
     panel1: { soap_note: panel1_soap },
-    panel2: { diseases: panel2_diseases.diseases || [] },
+    panel2: { diseases: attachMicrobiology(panel2_diseases.diseases || [], clinicalState.microbiology) },
     panel3: { drug_reviews: panel3_meds.drug_reviews || [] },
     panel4: { final_note: panel4_note.note, followup: panel4_note.followup },
     // Legacy fields (keep UI compatibility)
     soap_note: panel1_soap,
     pharmacist_interventions: mergedInterventions,
-    medication_adjustments: panel3_meds.medication_adjustments || [],
+    medication_adjustments: mergeMedicationAdjustments(lockedAdjustments, panel3_meds.medication_adjustments || []),
+    qt_risk: clinicalState.qtRisk,
+    hit_4t: clinicalState.hit,
+    microbiology: clinicalState.microbiology,
+    renal_function: renalFunction,
+    renal_replacement: { ...rrt, warnings:rrtWarnings(rrt) },
+    hepatic_function: { ...clinicalState.hepatic, class_used_for_rules:clinicalState.childPughClass },
+    pregnancy: clinicalState.pregnancy,
+    lab_reference: labProfile,
+    lab_conversions: { conversions:normalized.lab_conversions, warnings:normalized.lab_unit_warnings },
+    lab_trends: { ...clinicalState.trends, renal_pattern:clinicalState.renalPattern },
+    pediatric: pediatric ? { ...clinicalState.pediatric, age_years:normalized.age, dosing:pediatricAdjustments } : null,
+    dosing_weights: buildDosingWeights(renalAdjustments, crcl, weightFor),
     citations: buildCitations(allEvidence, 280),
   }, 200, corsHeaders);
 }
@@ -497,17 +938,23 @@ async function handleCaseAnalysis(body, env, corsHeaders, language) {
 /* =========================================================
    PANEL 1 HELPERS — SOAP NOTE BUILDER
 ========================================================= */
-function buildSoapNote({ patient, classifiedLabs, crcl, assessment, interventionsSummary, followupPlan }) {
+function buildSoapNote({ patient, classifiedLabs, crcl, renal=null, hepatic=null, pediatric=null, labProfile=null, microbiology=null, assessment, interventionsSummary, followupPlan }) {
   const carePlace  = patient.care_setting || "ICU";
   const weightStr  = patient.weight_kg != null ? `${patient.weight_kg} kg` : "—";
-  const ageStr     = patient.age != null ? `${patient.age}Y` : "—";
+  const ageStr     = formatAge(patient.age);
   const mrnStr     = patient.mrn || "—";
   const homeMeds   = Array.isArray(patient.home_medications)
     ? patient.home_medications.map(m => typeof m==="string" ? m : [m.name,m.dose,m.route,m.frequency].filter(Boolean).join(" ")).join(", ")
     : String(patient.home_medications || "N/A");
 
   const vitalsLines = buildVitalsLines(patient.vitals || {});
-  const labsBlock   = buildClassifiedLabsBlock(classifiedLabs, crcl);
+  const ecgLine     = buildEcgLine(patient.ecg || {});
+  // Child-Pugh / MELD-Na are adult scores — not shown for children
+  const trendLines  = formatTrendLines(patient.lab_trends);
+  const labsBlock   = buildClassifiedLabsBlock(classifiedLabs, crcl, renal, patient.renal_replacement, pediatric ? null : hepatic)
+    + (trendLines.length ? `\n\nTrends:\n${trendLines.join("\n")}` : "")
+    + (labProfile ? `\n\nReference ranges: ${labProfile.label}${labProfile.site_overrides ? " (site overrides applied)" : ""}` : "");
+  const microLines  = formatMicrobiologyLines(microbiology);
   const currentMeds = Array.isArray(patient.medications) && patient.medications.length
     ? patient.medications.map(m => {
         const parts = [m.name, m.dose, m.route, m.frequency].filter(Boolean);
@@ -521,14 +968,17 @@ function buildSoapNote({ patient, classifiedLabs, crcl, assessment, intervention
     `Reason for Admission: ${patient.reason_admission || "N/A"}`,
     `PMH: ${patient.pmh || "N/A"}`,
     `Allergies: ${(patient.allergies||[]).join(", ") || "None documented"}`,
+    ...(patient.pregnancy?.pregnant||patient.pregnancy?.lactating||patient.pregnancy?.postpartum ? [`Pregnancy/Lactation: ${formatPregnancy(patient.pregnancy)}`] : []),
     `Home Meds: ${homeMeds}`,
     ``,
     `O:`,
     `Vitals:`,
     vitalsLines || `- Within normal limits`,
+    ...(ecgLine ? [ecgLine] : []),
     ``,
     `Labs:`,
     labsBlock,
+    ...(microLines.length ? [``, `Microbiology:`, ...microLines] : []),
     ``,
     `A:`,
     assessment || "Clinical pharmacist review performed.",
@@ -556,8 +1006,16 @@ function buildVitalsLines(v) {
   return out.join("\n");
 }
 
-function buildClassifiedLabsBlock(classifiedLabs, crcl) {
-  if (!classifiedLabs.length && !crcl) return `- No clinically significant abnormalities detected.`;
+function buildEcgLine(e) {
+  const parts = [];
+  if (e.rhythm)   parts.push(e.rhythm);
+  if (e.qtc_ms)   parts.push(`QTc ${e.qtc_ms} ms${e.qtc_ms>=500?" ↑↑":e.qtc_ms>=450?" ↑":""}`);
+  if (e.findings) parts.push(e.findings);
+  return parts.length ? `- ECG: ${parts.join(", ")}` : "";
+}
+
+function buildClassifiedLabsBlock(classifiedLabs, crcl, renal=null, rrt=null, hepatic=null) {
+  if (!classifiedLabs.length && !crcl && !rrt?.modality) return `- No clinically significant abnormalities detected.`;
   const bySection = {};
   for (const sec of LAB_SECTION_ORDER) bySection[sec] = [];
   for (const lab of classifiedLabs) {
@@ -566,23 +1024,47 @@ function buildClassifiedLabsBlock(classifiedLabs, crcl) {
     (bySection[lab.section] = bySection[lab.section]||[]).push(lab);
   }
   const blocks = [];
-  if (crcl || bySection.renal?.length) {
+  if (crcl || bySection.renal?.length || rrt?.modality) {
     const lines = [];
     const scr  = bySection.renal?.find(x=>x.key==="scr_umol"||x.key==="scr_mgdl");
     const urea = bySection.renal?.find(x=>x.key==="urea"||x.key==="bun");
-    if (scr)  lines.push(`- ${scr.label}: ${scr.value} ${scr.unit}${scr.arrow?` ${scr.arrow}`:""}`);
-    if (urea) lines.push(`- ${urea.label}: ${urea.value} ${urea.unit}${urea.arrow?` ${urea.arrow}`:""}`);
-    if (crcl) lines.push(`- Calculated CrCl: ${crcl.value} mL/min (${crcl.category})`);
+    if (scr)  lines.push(`- ${scr.label}: ${scr.value} ${scr.unit}${scr.arrow?` ${scr.arrow}`:""}${formatReported(scr)}`);
+    if (urea) lines.push(`- ${urea.label}: ${urea.value} ${urea.unit}${urea.arrow?` ${urea.arrow}`:""}${formatReported(urea)}`);
+    if (crcl) lines.push(`- Calculated ${crcl.estimator==="Bedside Schwartz"?"eGFR":"CrCl"}: ${crcl.value} ${crcl.unit||"mL/min"} (${crcl.category}) [${crcl.estimator||"Cockcroft-Gault"}]`);
+    if (rrt?.modality) lines.push(`- RRT: ${formatRrt(rrt)} — drugs dosed by modality, not CrCl`);
+    if (renal?.egfr_ckd_epi_2021) lines.push(`- eGFR (CKD-EPI 2021): ${renal.egfr_ckd_epi_2021.value} mL/min/1.73m²${renal.egfr_deindexed?` | de-indexed ${renal.egfr_deindexed.value} mL/min`:""}`);
+    for (const f of renal?.flags||[]) lines.push(`- ⚠ ${f.message}`);
     if (!lines.length) lines.push(`- CrCl: ${crcl?`${crcl.value} mL/min (${crcl.category})`:"—"}`);
     blocks.push(`Renal:\n${lines.join("\n")}`);
   }
   for (const section of LAB_SECTION_ORDER.filter(s=>s!=="renal")) {
-    const lines = (bySection[section]||[]).map(l=>`- ${l.label}: ${l.value} ${l.unit}${l.arrow?` ${l.arrow}`:""}${l.isDrugRelevant?" [drug-relevant]":""}`);
+    const lines = (bySection[section]||[]).map(l=>`- ${l.label}: ${l.value} ${l.unit}${l.arrow?` ${l.arrow}`:""}${formatReported(l)}${l.isDrugRelevant?" [drug-relevant]":""}`);
+    if (section==="liver"&&hepatic&&(lines.length||hepatic.liver_disease_documented)) lines.push(...buildHepaticScoreLines(hepatic));
     if (lines.length) blocks.push(`${SECTION_TITLES[section]}:\n${lines.join("\n")}`);
   }
   return blocks.length ? blocks.join("\n\n") : "- No clinically significant abnormalities detected.";
 }
 
+// Original value when the unit layer converted it (e.g. "reported 180 mg/dL")
+function formatReported(lab) {
+  return lab.original ? ` (reported ${lab.original.value} ${lab.original.unit})` : "";
+}
+
+function buildHepaticScoreLines(h) {
+  const cp    = h.child_pugh;
+  const parts = Object.values(cp.components).map(c=>`${c.label} ${c.value??"?"}${c.unit&&c.value!=null?` ${c.unit}`:""} (${c.points??"?"})`);
+  const head  = cp.score!=null ? `${cp.score} — class ${cp.class}`
+    : cp.min_score!=null ? `${cp.min_score}–${cp.max_score} (incomplete${cp.class_at_least?`, at least class ${cp.class_at_least}`:""})` : "not calculable";
+  const m     = h.meld_na;
+  const lines = [
+    `- Child-Pugh: ${head} [${parts.join(", ")}]`,
+    `- MELD-Na: ${m.meld_na ?? (m.meld!=null ? `${m.meld} (MELD, Na missing)` : "not calculable")}`,
+  ];
+  const missing = [...new Set([...cp.missing, ...m.missing])];
+  if (missing.length) lines.push(`- Hepatic score inputs missing: ${missing.join(", ")}`);
+  return lines;
+}
+
 /* =========================================================
    PANEL 2 — DISEASE SCANNER
 ========================================================= */
@@ -602,7 +1084,7 @@ Admission reason: ${reason}
 Case excerpt: ${caseText.substring(0,600)}`;
 
   try {
-    const raw = await callGPT(env.OPENAI_API_KEY, {
+    const raw = await callGPT(env, {
       system: "Extract diseases. Return only valid JSON array.",
       user: prompt, max_tokens: 400,
     });
@@ -616,11 +1098,12 @@ async function runDiseaseScannerGPT({ env, normalized, crcl, clinicalState, dise
 
   // Retrieve evidence for all diseases in parallel
   const diseaseEvidenceMap = {};
+  const ageTerm = pediatricQueryTerm(normalized.age);
   const fetches = diseases.map(async (disease) => {
     const queries = [
       `${disease} treatment protocol`,
       `${disease} pharmacotherapy guidelines`,
-      `${disease} drug therapy management`,
+      ageTerm ? `${disease} ${ageTerm} dosing` : `${disease} drug therapy management`,
     ];
     const results = await Promise.allSettled(queries.map(q => vectorSearch(env, q, 3)));
     const chunks  = [];
@@ -629,7 +1112,7 @@ async function runDiseaseScannerGPT({ env, normalized, crcl, clinicalState, dise
   });
   await Promise.all(fetches);
 
-  const crclStr = crcl ? `${crcl.value} mL/min (${crcl.category})` : "Unable to calculate";
+  const crclStr = formatDosingRenal(crcl, clinicalState.rrt);
   const allergies = (normalized.allergies||[]).join(", ") || "None";
   const currentMedNames = (normalized.medications||[]).map(m=>m.name).filter(Boolean).join(", ");
 
@@ -643,13 +1126,16 @@ async function runDiseaseScannerGPT({ env, normalized, crcl, clinicalState, dise
   const prompt = `You are a clinical pharmacist performing a protocol-based disease scanner.
 
 Patient:
-- Age: ${normalized.age||"N/A"} | Sex: ${normalized.sex||"N/A"} | Weight: ${normalized.weight_kg||"N/A"} kg
-- CrCl: ${crclStr}
+- Age: ${formatAge(normalized.age)} | Sex: ${normalized.sex||"N/A"} | Weight: ${normalized.weight_kg||"N/A"} kg
+- CrCl: ${crclStr}${formatPediatricInstructions(clinicalState.pediatric)}
 - Allergies: ${allergies}
+- Pregnancy/Lactation: ${formatPregnancy(normalized.pregnancy)}
 - Diagnosis: ${normalized.diagnosis||"N/A"}
 - PMH: ${normalized.pmh||"N/A"}
 - Current medications: ${currentMedNames||"None"}
 - Renal flag: ${clinicalState.renalFlag?"YES":"No"} | Sepsis flag: ${clinicalState.septicFlag?"YES":"No"}
+- Microbiology (as reported; base infection therapy on these susceptibilities):
+${formatMicrobiologyLines(clinicalState.microbiology).join("\n")||"- No culture results documented"}
 
 Diseases to scan: ${diseases.join(", ")}
 
@@ -676,7 +1162,7 @@ Return ONLY valid JSON — no markdown:
 }`;
 
   try {
-    const raw    = await callGPT(env.OPENAI_API_KEY, { system:"Clinical pharmacist disease scanner. Return only valid JSON.", user:prompt, max_tokens:2500, model:"gpt-4o" });
+    const raw    = await callGPT(env, { system:"Clinical pharmacist disease scanner. Return only valid JSON.", user:prompt, max_tokens:2500, model:"gpt-4o" });
     const parsed = safeParseJSON(raw || "{}");
     return { diseases: Array.isArray(parsed.diseases) ? parsed.diseases : [] };
   } catch (e) {
@@ -685,29 +1171,63 @@ Return ONLY valid JSON — no markdown:
   }
 }
 
+// Code-checked culture results ride on the infection cards; isolates no card
+// claims get their own card so a positive culture is never dropped
+function attachMicrobiology(diseases, micro) {
+  if (!micro?.isolates?.length) return diseases;
+  const claimed = new Set();
+  const block = (isolates)=>{
+    const orgs = new Set(isolates.map(i=>i.organism));
+    return { isolates, findings: micro.findings.filter(f=>[...orgs].some(o=>f.organism.includes(o))).map(({ severity, problem, recommendation })=>({ severity, problem, recommendation })) };
+  };
+  const cards = diseases.map(d=>{
+    const isolates = isolatesForDisease(micro, d.name);
+    isolates.forEach(i=>claimed.add(i));
+    return isolates.length ? { ...d, microbiology:block(isolates) } : d;
+  });
+  const orphans = micro.isolates.filter(i=>!claimed.has(i));
+  if (orphans.length) cards.push({
+    name: "Culture results", status: "Active",
+    recommended_pharmacotherapy: [], missing_from_current_meds: [],
+    key_points: "Positive culture without a matching infective diagnosis — confirm infection vs colonisation before treating.",
+    reference: "Culture & sensitivity report",
+    microbiology: block(orphans),
+  });
+  return cards;
+}
+
 /* =========================================================
    PANEL 3 — MEDICATION SCANNER (DEEP DRUG REVIEW)
 ========================================================= */
-async function runMedicationScannerGPT({ env, normalized, crcl, clinicalState, ruleFindings, evidence, question, language }) {
+async function runMedicationScannerGPT({ env, normalized, crcl, clinicalState, ruleFindings, lockedAdjustments=[], labRanges=LAB_RANGES, evidence, question, language }) {
   const meds = normalized.medications || [];
   if (!meds.length) return { drug_reviews:[], interventions:[], medication_adjustments:[] };
 
-  const labSummary     = classifyLabs(normalized.labs||{}).map(l=>`${l.label} ${l.value}${l.unit?` ${l.unit}`:""} ${l.arrow}`).join(", ") || "No significant labs";
+  const labSummary     = classifyLabs(normalized.labs||{}, labRanges, normalized.lab_conversions).map(l=>`${l.label} ${l.value}${l.unit?` ${l.unit}`:""} ${l.arrow}${formatReported(l)}`).join(", ") || "No significant labs";
   const evidenceText   = evidence.length ? formatEvidenceText(evidence) : "No protocol sources found.";
   const ruleText       = ruleFindings.length ? ruleFindings.map(r=>`[${r.severity}] ${r.problem} → ${r.recommendation}`).join("\n") : "None triggered.";
   const medsList       = meds.map(m=>`${m.name||""} ${m.dose||""} ${m.route||""} ${m.frequency||""}`.trim()).join("\n");
-  const crclStr        = crcl ? `${crcl.value} mL/min (${crcl.category})` : "Unable to calculate";
+  const crclStr        = formatDosingRenal(crcl, clinicalState.rrt);
+  const lockedText     = formatLockedAdjustments(lockedAdjustments);
 
   const prompt = `You are a senior clinical pharmacist performing a deep medication audit.
 Return ONLY valid JSON — no markdown.
 
 PATIENT:
-Age: ${normalized.age||"N/A"}Y | Sex: ${normalized.sex||"N/A"} | Weight: ${normalized.weight_kg||"N/A"} kg
-Setting: ${normalized.care_setting||"N/A"} | CrCl: ${crclStr}
+Age: ${formatAge(normalized.age)} | Sex: ${normalized.sex||"N/A"} | Weight: ${normalized.weight_kg||"N/A"} kg
+Setting: ${normalized.care_setting||"N/A"} | CrCl: ${crclStr}${formatPediatricInstructions(clinicalState.pediatric)}
+Renal estimators: ${formatRenalFunction(clinicalState.renal)}
+Renal replacement / ECMO: ${formatRrt(clinicalState.rrt)}${formatRrtInstructions(clinicalState.rrt)}
+Hepatic scores (code-computed): ${formatHepaticScores(clinicalState.hepatic)}${clinicalState.childPughClass?` — dose hepatically cleared drugs for Child-Pugh ${clinicalState.childPughClass}`:""}
 Diagnosis: ${normalized.diagnosis||"N/A"} | PMH: ${normalized.pmh||"N/A"}
 Allergies: ${(normalized.allergies||[]).join(", ")||"None"}
+Pregnancy/Lactation: ${formatPregnancy(normalized.pregnancy)}
 Labs: ${labSummary}
-Renal flag: ${clinicalState.renalFlag?"YES":"No"} | Hepatic flag: ${clinicalState.hepaticFlag?"YES":"No"} | Sepsis flag: ${clinicalState.septicFlag?"YES":"No"}
+Lab trends: ${formatTrendSummary(clinicalState.trends)}
+Renal flag: ${clinicalState.renalFlag?"YES":"No"} (pattern: ${clinicalState.renalPattern||"normal"}) | Hepatic flag: ${clinicalState.hepaticFlag?"YES":"No"} | Sepsis flag: ${clinicalState.septicFlag?"YES":"No"}
+QT risk (code-computed Tisdale): ${clinicalState.qtRisk.score}/${clinicalState.qtRisk.max} ${clinicalState.qtRisk.category.toUpperCase()} | QTc: ${clinicalState.qtRisk.qtc_ms??"not documented"} ms | QT drugs: ${clinicalState.qtRisk.qt_drugs.join(", ")||"None"}
+HIT 4T (code-computed): ${formatHit4T(clinicalState.hit)}
+Microbiology: ${formatMicrobiologyLines(clinicalState.microbiology).map(l=>l.replace(/^- /,"")).join("; ")||"No culture results documented"}
 
 CURRENT MEDICATIONS:
 ${medsList}
@@ -715,6 +1235,9 @@ ${medsList}
 PRE-DETECTED SAFETY ISSUES:
 ${ruleText}
 
+CODE-DERIVED REGIMENS (computed from the renal / pediatric dosing tables — FINAL, do not contradict or re-dose these drugs):
+${lockedText}
+
 PROTOCOL EVIDENCE:
 ${evidenceText}
 
@@ -778,7 +1301,7 @@ Return:
 }`;
 
   try {
-    const raw    = await callGPT(env.OPENAI_API_KEY, { system:"Clinical pharmacist. Return only valid JSON. Be decisive, not vague.", user:prompt, max_tokens:3500, model:"gpt-4o" });
+    const raw    = await callGPT(env, { system:"Clinical pharmacist. Return only valid JSON. Be decisive, not vague.", user:prompt, max_tokens:3500, model:"gpt-4o" });
     const parsed = safeParseJSON(raw || "{}");
     return {
       drug_reviews:           Array.isArray(parsed.drug_reviews)          ? parsed.drug_reviews          : [],
@@ -797,7 +1320,7 @@ Return:
 /* =========================================================
    PANEL 4 — FINAL PHARMACIST NOTE
 ========================================================= */
-async function buildFinalPharmacistNote({ env, normalized, classifiedLabs, crcl, clinicalState, ruleFindings, medScanResult, diseaseResult, evidence, question, language }) {
+async function buildFinalPharmacistNote({ env, normalized, classifiedLabs, crcl, clinicalState, ruleFindings, lockedAdjustments=[], labProfile=null, medScanResult, diseaseResult, evidence, question, language }) {
   const evidenceText = evidence.length ? formatEvidenceText(evidence) : "No protocol sources found.";
   const allProblems  = [
     ...ruleFindings.map(r=>`[${r.severity}] ${r.problem}`),
@@ -806,14 +1329,20 @@ async function buildFinalPharmacistNote({ env, normalized, classifiedLabs, crcl,
 
   const drugActions = (medScanResult.drug_reviews||[]).map(d=>`${d.drug}: Verdict=${d.verdict}, Action=${d.action}`).join("\n") || "None";
   const missingMeds = (diseaseResult.diseases||[]).flatMap(d=>d.missing_from_current_meds||[]).filter(Boolean);
+  const pregnancySection = buildPregnancySection(clinicalState.pregnancy, ruleFindings);
 
   const prompt = `You are a senior clinical pharmacist writing the final decisive pharmacist note.
 Be specific. Be decisive. State exact corrections. Do not use vague language.
 
 PATIENT:
-${normalized.age||"N/A"}Y ${normalized.sex||"N/A"} | ${normalized.weight_kg||"N/A"}kg | CrCl: ${crcl?`${crcl.value} mL/min (${crcl.category})`:"Unable"}
+${formatAge(normalized.age)} ${normalized.sex||"N/A"} | ${normalized.weight_kg||"N/A"}kg | CrCl: ${formatDosingRenal(crcl, clinicalState.rrt)}${formatPediatricInstructions(clinicalState.pediatric)}
+Renal estimators: ${formatRenalFunction(clinicalState.renal)}
+Renal replacement / ECMO: ${formatRrt(clinicalState.rrt)}${formatRrtInstructions(clinicalState.rrt)}
+Hepatic scores: ${formatHepaticScores(clinicalState.hepatic)}
+Renal pattern: ${clinicalState.renalPattern||"normal"} | Lab trends: ${formatTrendSummary(clinicalState.trends)}
 Diagnosis: ${normalized.diagnosis||"N/A"} | Admission: ${normalized.reason_admission||"N/A"}
 PMH: ${normalized.pmh||"N/A"} | Allergies: ${(normalized.allergies||[]).join(", ")||"None"}
+Pregnancy/Lactation: ${formatPregnancy(normalized.pregnancy)}
 
 IDENTIFIED PROBLEMS:
 ${allProblems}
@@ -821,6 +1350,9 @@ ${allProblems}
 DRUG ACTIONS DETERMINED:
 ${drugActions}
 
+CODE-DERIVED REGIMENS (use exactly as written):
+${formatLockedAdjustments(lockedAdjustments)}
+
 MISSING MEDICATIONS FLAGGED:
 ${missingMeds.join(", ") || "None identified"}
 
@@ -840,7 +1372,7 @@ MISSING THERAPIES:
 
 FOLLOW-UP PLAN:
 [Specific monitoring parameters, lab targets, reassessment timeline]
-
+${pregnancySection ? "\nDo NOT write a pregnancy/lactation section — it is appended from the rule engine. Do not recommend any drug it flags.\n" : ""}
 Return ONLY valid JSON:
 {
   "note": "full formatted pharmacist note text",
@@ -848,58 +1380,162 @@ Return ONLY valid JSON:
 }`;
 
   try {
-    const raw    = await callGPT(env.OPENAI_API_KEY, { system:"Senior clinical pharmacist writing final note. Decisive, specific, no vague language. Return only valid JSON.", user:prompt, max_tokens:2000, model:"gpt-4o" });
+    const raw    = await callGPT(env, { system:"Senior clinical pharmacist writing final note. Decisive, specific, no vague language. Return only valid JSON.", user:prompt, max_tokens:2000, model:"gpt-4o" });
     const parsed = safeParseJSON(raw || "{}");
     return {
-      note:     parsed.note     || buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult),
+      note:     (parsed.note    || buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult, clinicalState, labProfile)) + pregnancySection,
       followup: parsed.followup || medScanResult.followup_plan || "Reassess medications and labs as clinically indicated.",
     };
   } catch (e) {
     console.error("buildFinalPharmacistNote error:", e);
-    return { note: buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult), followup: "Reassess as clinically indicated." };
+    return { note: buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult, clinicalState, labProfile) + pregnancySection, followup: "Reassess as clinically indicated." };
   }
 }
 
-function buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult) {
+// Deterministic "Pregnancy/Lactation" section of the final note (PREG_*/LACT_* rule findings)
+function buildPregnancySection(pregnancy, ruleFindings) {
+  if (!pregnancy?.pregnant&&!pregnancy?.lactating) return "";
+  const order    = { Critical:0, Major:1, Moderate:2, Minor:3 };
+  const findings = ruleFindings.filter(f=>/^(PREG|LACT)_/.test(f.id||"")).sort((a,b)=>order[a.severity]-order[b.severity]);
+  const lines = findings.length
+    ? findings.map(f=>`- [${f.severity}] ${f.problem} → ${f.recommendation}`)
+    : ["- No medications on the chart flagged by the pregnancy/lactation rules."];
+  if (pregnancy.pregnant&&pregnancy.gestational_weeks==null) lines.push("- Gestational age not documented — confirm (trimester determines several drug risks).");
+  return `\n\nPREGNANCY/LACTATION:\nStatus: ${formatPregnancy(pregnancy)}\n${lines.join("\n")}`;
+}
+
+function buildFallbackNote(normalized, classifiedLabs, crcl, medScanResult, clinicalState=null, labProfile=null) {
   return buildSoapNote({
-    patient: normalized, classifiedLabs, crcl,
+    patient: normalized, classifiedLabs, crcl, renal:clinicalState?.renal, hepatic:clinicalState?.hepatic, pediatric:clinicalState?.pediatric, labProfile,
+    microbiology: clinicalState?.microbiology,
     assessment:           medScanResult.assessment || "Clinical review performed.",
     interventionsSummary: medScanResult.interventions_summary || "See interventions list.",
     followupPlan:         medScanResult.followup_plan || "Follow-up as clinically indicated.",
   });
 }
 
+/* =========================================================
+   CODE-DERIVED ADJUSTMENTS
+========================================================= */
+// Weight used (and why) for CrCl and for every table-dosed drug on the chart
+function buildDosingWeights(renalAdjustments, crcl, weightFor) {
+  const drugs = [...new Set(renalAdjustments.map(r=>r.table_drug))];
+  return {
+    crcl:  crcl?.weight || weightFor("crcl"),
+    drugs: Object.fromEntries(drugs.map(d=>[d, weightFor(d)])),
+  };
+}
+
+function formatRenalFunction(renal) {
+  if (!renal) return "N/A";
+  const parts = [
+    renal.egfr_schwartz ? `Bedside Schwartz eGFR ${renal.egfr_schwartz.value} mL/min/1.73m² (${renal.dosing_estimator==="Bedside Schwartz" ? "dosing" : "reference only"})`
+      : renal.pediatric ? "Schwartz eGFR unavailable (height or SCr missing)"
+      : renal.crcl ? `CG CrCl ${renal.crcl.value} mL/min (${renal.dosing_estimator==="Cockcroft-Gault" ? "dosing" : "reference only"})` : "CG CrCl unavailable",
+    renal.egfr_ckd_epi_2021 ? `CKD-EPI 2021 ${renal.egfr_ckd_epi_2021.value}` : null,
+    renal.egfr_mdrd ? `MDRD ${renal.egfr_mdrd.value}` : null,
+    renal.egfr_deindexed ? `de-indexed eGFR ${renal.egfr_deindexed.value} mL/min` : null,
+  ].filter(Boolean);
+  const flags = (renal.flags||[]).map(f=>f.id).join(", ");
+  return `${parts.join(" | ")}${flags ? ` | FLAGS: ${flags}` : ""}${renal.reliable ? "" : " — estimate UNRELIABLE, state this when dosing"}`;
+}
+
+// CrCl as the prompts should read it — replaced by the modality when on RRT
+function formatDosingRenal(crcl, rrt) {
+  if (rrt?.modality) return `NOT USED — on ${rrt.modality_label}${rrt.crrt_type?` (${rrt.crrt_type})`:""}`;
+  return crcl ? `${crcl.value} ${crcl.unit||"mL/min"} (${crcl.category}, ${crcl.estimator||"Cockcroft-Gault"})` : "Unable to calculate";
+}
+
+function formatPediatricInstructions(ped) {
+  if (!ped) return "";
+  return `\nPEDIATRIC PATIENT — ${ped.label}: dose in mg/kg with adult maximum caps; renal function is bedside Schwartz eGFR (Cockcroft-Gault and adult renal tables do NOT apply); use age-band lab ranges.`;
+}
+
+// Single-line trend summary for prompts; the SOAP note lists one trend per line
+function formatTrendSummary(trends) {
+  return formatTrendLines(trends).map(l=>l.replace(/^- /,"")).join("; ") || "No serial results";
+}
+
+function formatRrtInstructions(rrt) {
+  const warnings = rrtWarnings(rrt);
+  if (!warnings.length) return "";
+  const rule = rrt.modality
+    ? "\nDose renally cleared drugs for this modality (post-HD supplements, CRRT doses) — do NOT use CrCl bands."
+    : "";
+  return `${rule}\n${warnings.map(w=>`- ${w}`).join("\n")}`;
+}
+
+function formatLockedAdjustments(rows) {
+  if (!rows.length) return "None.";
+  return rows.map(r=>`${r.drug}: ordered "${r.ordered}" → ${r.recommended} [${r.verdict}] (${r.reference})`).join("\n");
+}
+
+// Locked (code-derived) rows win; LLM rows for the same drug are dropped
+function mergeMedicationAdjustments(lockedRows, gptRows) {
+  const keyOf = (name)=>findTableDrug(name)||findPediatricDrug(name)||String(name||"").toLowerCase();
+  const lockedKeys = new Set(lockedRows.map(r=>r.table_drug||keyOf(r.drug)));
+  const fromGpt = (gptRows||[]).filter(r=>{
+    const key = keyOf(r.drug);
+    return !lockedKeys.has(key);
+  }).map(r=>({ ...r, source:r.source||"llm" }));
+  return [...lockedRows, ...fromGpt];
+}
+
 /* =========================================================
    CLINICAL STATE (L3)
 ========================================================= */
-function buildClinicalState(normalized, crcl) {
+export function buildClinicalState(normalized, crcl, renal=null) {
   const labs      = normalized.labs || {};
-  const meds      = (normalized.medications||[]).map(m=>(m.name||"").toString().toLowerCase().trim());
-  const allergies = (normalized.allergies||[]).map(a=>String(a||"").toLowerCase().trim());
+  // Brand/synonym-resolved profiles, so "Tazocin" matches "piperacillin" and class "penicillin"
+  const medProfiles = (normalized.medications||[]).map(m=>{
+    const p = drugProfile(m.name);
+    if (m.parsed?.drug&&!p.names.includes(m.parsed.drug)) p.names.push(m.parsed.drug);
+    return p;
+  });
+  const allergyProfiles = (normalized.allergies||[]).map(a=>drugProfile(a));
+  const meds      = medProfiles.flatMap(p=>p.names);
+  const allergies = allergyProfiles.map(p=>p.raw);
   const diagnosis = String(normalized.diagnosis||"").toLowerCase();
   const pmh       = String(normalized.pmh||"").toLowerCase();
   const combined  = `${diagnosis} ${pmh} ${String(normalized.reason_admission||"").toLowerCase()}`;
-  const renalFlag  = crcl ? crcl.value < 60 : false;
-  const hepaticFlag = (labs.alt&&labs.alt>56*3)||(labs.ast&&labs.ast>40*3)||(labs.bili_t&&labs.bili_t>21*2);
+  const rrt        = normalized.renal_replacement || normalizeRrt(null);
+  const pregnancy  = normalized.pregnancy || normalizePregnancy(null);
+  const trends     = normalized.lab_trends || analyzeLabTrends(null);
+  // AKI (rising SCr) and stable CKD both set renalFlag but are dosed differently
+  const aki        = trends.aki?.aki ? trends.aki : /\baki\b|acute kidney injury|acute renal failure/.test(combined) ? { aki:true, stage:null, criterion:"documented", status:null } : null;
+  const renalPattern = rrt.modality ? "RRT" : aki ? "AKI" : (crcl&&crcl.value<60) ? "CKD / stable impairment" : null;
+  const renalFlag  = rrt.modality ? true : crcl ? crcl.value < 60 : false;
+  const hepatic     = scoreHepaticFunction({ labs, findings:normalized.hepatic, conditionText:combined, dialysis:!!rrt.modality });
+  // Child-Pugh class drives hepatic rules only where liver disease is documented
+  const childPughClass = hepatic.liver_disease_documented&&hepatic.effective_class!=="A" ? hepatic.effective_class : null;
+  const hepaticFlag = !!childPughClass||(labs.alt&&labs.alt>56*3)||(labs.ast&&labs.ast>40*3)||(labs.bili_t&&labs.bili_t>21*2);
   const septicFlag  = combined.includes("sepsis")||combined.includes("septic")||(labs.procalc&&labs.procalc>2)||(labs.lactate&&labs.lactate>2);
+  const band   = pediatricAgeBand(normalized.age);
+  const pediatric = band ? { band:band.id, label:band.label, query:band.query } : null;
+  const qtRisk = scoreQtRisk({ age:normalized.age, sex:normalized.sex, labs, qtcMs:normalized.ecg?.qtc_ms ?? null,
+    medProfiles, conditionText:combined, septic:!!septicFlag });
+  const hit = scoreHit4T({ plateletFall:trends.platelet_fall, plt:labs.plt ?? null, medProfiles, findings:normalized.hit,
+    conditionText:combined, septic:!!septicFlag });
+  const microbiology = reviewMicrobiology({ cultures:normalized.cultures||[], medications:normalized.medications||[], allergies });
   return {
-    labs, crcl, renalFlag, hepaticFlag, septicFlag, meds, allergies, diagnosis,
-    hasDrug:     (names)=>names.some(n=>meds.some(m=>m.includes(n.toLowerCase()))),
+    labs, crcl, renal, rrt, hepatic, childPughClass, pediatric, pregnancy, trends, aki, renalPattern, renalFlag, hepaticFlag, septicFlag, meds, allergies, diagnosis, medProfiles, qtRisk, hit, microbiology,
+    hasDrug:     (names)=>names.some(n=>medProfiles.some(p=>profileMatches(p, n))),
     hasCondition:(terms)=>terms.some(t=>combined.includes(t.toLowerCase())),
-    hasAllergy:  (terms)=>terms.some(t=>allergies.some(a=>a.includes(t.toLowerCase()))),
+    hasAllergy:  (terms)=>terms.some(t=>allergyProfiles.some(p=>profileMatches(p, t))),
   };
 }
 
 /* =========================================================
    SAFETY RULE ENGINE (L5)
 ========================================================= */
-function runSafetyRules(cs) {
+export function runSafetyRules(cs) {
   const triggered = [];
   for (const rule of SAFETY_RULES) {
     try {
       if (rule.test(cs)) triggered.push({
-        id: rule.id, severity: rule.severity, problem: rule.problem,
-        recommendation: rule.recommendation,
+        id: rule.id, severity: typeof rule.severity==="function" ? rule.severity(cs) : rule.severity,
+        problem:        typeof rule.problem==="function"        ? rule.problem(cs)        : rule.problem,
+        recommendation: typeof rule.recommendation==="function" ? rule.recommendation(cs) : rule.recommendation,
         queries: typeof rule.queries==="function" ? rule.queries(cs) : [],
         source: "rule_engine", reference: "Pending evidence retrieval",
       });
@@ -918,15 +1554,22 @@ function buildTargetedQueries(normalized, clinicalState, ruleFindings, question)
   for (const med of (normalized.medications||[])) {
     const rawName  = (med.name||"").trim();
     if (!rawName) continue;
-    const nameLower = rawName.toLowerCase();
+    // Query by generic name — protocols rarely mention brands
+    const profile  = drugProfile(rawName);
+    const drugName = profile.generic || med.parsed?.drug || rawName;
+    const nameText = profile.names.join(" ");
     for (const [keyword, hints] of Object.entries(DRUG_FILE_HINTS)) {
-      if (nameLower.includes(keyword)) { hints.forEach(q=>queries.add(q)); break; }
+      if (nameText.includes(keyword)) { hints.forEach(q=>queries.add(q)); break; }
     }
-    queries.add(`${rawName} dosing adult`);
-    queries.add(`${rawName} contraindications warnings`);
-    if (clinicalState.renalFlag)  queries.add(`${rawName} renal impairment CrCl dose`);
-    if (clinicalState.hepaticFlag) queries.add(`${rawName} hepatic impairment`);
-    if (clinicalState.septicFlag)  queries.add(`${rawName} sepsis critical illness`);
+    queries.add(clinicalState.pediatric ? `${drugName} ${clinicalState.pediatric.query} dose mg/kg` : `${drugName} dosing adult`);
+    queries.add(`${drugName} contraindications warnings`);
+    if (clinicalState.rrt.modality) queries.add(`${drugName} ${RRT_QUERY_TERMS[clinicalState.rrt.modality]} dosing`);
+    else if (clinicalState.renalFlag) queries.add(`${drugName} renal impairment CrCl dose`);
+    if (clinicalState.childPughClass) queries.add(`${drugName} hepatic impairment Child-Pugh ${clinicalState.childPughClass}`);
+    else if (clinicalState.hepaticFlag) queries.add(`${drugName} hepatic impairment`);
+    if (clinicalState.septicFlag)  queries.add(`${drugName} sepsis critical illness`);
+    if (clinicalState.pregnancy.pregnant) queries.add(`${drugName} pregnancy safety`);
+    else if (clinicalState.pregnancy.lactating) queries.add(`${drugName} breastfeeding lactation`);
   }
 
   for (const f of ruleFindings) for (const q of (f.queries||[])) queries.add(q);
@@ -941,27 +1584,35 @@ function buildTargetedQueries(normalized, clinicalState, ruleFindings, question)
 
   const dx = String(normalized.diagnosis||"").trim();
   if (dx) { queries.add(`${dx} treatment protocol`); queries.add(`${dx} empiric antimicrobial`); }
-  if (clinicalState.septicFlag) {
+  if (clinicalState.septicFlag&&clinicalState.pediatric) {
+    queries.add(`${clinicalState.pediatric.query} sepsis empiric antibiotic protocol`);
+    queries.add(`${clinicalState.pediatric.query} septic shock fluid resuscitation`);
+  } else if (clinicalState.septicFlag) {
     queries.add("septic shock antibiotic protocol adult guidelines");
     queries.add("hospital acquired pneumonia HAP empiric treatment");
     queries.add("sepsis bundle management ICU");
   }
 
   for (const allergy of (normalized.allergies||[])) {
-    const a = String(allergy).toLowerCase();
-    queries.add(`${allergy} allergy cross-reactivity alternative`);
-    if (a.includes("penicillin")||a.includes("amoxicillin")) {
+    const profile = drugProfile(allergy);
+    queries.add(`${profile.generic||allergy} allergy cross-reactivity alternative`);
+    if (profileMatches(profile, "penicillin")||profileMatches(profile, "amoxicillin")) {
       queries.add("penicillin allergy beta-lactam cross-reactivity cephalosporin");
       queries.add("penicillin allergy antimicrobial alternative");
     }
   }
 
-  if (clinicalState.renalFlag&&clinicalState.crcl) {
+  if (clinicalState.rrt.modality) {
+    queries.add(`${RRT_QUERY_TERMS[clinicalState.rrt.modality]} drug dosing protocol`);
+    if (clinicalState.rrt.modality==="CRRT") queries.add("CRRT antimicrobial dosing effluent rate");
+  } else if (clinicalState.renalFlag&&clinicalState.crcl) {
     queries.add(`renal dose adjustment CrCl ${Math.round(clinicalState.crcl.value)}`);
     queries.add("CKD drug dosing nephrology protocol");
     queries.add("nephrotoxic drug avoidance renal impairment");
   }
 
+  if (clinicalState.rrt.ecmo) queries.add("ECMO drug dosing sequestration");
+
   if (clinicalState.hasDrug(["warfarin","heparin","enoxaparin","rivaroxaban","apixaban"])) {
     queries.add("anticoagulation protocol bleeding risk monitoring");
     queries.add("anticoagulation thrombocytopenia platelet threshold");
@@ -999,7 +1650,7 @@ function deduplicateEvidence(evidence, limit=20) {
 function mergeInterventions(ruleFindings, gptInterventions) {
   const order = { Critical:0, Major:1, Moderate:2, Minor:3 };
   const combined = [
-    ...ruleFindings.map(r=>({ severity:r.severity, problem:r.problem, recommendation:r.recommendation, reference:r.reference||"Pending protocol confirmation" })),
+    ...ruleFindings.map(r=>({ severity:r.severity, problem:r.problem, recommendation:r.recommendation, reference:r.reference||"Pending protocol confirmation", source:r.source })),
     ...(gptInterventions||[]),
   ];
   const seen = new Set();
@@ -1028,9 +1679,14 @@ Schema:
   "reason_admission": null, "pmh": null, "home_medications": null,
   "diagnosis": null, "allergies": [],
   "vitals": { "bp":null,"hr":null,"rr":null,"temp":null,"spo2":null,"gcs":null },
+  "ecg": { "qtc_ms":null,"qt_ms":null,"hr":null,"rhythm":null,"findings":null },
+  "hepatic": { "encephalopathy":null,"ascites":null },
+  "hit": { "new_thrombosis":null,"skin_necrosis":null,"other_cause":null,"prior_heparin_days":null },
+  "pregnancy": { "pregnant":null,"gestational_weeks":null,"trimester":null,"breastfeeding":null,"postpartum":null },
+  "renal_replacement": { "modality":null,"crrt_type":null,"effluent_ml_kg_h":null,"effluent_ml_h":null,"schedule":null,"last_session":null,"next_session":null,"ecmo":null },
   "labs": {
     "hb":null,"wbc":null,"plt":null,"neutrophil":null,
-    "scr_umol":null,"scr_mgdl":null,"urea":null,"bun":null,
+    "scr_umol":null,"scr_mgdl":null,"scr_baseline_umol":null,"urea":null,"bun":null,
     "na":null,"k":null,"cl":null,"bicarb":null,"ca":null,"mg":null,"phos":null,
     "alt":null,"ast":null,"alp":null,"bili_t":null,"albumin":null,
     "inr":null,"pt":null,"aptt":null,"fibrinogen":null,
@@ -1038,10 +1694,25 @@ Schema:
     "vanc_trough":null,"vanc_auc":null,"genta_trough":null,"tobra_trough":null,
     "digoxin":null,"phenytoin":null,"valproate":null,"tacro":null,"cyclo":null
   },
-  "medications": [{ "name":"","dose":"","route":"","frequency":"","indication":null }]
-}`;
+  "lab_units": {},
+  "lab_series": { "scr_umol":[{ "date":null,"day":null,"value":null,"unit":null }] },
+  "medications": [{ "name":"","dose":"","route":"","frequency":"","indication":null,"start_date":null,"day_of_therapy":null }],
+  "cultures": [{ "specimen":null,"date":null,"organism":null,"colony_count":null,"susceptibilities":[{ "antibiotic":null,"result":null,"mic":null }] }],
+  "stewardship": { "review_date":null,"current_day":null,"afebrile_hours":null,"tolerating_oral":null,"hemodynamically_stable":null }
+}
+lab_series: only for analytes with 2+ serial results (keys as in labs, e.g. scr_umol, plt, inr, k), oldest first; date as ISO date/time or day as "D1","D3" — whichever the case uses. labs still holds the latest value.
+medications[].start_date: ISO date or hospital day ("D3") if the case states when the drug was started; day_of_therapy only if stated ("day 5 of meropenem" → 5).
+cultures: one entry per specimen × organism (two organisms in one urine → two entries); date = collection date; organism "no growth" for negative cultures; colony_count as written ("10^5 CFU/mL", ">100,000", "mixed growth"); susceptibilities one row per antibiotic on the report, result "S"|"I"|"R" (null if only an MIC is given), mic as written ("≤0.25", ">16"). Do not infer results that are not reported.
+stewardship: review_date (ISO) or current_day ("D8") of this note; afebrile_hours since last temperature ≥38 °C; tolerating_oral / hemodynamically_stable true/false only if stated.
+labs: glucose/urea/BUN/Ca/Mg/phos in mmol/L and creatinine/bilirubin in µmol/L when the case uses them. If a lab is reported in another unit (e.g. glucose 180 mg/dL, creatinine 1.4 mg/dL), put the number as written in labs and its unit in lab_units, e.g. "lab_units": { "glucose":"mg/dL", "scr_umol":"mg/dL" }. Do not convert.
+renal_replacement.modality: "IHD" | "PD" | "CRRT" | null (only if currently on it); crrt_type: CVVH | CVVHD | CVVHDF;
+ecmo: "VA" | "VV" | true | null. Session times as written in the case.
+hit: new_thrombosis/skin_necrosis true if a new thrombosis or heparin injection-site necrosis is documented after heparin was started (not the clot heparin was started for), false if excluded; new_thrombosis as written if only suspected ("suspected DVT"); other_cause = another stated cause of low platelets; prior_heparin_days = days since a previous heparin course.
+pregnancy: pregnant true/false only if stated; gestational_weeks as a number (e.g. "28+3 weeks" → 28); breastfeeding true if lactating.
+age: years as a number; for infants/neonates keep the unit as written ("8 months", "10 days").
+hepatic.encephalopathy: "none" | "grade 1-2" | "grade 3-4"; hepatic.ascites: "none" | "mild" | "moderate-severe" — null if not mentioned.`;
   try {
-    const raw = await callGPT(env.OPENAI_API_KEY, { system:"Extract clinical case data. Return only valid JSON.", user:prompt, max_tokens:1400 });
+    const raw = await callGPT(env, { system:"Extract clinical case data. Return only valid JSON.", user:prompt, max_tokens:1400 });
     if (!raw) return emptyExtractedCase();
     return safeParseJSON(raw) || emptyExtractedCase();
   } catch(e) { console.error("extractCaseJson:",e); return emptyExtractedCase(); }
@@ -1052,14 +1723,27 @@ function normalizeExtractedCase(extracted) {
   const merged = {
     ...base, ...extracted,
     vitals:      { ...base.vitals,      ...(extracted?.vitals      ||{}) },
+    ecg:         { ...base.ecg,         ...(extracted?.ecg         ||{}) },
+    hepatic:     { ...base.hepatic,     ...(extracted?.hepatic     ||{}) },
+    hit:         { ...base.hit,         ...(extracted?.hit         ||{}) },
+    stewardship: { ...base.stewardship, ...(extracted?.stewardship ||{}) },
     labs:        { ...base.labs,        ...(extracted?.labs        ||{}) },
     medications: Array.isArray(extracted?.medications) ? extracted.medications : [],
     allergies:   Array.isArray(extracted?.allergies)   ? extracted.allergies   : [],
   };
-  merged.age       = toNumberOrNull(merged.age);
+  merged.age       = parseAgeYears(merged.age);
   merged.weight_kg = toNumberOrNull(merged.weight_kg);
-  merged.height_cm = toNumberOrNull(merged.height_cm);
-  for (const key of Object.keys(merged.labs)) merged.labs[key] = toNumberOrNull(merged.labs[key]);
+  const heightCm   = parseHeightCm(merged.height_cm, { assumeCm:isPediatric(merged.age) });
+  merged.height_cm = heightCm ? Math.round(heightCm*10)/10 : null;
+  // Units are detected and converted before anything reads a lab value
+  const labUnits = normalizeLabUnits(merged.labs, extracted?.lab_units, { pediatric:isPediatric(merged.age) });
+  merged.labs              = labUnits.labs;
+  merged.lab_conversions   = labUnits.conversions;
+  merged.lab_unit_warnings = labUnits.warnings;
+  for (const key of ["qtc_ms","qt_ms","hr"]) merged.ecg[key] = toNumberOrNull(merged.ecg[key]);
+  // Only QT reported → Bazett correction from the ECG (or bedside) heart rate
+  const ecgHr = merged.ecg.hr ?? toNumberOrNull(merged.vitals.hr);
+  if (merged.ecg.qtc_ms==null&&merged.ecg.qt_ms&&ecgHr) merged.ecg.qtc_ms = Math.round(merged.ecg.qt_ms/Math.sqrt(60/ecgHr));
 
   for (const field of ["patient_name","mrn","care_setting","reason_admission","pmh","diagnosis","sex"]) {
     const v = merged[field];
@@ -1070,17 +1754,31 @@ function normalizeExtractedCase(extracted) {
   } else if (merged.home_medications!=null) {
     merged.home_medications = String(merged.home_medications);
   }
+  merged.pregnancy = normalizePregnancy(extracted?.pregnancy, { sex:merged.sex, age:merged.age,
+    text:[merged.diagnosis, merged.pmh, merged.reason_admission].filter(Boolean).join(" ") });
+  merged.renal_replacement = normalizeRrt(extracted?.renal_replacement, { weightKg:merged.weight_kg,
+    text:[merged.diagnosis, merged.pmh, merged.reason_admission, merged.care_setting].filter(Boolean).join(" ") });
+  merged.cultures = normalizeCultures(extracted?.cultures);
   if (!Array.isArray(merged.allergies)) merged.allergies = merged.allergies ? [String(merged.allergies)] : [];
   merged.allergies   = merged.allergies.map(a=>String(a||""));
-  merged.medications = merged.medications.map(m=>({ ...m, name:String(m.name||"") }));
+  merged.medications = merged.medications.map(m=>({ ...m, name:String(m.name||"") }))
+    .map(m=>({ ...m, parsed:parseMedicationOrder(m, { weightKg:merged.weight_kg }) }));
+
+  // Serial results → trends; the latest point fills a missing single value
+  const heparin = merged.medications.find(m=>["heparin","lmwh"].some(c=>profileMatches(drugProfile(m.name), c)));
+  merged.lab_trends = analyzeLabTrends(extracted?.lab_series, { baselineScrUmol:merged.labs.scr_baseline_umol, heparinStart:heparin?.start_date||null, pediatric:isPediatric(merged.age) });
+  for (const [key, value] of Object.entries(latestValues(merged.lab_trends))) {
+    if (key in merged.labs&&merged.labs[key]==null) merged.labs[key] = value;
+  }
   return merged;
 }
 
-function classifyLabs(labs) {
+function classifyLabs(labs, ranges=LAB_RANGES, conversions=[]) {
   const out = [];
+  const converted = Object.fromEntries((conversions||[]).map(c=>[c.key, c]));
   for (const [key,value] of Object.entries(labs||{})) {
     if (value===null||value===undefined||value==="") continue;
-    const ref = LAB_RANGES[key]; if (!ref) continue;
+    const ref = ranges[key]; if (!ref) continue;
     const num = Number(value); if (Number.isNaN(num)) continue;
     let status="normal",arrow="";
     if (ref.high!==null&&num>ref.high)      { const p=(num-ref.high)/ref.high; status=p>BORDERLINE_MARGIN?"high":"borderline-high"; arrow="↑"; }
@@ -1090,6 +1788,7 @@ function classifyLabs(labs) {
       isBorderline: status==="borderline-high"||status==="borderline-low",
       drugRelated:  ref.drugRelated||[],
       isDrugRelevant: Array.isArray(ref.drugRelated)&&ref.drugRelated.length>0,
+      original: converted[key] ? { value:converted[key].original_value, unit:converted[key].original_unit } : null,
     });
   }
   return out.sort((a,b)=>{
@@ -1104,56 +1803,68 @@ function classifyLabs(labs) {
 /* =========================================================
    VECTOR SEARCH + PAGE-AWARE RETRIEVAL
 ========================================================= */
-async function vectorSearch(env, query, maxResults=6) {
+// Routes the query to drug-specific stores (or the global store), then merges
+// and ranks all hits into one evidence list. The backend comes from
+// createRetrievalProvider (OpenAI vector store or local offline index).
+async function vectorSearch(env, query, maxResults=6, storeIds=null) {
+  const stores = storeIds && storeIds.length ? storeIds : routeVectorStores(env, query);
   try {
-    const res = await fetch(`https://api.openai.com/v1/vector_stores/${env.VECTOR_STORE_ID}/search`, {
-      method:"POST",
-      headers:{ Authorization:`Bearer ${env.OPENAI_API_KEY}`, "Content-Type":"application/json", "OpenAI-Beta":"assistants=v2" },
-      body: JSON.stringify({ query, max_num_results: maxResults }),
-    });
-    if (!res.ok) { console.error("vectorSearch failed:", await res.text()); return []; }
-    const data = await res.json();
-    const evidence = [];
-    for (let i=0; i<(data.data||[]).length; i++) {
-      const item     = data.data[i];
-      const filename = item.attributes?.filename||item.attributes?.file_name||item.filename||item.file_name||item.file_id||`source_${i+1}`;
-      let content    = "";
-      if (item.content) {
-        if (Array.isArray(item.content)) content=item.content.map(c=>c.text||c.value||"").join("\n");
-        else if (typeof item.content==="string") content=item.content;
-        else if (item.content?.text) content=item.content.text;
-      }
-      if (!content&&item.text) content=item.text;
-      if (!content&&Array.isArray(item.chunks)) content=item.chunks.map(c=>c.text||"").join("\n");
-      if (!content||!content.trim()) continue;
-
-      // Page extraction — check metadata first, then text patterns
-      let page = 0;
-      if (item.attributes?.page)   page = parseInt(item.attributes.page, 10)||0;
-      if (!page&&item.metadata?.page) page = parseInt(item.metadata.page, 10)||0;
-      if (!page) {
-        const pm = content.match(/(?:Page|PAGE|page)\s*[:\-]?\s*(\d+)/i)||content.match(/\bp\.?\s*(\d+)\b/i)||content.match(/\[p\.\s*(\d+)\]/i);
-        if (pm) page = parseInt(pm[1],10);
-      }
-      const chunk_index = item.attributes?.chunk_index ?? item.metadata?.chunk_index ?? 0;
-
-      let section="";
-      const sm = content.match(/(?:Section|SECTION)\s+(\d+(?:\.\d+)*)\s*[–—\-]?\s*([^\n]+)/i)||content.match(/^#{1,3}\s+([^\n]+)/m)||content.match(/^\d+\.\d+\s+([^\n]+)/m);
-      if (sm) section=(sm[2]||sm[1]||"").trim().substring(0,80);
-
-      // Clean excerpt — start at sentence boundary
-      const rawExcerpt = content.substring(0,2000);
-      const cleanExcerpt = cleanExcerptText(rawExcerpt);
-
-      evidence.push({ id:`E${i+1}`, filename, page, chunk_index, section, score:item.score??item.similarity??null, excerpt:cleanExcerpt });
-    }
-    return evidence;
+    const hits     = await createRetrievalProvider(env).search(query, { storeIds:stores, maxResults });
+    const evidence = hits.map(toEvidence).filter(Boolean);
+    const ranked   = stores.length===1 ? evidence : rankEvidence(evidence).slice(0, maxResults);
+    return ranked.map((e,i)=>({ ...e, id:`E${i+1}` }));
   } catch(e) { console.error("vectorSearch exception:",e); return []; }
 }
 
+function toEvidence(hit) {
+  const content = hit.text||"";
+  if (!content.trim()) return null;
+  const attrs = hit.attributes||{};
+
+  // Page extraction — attributes set by build_vectorstores.mjs first, then text patterns
+  let page = parseInt(attrs.page, 10)||0;
+  if (!page) {
+    const pm = content.match(/(?:Page|PAGE|page)\s*[:\-]?\s*(\d+)/i)||content.match(/\bp\.?\s*(\d+)\b/i)||content.match(/\[p\.\s*(\d+)\]/i);
+    if (pm) page = parseInt(pm[1],10);
+  }
+  const chunk_index = attrs.chunk_index ?? 0;
+
+  let section = String(attrs.section || "").substring(0,80);
+  const sm = section ? null : content.match(/(?:Section|SECTION)\s+(\d+(?:\.\d+)*)\s*[–—\-]?\s*([^\n]+)/i)||content.match(/^#{1,3}\s+([^\n]+)/m)||content.match(/^\d+\.\d+\s+([^\n]+)/m);
+  if (sm) section=(sm[2]||sm[1]||"").trim().substring(0,80);
+
+  // Clean excerpt — start at sentence boundary
+  const cleanExcerpt = cleanExcerptText(content.substring(0,2000));
+
+  return { filename:hit.filename, page, chunk_index, section, score:hit.score??null, excerpt:cleanExcerpt, store:hit.store };
+}
+
+// Sort by score (unscored last) and drop the same chunk returned by several stores
+function rankEvidence(evidence) {
+  const seen = new Set();
+  return [...evidence]
+    .sort((a,b)=>(b.score??-1)-(a.score??-1))
+    .filter(e=>{
+      const key = `${e.filename}::${e.excerpt.substring(0,80)}`;
+      if (seen.has(key)) return false;
+      seen.add(key); return true;
+    });
+}
+
+// Pick drug-specific vector stores named in the texts; global store otherwise
+function routeVectorStores(env, ...texts) {
+  const haystack = texts.filter(Boolean).join(" ").toLowerCase();
+  const ids = [];
+  for (const [name, keywords] of Object.entries(DRUG_STORE_KEYWORDS)) {
+    const id = VECTOR_STORES[name];
+    if (id && !ids.includes(id) && keywords.some(k=>haystack.includes(k))) ids.push(id);
+  }
+  return ids.length ? ids : [env.VECTOR_STORE_ID].filter(Boolean);
+}
+
 // Page-aware search: retrieve then filter/prioritize by page
-async function vectorSearchPageAware(env, query, pageIntent, fileIntent, maxResults=10) {
-  const evidence = await vectorSearch(env, query, maxResults);
+async function vectorSearchPageAware(env, query, pageIntent, fileIntent, maxResults=10, storeIds=null) {
+  const evidence = await vectorSearch(env, query, maxResults, storeIds);
 
   // If we have a specific file+page request, filter strictly
   if (fileIntent && pageIntent.page) {
@@ -1283,47 +1994,36 @@ function buildVerbatimAnswer(evidence) {
 /* =========================================================
    GPT HELPER
 ========================================================= */
-async function callGPT(apiKey, { system, user, max_tokens=600, model="gpt-4o-mini" }) {
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method:"POST",
-    headers:{ Authorization:`Bearer ${apiKey}`, "Content-Type":"application/json" },
-    body: JSON.stringify({ model, temperature:0.2, max_tokens, messages:[{ role:"system",content:system },{ role:"user",content:user }] }),
-  });
-  const data = await res.json();
-  return data?.choices?.[0]?.message?.content || null;
+// env.LLM_CLIENT overrides the OpenAI client (functions/_lib/llm.js)
+async function callGPT(env, { system, user, max_tokens=600, model="gpt-4o-mini" }) {
+  return createLlmClient(env).complete({ system, user, max_tokens, model });
 }
 
 /* =========================================================
    UTILITIES
 ========================================================= */
-function calcCrCl(age, weightKg, scrUmol, sex) {
-  if (!age||!weightKg||!scrUmol||!sex) return null;
-  const scrMgDl   = scrUmol/88.42;
-  const sexFactor = String(sex).toLowerCase().startsWith("f") ? 0.85 : 1;
-  const value     = ((140-age)*weightKg*sexFactor)/(72*scrMgDl);
-  const rounded   = Math.round(value*10)/10;
-  let category = "Unknown";
-  if      (rounded>=90) category="Normal (≥90)";
-  else if (rounded>=60) category="Mild impairment (60–89)";
-  else if (rounded>=30) category="Moderate impairment (30–59)";
-  else if (rounded>=15) category="Severe impairment (15–29)";
-  else                  category="Kidney failure (<15)";
-  return { value:rounded, category };
-}
-
 function emptyExtractedCase() {
   return {
     mrn:null,patient_name:null,age:null,sex:null,weight_kg:null,height_cm:null,
     care_setting:null,reason_admission:null,pmh:null,home_medications:null,
     diagnosis:null,allergies:[],
     vitals:{ bp:null,hr:null,rr:null,temp:null,spo2:null,gcs:null },
-    labs:{ hb:null,wbc:null,plt:null,neutrophil:null,scr_umol:null,scr_mgdl:null,urea:null,bun:null,na:null,k:null,cl:null,bicarb:null,ca:null,mg:null,phos:null,alt:null,ast:null,alp:null,bili_t:null,albumin:null,inr:null,pt:null,aptt:null,fibrinogen:null,glucose:null,crp:null,procalc:null,lactate:null,vanc_trough:null,vanc_auc:null,genta_trough:null,tobra_trough:null,digoxin:null,phenytoin:null,valproate:null,tacro:null,cyclo:null },
+    ecg:{ qtc_ms:null,qt_ms:null,hr:null,rhythm:null,findings:null },
+    hepatic:{ encephalopathy:null,ascites:null }, lab_units:{}, lab_series:{},
+    hit:{ new_thrombosis:null,skin_necrosis:null,other_cause:null,prior_heparin_days:null },
+    cultures:[], stewardship:{ review_date:null,current_day:null,afebrile_hours:null,tolerating_oral:null,hemodynamically_stable:null },
+    pregnancy:{ pregnant:null,gestational_weeks:null,trimester:null,breastfeeding:null,postpartum:null },
+    renal_replacement:{ modality:null,crrt_type:null,effluent_ml_kg_h:null,effluent_ml_h:null,schedule:null,last_session:null,next_session:null,ecmo:null },
+    labs:{ hb:null,wbc:null,plt:null,neutrophil:null,scr_umol:null,scr_mgdl:null,scr_baseline_umol:null,urea:null,bun:null,na:null,k:null,cl:null,bicarb:null,ca:null,mg:null,phos:null,alt:null,ast:null,alp:null,bili_t:null,albumin:null,inr:null,pt:null,aptt:null,fibrinogen:null,glucose:null,crp:null,procalc:null,lactate:null,vanc_trough:null,vanc_auc:null,genta_trough:null,tobra_trough:null,digoxin:null,phenytoin:null,valproate:null,tacro:null,cyclo:null },
     medications:[],
   };
 }
 
+// The key is only needed when the LLM or retrieval backend is OpenAI
 function requireApiCredentials(env) {
-  if (!env.OPENAI_API_KEY||!env.VECTOR_STORE_ID) throw new Error("OPENAI_API_KEY or VECTOR_STORE_ID is not set");
+  const openai = retrievalBackend(env)==="openai";
+  if (!env.OPENAI_API_KEY&&(llmBackend(env)==="openai"||openai)) throw new Error("OPENAI_API_KEY is not set");
+  if (openai&&!env.VECTOR_STORE_ID) throw new Error("OPENAI_API_KEY or VECTOR_STORE_ID is not set");
 }
 
 function jsonResponse(body, status, corsHeaders) {
@@ -5,6 +5,10 @@
 // Pipeline: Extract → CrCl (code) → T1 SOAP → Analysis → T2 + Interventions
 // ============================================================
 
+import { createRetrievalProvider, retrievalBackend } from "./_lib/retrieval.js";
+import { assessRenalFunction } from "./_lib/renal_function.js";
+import { parseHeightCm, computeCrCl, resolveWeightPolicy } from "./_lib/clinical_calc.js";
+
 export async function onRequest(context) {
   const { request, env } = context;
 
@@ -41,9 +45,21 @@ export async function onRequest(context) {
 
     // ── STEP B: Compute CrCl — pure code, zero AI ───────────────
     console.log("🧮 Step B: Computing CrCl in code...");
-    const renalResult = stepB_computeCrCl(extractedData);
+    const weightPolicy = resolveWeightPolicy(env.WEIGHT_POLICY);
+    const renalResult  = stepB_computeCrCl(extractedData, weightPolicy);
     extractedData.renal = { ...extractedData.renal, ...renalResult };
 
+    // Other estimators + reliability flags (CrCl above stays the dosing value)
+    const renalEstimates = assessRenalFunction({
+      age:           extractedData.age,
+      sex:           extractedData.sex,
+      weightKg:      extractedData.weight_kg,
+      heightCm:      parseHeightCm(extractedData.height_raw),
+      scrUmol:       extractedData.scr_umol,
+      weightPolicy,
+      conditionText: [extractedData.reason_admission, extractedData.pmh].filter(Boolean).join(" "),
+    });
+
     // Build renal display line (used in both templates)
     const renalLine = renalResult.crcl !== null
       ? `SCr ${extractedData.renal.scr_umol ?? "—"} umol, Calculated CrCl ${renalResult.crcl} mL/min`
@@ -89,6 +105,12 @@ export async function onRequest(context) {
         abw_adj:     renalResult.abw_adj,
         weight_used: renalResult.weight_used,
         weight_label:renalResult.weight_label,
+        estimator:   "Cockcroft-Gault",
+        egfr_ckd_epi_2021: renalEstimates.egfr_ckd_epi_2021?.value ?? null,
+        egfr_mdrd:         renalEstimates.egfr_mdrd?.value ?? null,
+        egfr_deindexed:    renalEstimates.egfr_deindexed?.value ?? null,
+        arc:         renalResult.crcl !== null && renalResult.crcl > 130,
+        flags:       renalEstimates.flags,
         missing:     renalResult.missing,
         line:        renalLine,
       },
@@ -171,67 +193,20 @@ JSON schema (use exactly these keys):
 // ============================================================
 // STEP B — Cockcroft-Gault CrCl (PURE CODE — no AI)
 // ============================================================
-function stepB_computeCrCl(data) {
-  const result = {
-    scr_mgdl: null, ibw: null, abw_adj: null,
-    weight_used: null, weight_label: null,
-    crcl: null, missing: [],
+function stepB_computeCrCl(data, weightPolicy) {
+  const c = computeCrCl({
+    age: data.age, sex: data.sex, weightKg: data.weight_kg,
+    heightCm: parseHeightCm(data.height_raw), scrUmol: data.scr_umol, policy: weightPolicy,
+  });
+  return {
+    scr_mgdl:     c.scr_mgdl,
+    ibw:          c.weight.ibw,
+    abw_adj:      c.weight.abw_adj,
+    weight_used:  c.weight.weight_used,
+    weight_label: c.weight.reason,
+    crcl:         c.value!=null ? Math.round(c.value) : null,
+    missing:      c.missing,
   };
-
-  if (!data.age)       result.missing.push("age");
-  if (!data.sex)       result.missing.push("sex");
-  if (!data.weight_kg) result.missing.push("weight");
-  if (!data.scr_umol)  result.missing.push("SCr");
-  if (result.missing.length > 0) return result;
-
-  // Convert SCr µmol/L → mg/dL
-  result.scr_mgdl = parseFloat((data.scr_umol / 88.4).toFixed(3));
-
-  const female = String(data.sex).toLowerCase().startsWith("f");
-
-  // Parse height → cm → inches
-  let heightIn = null;
-  if (data.height_raw) {
-    const s = String(data.height_raw).toLowerCase();
-    let cm = null;
-
-    const mCm   = s.match(/(\d+\.?\d*)\s*cm/);
-    const mFtIn = s.match(/(\d+)\s*(?:ft|')\s*(\d*)\s*(?:in|")?/);
-    const mIn   = s.match(/(\d+\.?\d*)\s*(?:in|")/);
-    const mNum  = s.match(/^(\d+\.?\d*)$/);
-
-    if (mCm)    cm = parseFloat(mCm[1]);
-    else if (mFtIn) cm = parseInt(mFtIn[1]) * 30.48 + parseInt(mFtIn[2] || 0) * 2.54;
-    else if (mIn)   cm = parseFloat(mIn[1]) * 2.54;
-    else if (mNum)  cm = parseFloat(mNum[1]) > 100 ? parseFloat(mNum[1]) : parseFloat(mNum[1]) * 2.54;
-
-    if (cm) heightIn = cm / 2.54;
-  }
-
-  // IBW (Devine) + ABW_adjusted
-  if (heightIn && heightIn > 60) {
-    result.ibw     = parseFloat((female ? 45.5 + 2.3 * (heightIn - 60) : 50 + 2.3 * (heightIn - 60)).toFixed(1));
-    result.abw_adj = parseFloat((result.ibw + 0.4 * (data.weight_kg - result.ibw)).toFixed(1));
-  }
-
-  // Weight selection rule
-  if (result.ibw && data.weight_kg >= 1.2 * result.ibw) {
-    result.weight_used  = result.abw_adj;
-    result.weight_label = "ABW adjusted (obese ≥1.2×IBW)";
-  } else if (result.ibw && data.weight_kg <= result.ibw) {
-    result.weight_used  = data.weight_kg;
-    result.weight_label = "Actual BW (≤IBW)";
-  } else {
-    result.weight_used  = data.weight_kg;
-    result.weight_label = result.ibw ? "Actual BW" : "Actual BW (height missing)";
-  }
-
-  // Cockcroft-Gault
-  result.crcl = Math.round(
-    ((140 - data.age) * result.weight_used * (female ? 0.85 : 1.0)) / (72 * result.scr_mgdl)
-  );
-
-  return result;
 }
 
 // ============================================================
@@ -318,7 +293,7 @@ Use general clinical knowledge. Be concise and specific.`;
 
 // ============================================================
 // STEP C4 — Protocol-Locked Interventions
-// Searches OpenAI Vector Store first; falls back to guideline citations
+// Searches the protocol store first; falls back to guideline citations
 // ============================================================
 async function stepC4_interventions(data, renalResult, clinicalAnalysis, pharmaReview, env) {
   // Build search query from primary problem + medications
@@ -327,7 +302,7 @@ async function stepC4_interventions(data, renalResult, clinicalAnalysis, pharmaR
 
   // --- Vector store search (if configured) ---
   let vectorContext = "";
-  if (env.OPENAI_API_KEY && env.VECTOR_STORE_ID) {
+  if (retrievalBackend(env) !== "openai" || (env.OPENAI_API_KEY && env.VECTOR_STORE_ID)) {
     vectorContext = await searchVectorStore(
       `${primaryProblem} pharmacist interventions dosing renal ${medNames}`,
       env
@@ -437,36 +412,17 @@ function extractPrimaryProblem(analysisText) {
 }
 
 // ============================================================
-// HELPER: Search OpenAI Vector Store
+// HELPER: Search protocol store (OpenAI vector store or local index)
 // ============================================================
 async function searchVectorStore(query, env) {
   try {
-    const res = await fetch(
-      `https://api.openai.com/v1/vector_stores/${env.VECTOR_STORE_ID}/search`,
-      {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${env.OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-          "OpenAI-Beta": "assistants=v2",
-        },
-        body: JSON.stringify({ query, max_num_results: 3 }),
-      }
-    );
-
-    if (!res.ok) {
-      console.warn("Vector store search failed:", res.status);
-      return "";
-    }
+    const hits = await createRetrievalProvider(env).search(query, { maxResults: 3 });
+    if (!hits.length) return "";
 
-    const data = await res.json();
-    if (!data?.data?.length) return "";
-
-    return data.data
-      .map((item, i) => {
-        const content = extractContent(item);
-        const filename = item.filename || item.file_id || `Protocol ${i + 1}`;
-        return `--- ${filename} ---\n${content.substring(0, 400)}`;
+    return hits
+      .map((hit, i) => {
+        const filename = hit.filename || `Protocol ${i + 1}`;
+        return `--- ${filename} ---\n${(hit.text || "").substring(0, 400)}`;
       })
       .join("\n\n");
 
@@ -476,14 +432,6 @@ async function searchVectorStore(query, env) {
   }
 }
 
-function extractContent(item) {
-  if (!item.content) return item.text || "";
-  if (Array.isArray(item.content)) return item.content.map(c => c.text || c.value || "").join("\n");
-  if (typeof item.content === "string") return item.content;
-  if (item.content.text) return item.content.text;
-  return item.text || "";
-}
-
 // ============================================================
 // HELPER: Anthropic API call (claude-sonnet-4-20250514)
 // ============================================================
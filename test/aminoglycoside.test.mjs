@@ -0,0 +1,38 @@
+// File: /test/aminoglycoside.test.mjs
+// Extended-interval aminoglycosides — per-nomogram initial intervals and level zones.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeAminoglycosideDosing } from "../functions/_lib/aminoglycoside.js";
+
+const gent = (opts)=>computeAminoglycosideDosing({ drug:"gentamicin", weightKg:70, heightCm:175, sex:"male", ...opts });
+
+test("Hartford starts q24h at CrCl 60 and q48h at CrCl 25", ()=>{
+  assert.equal(gent({ crcl:60 }).initial_interval_h, 24);
+  assert.equal(gent({ crcl:45 }).initial_interval_h, 36);
+  assert.equal(gent({ crcl:25 }).initial_interval_h, 48);
+  assert.equal(gent({ crcl:15 }).initial_interval_h, null);
+});
+
+test("Urban-Craig uses its own CrCl bands, not Hartford's", ()=>{
+  const r = gent({ crcl:60, nomogram:"urban_craig" });
+  assert.equal(r.mg_per_kg, 5);
+  assert.equal(r.initial_interval_h, 36);
+  assert.equal(gent({ crcl:85, nomogram:"urban_craig" }).initial_interval_h, 24);
+  assert.equal(gent({ crcl:45, nomogram:"urban_craig" }).initial_interval_h, 48);
+  const low = gent({ crcl:30, nomogram:"urban_craig" });
+  assert.equal(low.initial_interval_h, null);
+  assert.ok(low.warnings.some(w=>/<40 — Urban-Craig/.test(w)));
+});
+
+test("a random level sets the interval from the nomogram zone", ()=>{
+  const r = gent({ crcl:90, level:{ value:4, hours_post_dose:10 } });
+  assert.equal(r.level.interval_h, 36);
+  assert.equal(r.interval_h, 36);
+  assert.equal(gent({ crcl:90, level:{ value:12, hours_post_dose:10 } }).hold, true);
+});
+
+test("Urban-Craig is not validated for amikacin", ()=>{
+  assert.equal(computeAminoglycosideDosing({ drug:"amikacin", weightKg:70, nomogram:"urban_craig" }).ok, false);
+});
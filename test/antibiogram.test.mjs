@@ -0,0 +1,33 @@
+// File: /test/antibiogram.test.mjs
+// Antibiogram — specimen-aware lookup and one ranked entry per antibiotic.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveAntibiogramVersion, lookupSusceptibility, rankEmpiricOptions } from "../functions/_lib/antibiogram.js";
+
+const DATA = { current:"2025", versions:{ "2025":{ year:2025, rows:[
+  { organism:"E. coli", antibiotic:"ceftriaxone",  unit:"all", pct_s:84, isolates:412, specimen:"Urine" },
+  { organism:"E. coli", antibiotic:"ceftriaxone",  unit:"all", pct_s:60, isolates:50,  specimen:"Blood" },
+  { organism:"E. coli", antibiotic:"meropenem",    unit:"all", pct_s:99, isolates:460 },
+  { organism:"E. coli", antibiotic:"gentamicin",   unit:"all", pct_s:88, isolates:300, specimen:"Urine" },
+]}}};
+const version = resolveAntibiogramVersion(DATA);
+
+test("a blood query returns the blood row", ()=>{
+  const r = lookupSusceptibility(version, { organism:"E. coli", antibiotic:"ceftriaxone", site:"E. coli bacteraemia" });
+  assert.equal(r.pct_s, 60);
+  assert.equal(r.isolates, 50);
+  assert.equal(r.specimen_fallback, false);
+});
+
+test("a urinary query returns the urine row", ()=>{
+  assert.equal(lookupSusceptibility(version, { organism:"E. coli", antibiotic:"ceftriaxone", site:"pyelonephritis" }).pct_s, 84);
+});
+
+test("ranking lists each antibiotic once and flags another specimen's data", ()=>{
+  const { ranked } = rankEmpiricOptions(version, { organism:"E. coli", site:"bloodstream infection" });
+  assert.deepEqual(ranked.map(r=>r.antibiotic).sort(), ["ceftriaxone","gentamicin","meropenem"]);
+  assert.equal(ranked.find(r=>r.antibiotic==="ceftriaxone").pct_s, 60);
+  assert.equal(ranked.find(r=>r.antibiotic==="gentamicin").specimen_fallback, true);
+});
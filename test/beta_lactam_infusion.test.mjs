@@ -0,0 +1,42 @@
+// File: /test/beta_lactam_infusion.test.mjs
+// Beta-lactam infusion — one row per order, bounded by the renal table dose.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { evaluateBetaLactamInfusion } from "../functions/_lib/beta_lactam_infusion.js";
+import { evaluateRenalDosing } from "../functions/_lib/renal_dosing.js";
+import { parseMedicationOrder } from "../functions/_lib/med_orders.js";
+
+function rows(med, crcl, opts={}) {
+  const meds = [{ ...med, parsed:parseMedicationOrder(med) }];
+  const renalRows = evaluateRenalDosing(meds, { crcl });
+  return { renal:renalRows[0], infusion:evaluateBetaLactamInfusion(meds, { crcl, weightKg:70, renalRows, ...opts })[0] };
+}
+
+const pipTazo = { name:"Piperacillin-tazobactam", dose:"4.5 g", route:"IV", frequency:"Q8H over 4 h" };
+
+test("pip/tazo 4.5 g q8h over 4 h at CrCl 80 agrees with the renal table", ()=>{
+  const { renal, infusion } = rows(pipTazo, 80);
+  assert.equal(renal.verdict, "CORRECT");
+  assert.equal(infusion.verdict, "CORRECT");
+});
+
+test("in sepsis the infusion regimen keeps the renal table's daily dose", ()=>{
+  const { infusion } = rows(pipTazo, 80, { septic:true });
+  assert.equal(infusion.recommended_regimen.daily_dose_mg, 13500);
+});
+
+test("meropenem 1 g q8h at CrCl 35 is not continued above the renal dose", ()=>{
+  const { renal, infusion } = rows({ name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q8H" }, 35, { septic:true });
+  assert.equal(renal.verdict, "ADJUST");
+  assert.equal(infusion.verdict, "ADJUST");
+  assert.ok(infusion.recommended_regimen.daily_dose_mg<=2200);
+  assert.match(infusion.reason, /outside the renal table/);
+});
+
+test("without an infusion criterion the renal table verdict stands", ()=>{
+  const { renal, infusion } = rows({ name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q8H" }, 35);
+  assert.equal(infusion.verdict, renal.verdict);
+  assert.equal(infusion.recommended, renal.recommended);
+});
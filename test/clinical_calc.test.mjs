@@ -0,0 +1,44 @@
+// File: /test/clinical_calc.test.mjs
+// Shared body-size and CrCl calculation — height parsing and weight policy.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseHeightCm, idealBodyWeight, selectWeight, resolveWeightPolicy, computeCrCl, cockcroftGault } from "../functions/_lib/clinical_calc.js";
+
+test("height parses cm, feet/inches and bare numbers", ()=>{
+  assert.equal(parseHeightCm("175 cm"), 175);
+  assert.equal(parseHeightCm("5 ft 10 in"), 177.8);
+  assert.equal(parseHeightCm("180"), 180);
+  assert.equal(parseHeightCm(70), 177.8);
+  assert.equal(parseHeightCm(90, { assumeCm:true }), 90);
+  assert.equal(parseHeightCm(""), null);
+});
+
+test("Cockcroft-Gault uses the 0.85 female factor", ()=>{
+  assert.equal(cockcroftGault({ age:60, weightKg:70, scrMgdl:1, sex:"male" }), 77.8);
+  assert.equal(cockcroftGault({ age:60, weightKg:70, scrMgdl:1, sex:"female" }), 66.1);
+});
+
+test("the default CrCl policy adjusts weight only when obese", ()=>{
+  assert.equal(idealBodyWeight(170, "male"), 65.9);
+  const obese = selectWeight({ weightKg:120, heightCm:170, sex:"male" });
+  assert.equal(obese.basis, "adjusted");
+  assert.equal(obese.weight_used, 87.5);
+  assert.equal(selectWeight({ weightKg:70, heightCm:170, sex:"male" }).basis, "actual");
+  assert.equal(selectWeight({ weightKg:120, sex:"male" }).reason, "Actual BW (height missing)");
+});
+
+test("site policy overrides apply per use", ()=>{
+  const policy = resolveWeightPolicy('{"crcl":"ideal","drugs":{"vancomycin":"adjusted"}}');
+  assert.equal(selectWeight({ weightKg:120, heightCm:170, sex:"male", policy }).weight_used, 65.9);
+  assert.equal(selectWeight({ weightKg:120, heightCm:170, sex:"male", use:"vancomycin", policy }).weight_used, 87.5);
+  assert.equal(selectWeight({ weightKg:120, heightCm:170, sex:"male", use:"gentamicin", policy }).basis, "adjusted");
+});
+
+test("CrCl reports what is missing instead of guessing", ()=>{
+  const r = computeCrCl({ age:60, sex:"male", weightKg:120, heightCm:170, scrUmol:88.4 });
+  assert.equal(r.value, 97.2);
+  assert.deepEqual(computeCrCl({ age:60, sex:"male", weightKg:70 }).missing, ["SCr"]);
+  assert.equal(computeCrCl({ age:60, sex:"male", weightKg:70 }).value, null);
+});
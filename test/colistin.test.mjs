@@ -0,0 +1,52 @@
+// File: /test/colistin.test.mjs
+// Colistin calculator — unit conversion, loading/maintenance and mis-transcribed units.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { convertColistin, computeColistinDosing, evaluateColistin, colistinDoseFindings } from "../functions/_lib/colistin.js";
+
+const patient = { weightKg:70, heightCm:175, sex:"male", crcl:95 };
+const check = (order)=>computeColistinDosing({ ...patient, order }).order_check;
+
+test("MIU, mg CBA and mg CMS convert through one factor", ()=>{
+  const r = convertColistin(9, "MIU");
+  assert.equal(r.mg_cba, 299.7);
+  assert.equal(r.mg_cms, 720);
+  assert.equal(convertColistin(1, "mg").ok, false);
+});
+
+test("loading is 4 mg CBA/kg capped at 300 mg; maintenance follows the CrCl band", ()=>{
+  const r = computeColistinDosing(patient);
+  assert.equal(r.loading.mg_cba, 280);
+  assert.equal(r.maintenance.band, "CrCl ≥90 mL/min");
+  assert.equal(r.maintenance.daily.mg_cba, 360);
+  assert.equal(computeColistinDosing({ weightKg:100, heightCm:190, sex:"male", crcl:40 }).loading.capped, true);
+  assert.equal(computeColistinDosing({ weightKg:70, rrt:"HD" }).maintenance.band, "HD");
+  assert.equal(computeColistinDosing({ crcl:95 }).ok, false);
+});
+
+test("orders in MIU or mg CBA that match the calculator are correct", ()=>{
+  assert.equal(check({ dose:"9 MIU", frequency:"once loading" }).verdict, "CORRECT");
+  assert.equal(check({ dose:"180 mg", frequency:"Q12H" }).verdict, "CORRECT");
+  assert.equal(check({ dose:"4.5 MIU", frequency:"Q12H" }).verdict, "ADJUST");
+});
+
+test("units that only fit another unit are flagged as mis-transcribed", ()=>{
+  assert.deepEqual(check({ dose:"4.5 mg", frequency:"Q12H" }).flags.map(f=>f.code), ["MIU_AS_MG"]);
+  assert.deepEqual(check({ dose:"9000000 mg", frequency:"stat" }).flags.map(f=>f.code), ["IU_AS_MG"]);
+  assert.deepEqual(check({ dose:"440 mg", frequency:"Q12H" }).flags.map(f=>f.code), ["CMS_AS_CBA"]);
+  assert.equal(check({ dose:"440 mg CMS", frequency:"Q12H" }).verdict, "CORRECT");
+});
+
+test("case rows skip inhaled colistin and raise a Critical units finding", ()=>{
+  const rows = evaluateColistin([
+    { name:"Colistimethate", dose:"4.5 mg", route:"IV", frequency:"Q12H" },
+    { name:"Colistin nebulised", dose:"1 MIU", route:"INH", parsed:{ route:"INH" } },
+  ], patient);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].locked, true);
+  const f = colistinDoseFindings(rows);
+  assert.equal(f[0].id, "COLISTIN_UNITS");
+  assert.equal(f[0].severity, "Critical");
+});
@@ -0,0 +1,38 @@
+// File: /test/drug_dictionary.test.mjs
+// Drug dictionary — brands and abbreviations resolve only where unambiguous.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveDrug, drugProfile, profileMatches } from "../functions/_lib/drug_dictionary.js";
+
+test("ambiguous CTX (ceftriaxone / cefotaxime / co-trimoxazole) is not resolved", ()=>{
+  assert.notEqual(resolveDrug("ctx")?.generic, "ceftriaxone");
+});
+
+test("cloxacillin is its own drug, not flucloxacillin", ()=>{
+  assert.equal(resolveDrug("cloxacillin")?.generic, "cloxacillin");
+  assert.equal(resolveDrug("floxacillin")?.generic, "flucloxacillin");
+});
+
+test("brands resolve to the generic", ()=>{
+  assert.equal(resolveDrug("Tazocin")?.generic, "piperacillin-tazobactam");
+});
+
+const matches = (drug, term)=>profileMatches(drugProfile(drug), term);
+
+test("class terms match by class, never inside another drug's name", ()=>{
+  assert.equal(matches("Nystatin", "statin"), false);
+  assert.equal(matches("Imipenem-cilastatin", "statin"), false);
+  assert.equal(matches("Carbamazepine", "arb"), false);
+  assert.equal(matches("Carbimazole", "arb"), false);
+  assert.equal(matches("Atorvastatin", "statin"), true);
+  assert.equal(matches("Losartan", "arb"), true);
+});
+
+test("drug names match whole words only", ()=>{
+  assert.equal(matches("Piperacillin-tazobactam 4.5 g", "piperacillin"), true);
+  assert.equal(matches("Heparin 5000 units SC", "heparin"), true);
+  assert.equal(matches("Ceftazidime-avibactam", "ceftazidime"), true);
+  assert.equal(matches("Metformin", "met"), false);
+});
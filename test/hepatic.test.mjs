@@ -0,0 +1,41 @@
+// File: /test/hepatic.test.mjs
+// Hepatic scores — Child-Pugh classes, bounds when incomplete, and MELD-Na.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { scoreHepaticFunction, formatHepaticScores } from "../functions/_lib/hepatic.js";
+
+test("a complete Child-Pugh scores and classes", ()=>{
+  const h = scoreHepaticFunction({ labs:{ bili_t:60, albumin:25, inr:1.8 }, findings:{ ascites:"moderate", encephalopathy:"none" } });
+  assert.equal(h.child_pugh.score, 12);
+  assert.equal(h.child_pugh.class, "C");
+  assert.equal(h.effective_class, "C");
+  assert.equal(h.liver_disease_documented, true);
+});
+
+test("missing components bound the class instead of scoring as normal", ()=>{
+  const h = scoreHepaticFunction({ labs:{ bili_t:60, albumin:25, inr:2.0 } });
+  assert.equal(h.child_pugh.score, null);
+  assert.equal(h.child_pugh.min_score, 10);
+  assert.equal(h.child_pugh.max_score, 14);
+  assert.equal(h.effective_class, "C");
+  assert.deepEqual(h.child_pugh.missing, ["Ascites","Encephalopathy"]);
+  const unknown = scoreHepaticFunction({ labs:{ bili_t:10 } });
+  assert.equal(unknown.effective_class, null);
+});
+
+test("MELD-Na adds the sodium term above MELD 11 and caps SCr on dialysis", ()=>{
+  const h = scoreHepaticFunction({ labs:{ bili_t:60, inr:1.8, scr_umol:100, na:130 } });
+  assert.equal(h.meld_na.meld, 19);
+  assert.equal(h.meld_na.meld_na, 24);
+  const hd = scoreHepaticFunction({ labs:{ bili_t:60, inr:1.8, na:140 }, dialysis:true });
+  assert.equal(hd.meld_na.inputs.scr_mgdl, 4);
+  assert.equal(hd.meld_na.inputs.na, 137);
+});
+
+test("the prompt line lists what is missing", ()=>{
+  const line = formatHepaticScores(scoreHepaticFunction({ labs:{ bili_t:20, albumin:40, inr:1.1 }, conditionText:"alcoholic liver disease" }));
+  assert.match(line, /Child-Pugh incomplete 5–9 \|/);
+  assert.match(line, /missing: Ascites, Encephalopathy, SCr, Na/);
+});
@@ -0,0 +1,24 @@
+// File: /test/hit_score.test.mjs
+// HIT 4T score — thrombosis component.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { scoreHit4T } from "../functions/_lib/hit_score.js";
+import { drugProfile } from "../functions/_lib/drug_dictionary.js";
+
+const base = { plateletFall:{ falling:true, peak:250, nadir:110, fall_pct:56, onset_day_of_heparin:6 }, plt:110, medProfiles:[drugProfile("Heparin")] };
+const thrombosis = (opts)=>scoreHit4T({ ...base, ...opts }).components.find(c=>/Thrombosis/.test(c.component));
+
+test("the PE heparin was started for does not score thrombosis points", ()=>{
+  const c = thrombosis({ conditionText:"acute pulmonary embolism confirmed on ctpa", findings:{} });
+  assert.equal(c.points, null);
+});
+
+test("new thrombosis after heparin from the hit block scores 2", ()=>{
+  assert.equal(thrombosis({ findings:{ new_thrombosis:true } }).points, 2);
+});
+
+test("suspected thrombosis after heparin scores 1", ()=>{
+  assert.equal(thrombosis({ findings:{ new_thrombosis:"suspected DVT left leg" } }).points, 1);
+});
@@ -0,0 +1,29 @@
+// File: /test/interactions.test.mjs
+// Interaction engine — class partners match by class, never by name fragments.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { drugProfile } from "../functions/_lib/drug_dictionary.js";
+import { runInteractionEngine } from "../functions/_lib/interactions.js";
+
+const ids = (...meds)=>runInteractionEngine(meds.map(drugProfile)).map(f=>f.id);
+
+test("TMP-SMX + ACEi/ARB is reported once", ()=>{
+  assert.deepEqual(ids("Co-trimoxazole 960 mg BID", "Lisinopril 10 mg OD").filter(id=>id==="DDI_TMPSMX_ACEI_ARB"), ["DDI_TMPSMX_ACEI_ARB"]);
+  assert.ok(ids("Bactrim", "Losartan 50 mg").includes("DDI_TMPSMX_ACEI_ARB"));
+});
+
+test("TMP-SMX + carbamazepine / carbimazole is not an ACEi/ARB interaction", ()=>{
+  assert.ok(!ids("Co-trimoxazole", "Carbamazepine 200 mg BID").includes("DDI_TMPSMX_ACEI_ARB"));
+  assert.ok(!ids("Co-trimoxazole", "Carbimazole 20 mg OD").includes("DDI_TMPSMX_ACEI_ARB"));
+});
+
+test("carbapenem + valproate matches by class", ()=>{
+  assert.ok(ids("Meropenem 1 g q8h", "Sodium valproate 500 mg BID").includes("DDI_MEROPENEM_VALPROATE"));
+  assert.ok(!ids("Imipenem-cilastatin", "Simvastatin 40 mg").includes("DDI_AMIODARONE_STATIN"));
+});
+
+test("a single drug is not its own interaction partner", ()=>{
+  assert.deepEqual(ids("Levofloxacin 750 mg OD"), []);
+});
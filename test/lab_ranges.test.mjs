@@ -0,0 +1,34 @@
+// File: /test/lab_ranges.test.mjs
+// Lab reference ranges — sex and age-band selection, site overrides.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveLabRanges, labAgeBand } from "../functions/_lib/lab_ranges.js";
+
+test("adult ranges follow sex and the older-adult band", ()=>{
+  assert.equal(resolveLabRanges({ sex:"female", age:40 }).ranges.scr_umol.high, 80);
+  assert.equal(resolveLabRanges({ sex:"male", age:40 }).ranges.hb.low, 13.5);
+  const older = resolveLabRanges({ sex:"M", age:70 });
+  assert.equal(older.ranges.urea.high, 8.3);
+  assert.equal(older.profile.label, "Older adult (≥65 y), male");
+});
+
+test("children get their band's values, not adult sex ranges", ()=>{
+  const r = resolveLabRanges({ sex:"female", age:4 });
+  assert.equal(r.ranges.scr_umol.high, 40);
+  assert.equal(r.ranges.hb.low, 11);
+  assert.equal(r.profile.pediatric, true);
+  assert.equal(resolveLabRanges({ sex:"male", age:15 }).ranges.hb.low, 13);
+  assert.equal(labAgeBand(10/365).id, "neonate");
+});
+
+test("site overrides apply last and only change limits", ()=>{
+  const r = resolveLabRanges({ sex:"male", age:50 }, '{"all":{"k":{"low":3.6}},"male":{"hb":{"low":13,"label":"x"}}}');
+  assert.equal(r.ranges.k.low, 3.6);
+  assert.equal(r.ranges.k.high, 5.0);
+  assert.equal(r.ranges.hb.low, 13);
+  assert.equal(r.ranges.hb.label, "Hb");
+  assert.equal(r.profile.site_overrides, true);
+  assert.equal(resolveLabRanges({ age:50 }, "not json").profile.site_overrides, false);
+});
@@ -0,0 +1,44 @@
+// File: /test/lab_trends.test.mjs
+// Lab trends — KDIGO AKI windows, platelet fall, INR rise.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeLabTrends } from "../functions/_lib/lab_trends.js";
+
+const aki = (points, opts)=>analyzeLabTrends({ scr_umol:points }, opts).aki;
+
+test("a rise of ≥26.5 µmol/L within 48 h is AKI", ()=>{
+  const r = aki([{ hours:0, value:90 }, { hours:36, value:120 }]);
+  assert.equal(r.aki, true);
+  assert.match(r.criterion, /in 36 h/);
+});
+
+test("1.5× the lowest value within 7 days is AKI stage 1", ()=>{
+  const r = aki([{ day:1, value:80 }, { day:4, value:95 }, { day:6, value:125 }]);
+  assert.equal(r.aki, true);
+  assert.equal(r.stage, 1);
+  assert.equal(r.baseline_umol, 80);
+});
+
+test("a slow rise to 1.5× over more than 7 days is not AKI", ()=>{
+  const r = aki([{ day:1, value:80 }, { day:5, value:95 }, { day:10, value:108 }, { day:14, value:122 }]);
+  assert.equal(r.aki, false);
+});
+
+test("a documented baseline is used for the ratio", ()=>{
+  const r = aki([{ day:1, value:200 }, { day:2, value:210 }], { baselineScrUmol:100 });
+  assert.equal(r.stage, 2);
+  assert.equal(r.baseline_source, "documented");
+});
+
+test("platelet fall is timed from heparin start", ()=>{
+  const r = analyzeLabTrends({ plt:[{ day:1, value:250 }, { day:6, value:200 }, { day:8, value:110 }] }, { heparinStart:"D1" }).platelet_fall;
+  assert.equal(r.falling, true);
+  assert.equal(r.fall_pct, 56);
+  assert.equal(r.onset_day_of_heparin, 5);
+});
+
+test("INR rising ≥0.5 above the minimum is flagged", ()=>{
+  assert.equal(analyzeLabTrends({ inr:[{ day:1, value:1.1 }, { day:2, value:1.4 }, { day:3, value:1.9 }] }).inr_rise.rising, true);
+});
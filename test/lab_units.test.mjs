@@ -0,0 +1,28 @@
+// File: /test/lab_units.test.mjs
+// Lab units — creatinine unit guess for adults and children.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { convertLabValue, normalizeLabUnits } from "../functions/_lib/lab_units.js";
+
+test("adult creatinine below 20 is read as mg/dL", ()=>{
+  const r = convertLabValue("scr_umol", 1.2);
+  assert.equal(r.value, 106);
+  assert.equal(r.conversion.basis, "magnitude");
+});
+
+test("infant creatinine of 18 stays µmol/L and asks for the unit", ()=>{
+  const r = normalizeLabUnits({ scr_umol:18 }, {}, { pediatric:true });
+  assert.equal(r.labs.scr_umol, 18);
+  assert.equal(r.conversions.length, 0);
+  assert.match(r.warnings[0], /confirm the unit/);
+});
+
+test("child creatinine below 2 is still read as mg/dL", ()=>{
+  assert.equal(convertLabValue("scr_umol", 0.3, null, { pediatric:true }).value, 27);
+});
+
+test("a stated unit wins over the child rule", ()=>{
+  assert.equal(convertLabValue("scr_umol", "5 mg/dL", null, { pediatric:true }).value, 442);
+});
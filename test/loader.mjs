@@ -0,0 +1,19 @@
+// File: /test/loader.mjs
+// Module hooks for running functions/ under plain Node.
+//
+//   functions/**.js — ESM source in a "type":"commonjs" package; loaded as ESM
+//   *.json          — imported without attributes (the Pages bundler allows it);
+//                     served as an ES module with a default export
+
+import { readFile } from "node:fs/promises";
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith("file:")&&url.endsWith(".json")) {
+    const source = await readFile(new URL(url), "utf8");
+    return { format:"module", source:`export default ${source.trim() || "null"};`, shortCircuit:true };
+  }
+  if (url.startsWith("file:")&&/\/functions\/.*\.js$/.test(url)) {
+    return { ...(await nextLoad(url, { ...context, format:"module" })), format:"module" };
+  }
+  return nextLoad(url, context);
+}
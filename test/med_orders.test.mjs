@@ -0,0 +1,33 @@
+// File: /test/med_orders.test.mjs
+// Order parser — numbers and the adult per-dose / daily maximum check.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseMedicationOrder, doseLimitFindings } from "../functions/_lib/med_orders.js";
+
+const withParsed = (med)=>({ ...med, parsed:parseMedicationOrder(med) });
+
+test("Tazocin 4.5 g Q8H over 4h parses to piperacillin-tazobactam numbers", ()=>{
+  const o = parseMedicationOrder({ name:"Tazocin", dose:"4.5 g", route:"IV", frequency:"Q8H over 4h" });
+  assert.equal(o.drug, "piperacillin-tazobactam");
+  assert.equal(o.dose_mg, 4500);
+  assert.equal(o.interval_h, 8);
+  assert.equal(o.daily_dose_mg, 13500);
+  assert.equal(o.infusion_h, 4);
+});
+
+test("a frequency error that passes the per-dose limit is caught by the daily maximum", ()=>{
+  const [f] = doseLimitFindings([withParsed({ name:"Paracetamol", dose:"1 g", route:"PO", frequency:"q2h" })]);
+  assert.equal(f.severity, "Critical");
+  assert.match(f.problem, /12000 mg\/day/);
+});
+
+test("a usual regimen raises nothing", ()=>{
+  assert.deepEqual(doseLimitFindings([withParsed({ name:"Paracetamol", dose:"1 g", route:"PO", frequency:"QID" })]), []);
+});
+
+test("PRN orders are checked at the most they allow", ()=>{
+  const [f] = doseLimitFindings([withParsed({ name:"Ibuprofen", dose:"800 mg", route:"PO", frequency:"q4h prn" })]);
+  assert.match(f.problem, /if given as often as ordered/);
+});
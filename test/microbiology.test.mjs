@@ -0,0 +1,41 @@
+// File: /test/microbiology.test.mjs
+// Microbiology — culture normalization and bug–drug coverage.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeCultures, reviewMicrobiology } from "../functions/_lib/microbiology.js";
+
+const review = (culture, drug)=>reviewMicrobiology({ cultures:normalizeCultures([culture]), medications:[{ name:drug }] });
+const coverage = (culture, drug)=>review(culture, drug).isolates[0].coverage[0].status;
+
+test("susceptibility panels are normalized to generic names", ()=>{
+  const [c] = normalizeCultures([{ specimen:"Urine", organism:"E. coli", colony_count:">10^5 CFU/mL",
+    susceptibilities:[{ antibiotic:"Tazocin", result:"S" }, { antibiotic:"Ciprofloxacin", result:"Resistant", mic:">4" }] }]);
+  assert.equal(c.susceptibilities["piperacillin-tazobactam"], "S");
+  assert.equal(c.susceptibilities.ciprofloxacin, "R");
+  assert.equal(c.significant, true);
+});
+
+test("no-growth cultures are negative, coagulase-negative staph is not", ()=>{
+  const [neg, cons] = normalizeCultures([{ specimen:"Blood", organism:"No growth at 48 h" }, { specimen:"Blood", organism:"Coagulase-negative staphylococcus" }]);
+  assert.equal(neg.negative, true);
+  assert.equal(cons.negative, false);
+});
+
+test("benzylpenicillin is active therapy for Neisseria meningitidis", ()=>{
+  const r = review({ specimen:"CSF", organism:"Neisseria meningitidis" }, "Benzylpenicillin");
+  assert.notEqual(r.isolates[0].coverage[0].status, "inactive");
+  assert.ok(!r.findings.some(f=>f.id==="MICRO_MISMATCH"&&f.severity==="Critical"));
+});
+
+test("benzylpenicillin and vancomycin are inactive against E. coli", ()=>{
+  const culture = { specimen:"Blood", organism:"Escherichia coli" };
+  assert.equal(coverage(culture, "Benzylpenicillin"), "inactive");
+  assert.equal(coverage(culture, "Vancomycin"), "inactive");
+  assert.ok(review(culture, "Vancomycin").findings.some(f=>f.id==="MICRO_MISMATCH"&&f.severity==="Critical"));
+});
+
+test("a reported R is resistant", ()=>{
+  assert.equal(coverage({ specimen:"Blood", organism:"Klebsiella pneumoniae", susceptibilities:{ ceftriaxone:"R" } }, "Ceftriaxone"), "resistant");
+});
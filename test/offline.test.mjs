@@ -0,0 +1,87 @@
+// File: /test/offline.test.mjs
+// Offline smoke test — ask, monograph and case_analysis run end to end with the
+// local BM25 index (RETRIEVAL_BACKEND="local") and a canned LLM client
+// (env.LLM_CLIENT). Any network call fails the test.
+//
+//   npm test
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { onRequest } from "../functions/api/ask.js";
+
+const LOCAL_INDEX = { version:1, built_at:null, chunks:[
+  { filename:"Vancomycin_Protocol.pdf", page:3, chunk_index:0, section:"Renal dosing", store:"local",
+    text:"Vancomycin renal dosing: AUC-guided, target AUC24 400-600 mg.h/L. CrCl 30-50 mL/min give 15 mg/kg every 24 hours." },
+  { filename:"Meropenem_Monograph.pdf", page:1, chunk_index:0, section:"Dosing", store:"local",
+    text:"Meropenem 1 g IV every 8 hours. CrCl 26-50 mL/min 1 g every 12 hours. Extended infusion over 3 hours in critically ill patients." },
+]};
+
+const EXTRACTED_CASE = {
+  age:64, sex:"male", weight_kg:78, height_cm:175, care_setting:"Ward", diagnosis:"Hospital-acquired pneumonia",
+  allergies:[], labs:{ scr_umol:160, plt:210, wbc:14.2 },
+  medications:[
+    { name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q8H" },
+    { name:"Vancomycin", dose:"1 g", route:"IV", frequency:"Q12H" },
+  ],
+};
+
+// Canned replies keyed by the start of the system prompt
+const REPLIES = [
+  ["Extract clinical case data",      JSON.stringify(EXTRACTED_CASE)],
+  ["Extract diseases",                JSON.stringify(["Hospital-acquired pneumonia"])],
+  ["Clinical pharmacist disease scanner", JSON.stringify({ diseases:[] })],
+  ["Clinical pharmacist. Return",     JSON.stringify({ drug_reviews:[], interventions:[], medication_adjustments:[] })],
+  ["Senior clinical pharmacist",      JSON.stringify({ note:"Offline note.", followup:[] })],
+];
+
+const calls = [];
+const LLM_CLIENT = {
+  async complete({ system, user }) {
+    calls.push({ system, user });
+    return REPLIES.find(([prefix])=>system.startsWith(prefix))?.[1] ?? "• Offline answer";
+  },
+};
+const env = { RETRIEVAL_BACKEND:"local", LOCAL_INDEX, LLM_CLIENT };
+
+let realFetch;
+before(()=>{
+  realFetch = globalThis.fetch;
+  globalThis.fetch = async (url)=>{ throw new Error(`network call in offline test: ${url}`); };
+});
+after(()=>{ globalThis.fetch = realFetch; });
+
+async function post(body) {
+  const res = await onRequest({ request:new Request("http://local/api/ask", { method:"POST", body:JSON.stringify(body) }), env });
+  return { status:res.status, json:await res.json() };
+}
+
+test("ask mode answers from the local index with citations", async ()=>{
+  const { status, json } = await post({ mode:"ask", question:"vancomycin renal dosing CrCl 40", source_mode:"required" });
+  assert.equal(status, 200);
+  assert.equal(json.ok, true);
+  assert.ok(json.answer);
+  assert.ok(json.citations.some(c=>/Vancomycin_Protocol/.test(JSON.stringify(c))));
+});
+
+test("monograph mode runs without network", async ()=>{
+  const { status, json } = await post({ mode:"monograph", drug_name:"Meropenem" });
+  assert.equal(status, 200);
+  assert.equal(json.ok, true);
+});
+
+test("case_analysis returns the four panels and code-derived rows", async ()=>{
+  calls.length = 0;
+  const { status, json } = await post({ mode:"case_analysis", case_text:"64M HAP on meropenem 1 g q8h and vancomycin 1 g q12h, SCr 160." });
+  assert.equal(status, 200);
+  assert.equal(json.ok, true);
+  for (const panel of ["panel1","panel2","panel3","panel4"]) assert.ok(json[panel], panel);
+  assert.ok(json.renal_function?.crcl?.value > 0);
+  assert.ok(json.medication_adjustments.some(r=>r.locked&&/meropenem/i.test(r.drug)));
+  assert.ok(calls.some(c=>c.system.startsWith("Extract clinical case data")));
+});
+
+test("no OpenAI key is needed when both backends are injected", async ()=>{
+  const { json } = await post({ mode:"ask", question:"meropenem extended infusion" });
+  assert.notEqual(json.error, "OPENAI_API_KEY is not set");
+});
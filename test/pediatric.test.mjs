@@ -0,0 +1,60 @@
+// File: /test/pediatric.test.mjs
+// Pediatric branch — age parsing and bands, mg/kg dose checks.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseAgeYears, pediatricAgeBand, formatAge, evaluatePediatricDosing, pediatricDoseFindings } from "../functions/_lib/pediatric.js";
+import { assessRenalFunction } from "../functions/_lib/renal_function.js";
+
+const row = (med, ageYears, weightKg)=>evaluatePediatricDosing([med], { ageYears, weightKg })[0];
+
+test("ages parse from years, months, weeks and days", ()=>{
+  assert.equal(parseAgeYears("2y 6m"), 2.5);
+  assert.equal(parseAgeYears("8 months"), 0.667);
+  assert.equal(parseAgeYears("10 days"), 0.027);
+  assert.equal(parseAgeYears(40), 40);
+  assert.equal(formatAge(0.027), "10D");
+  assert.equal(formatAge(0.667), "8M");
+});
+
+test("age bands split at 28 days, 1, 6, 12 and 18 years", ()=>{
+  assert.equal(pediatricAgeBand(parseAgeYears("10 days")).id, "neonate");
+  assert.equal(pediatricAgeBand(0.5).id, "infant");
+  assert.equal(pediatricAgeBand(5).id, "child_1_5");
+  assert.equal(pediatricAgeBand(12).id, "adolescent");
+  assert.equal(pediatricAgeBand(18), null);
+  assert.deepEqual(evaluatePediatricDosing([{ name:"Paracetamol", dose:"1 g", frequency:"Q6H" }], { ageYears:30, weightKg:70 }), []);
+});
+
+test("an in-range mg/kg dose is correct", ()=>{
+  const r = row({ name:"Paracetamol", dose:"300 mg", route:"PO", frequency:"Q6H" }, 6, 20);
+  assert.equal(r.verdict, "CORRECT");
+  assert.equal(r.mg_per_kg_dose, 15);
+});
+
+test("a dose above the per-dose cap is a Critical finding", ()=>{
+  const r = row({ name:"Amoxicillin", dose:"1.5 g", route:"PO", frequency:"Q8H" }, 10, 50);
+  assert.equal(r.verdict, "ADJUST");
+  assert.equal(r.exceeds_max, true);
+  assert.equal(pediatricDoseFindings([r])[0].severity, "Critical");
+});
+
+test("an underdose is flagged below range", ()=>{
+  const r = row({ name:"Meropenem", dose:"100 mg", route:"IV", frequency:"Q8H" }, 4, 16);
+  assert.equal(r.direction, "below");
+  assert.equal(pediatricDoseFindings([r])[0].severity, "Moderate");
+});
+
+test("age limits and missing weight are handled before mg/kg maths", ()=>{
+  assert.equal(row({ name:"Ibuprofen", dose:"20 mg", route:"PO", frequency:"Q8H" }, 0.1, 4).verdict, "STOP");
+  assert.equal(row({ name:"Ceftriaxone", dose:"500 mg", route:"IV", frequency:"Q24H" }, 3, null).verdict, "MONITOR");
+});
+
+test("children get bedside Schwartz instead of Cockcroft-Gault", ()=>{
+  const r = assessRenalFunction({ age:6, sex:"male", weightKg:20, heightCm:115, scrUmol:44.2 });
+  assert.equal(r.crcl.estimator, "Bedside Schwartz");
+  assert.equal(r.crcl.value, 95);
+  assert.equal(r.egfr_ckd_epi_2021, null);
+  assert.ok(assessRenalFunction({ age:6, sex:"male", weightKg:20, scrUmol:44.2 }).flags.some(f=>f.id==="PEDIATRIC_NO_HEIGHT"));
+});
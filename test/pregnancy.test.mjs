@@ -0,0 +1,31 @@
+// File: /test/pregnancy.test.mjs
+// Pregnancy — current pregnancy from case text, trimester, lactation.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizePregnancy } from "../functions/_lib/pregnancy.js";
+
+const fromText = (text, extra={})=>normalizePregnancy(null, { text, sex:"female", age:30, ...extra });
+
+test("a current-pregnancy phrase sets pregnant and the trimester", ()=>{
+  const p = fromText("G2P1, 28 weeks gestation, pyelonephritis");
+  assert.equal(p.pregnant, true);
+  assert.equal(p.trimester, 3);
+  assert.equal(fromText("Currently pregnant, UTI").pregnant, true);
+  assert.equal(fromText("GA 12, hyperemesis").trimester, 1);
+});
+
+test("pregnancy history in the PMH is not a current pregnancy", ()=>{
+  assert.equal(fromText("PMH: previous ectopic pregnancy 2019").pregnant, false);
+  assert.equal(fromText("PMH: pregnancy-induced hypertension in 2021").pregnant, false);
+});
+
+test("the extractor flag wins and male sex clears it", ()=>{
+  assert.equal(normalizePregnancy({ pregnant:false }, { text:"28 weeks gestation" }).pregnant, false);
+  assert.equal(fromText("28 weeks pregnant", { sex:"male" }).pregnant, false);
+});
+
+test("breastfeeding is recognised", ()=>{
+  assert.equal(fromText("breastfeeding 3-month-old").lactating, true);
+});
@@ -0,0 +1,42 @@
+// File: /test/qt_risk.test.mjs
+// QT risk — Tisdale score bands and the safety finding.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { drugProfile } from "../functions/_lib/drug_dictionary.js";
+import { scoreQtRisk, qtRiskFinding } from "../functions/_lib/qt_risk.js";
+
+const meds = (...names)=>names.map(drugProfile);
+
+test("scores the published items and bands high at ≥11", ()=>{
+  const r = scoreQtRisk({ age:72, sex:"female", labs:{ k:3.2, mg:0.9, ca:2.3 }, qtcMs:470,
+    medProfiles:meds("Levofloxacin 750 mg", "Azithromycin 500 mg", "Furosemide 40 mg"), conditionText:"", septic:false });
+  // age 1 + female 1 + loop 1 + K 2 + QTc 2 + two QT drugs 6
+  assert.equal(r.score, 13);
+  assert.equal(r.category, "high");
+  assert.deepEqual(r.qt_drugs, ["Levofloxacin","Azithromycin"]);
+  assert.equal(qtRiskFinding(r).severity, "Critical");
+});
+
+test("low Mg and Ca are listed but add no points", ()=>{
+  const r = scoreQtRisk({ age:40, sex:"male", labs:{ k:4.2, mg:0.5, ca:1.9 }, qtcMs:420, medProfiles:meds("Ciprofloxacin") });
+  assert.equal(r.score, 3);
+  assert.equal(r.category, "low");
+  assert.equal(r.additional_factors.length, 2);
+  assert.equal(qtRiskFinding(r), null);
+});
+
+test("QTc ≥500 is Critical even when the score is low", ()=>{
+  const r = scoreQtRisk({ age:30, sex:"male", labs:{ k:4.5 }, qtcMs:510, medProfiles:meds("Ciprofloxacin") });
+  assert.equal(r.category, "low");
+  assert.equal(r.qtc_over_500, true);
+  assert.equal(qtRiskFinding(r).severity, "Critical");
+});
+
+test("moderate risk is Major; no finding without a QT drug", ()=>{
+  const moderate = scoreQtRisk({ age:50, sex:"male", labs:{ k:4 }, qtcMs:440, medProfiles:meds("Moxifloxacin"), conditionText:"CHF", septic:true });
+  assert.equal(moderate.score, 9);
+  assert.equal(qtRiskFinding(moderate).severity, "Major");
+  assert.equal(qtRiskFinding(scoreQtRisk({ age:80, sex:"female", qtcMs:480, conditionText:"NSTEMI" })), null);
+});
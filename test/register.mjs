@@ -0,0 +1,6 @@
+// File: /test/register.mjs
+// node --import ./test/register.mjs — lets Node run the Pages Functions as-is
+// (see loader.mjs).
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
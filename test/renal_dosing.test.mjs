@@ -0,0 +1,44 @@
+// File: /test/renal_dosing.test.mjs
+// Renal dosing table — ordered vs recommended regimen comparison.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { evaluateRenalDosing } from "../functions/_lib/renal_dosing.js";
+
+const row = (med, crcl)=>evaluateRenalDosing([med], { crcl })[0];
+
+test("an extended-infusion pip/tazo regimen with the same daily dose is accepted", ()=>{
+  const r = row({ name:"Piperacillin-tazobactam", dose:"4.5 g", route:"IV", frequency:"Q8H over 4 h" }, 80);
+  assert.equal(r.verdict, "CORRECT");
+  assert.match(r.reason, /Equivalent regimen/);
+});
+
+test("the same daily dose at a much longer interval is still flagged", ()=>{
+  const r = row({ name:"Meropenem", dose:"3 g", route:"IV", frequency:"Q24H" }, 80);
+  assert.equal(r.verdict, "ADJUST");
+});
+
+test("a higher daily dose than the band allows is flagged", ()=>{
+  const r = row({ name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q8H" }, 35);
+  assert.equal(r.verdict, "ADJUST");
+  assert.equal(r.recommended_regimen.interval_h, 12);
+});
+
+test("an intermittent regimen at a longer interval is not treated as equivalent", ()=>{
+  const r = row({ name:"Piperacillin-tazobactam", dose:"4.5 g", route:"IV", frequency:"Q8H" }, 80);
+  assert.equal(r.recommended_regimen.interval_h, 6);
+  assert.equal(r.verdict, "ADJUST");
+  assert.match(r.reason, /intermittent infusion/);
+});
+
+test("meropenem at CrCl exactly 50 uses the 26–50 band", ()=>{
+  const at50 = row({ name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q12H" }, 50);
+  assert.equal(at50.recommended_regimen.interval_h, 12);
+  assert.equal(at50.band, "CrCl 26–50 mL/min");
+  assert.equal(at50.verdict, "CORRECT");
+  const above = row({ name:"Meropenem", dose:"1 g", route:"IV", frequency:"Q8H" }, 50.5);
+  assert.equal(above.recommended_regimen.interval_h, 8);
+  assert.equal(above.band, "CrCl >50 mL/min");
+  assert.equal(row({ name:"Meropenem", dose:"500 mg", route:"IV", frequency:"Q12H" }, 25.5).band, "CrCl 10–25 mL/min");
+});
@@ -0,0 +1,49 @@
+// File: /test/renal_function.test.mjs
+// Renal function — estimators and the flags that make a single estimate unreliable.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ckdEpi2021, mdrd, deindexEgfr, assessRenalFunction } from "../functions/_lib/renal_function.js";
+
+const flagIds = (r)=>r.flags.map(f=>f.id);
+
+test("CKD-EPI 2021 and MDRD match published values", ()=>{
+  assert.equal(ckdEpi2021({ age:50, scrMgdl:1, sex:"male" }), 91.7);
+  assert.equal(ckdEpi2021({ age:50, scrMgdl:1, sex:"female" }), 68.6);
+  assert.equal(mdrd({ age:50, scrMgdl:1, sex:"male" }), 79.1);
+  assert.equal(ckdEpi2021({ age:50, scrMgdl:1, sex:null }), null);
+  assert.equal(deindexEgfr(90, 2.0), 104);
+});
+
+test("CrCl above 130 is flagged as ARC but stays reliable", ()=>{
+  const r = assessRenalFunction({ age:30, sex:"male", weightKg:80, heightCm:180, scrUmol:50 });
+  assert.equal(r.crcl.value, 216.1);
+  assert.equal(r.arc, true);
+  assert.deepEqual(flagIds(r), ["ARC"]);
+  assert.equal(r.reliable, true);
+});
+
+test("a rise from baseline or documented AKI makes the estimate unreliable", ()=>{
+  const rise = assessRenalFunction({ age:60, sex:"male", weightKg:70, scrUmol:200, scrBaselineUmol:90 });
+  assert.ok(flagIds(rise).includes("AKI_UNSTABLE_SCR"));
+  assert.equal(rise.reliable, false);
+  assert.ok(flagIds(assessRenalFunction({ age:60, sex:"male", weightKg:70, scrUmol:90, conditionText:"Acute kidney injury" })).includes("AKI_UNSTABLE_SCR"));
+});
+
+test("low SCr in the elderly is rounded up only under a site policy", ()=>{
+  const base = { age:80, sex:"female", weightKg:55, heightCm:160, scrUmol:50 };
+  const flagged = assessRenalFunction(base);
+  assert.equal(flagged.scr_rounded_up, false);
+  assert.equal(flagged.reliable, false);
+  const rounded = assessRenalFunction({ ...base, roundUpScrMgdl:1 });
+  assert.equal(rounded.scr_used_for_cg_mgdl, 1);
+  assert.equal(rounded.crcl.value, 39);
+  assert.equal(rounded.reliable, true);
+});
+
+test("dialysis is flagged critical", ()=>{
+  const r = assessRenalFunction({ age:60, sex:"male", weightKg:70, scrUmol:600, dialysis:true });
+  assert.equal(r.flags.find(f=>f.id==="DIALYSIS").severity, "critical");
+  assert.equal(r.reliable, false);
+});
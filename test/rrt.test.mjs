@@ -0,0 +1,41 @@
+// File: /test/rrt.test.mjs
+// RRT — modality from the extractor, or from affirmative case text only.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeRrt, rrtTableModality } from "../functions/_lib/rrt.js";
+import { assessRenalFunction } from "../functions/_lib/renal_function.js";
+
+const fromText = (text)=>normalizeRrt(null, { text }).modality;
+
+test("the extractor's modality is used and mapped to a table band", ()=>{
+  const r = normalizeRrt({ modality:"CVVHDF", effluent_ml_h:2000 }, { weightKg:80 });
+  assert.equal(r.modality, "CRRT");
+  assert.equal(r.effluent_ml_kg_h, 25);
+  assert.equal(rrtTableModality(r), "CRRT");
+  assert.equal(rrtTableModality(normalizeRrt({ modality:"PD" })), "HD");
+});
+
+test("affirmative dialysis text is detected", ()=>{
+  assert.equal(fromText("ESRD on HD Mon/Wed/Fri"), "IHD");
+  assert.equal(fromText("Septic shock, on CVVHDF since D2"), "CRRT");
+  assert.equal(fromText("CAPD for 3 years"), "PD");
+});
+
+test("negated or planned dialysis is not a modality", ()=>{
+  assert.equal(fromText("CKD stage 5, not on dialysis"), null);
+  assert.equal(fromText("no haemodialysis planned"), null);
+  assert.equal(fromText("declined hemodialysis"), null);
+  assert.equal(fromText("AKI — haemodialysis planned if K rises"), null);
+});
+
+test("renal function does not switch to the RRT estimator for negated dialysis text", ()=>{
+  const base = { age:60, sex:"male", weightKg:70, scrUmol:400 };
+  const notOn = assessRenalFunction({ ...base, conditionText:"CKD stage 5, not on dialysis" });
+  assert.equal(notOn.dosing_estimator, "Cockcroft-Gault");
+  assert.ok(!notOn.flags.some(f=>f.id==="DIALYSIS"));
+  const onHd = assessRenalFunction({ ...base, conditionText:"ESRD on HD Mon/Wed/Fri" });
+  assert.equal(onHd.dosing_estimator, "RRT modality");
+  assert.match(onHd.flags.find(f=>f.id==="DIALYSIS").message, /\(IHD\)/);
+});
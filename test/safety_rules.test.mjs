@@ -0,0 +1,42 @@
+// File: /test/safety_rules.test.mjs
+// Deterministic safety rules — class terms only fire for drugs in that class.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildClinicalState, runSafetyRules } from "../functions/api/ask.js";
+import { normalizePregnancy } from "../functions/_lib/pregnancy.js";
+
+function ruleIds(meds, { pregnancy={ pregnant:true, gestational_weeks:20 }, labs={}, crcl=null }={}) {
+  const normalized = { medications:meds.map(name=>({ name })), allergies:[], labs,
+    pregnancy:normalizePregnancy(pregnancy, { sex:"female", age:30 }) };
+  return runSafetyRules(buildClinicalState(normalized, crcl)).map(f=>f.id);
+}
+
+test("ACEi/ARB in pregnancy fires for losartan and ramipril", ()=>{
+  assert.ok(ruleIds(["Losartan"]).includes("PREG_ACEI_ARB"));
+  assert.ok(ruleIds(["Ramipril"]).includes("PREG_ACEI_ARB"));
+});
+
+test("carbamazepine and carbimazole are not ARBs", ()=>{
+  assert.ok(!ruleIds(["Carbamazepine"]).includes("PREG_ACEI_ARB"));
+  assert.ok(!ruleIds(["Carbimazole"]).includes("PREG_ACEI_ARB"));
+});
+
+test("nystatin and imipenem-cilastatin are not statins", ()=>{
+  for (const drug of ["Nystatin","Imipenem-cilastatin"]) {
+    assert.ok(!ruleIds([drug]).includes("PREG_STATIN"), drug);
+    assert.ok(!ruleIds([drug], { pregnancy:{ pregnant:false, breastfeeding:true } }).includes("LACT_STATIN"), drug);
+  }
+  assert.ok(ruleIds(["Atorvastatin"], { pregnancy:{ pregnant:false, breastfeeding:true } }).includes("LACT_STATIN"));
+});
+
+test("AKI nephrotoxin rule fires for ARBs but not carbamazepine or carbimazole", ()=>{
+  const akiRules = (drug)=>{
+    const normalized = { medications:[{ name:drug }], allergies:[], labs:{}, diagnosis:"AKI on CKD" };
+    return runSafetyRules(buildClinicalState(normalized, null)).map(f=>f.id);
+  };
+  assert.ok(akiRules("Losartan").includes("AKI_NEPHROTOXIN"));
+  assert.ok(!akiRules("Carbamazepine").includes("AKI_NEPHROTOXIN"));
+  assert.ok(!akiRules("Carbimazole").includes("AKI_NEPHROTOXIN"));
+});
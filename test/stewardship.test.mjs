@@ -0,0 +1,50 @@
+// File: /test/stewardship.test.mjs
+// Stewardship — de-escalation of MRSA cover.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { reviewAntimicrobials } from "../functions/_lib/stewardship.js";
+
+const vanco = (route="IV", extra={})=>({ name:"Vancomycin", dose:"1 g", route, frequency:"Q12H", parsed:{ drug:"vancomycin", route }, ...extra });
+const deEsc = (opts)=>reviewAntimicrobials({ today:"2026-10-05", ...opts }).antimicrobials[0].de_escalation;
+
+test("MSSA on vancomycin switches to an anti-staphylococcal beta-lactam", ()=>{
+  const d = deEsc({ medications:[vanco()], cultures:[{ specimen:"blood", date:"2026-10-03", organism:"Staphylococcus aureus",
+    negative:false, significant:true, susceptibilities:{ flucloxacillin:"S", vancomycin:"S" } }] });
+  assert.equal(d.action, "de-escalate");
+  assert.deepEqual(d.options, ["flucloxacillin","cefazolin"]);
+});
+
+test("a same-day negative culture waits instead of stopping", ()=>{
+  const d = deEsc({ medications:[vanco("IV", { start_date:"2026-10-05" })],
+    cultures:[{ specimen:"blood", date:"2026-10-05", organism:"no growth", negative:true, susceptibilities:{} }] });
+  assert.equal(d.action, "await");
+});
+
+test("a negative culture at 72 h stops MRSA cover", ()=>{
+  const d = deEsc({ medications:[vanco()], cultures:[{ specimen:"blood", date:"2026-10-02", organism:"no growth", negative:true, susceptibilities:{} }] });
+  assert.equal(d.action, "stop");
+});
+
+test("oral vancomycin for C. difficile is not told to stop", ()=>{
+  const d = deEsc({ medications:[vanco("PO", { indication:"C. difficile colitis" })],
+    cultures:[{ specimen:"blood", date:"2026-10-01", organism:"no growth", negative:true, susceptibilities:{} }] });
+  assert.equal(d.action, "continue");
+});
+
+const ecoli = { specimen:"blood", date:"2026-10-02", organism:"Escherichia coli", negative:false, significant:true,
+  susceptibilities:{ ceftriaxone:"S", meropenem:"S", colistin:"S", "piperacillin-tazobactam":"S" } };
+
+test("MRSA cover alongside a gram-negative regimen is stopped, not stepped down to carbapenems", ()=>{
+  const pip = { name:"Piperacillin-tazobactam", dose:"4.5 g", route:"IV", frequency:"Q6H", parsed:{ drug:"piperacillin-tazobactam", route:"IV" } };
+  const d = deEsc({ medications:[vanco(), pip], cultures:[ecoli] });
+  assert.equal(d.action, "stop");
+  assert.deepEqual(d.options, []);
+});
+
+test("MRSA cover as the only agent for a gram-negative isolate is a change, not a de-escalation", ()=>{
+  const d = deEsc({ medications:[vanco()], cultures:[ecoli] });
+  assert.equal(d.action, "change");
+  assert.equal(d.options[0], "ceftriaxone");
+});
@@ -0,0 +1,23 @@
+// File: /test/vanco_pk.test.mjs
+// Vancomycin PK — warnings only speak about an AUC that was computed.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeVancomycinPk } from "../functions/_lib/vanco_pk.js";
+
+test("a single dose and level give no AUC warning", ()=>{
+  const r = computeVancomycinPk({ weightKg:80, age:60, crcl:70,
+    doses:[{ dose_mg:1500, time:"2026-10-01T08:00:00Z", infusion_h:1.5 }],
+    levels:[{ value:18, time:"2026-10-01T12:00:00Z" }] });
+  assert.equal(r.ok, true);
+  assert.equal(r.current.auc24, null);
+  assert.ok(!r.warnings.some(w=>/AUC24 null/.test(w)));
+});
+
+test("a low steady-state AUC from two doses is flagged", ()=>{
+  const r = computeVancomycinPk({ weightKg:80, age:40, crcl:120,
+    doses:[{ dose_mg:500, time:"2026-10-01T08:00:00Z" }, { dose_mg:500, time:"2026-10-01T20:00:00Z" }] });
+  assert.ok(r.current.auc24 < 400);
+  assert.ok(r.warnings.some(w=>/below target/.test(w)));
+});
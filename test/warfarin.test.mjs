@@ -0,0 +1,48 @@
+// File: /test/warfarin.test.mjs
+// Warfarin — indication text → target INR range.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeWarfarinAdjustment } from "../functions/_lib/warfarin.js";
+
+const targetFor = (indication)=>computeWarfarinAdjustment({ indication, weeklyDoseMg:35,
+  inrHistory:[{ date:"2026-10-01", value:2.4 }], today:"2026-10-02" });
+
+test("'pe' inside another word does not make AF a recurrent-VTE target", ()=>{
+  const r = targetFor("AF with recurrent falls, hypertension");
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.target_inr, [2.0, 3.0]);
+  assert.equal(r.indication_label, "Atrial fibrillation");
+});
+
+test("'atrial fibrillation' spelled out is recognised", ()=>{
+  assert.equal(targetFor("Atrial fibrillation").indication_label, "Atrial fibrillation");
+});
+
+test("recurrent PE on warfarin keeps the higher target", ()=>{
+  assert.deepEqual(targetFor("Recurrent PE despite therapeutic warfarin").target_inr, [2.5, 3.5]);
+});
+
+const bleedingFor = (bleeding)=>computeWarfarinAdjustment({ indication:"AF", weeklyDoseMg:35, bleeding,
+  inrHistory:[{ date:"2026-10-01", value:2.4 }], today:"2026-10-02" });
+
+test("negated bleeding text is not a bleed", ()=>{
+  for (const text of ["no GI bleed","no bleeding","denies bleeding","None"]) {
+    assert.equal(bleedingFor(text).bleeding, "none", text);
+  }
+  const r = bleedingFor("no GI bleed");
+  assert.notEqual(r.band.id, "MAJOR_BLEED");
+  assert.ok(!r.pcc);
+});
+
+test("major-bleed terms match whole words only", ()=>{
+  assert.equal(bleedingFor("bruising which resolved").bleeding, "minor");
+  assert.equal(bleedingFor("gum bleeding without haemodynamic compromise").bleeding, "minor");
+});
+
+test("a documented GI bleed is major", ()=>{
+  const r = bleedingFor("melaena since yesterday, no dizziness");
+  assert.equal(r.bleeding, "major");
+  assert.equal(r.band.id, "MAJOR_BLEED");
+});